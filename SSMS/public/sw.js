@@ -0,0 +1,65 @@
+// Service worker: keeps the app shell available offline. Data is not cached
+// here; the app keeps its own copy of inventory, categories and warehouses.
+const CACHE_NAME = 'sms-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+
+// Cache the shell and the hashed bundles index.html refers to
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_FILES);
+
+    const html = await (await cache.match('/index.html')).text();
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+    await cache.addAll(assets);
+
+    await self.skipWaiting();
+  })());
+});
+
+// Drop shells of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // API calls (Supabase) and other origins go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok) {
+          const cache = await caches.open(CACHE_NAME);
+          await cache.put('/index.html', response.clone());
+        }
+        return response;
+      } catch {
+        return (await caches.match('/index.html')) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Bundles have content hashes in their names, so a cached copy is current
+  event.respondWith((async () => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  })());
+});
@@ -1,45 +1,63 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import Menu from './components/Menu'
+import AuthProvider from './components/AuthProvider'
+import ProtectedRoute from './components/ProtectedRoute'
+import DashboardPage from './pages/Dashboard'
 import InventoryPage from './pages/Inventory'
+import TransactionsPage from './pages/Transactions'
+import TransfersPage from './pages/Transfers'
+import ImportPage from './pages/Import'
+import SuppliersPage from './pages/Suppliers'
+import PurchaseOrdersPage from './pages/PurchaseOrders'
+import ReceivePurchaseOrderPage from './pages/ReceivePurchaseOrder'
+import SalesOrdersPage from './pages/SalesOrders'
+import AuditLogPage from './pages/AuditLog'
+import TrashPage from './pages/Trash'
+import CategoriesPage from './pages/Categories'
+import WarehousesPage from './pages/Warehouses'
+import LoginPage from './pages/Login'
+import ResetPasswordPage from './pages/ResetPassword'
 
 function App() {
   return (
-    <BrowserRouter>
-      <div className="min-h-screen bg-gray-100">
-        <header className="bg-blue-600 text-white p-4 shadow-md">
-          <h1 className="text-2xl font-bold">Stock Management System</h1>
-        </header>
-        
-        <Menu />
-        
-        <main className="container mx-auto p-4">
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/inventory" element={<InventoryPage />} />
-            <Route path="/transactions" element={<Transactions />} />
-            <Route path="*" element={<NotFound />} />
-          </Routes>
-        </main>
-      </div>
-    </BrowserRouter>
+    <AuthProvider>
+      <BrowserRouter>
+        <div className="min-h-screen bg-gray-100">
+          <header className="bg-blue-600 text-white p-4 shadow-md">
+            <h1 className="text-2xl font-bold">Stock Management System</h1>
+          </header>
+          
+          <Menu />
+          
+          <main className="container mx-auto p-4">
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/reset-password" element={<ResetPasswordPage />} />
+              <Route element={<ProtectedRoute />}>
+                <Route path="/" element={<DashboardPage />} />
+                <Route path="/inventory" element={<InventoryPage />} />
+                <Route path="/inventory/import" element={<ImportPage />} />
+                <Route path="/warehouses" element={<WarehousesPage />} />
+                <Route path="/categories" element={<CategoriesPage />} />
+                <Route path="/transactions" element={<TransactionsPage />} />
+                <Route path="/transfers" element={<TransfersPage />} />
+                <Route path="/suppliers" element={<SuppliersPage />} />
+                <Route path="/purchase-orders" element={<PurchaseOrdersPage />} />
+                <Route path="/purchase-orders/:id/receive" element={<ReceivePurchaseOrderPage />} />
+                <Route path="/sales-orders" element={<SalesOrdersPage />} />
+                <Route path="/audit" element={<AuditLogPage />} />
+                <Route path="/trash" element={<TrashPage />} />
+                <Route path="*" element={<NotFound />} />
+              </Route>
+            </Routes>
+          </main>
+        </div>
+      </BrowserRouter>
+    </AuthProvider>
   )
 }
 
 // Simple placeholder components
-const Home = () => (
-  <div className="bg-white p-6 rounded-lg shadow-md">
-    <h2 className="text-xl font-semibold mb-4">Dashboard</h2>
-    <p>Welcome to your Stock Management System</p>
-  </div>
-)
-
-const Transactions = () => (
-  <div className="bg-white p-6 rounded-lg shadow-md">
-    <h2 className="text-xl font-semibold mb-4">Transactions</h2>
-    <p>View and manage transactions here</p>
-  </div>
-)
-
 const NotFound = () => (
   <div className="bg-white p-6 rounded-lg shadow-md">
     <h2 className="text-xl font-semibold mb-4">Page Not Found</h2>
@@ -47,4 +65,4 @@ const NotFound = () => (
   </div>
 )
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,33 @@
+import { getAuditChanges, getFieldLabel, formatAuditValue } from '../lib/audit';
+
+// Before -> after list for one audit log entry
+const AuditChanges = ({ entry }) => {
+  const changes = getAuditChanges(entry);
+
+  if (changes.length === 0) {
+    return <span className="text-gray-400">No details</span>;
+  }
+
+  return (
+    <ul className="space-y-0.5">
+      {changes.map(change => (
+        <li key={change.field}>
+          <span className="text-gray-700">{getFieldLabel(change.field)}:</span>{' '}
+          {entry.action !== 'insert' && (
+            <span className={entry.action === 'update' ? 'text-red-700 line-through' : 'text-gray-900'}>
+              {formatAuditValue(change.field, change.before)}
+            </span>
+          )}
+          {entry.action === 'update' && ' → '}
+          {entry.action !== 'delete' && (
+            <span className={entry.action === 'update' ? 'text-green-700' : 'text-gray-900'}>
+              {formatAuditValue(change.field, change.after)}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default AuditChanges;
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { AuthContext, getSession, onSessionChange } from '../lib/auth';
+import { fetchRole, hasPermission } from '../lib/permissions';
+import { setSyncUser } from '../lib/sync';
+
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(null);
+  const [role, setRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    // Restore a persisted session before rendering protected routes
+    getSession()
+      .then(setSession)
+      .catch((error) => {
+        // Treated as signed out, so the login page shows instead of a spinner
+        console.error('Error restoring session:', error.message);
+      })
+      .finally(() => setLoading(false));
+
+    const unsubscribe = onSessionChange((newSession) => {
+      setSession(newSession);
+      setLoading(false);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  const userId = session?.user?.id;
+
+  // Offline changes are queued per user
+  useEffect(() => {
+    setSyncUser(userId || null);
+  }, [userId]);
+
+  // Load the role separately: Supabase must not be queried from inside the
+  // onAuthStateChange callback
+  useEffect(() => {
+    if (!userId) {
+      setRole(null);
+      return;
+    }
+
+    fetchRole(userId)
+      .then(setRole)
+      .catch((error) => {
+        console.error('Error fetching role:', error.message);
+        setRole('viewer');
+      });
+  }, [userId]);
+
+  const value = {
+    session,
+    user: session?.user || null,
+    role,
+    // Still loading until the role of a signed-in user is known
+    loading: loading || (!!userId && !role),
+    can: (permission) => hasPermission(role, permission)
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
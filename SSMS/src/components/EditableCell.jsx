@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Cells of one table, in DOM order
+const getGridCells = (element) =>
+  [...element.closest('[data-grid]').querySelectorAll('[data-grid-cell]')];
+
+// Move focus from a cell: 'next'/'previous' go through every cell in
+// reading order, 'up'/'down' to the nearest cell of the same column
+const focusNeighbour = (element, direction) => {
+  const cells = getGridCells(element);
+  const index = cells.indexOf(element);
+  const column = element.dataset.gridCell;
+
+  let target;
+  if (direction === 'next') target = cells[index + 1];
+  if (direction === 'previous') target = cells[index - 1];
+  if (direction === 'down') target = cells.slice(index + 1).find(cell => cell.dataset.gridCell === column);
+  if (direction === 'up') target = cells.slice(0, index).reverse().find(cell => cell.dataset.gridCell === column);
+
+  if (!target) return false;
+  target.focus();
+  target.select?.();
+  return true;
+};
+
+// One value edited in place, spreadsheet style. Tab, Enter and the arrow
+// keys move between cells of the table marked with data-grid; leaving a
+// changed cell saves it through onSave(value). While saving the cell is
+// highlighted; if the save fails it shows the error and goes back to the
+// saved value. onSave may resolve to false when nothing was stored (e.g.
+// the user cancelled a confirmation); the cell then shows its value again
+// without a saved state. Escape undoes the edit before it is saved.
+//
+// type is 'number' or 'select' (with options: [{ value, label }]);
+// format shows a number while the cell is not being edited.
+const EditableCell = ({ column, value, onSave, type = 'number', options = [], format, min, label }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  const [focused, setFocused] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const savedTimer = useRef(null);
+  // Latest value, for resetting after an onSave that stored nothing
+  const valueRef = useRef(value);
+
+  // Show new values from reloads, but never over an edit in progress
+  useEffect(() => {
+    valueRef.current = value;
+    if (!focused) setDraft(value ?? '');
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(savedTimer.current), []);
+
+  const commit = async (input) => {
+    if (String(input) === String(value ?? '')) return;
+
+    let parsed = input;
+    try {
+      if (type === 'number') {
+        parsed = Number(String(input).trim());
+        if (String(input).trim() === '' || Number.isNaN(parsed)) {
+          throw new Error('Please enter a number.');
+        }
+        if (min !== undefined && parsed < min) {
+          throw new Error(`The value cannot be below ${min}.`);
+        }
+      }
+
+      setStatus('saving');
+      setError(null);
+      if (await onSave(parsed) === false) {
+        setDraft(valueRef.current ?? '');
+        setStatus(null);
+        return;
+      }
+
+      setStatus('saved');
+      clearTimeout(savedTimer.current);
+      savedTimer.current = setTimeout(() => setStatus(null), 1500);
+    } catch (error) {
+      console.error(`Error saving ${label || column}:`, error.message);
+      setDraft(value ?? '');
+      setStatus('error');
+      setError(error.message);
+    }
+  };
+
+  const handleBlur = () => {
+    setFocused(false);
+    commit(draft);
+  };
+
+  const handleKeyDown = (e) => {
+    const input = e.target;
+    const atStart = type === 'select' || (input.selectionStart === 0 && input.selectionEnd === 0);
+    const atEnd = type === 'select' || input.selectionStart === input.value.length;
+
+    let direction = null;
+    if (e.key === 'Tab') direction = e.shiftKey ? 'previous' : 'next';
+    if (e.key === 'Enter') direction = e.shiftKey ? 'up' : 'down';
+    // Selects keep the up and down arrows for changing the option
+    if (e.key === 'ArrowUp' && type !== 'select') direction = 'up';
+    if (e.key === 'ArrowDown' && type !== 'select') direction = 'down';
+    if (e.key === 'ArrowLeft' && atStart) direction = 'previous';
+    if (e.key === 'ArrowRight' && atEnd) direction = 'next';
+
+    if (e.key === 'Escape') {
+      setDraft(value ?? '');
+      return;
+    }
+
+    if (!direction) return;
+
+    if (focusNeighbour(input, direction)) {
+      e.preventDefault();
+    } else if (e.key === 'Enter') {
+      // Nothing to move to: Enter still saves the cell
+      e.preventDefault();
+      input.blur();
+    }
+    // Past the first or last cell, Tab leaves the table as usual
+  };
+
+  const stateClass = status === 'error'
+    ? 'bg-red-50 ring-1 ring-red-500'
+    : status === 'saving'
+      ? 'bg-yellow-50'
+      : status === 'saved'
+        ? 'bg-green-50'
+        : 'bg-transparent';
+
+  const sharedProps = {
+    'data-grid-cell': column,
+    'aria-label': label,
+    'aria-invalid': status === 'error',
+    title: error || undefined,
+    disabled: status === 'saving',
+    onFocus: () => {
+      setFocused(true);
+      setStatus(null);
+      setError(null);
+    },
+    onBlur: handleBlur,
+    onKeyDown: handleKeyDown,
+    className: `w-full min-w-20 rounded border-0 px-1 py-1 text-sm text-gray-900 hover:bg-gray-50 focus:bg-white focus:ring-2 focus:ring-blue-500 disabled:opacity-70 ${stateClass}`
+  };
+
+  return (
+    <div className="relative">
+      {type === 'select' ? (
+        <select
+          {...sharedProps}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+        >
+          {options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          {...sharedProps}
+          type="text"
+          inputMode="decimal"
+          autoComplete="off"
+          value={!focused && format ? format(Number(draft)) : draft}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+      )}
+      {status === 'saving' && <span className="absolute right-1 top-1 text-xs text-yellow-700">…</span>}
+      {status === 'error' && <span className="absolute right-1 top-1 text-xs text-red-600" aria-hidden="true">⚠</span>}
+    </div>
+  );
+};
+
+export default EditableCell;
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+
+// Edit the suppliers of one item: supplier SKU, unit cost and lead time each.
+// links: [{ supplier_id, supplier_sku, unit_cost, lead_time_days }]
+const ItemSuppliersEditor = ({ links, suppliers, onChange }) => {
+  const [newSupplierId, setNewSupplierId] = useState('');
+
+  const getSupplierName = (supplierId) =>
+    suppliers.find(s => s.id === supplierId)?.name || `Supplier #${supplierId}`;
+
+  const updateLink = (supplierId, field, value) => {
+    onChange(links.map(link => (
+      link.supplier_id === supplierId ? { ...link, [field]: value } : link
+    )));
+  };
+
+  const removeLink = (supplierId) => {
+    onChange(links.filter(link => link.supplier_id !== supplierId));
+  };
+
+  const addLink = () => {
+    if (!newSupplierId) return;
+    onChange([
+      ...links,
+      { supplier_id: parseInt(newSupplierId), supplier_sku: '', unit_cost: 0, lead_time_days: '' }
+    ]);
+    setNewSupplierId('');
+  };
+
+  return (
+    <div>
+      <div className="mt-1 space-y-3">
+        {links.length === 0 && <p className="text-sm text-gray-500">No suppliers linked.</p>}
+        {links.map(link => (
+          <div key={link.supplier_id} className="rounded-md border border-gray-200 p-2">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">{getSupplierName(link.supplier_id)}</span>
+              <button
+                type="button"
+                onClick={() => removeLink(link.supplier_id)}
+                className="text-xs text-red-600 hover:text-red-900"
+              >
+                Remove
+              </button>
+            </div>
+            <div className="mt-1 grid grid-cols-3 gap-2">
+              <div>
+                <label className="block text-xs text-gray-500">Supplier SKU</label>
+                <input
+                  type="text"
+                  value={link.supplier_sku || ''}
+                  onChange={(e) => updateLink(link.supplier_id, 'supplier_sku', e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500">Unit Cost</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={link.unit_cost}
+                  onChange={(e) => updateLink(link.supplier_id, 'unit_cost', parseFloat(e.target.value) || 0)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500">Lead Time (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={link.lead_time_days ?? ''}
+                  onChange={(e) => updateLink(link.supplier_id, 'lead_time_days', e.target.value === '' ? '' : parseInt(e.target.value) || 0)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex rounded-md shadow-sm">
+        <select
+          value={newSupplierId}
+          onChange={(e) => setNewSupplierId(e.target.value)}
+          className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+        >
+          <option value="">Link a supplier...</option>
+          {suppliers
+            .filter(supplier => !links.some(link => link.supplier_id === supplier.id))
+            .map(supplier => (
+              <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+            ))}
+        </select>
+        <button
+          type="button"
+          onClick={addLink}
+          disabled={!newSupplierId}
+          className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ItemSuppliersEditor;
@@ -1,36 +1,84 @@
 import { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { Menu as DropdownMenu, MenuButton, MenuItem, MenuItems } from '@headlessui/react';
+import { useAuth, getDisplayName, signOut } from '../lib/auth';
+import { getRoleLabel } from '../lib/permissions';
+import { isDemoMode } from '../lib/config';
+import { resetDemoData } from '../lib/data';
+import NotificationBell from './NotificationBell';
+import SyncStatus from './SyncStatus';
 
 const Menu = () => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, role } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
   const menuItems = [
     { path: '/', label: 'Dashboard', icon: 'home' },
     { path: '/inventory', label: 'Inventory', icon: 'box' },
-    { path: '/transactions', label: 'Transactions', icon: 'exchange' }
+    { path: '/transactions', label: 'Transactions', icon: 'exchange' },
+    { path: '/transfers', label: 'Transfers', icon: 'truck' },
+    { path: '/purchase-orders', label: 'Purchasing', icon: 'clipboard' },
+    { path: '/sales-orders', label: 'Sales', icon: 'cart' },
+    { path: '/warehouses', label: 'Warehouses', icon: 'warehouse' },
+    { path: '/categories', label: 'Categories', icon: 'tag' },
+    { path: '/suppliers', label: 'Suppliers', icon: 'factory' },
+    { path: '/audit', label: 'Audit Log', icon: 'scroll' },
+    { path: '/trash', label: 'Trash', icon: 'trash' }
   ];
 
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
   };
 
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      navigate('/login', { replace: true });
+    } catch (error) {
+      console.error('Error signing out:', error.message);
+    }
+  };
+
+  // Start the demo over with the sample data
+  const handleResetDemo = () => {
+    if (!window.confirm('Reset all demo data to the original sample data?')) return;
+    resetDemoData();
+    // Reload so every page starts from the fresh data
+    window.location.assign('/');
+  };
+
   // Function to render icons (using simple text for now, can be replaced with actual icons)
   const renderIcon = (iconName) => {
     switch (iconName) {
       case 'home': return '🏠';
       case 'box': return '📦';
       case 'exchange': return '🔄';
+      case 'truck': return '🚚';
+      case 'clipboard': return '📋';
+      case 'factory': return '🏭';
+      case 'tag': return '🏷️';
+      case 'warehouse': return '🏬';
+      case 'cart': return '🛒';
+      case 'scroll': return '📜';
+      case 'trash': return '🗑️';
       default: return '•';
     }
   };
 
+  // Navigation is only shown to signed-in users
+  if (!user) return null;
+
   return (
     <nav className="bg-gray-800 text-white">
       {/* Desktop Menu */}
       <div className="hidden md:flex items-center justify-between px-6 py-3">
         <div className="flex items-center">
-          <span className="font-bold text-lg mr-8">SMS</span>
+          <span className="font-bold text-lg mr-8">
+            SMS
+            {isDemoMode && <span className="ml-2 px-2 py-0.5 rounded bg-yellow-400 text-xs text-gray-900 align-middle">Demo</span>}
+          </span>
           <div className="flex space-x-4">
             {menuItems.map((item) => (
               <Link
@@ -49,23 +97,60 @@ const Menu = () => {
           </div>
         </div>
         
-        {/* User menu can be added here */}
-        <div className="flex items-center">
-          <button className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-md text-sm font-medium">
-            User
-          </button>
+        <div className="flex items-center space-x-3">
+          {!isDemoMode && <SyncStatus />}
+          <NotificationBell />
+        
+          {/* Account dropdown */}
+          <DropdownMenu as="div" className="relative">
+            <MenuButton className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-md text-sm font-medium">
+              {getDisplayName(user)} ▾
+            </MenuButton>
+            <MenuItems
+              anchor="bottom end"
+              className="z-30 mt-2 w-56 rounded-md bg-white py-1 text-gray-700 shadow-lg ring-1 ring-black/5 focus:outline-none"
+            >
+              <div className="px-4 py-2 border-b border-gray-100">
+                <p className="text-xs text-gray-500">Signed in as</p>
+                <p className="text-sm font-medium truncate">{user.email}</p>
+                <p className="text-xs text-gray-500">Role: {getRoleLabel(role)}</p>
+              </div>
+              {isDemoMode ? (
+                <MenuItem>
+                  <button onClick={handleResetDemo} className="block w-full text-left px-4 py-2 text-sm data-[focus]:bg-gray-100">
+                    Reset demo data
+                  </button>
+                </MenuItem>
+              ) : (
+                <MenuItem>
+                  <Link to="/reset-password" className="block px-4 py-2 text-sm data-[focus]:bg-gray-100">
+                    Change password
+                  </Link>
+                </MenuItem>
+              )}
+              <MenuItem>
+                <button onClick={handleSignOut} className="block w-full text-left px-4 py-2 text-sm data-[focus]:bg-gray-100">
+                  Sign out
+                </button>
+              </MenuItem>
+            </MenuItems>
+          </DropdownMenu>
         </div>
       </div>
 
       {/* Mobile Menu Button */}
       <div className="md:hidden p-4 flex justify-between items-center">
         <span className="font-bold text-lg">SMS</span>
-        <button 
-          onClick={toggleMobileMenu}
-          className="text-gray-300 hover:text-white focus:outline-none"
-        >
-          {isMobileMenuOpen ? '✕' : '☰'}
-        </button>
+        <div className="flex items-center space-x-2">
+          {!isDemoMode && <SyncStatus />}
+          <NotificationBell />
+          <button 
+            onClick={toggleMobileMenu}
+            className="text-gray-300 hover:text-white focus:outline-none"
+          >
+            {isMobileMenuOpen ? '✕' : '☰'}
+          </button>
+        </div>
       </div>
 
       {/* Mobile Menu */}
@@ -86,6 +171,15 @@ const Menu = () => {
               {item.label}
             </Link>
           ))}
+          <div className="border-t border-gray-700 pt-2 mt-2 px-3">
+            <p className="text-sm text-gray-400">Signed in as {user.email}</p>
+            <button
+              onClick={handleSignOut}
+              className="mt-2 text-base font-medium text-gray-300 hover:text-white"
+            >
+              Sign out
+            </button>
+          </div>
         </div>
       )}
     </nav>
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Popover, PopoverButton, PopoverPanel } from '@headlessui/react';
+import { useAuth } from '../lib/auth';
+import { formatDate } from '../lib/format';
+import {
+  NOTIFICATION_TYPES,
+  DEFAULT_PREFERENCES,
+  getNotificationType,
+  getEnabledTypes,
+  fetchPreferences,
+  savePreferences,
+  fetchNotifications,
+  fetchUnreadCount,
+  markNotificationsRead,
+  subscribeToNotifications,
+  browserNotificationsSupported,
+  requestBrowserPermission,
+  showBrowserNotification
+} from '../lib/notifications';
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const [error, setError] = useState(null);
+
+  const enabledTypes = getEnabledTypes(preferences);
+
+  useEffect(() => {
+    fetchPreferences(user.id)
+      .then(setPreferences)
+      .catch((error) => {
+        console.error('Error fetching notification preferences:', error.message);
+      });
+  }, [user.id]);
+
+  // Reload whenever the chosen types change, and again on every new event
+  useEffect(() => {
+    refresh();
+
+    const unsubscribe = subscribeToNotifications((event) => {
+      if (!preferences[event.type]) return;
+      if (preferences.browser) {
+        showBrowserNotification(event);
+      }
+      refresh();
+    });
+
+    return unsubscribe;
+  }, [preferences]);
+
+  const refresh = async () => {
+    try {
+      const [latest, count] = await Promise.all([
+        fetchNotifications(enabledTypes),
+        fetchUnreadCount(enabledTypes)
+      ]);
+      setNotifications(latest);
+      setUnreadCount(count);
+    } catch (error) {
+      console.error('Error fetching notifications:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const openNotification = async (notification, close) => {
+    try {
+      if (!notification.is_read) {
+        await markNotificationsRead(user.id, enabledTypes, [notification.id]);
+        await refresh();
+      }
+    } catch (error) {
+      console.error('Error marking notification read:', error.message);
+    }
+
+    close();
+    navigate(notification.stock?.name
+      ? `/inventory?search=${encodeURIComponent(notification.stock.name)}`
+      : '/inventory');
+  };
+
+  const markAllRead = async () => {
+    try {
+      await markNotificationsRead(user.id, enabledTypes);
+      await refresh();
+    } catch (error) {
+      console.error('Error marking notifications read:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const changePreference = async (key, value) => {
+    try {
+      setError(null);
+
+      if (key === 'browser' && value && !(await requestBrowserPermission())) {
+        throw new Error('Browser notifications are blocked. Allow them in your browser settings first.');
+      }
+
+      const updated = { ...preferences, [key]: value };
+      await savePreferences(user.id, updated);
+      setPreferences(updated);
+    } catch (error) {
+      console.error('Error saving notification preferences:', error.message);
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Popover className="relative">
+      <PopoverButton
+        className="relative px-3 py-2 rounded-md text-gray-300 hover:bg-gray-700 hover:text-white focus:outline-none"
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 px-1 rounded-full bg-red-600 text-xs font-semibold leading-5 text-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </PopoverButton>
+      <PopoverPanel
+        anchor="bottom end"
+        className="z-30 mt-2 w-80 rounded-md bg-white text-gray-700 shadow-lg ring-1 ring-black/5 focus:outline-none"
+      >
+        {({ close }) => (
+          <>
+            <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+              <span className="text-sm font-medium">Notifications</span>
+              <div className="space-x-3 text-xs">
+                {unreadCount > 0 && !showPreferences && (
+                  <button onClick={markAllRead} className="text-blue-600 hover:text-blue-900">
+                    Mark all read
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowPreferences(!showPreferences)}
+                  className="text-gray-500 hover:text-gray-900"
+                >
+                  {showPreferences ? 'Back' : 'Preferences'}
+                </button>
+              </div>
+            </div>
+
+            {error && <p className="px-4 py-2 text-xs text-red-700 bg-red-50">{error}</p>}
+
+            {showPreferences ? (
+              <div className="px-4 py-3 space-y-3 text-sm">
+                <p className="text-xs text-gray-500">Notify me when:</p>
+                {NOTIFICATION_TYPES.map(type => (
+                  <label key={type.value} className="flex items-start">
+                    <input
+                      type="checkbox"
+                      checked={preferences[type.value]}
+                      onChange={(e) => changePreference(type.value, e.target.checked)}
+                      className="mt-1 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>
+                      {type.label}
+                      <span className="block text-xs text-gray-500">{type.description}</span>
+                    </span>
+                  </label>
+                ))}
+                <label className="flex items-start border-t border-gray-100 pt-3">
+                  <input
+                    type="checkbox"
+                    checked={preferences.browser}
+                    disabled={!browserNotificationsSupported()}
+                    onChange={(e) => changePreference('browser', e.target.checked)}
+                    className="mt-1 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                  />
+                  <span>
+                    Browser notifications
+                    <span className="block text-xs text-gray-500">
+                      {browserNotificationsSupported()
+                        ? 'Pop up new events while the app is open'
+                        : 'Not supported by this browser'}
+                    </span>
+                  </span>
+                </label>
+              </div>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">
+                {enabledTypes.length === 0 ? 'All notification types are turned off.' : 'No notifications yet.'}
+              </p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => openNotification(notification, close)}
+                      className={`flex w-full text-left px-4 py-3 text-sm hover:bg-gray-50 ${notification.is_read ? '' : 'bg-blue-50'}`}
+                    >
+                      <span className="mr-2">{getNotificationType(notification.type).icon}</span>
+                      <span>
+                        <span className={notification.is_read ? 'text-gray-600' : 'font-medium text-gray-900'}>
+                          {notification.message}
+                        </span>
+                        <span className="block text-xs text-gray-400">
+                          {formatDate(notification.created_at)}
+                          {notification.user_email && ` · ${notification.user_email}`}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </PopoverPanel>
+    </Popover>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,21 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../lib/auth';
+
+// Renders the nested routes only when signed in, otherwise sends the user
+// to /login and remembers where they were going
+const ProtectedRoute = () => {
+  const { session, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return <p className="text-center py-4">Loading...</p>;
+  }
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return <Outlet />;
+};
+
+export default ProtectedRoute;
@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Input for keyboard-wedge barcode scanners. A scanner "types" the code and
+// presses Enter, so every submitted value is treated as one scan.
+const ScanInput = ({ onScan, onClose, busy }) => {
+  const [code, setCode] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  // Keep focus after each scan so the next code lands here too
+  useEffect(() => {
+    if (!busy) {
+      inputRef.current?.focus();
+    }
+  }, [busy]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const scanned = code.trim();
+    setCode('');
+    if (scanned) {
+      onScan(scanned);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center space-x-3">
+      <span className="text-2xl" aria-hidden="true">▮▯▮</span>
+      <input
+        ref={inputRef}
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Scan a barcode or type a SKU and press Enter"
+        autoComplete="off"
+        disabled={busy}
+        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 disabled:opacity-50"
+      />
+      <button
+        type="button"
+        onClick={onClose}
+        className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+      >
+        Close
+      </button>
+    </form>
+  );
+};
+
+export default ScanInput;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { Popover, PopoverButton, PopoverPanel } from '@headlessui/react';
+import { formatDateTime } from '../lib/format';
+import { refreshOfflineCache } from '../lib/data';
+import {
+  getSyncState,
+  subscribeToSync,
+  replayQueue,
+  retryConflict,
+  discardConflict
+} from '../lib/sync';
+
+const SyncStatus = () => {
+  const [sync, setSync] = useState(getSyncState);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSync(() => setSync(getSyncState()));
+
+    // Keep a full copy of the inventory for browsing while offline
+    refreshOfflineCache().catch((error) => {
+      console.error('Error refreshing offline copy:', error.message);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  const { online, syncing, queue, conflicts } = sync;
+
+  const status = conflicts.length > 0
+    ? { label: `${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}`, dot: 'bg-red-500' }
+    : !online
+      ? { label: 'Offline', dot: 'bg-gray-400' }
+      : syncing
+        ? { label: 'Syncing…', dot: 'bg-blue-400 animate-pulse' }
+        : queue.length > 0
+          ? { label: `${queue.length} pending`, dot: 'bg-yellow-400' }
+          : { label: 'Online', dot: 'bg-green-500' };
+
+  const discard = async (id) => {
+    try {
+      setError(null);
+      await discardConflict(id);
+    } catch (error) {
+      console.error('Error discarding change:', error.message);
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Popover className="relative">
+      <PopoverButton
+        className="flex items-center px-3 py-2 rounded-md text-sm text-gray-300 hover:bg-gray-700 hover:text-white focus:outline-none"
+        title="Sync status"
+      >
+        <span className={`mr-2 h-2 w-2 rounded-full ${status.dot}`} />
+        {status.label}
+      </PopoverButton>
+      <PopoverPanel
+        anchor="bottom end"
+        className="z-30 mt-2 w-80 rounded-md bg-white text-gray-700 shadow-lg ring-1 ring-black/5 focus:outline-none"
+      >
+        <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+          <span className="text-sm font-medium">{online ? 'Online' : 'Offline'}</span>
+          {online && queue.length > 0 && !syncing && (
+            <button onClick={replayQueue} className="text-xs text-blue-600 hover:text-blue-900">
+              Sync now
+            </button>
+          )}
+        </div>
+
+        {error && <p className="px-4 py-2 text-xs text-red-700 bg-red-50">{error}</p>}
+
+        {!online && (
+          <p className="px-4 py-2 text-xs text-gray-500">
+            Showing the inventory as last loaded. Changes are saved on this device and sent when you reconnect.
+          </p>
+        )}
+
+        {queue.length === 0 && conflicts.length === 0 ? (
+          <p className="px-4 py-6 text-center text-sm text-gray-500">All changes are saved.</p>
+        ) : (
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 text-sm">
+            {conflicts.map(entry => (
+              <li key={entry.id} className="px-4 py-3 bg-red-50">
+                <p className="font-medium text-gray-900">{entry.label}</p>
+                <p className="text-xs text-red-700">{entry.error}</p>
+                {entry.conflict && (
+                  <ul className="mt-1 text-xs text-gray-600">
+                    {entry.conflict.conflicts.filter(field => field.conflicting).map(field => (
+                      <li key={field.key}>
+                        {field.label}: yours {String(field.mine ?? '—')}, theirs {String(field.theirs ?? '—')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="mt-2 space-x-3 text-xs">
+                  <button onClick={() => retryConflict(entry.id)} className="text-blue-600 hover:text-blue-900">
+                    {entry.conflict ? 'Keep mine' : 'Retry'}
+                  </button>
+                  <button onClick={() => discard(entry.id)} className="text-red-600 hover:text-red-900">
+                    Discard
+                  </button>
+                </div>
+              </li>
+            ))}
+            {queue.map(entry => (
+              <li key={entry.id} className="px-4 py-3">
+                <p className="text-gray-900">{entry.label}</p>
+                <p className="text-xs text-gray-400">Queued {formatDateTime(entry.queuedAt)}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </PopoverPanel>
+    </Popover>
+  );
+};
+
+export default SyncStatus;
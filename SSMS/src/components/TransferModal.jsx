@@ -0,0 +1,201 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { createTransfer } from '../lib/transfers';
+import { getAvailableQuantity } from '../lib/transactions';
+import { isActiveWarehouse } from '../lib/warehouses';
+
+// Transfer part of a single inventory row to another warehouse
+const TransferModal = ({ isOpen, onClose, item, warehouses, onTransferred }) => {
+  const [fromWarehouse, setFromWarehouse] = useState('');
+  const [toWarehouse, setToWarehouse] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [note, setNote] = useState('');
+  const [receiveNow, setReceiveNow] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only warehouses with unreserved units of this item can be the source
+  const sourceLevels = (item?.levels || []).filter(level => level.quantity - (level.reserved || 0) > 0);
+  const available = getAvailableQuantity(item?.levels, fromWarehouse);
+
+  // Start from a clean form every time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      const firstSource = (item?.levels || []).find(level => level.quantity - (level.reserved || 0) > 0);
+      setFromWarehouse(firstSource?.warehouse || '');
+      setToWarehouse('');
+      setQuantity(1);
+      setNote('');
+      setReceiveNow(false);
+      setError(null);
+    }
+  }, [isOpen, item]);
+
+  const submitTransfer = async (e) => {
+    e.preventDefault();
+
+    try {
+      if (!fromWarehouse) {
+        throw new Error('This item has no stock in any warehouse.');
+      }
+      if (quantity <= 0 || quantity > available) {
+        throw new Error(`Quantity must be between 1 and ${available}.`);
+      }
+
+      setSaving(true);
+
+      await createTransfer({
+        fromWarehouse,
+        toWarehouse,
+        lines: [{ stockId: item.id, quantity }],
+        note,
+        receiveNow
+      });
+
+      onTransferred();
+      onClose();
+    } catch (error) {
+      console.error('Error creating transfer:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title
+                  as="h3"
+                  className="text-lg font-medium leading-6 text-gray-900"
+                >
+                  Transfer {item?.name}
+                </Dialog.Title>
+
+                {error && (
+                  <div className="mt-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={submitTransfer}>
+                  <div className="mt-4 grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">From</label>
+                      <select
+                        value={fromWarehouse}
+                        onChange={(e) => setFromWarehouse(e.target.value)}
+                        required
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      >
+                        {sourceLevels.length === 0 && <option value="">No stock</option>}
+                        {sourceLevels.map(level => (
+                          <option key={level.warehouse} value={level.warehouse}>{level.warehouse}</option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-xs text-gray-500">{available} units available</p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">To</label>
+                      <select
+                        value={toWarehouse}
+                        onChange={(e) => setToWarehouse(e.target.value)}
+                        required
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      >
+                        <option value="">Select Warehouse</option>
+                        {warehouses.filter(w => w.name !== fromWarehouse && isActiveWarehouse(w)).map(warehouse => (
+                          <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700">Quantity</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max={available}
+                      value={quantity}
+                      onChange={(e) => setQuantity(parseInt(e.target.value) || 0)}
+                      required
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    />
+                  </div>
+
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700">Note</label>
+                    <input
+                      type="text"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    />
+                  </div>
+
+                  <label className="mt-4 flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={receiveNow}
+                      onChange={(e) => setReceiveNow(e.target.checked)}
+                      className="mr-2 rounded border-gray-300"
+                    />
+                    Mark as received immediately
+                  </label>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Otherwise the units stay in transit until the destination confirms receipt on the Transfers page.
+                  </p>
+
+                  <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      onClick={onClose}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Transfer'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+export default TransferModal;
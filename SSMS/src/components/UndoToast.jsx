@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+
+// Bottom corner message with an Undo button that hides itself after
+// `duration` milliseconds
+const UndoToast = ({ message, onUndo, onDismiss, duration = 6000 }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 z-40 flex items-center space-x-4 rounded-md bg-gray-800 px-4 py-3 text-sm text-white shadow-lg"
+      role="status"
+    >
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-medium text-blue-300 hover:text-blue-100">
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white" title="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,82 @@
+import { audit } from './data';
+import { formatRupiah } from './format';
+
+export const AUDIT_ENTITIES = [
+  { value: 'stock', label: 'Item' },
+  { value: 'stock_level', label: 'Warehouse stock' },
+  { value: 'category', label: 'Category' },
+  { value: 'warehouse', label: 'Warehouse' }
+];
+
+export const AUDIT_ACTIONS = [
+  { value: 'insert', label: 'Created', className: 'bg-green-100 text-green-800' },
+  { value: 'update', label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  { value: 'delete', label: 'Deleted', className: 'bg-red-100 text-red-800' }
+];
+
+// Columns worth showing for created and deleted rows, and their labels
+const FIELD_LABELS = {
+  name: 'Name',
+  sku: 'SKU',
+  category: 'Category',
+  warehouse: 'Warehouse',
+  quantity: 'On hand',
+  reserved_quantity: 'Reserved',
+  reserved: 'Reserved',
+  available_quantity: 'Available',
+  price: 'Price',
+  threshold: 'Threshold',
+  thumbnail: 'Thumbnail',
+  is_low_stock: 'Low stock'
+};
+
+export const getEntityLabel = (entity) =>
+  AUDIT_ENTITIES.find(e => e.value === entity)?.label || entity;
+
+export const getAuditAction = (action) =>
+  AUDIT_ACTIONS.find(a => a.value === action) || { value: action, label: action, className: 'bg-gray-100 text-gray-800' };
+
+export const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+export const formatAuditValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'price') return formatRupiah(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Field-by-field before/after for one entry. Updates list what changed;
+// inserts and deletes list the labelled fields of the row.
+export const getAuditChanges = (entry) => {
+  if (entry.action === 'update') {
+    return Object.entries(entry.changes || {}).map(([field, change]) => ({
+      field,
+      before: change.from,
+      after: change.to
+    }));
+  }
+
+  const row = entry.after || entry.before || {};
+  return Object.keys(FIELD_LABELS)
+    .filter(field => row[field] !== undefined && row[field] !== null)
+    .map(field => ({
+      field,
+      before: entry.action === 'delete' ? row[field] : null,
+      after: entry.action === 'insert' ? row[field] : null
+    }));
+};
+
+// Entries newest first.
+// filters: { search, entity, action, since, before }; range: { from, to };
+// returns { entries, count }
+export const fetchAuditLog = (filters, range) => audit.list(filters, range);
+
+// Newest first history of one item and its warehouse levels, for the
+// edit modal
+export const fetchItemHistory = async (stockId, limit = 50) => {
+  const { entries } = await audit.list(
+    { entities: ['stock', 'stock_level'], entityId: stockId },
+    { from: 0, to: limit - 1 }
+  );
+  return entries;
+};
@@ -0,0 +1,34 @@
+import { createContext, useContext } from 'react';
+import { auth } from './data';
+
+export const AuthContext = createContext({
+  session: null,
+  user: null,
+  role: null,
+  loading: true,
+  can: () => false
+});
+
+// Current session, user and role, provided by <AuthProvider>
+export const useAuth = () => useContext(AuthContext);
+
+// Name shown in the account menu
+export const getDisplayName = (user) =>
+  user?.user_metadata?.full_name || user?.email || 'User';
+
+// Current session, or null when signed out
+export const getSession = () => auth.getSession();
+
+// Call callback with the new session on every sign in and sign out.
+// Returns a function that stops listening.
+export const onSessionChange = (callback) => auth.onAuthStateChange(callback);
+
+export const signIn = (email, password) => auth.signIn(email, password);
+
+export const signOut = () => auth.signOut();
+
+// Sends an email with a link back to /reset-password
+export const sendPasswordReset = (email) =>
+  auth.sendPasswordReset(email, `${window.location.origin}/reset-password`);
+
+export const updatePassword = (password) => auth.updatePassword(password);
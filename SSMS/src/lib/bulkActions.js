@@ -0,0 +1,139 @@
+import { updateItems, getAdjustedPrice, adjustItemPrices, validateThreshold } from './items';
+import { trashItem } from './trash';
+import { createTransfer } from './transfers';
+import { formatRupiah } from './format';
+
+// Actions on many inventory rows at once. Moving stock goes through
+// transfers.
+export const BULK_ACTIONS = [
+  { value: 'delete', label: 'Move to Trash', permission: 'item:delete' },
+  { value: 'category', label: 'Change category', permission: 'item:update' },
+  { value: 'warehouse', label: 'Move to warehouse', permission: 'transfer:create' },
+  { value: 'threshold', label: 'Set threshold', permission: 'item:update' },
+  { value: 'price', label: 'Adjust price', permission: 'item:update' }
+];
+
+// Units of an item that can leave each warehouse other than `toWarehouse`
+const getMovableLevels = (item, toWarehouse) =>
+  item.levels
+    .filter(level => level.warehouse !== toWarehouse)
+    .map(level => ({ warehouse: level.warehouse, quantity: level.quantity - (level.reserved || 0) }))
+    .filter(level => level.quantity > 0);
+
+const toPriceAdjustment = ({ priceMode, priceValue }) =>
+  priceMode === 'percent' ? { percent: Number(priceValue) } : { amount: Number(priceValue) };
+
+// Check the action's input before anything is loaded or written
+export const validateBulkAction = ({ action, category, warehouse, threshold, priceValue }) => {
+  if (!action) throw new Error('Please choose an action.');
+  if (action === 'category' && !category) throw new Error('Please select a category.');
+  if (action === 'warehouse' && !warehouse) throw new Error('Please select a warehouse.');
+  if (action === 'threshold') {
+    validateThreshold(threshold === '' ? NaN : Number(threshold));
+  }
+  if (action === 'price' && (priceValue === '' || Number(priceValue) === 0)) {
+    throw new Error('Please enter a price change other than zero.');
+  }
+};
+
+// What the action would do to each item, for the confirmation summary:
+// [{ item, from, to }]. Items the action would not change are left out.
+export const previewBulkAction = (params, items) => {
+  switch (params.action) {
+    case 'delete':
+      return items.map(item => ({ item, from: 'Inventory', to: 'Trash' }));
+
+    case 'category':
+      return items
+        .filter(item => (item.category?.name || '') !== params.category)
+        .map(item => ({ item, from: item.category?.name || 'N/A', to: params.category }));
+
+    case 'warehouse':
+      return items
+        .map(item => ({ item, levels: getMovableLevels(item, params.warehouse) }))
+        .filter(({ levels }) => levels.length > 0)
+        .map(({ item, levels }) => ({
+          item,
+          from: levels.map(level => `${level.warehouse}: ${level.quantity}`).join(', '),
+          to: `${params.warehouse}: +${levels.reduce((sum, level) => sum + level.quantity, 0)}`
+        }));
+
+    case 'threshold':
+      return items
+        .filter(item => item.threshold !== Number(params.threshold))
+        .map(item => ({ item, from: item.threshold, to: Number(params.threshold) }));
+
+    case 'price': {
+      const adjustment = toPriceAdjustment(params);
+      return items
+        .map(item => ({ item, price: getAdjustedPrice(item.price, adjustment) }))
+        .filter(({ item, price }) => price !== (item.price || 0))
+        .map(({ item, price }) => ({ item, from: formatRupiah(item.price || 0), to: formatRupiah(price) }));
+    }
+
+    default:
+      return [];
+  }
+};
+
+// Apply the action to the items. Trashing and moving go item by item or
+// warehouse by warehouse, so one failure does not stop the rest; returns
+// the failures as [{ name, message }].
+export const applyBulkAction = async (params, items) => {
+  const ids = items.map(item => item.id);
+  const failures = [];
+
+  switch (params.action) {
+    case 'delete':
+      for (const item of items) {
+        try {
+          await trashItem(item.id);
+        } catch (error) {
+          failures.push({ name: item.name, message: error.message });
+        }
+      }
+      break;
+
+    case 'category':
+      await updateItems(ids, { category: params.category });
+      break;
+
+    case 'threshold':
+      await updateItems(ids, { threshold: Number(params.threshold) });
+      break;
+
+    case 'price':
+      await adjustItemPrices(ids, toPriceAdjustment(params));
+      break;
+
+    case 'warehouse': {
+      // One transfer per source warehouse, received straight away
+      const linesBySource = {};
+      items.forEach(item => {
+        getMovableLevels(item, params.warehouse).forEach(level => {
+          (linesBySource[level.warehouse] ||= []).push({ stockId: item.id, quantity: level.quantity });
+        });
+      });
+
+      for (const [fromWarehouse, lines] of Object.entries(linesBySource)) {
+        try {
+          await createTransfer({
+            fromWarehouse,
+            toWarehouse: params.warehouse,
+            lines,
+            note: 'Bulk move from the inventory page',
+            receiveNow: true
+          });
+        } catch (error) {
+          failures.push({ name: `From ${fromWarehouse}`, message: error.message });
+        }
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown bulk action: ${params.action}`);
+  }
+
+  return failures;
+};
@@ -0,0 +1,75 @@
+import { categories as categoryStore } from './data';
+
+// Categories in tree order (each parent followed by its children, both
+// alphabetical) with their depth, for indented lists and selects
+export const buildCategoryTree = (categories) => {
+  const ids = new Set(categories.map(category => category.id));
+  const byParent = {};
+
+  categories.forEach(category => {
+    // Children of a missing parent are shown at the top level
+    const parentId = ids.has(category.parent_id) ? category.parent_id : null;
+    (byParent[parentId] = byParent[parentId] || []).push(category);
+  });
+
+  const tree = [];
+  const visit = (parentId, depth) => {
+    [...(byParent[parentId] || [])]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(category => {
+        tree.push({ ...category, depth });
+        visit(category.id, depth + 1);
+      });
+  };
+
+  visit(null, 0);
+  return tree;
+};
+
+// Option label with the nesting shown as leading dashes
+export const getCategoryOptionLabel = (category) =>
+  `${'— '.repeat(category.depth || 0)}${category.name}`;
+
+// Ids of a category and all of its subcategories
+export const getDescendantIds = (categories, categoryId) => {
+  const result = [categoryId];
+
+  for (let i = 0; i < result.length; i++) {
+    categories
+      .filter(category => category.parent_id === result[i])
+      .forEach(category => result.push(category.id));
+  }
+
+  return result;
+};
+
+// Names of a category and all of its subcategories, since stock.category
+// holds the name
+export const getDescendantNames = (categories, name) => {
+  const category = categories.find(c => c.name === name);
+  if (!category) return [name];
+
+  const ids = getDescendantIds(categories, category.id);
+  return categories.filter(c => ids.includes(c.id)).map(c => c.name);
+};
+
+export const fetchCategories = () => categoryStore.list();
+
+// Categories with the number of items in each
+export const fetchCategorySummary = () => categoryStore.summary();
+
+export const createCategory = async (name, parentId = null) => {
+  const [category] = await categoryStore.create([{ name: name.trim(), parent_id: parentId }]);
+  return category;
+};
+
+// Renames the category and every item that uses it
+export const renameCategory = (categoryId, name) => categoryStore.rename(categoryId, name);
+
+export const setCategoryParent = (categoryId, parentId) => categoryStore.setParent(categoryId, parentId);
+
+// Moves the source's items and subcategories into the target and deletes the source
+export const mergeCategories = (sourceId, targetId) => categoryStore.merge(sourceId, targetId);
+
+// Items move to reassignToId, or become uncategorised when it is null
+export const deleteCategory = (categoryId, reassignToId = null) => categoryStore.remove(categoryId, reassignToId);
@@ -0,0 +1,6 @@
+// Which backend the app stores its data in. 'supabase' (the default) needs
+// VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY; 'memory' runs on seeded
+// sample data kept in localStorage, for demos and offline development.
+export const DATA_BACKEND = import.meta.env.VITE_DATA_BACKEND === 'memory' ? 'memory' : 'supabase';
+
+export const isDemoMode = DATA_BACKEND === 'memory';
@@ -0,0 +1,44 @@
+import { isDemoMode } from '../config';
+import { createSupabaseBackend } from './supabaseBackend';
+import { createMemoryBackend } from './memoryBackend';
+import { withOfflineCache, refreshCachedItems } from './offlineCache';
+
+// Data access for auth, items, categories, warehouses, saved views, image
+// storage, the ledger, transfers, suppliers, purchase and sales orders, the
+// audit log and notifications. Both backends expose the same async
+// operations and throw on failure; lib/config.js picks which one the app
+// runs on. The Supabase backend falls back to an offline copy of the last
+// loaded data for reads.
+const backend = isDemoMode ? createMemoryBackend() : withOfflineCache(createSupabaseBackend());
+
+export const {
+  auth,
+  items,
+  categories,
+  warehouses,
+  views,
+  storage,
+  transactions,
+  transfers,
+  suppliers,
+  purchaseOrders,
+  salesOrders,
+  audit,
+  notifications
+} = backend;
+
+export { isNetworkError, updateCachedItems } from './offlineCache';
+
+// Load every item into the offline copy (not needed in demo mode). Calls
+// made while a refresh is running share it.
+let refreshing = null;
+export const refreshOfflineCache = () => {
+  if (isDemoMode) return Promise.resolve();
+  refreshing ||= refreshCachedItems(backend).finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+// Restore the seeded sample data (demo mode only)
+export const resetDemoData = () => backend.reset();
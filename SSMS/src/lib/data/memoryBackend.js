@@ -0,0 +1,1641 @@
+import { SEED_DATA, CONSUMPTION_DAYS } from './seed';
+import { queryItems } from './query';
+
+// Everything lives in one localStorage entry, so other tabs see the same
+// data and pick up changes through the storage event
+const DATA_KEY = 'ssms-demo-data';
+const SESSION_KEY = 'ssms-demo-session';
+
+// Edits to these fields bump the item version, like the touch_stock trigger
+const VERSIONED_FIELDS = ['name', 'sku', 'category', 'price', 'threshold', 'thumbnail'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Tables the audit_log trigger watches
+const AUDITED_TABLES = ['stock', 'stock_level', 'category', 'warehouse'];
+
+// Count adjustments this large raise a notification, like the
+// record_large_adjustment_event trigger
+const LARGE_ADJUSTMENT = 50;
+
+const now = () => new Date().toISOString();
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+const nextId = (rows) => rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+
+// Errors carry the Postgres code so callers can treat both backends alike
+const uniqueViolation = (constraint) =>
+  Object.assign(new Error(`duplicate key value violates unique constraint "${constraint}"`), { code: '23505' });
+
+// Postgres reports a restricted delete with this code
+const foreignKeyViolation = (table, constraint, referencingTable) =>
+  Object.assign(
+    new Error(`update or delete on table "${table}" violates foreign key constraint "${constraint}" on table "${referencingTable}"`),
+    { code: '23503' }
+  );
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id;
+
+// Rows from..to like .range(), or all of them without a range
+const paginate = (rows, from, to) => (from === undefined ? rows : rows.slice(from, to + 1));
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// The generated columns of the stock table
+const withGeneratedColumns = (row) => {
+  const available = (row.quantity || 0) - (row.reserved_quantity || 0);
+  return {
+    ...row,
+    available_quantity: available,
+    total_value: (row.quantity || 0) * (row.price || 0),
+    is_low_stock: available <= (row.threshold || 0)
+  };
+};
+
+// Units sold on each day of the sample history. A fixed weekly pattern
+// around the average gives the same history on every reset.
+const WEEKLY_PATTERN = [1.3, 1.1, 0.9, 1.2, 1.4, 0.6, 0.5];
+
+const dailySales = (perDay) =>
+  Array.from({ length: CONSUMPTION_DAYS }, (_, day) => Math.round(perDay * WEEKLY_PATTERN[day % 7]));
+
+// Build the tables from the seed. Each level is booked as an opening
+// balance before the sales history, so the ledger adds up to today's
+// quantities; confirmed sales orders reserve their units.
+const createSeedData = () => {
+  const openedAt = daysFromNow(-CONSUMPTION_DAYS - 1);
+  const data = {
+    category: SEED_DATA.category.map(category => ({ ...category, created_at: openedAt })),
+    warehouse: SEED_DATA.warehouse.map(warehouse => ({ ...warehouse, created_at: openedAt })),
+    supplier: SEED_DATA.supplier.map(supplier => ({ ...supplier, created_at: openedAt })),
+    stock: [],
+    stock_level: [],
+    stock_supplier: [],
+    stock_transaction: [],
+    stock_transfer: [],
+    stock_transfer_line: [],
+    purchase_order: [],
+    purchase_order_line: [],
+    purchase_receipt: [],
+    purchase_receipt_line: [],
+    sales_order: [],
+    sales_order_line: [],
+    stock_event: [],
+    audit_log: [],
+    notification_preference: [],
+    notification_read: [],
+    saved_view: []
+  };
+
+  const addTransaction = (values, occurredAt) => {
+    data.stock_transaction.push({
+      id: data.stock_transaction.length + 1,
+      created_at: occurredAt,
+      occurred_at: occurredAt.slice(0, 10),
+      user_email: null,
+      ...values
+    });
+  };
+
+  const findBySku = (sku) => data.stock.find(s => s.sku === sku);
+
+  SEED_DATA.items.forEach(({ levels, ...item }, index) => {
+    const id = index + 1;
+
+    data.stock.push({
+      id,
+      created_at: openedAt,
+      client_ref: null,
+      ...item,
+      quantity: sum(Object.values(levels)),
+      reserved_quantity: 0,
+      thumbnail: null,
+      version: 1,
+      updated_at: openedAt,
+      deleted_at: null,
+      deleted_by_email: null
+    });
+
+    Object.entries(levels).forEach(([warehouse, levelQuantity]) => {
+      const consumption = SEED_DATA.consumption.find(c => c.sku === item.sku && c.warehouse === warehouse);
+      const sales = consumption ? dailySales(consumption.perDay) : [];
+      const opening = levelQuantity + sum(sales);
+
+      data.stock_level.push({ stock_id: id, warehouse, quantity: levelQuantity, reserved: 0 });
+
+      if (opening > 0) {
+        addTransaction({
+          stock_id: id,
+          warehouse,
+          type: 'in',
+          reason: 'initial',
+          quantity_delta: opening,
+          note: 'Opening balance'
+        }, openedAt);
+      }
+
+      sales.forEach((quantity, day) => {
+        if (quantity === 0) return;
+        addTransaction({
+          stock_id: id,
+          warehouse,
+          type: 'out',
+          reason: 'sale',
+          quantity_delta: -quantity,
+          note: 'Counter sale'
+        }, daysFromNow(day - CONSUMPTION_DAYS));
+      });
+    });
+  });
+
+  SEED_DATA.supplierLinks.forEach(({ sku, supplierId, supplierSku, unitCost, leadTimeDays }, index) => {
+    data.stock_supplier.push({
+      id: index + 1,
+      stock_id: findBySku(sku).id,
+      supplier_id: supplierId,
+      supplier_sku: supplierSku,
+      unit_cost: unitCost,
+      lead_time_days: leadTimeDays
+    });
+  });
+
+  SEED_DATA.purchaseOrders.forEach(({ createdDaysAgo, expectedInDays, lines, ...order }) => {
+    const createdAt = daysFromNow(-createdDaysAgo);
+
+    data.purchase_order.push({
+      ...order,
+      created_at: createdAt,
+      expected_date: daysFromNow(expectedInDays).slice(0, 10),
+      created_by_email: null,
+      sent_at: order.status === 'sent' ? createdAt : null,
+      received_at: null
+    });
+
+    lines.forEach(([sku, quantity]) => {
+      const item = findBySku(sku);
+      const link = data.stock_supplier.find(l => l.stock_id === item.id && l.supplier_id === order.supplier_id);
+
+      data.purchase_order_line.push({
+        id: data.purchase_order_line.length + 1,
+        purchase_order_id: order.id,
+        stock_id: item.id,
+        quantity_ordered: quantity,
+        quantity_received: 0,
+        unit_cost: link?.unit_cost || 0
+      });
+    });
+  });
+
+  SEED_DATA.salesOrders.forEach(({ createdDaysAgo, lines, ...order }) => {
+    const createdAt = daysFromNow(-createdDaysAgo);
+
+    data.sales_order.push({
+      ...order,
+      created_at: createdAt,
+      created_by_email: null,
+      confirmed_at: order.status === 'confirmed' ? createdAt : null,
+      shipped_at: null
+    });
+
+    lines.forEach(([sku, quantity]) => {
+      const item = findBySku(sku);
+
+      data.sales_order_line.push({
+        id: data.sales_order_line.length + 1,
+        sales_order_id: order.id,
+        stock_id: item.id,
+        quantity,
+        unit_price: item.price
+      });
+
+      if (order.status === 'confirmed') {
+        data.stock_level.find(l => l.stock_id === item.id && l.warehouse === order.warehouse).reserved += quantity;
+        item.reserved_quantity += quantity;
+      }
+    });
+  });
+
+  return data;
+};
+
+const loadData = () => {
+  try {
+    const saved = localStorage.getItem(DATA_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.error('Error reading demo data:', error.message);
+  }
+  return createSeedData();
+};
+
+export const createMemoryBackend = () => {
+  let db = loadData();
+  const changeListeners = new Set();
+  const sessionListeners = new Set();
+  const eventListeners = new Set();
+
+  // Demo data saved by an older version lacks the tables added since
+  const table = (name) => (db[name] ||= []);
+
+  const notifyChange = () => changeListeners.forEach(listener => listener());
+
+  const publishEvents = (events) => events.forEach(event => eventListeners.forEach(listener => listener(event)));
+
+  const getSession = () => {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch {
+      return null;
+    }
+  };
+
+  const sessionEmail = () => getSession()?.user.email || null;
+
+  // Levels are keyed by item and warehouse, the primary key of stock_level
+  const auditKey = (tableName, row) => (tableName === 'stock_level' ? `${row.stock_id}:${row.warehouse}` : row.id);
+
+  // The audited tables as the triggers see them after the last save
+  const takeSnapshot = () => ({
+    lastTransactionId: table('stock_transaction').reduce((max, t) => Math.max(max, t.id), 0),
+    ...Object.fromEntries(AUDITED_TABLES.map(tableName => {
+      const rows = tableName === 'stock' ? db.stock.map(withGeneratedColumns) : table(tableName);
+      return [tableName, new Map(rows.map(row => [auditKey(tableName, row), JSON.parse(JSON.stringify(row))]))];
+    }))
+  });
+
+  let snapshot = takeSnapshot();
+
+  // Images are stored inline in the demo; the log notes that one is set
+  // instead of copying it into every entry
+  const toAuditRow = (row) =>
+    row?.thumbnail?.startsWith('data:') ? { ...row, thumbnail: '(uploaded image)' } : row;
+
+  const auditName = (tableName, row) => {
+    if (tableName !== 'stock_level') return row.name ?? null;
+    const item = db.stock.find(s => s.id === row.stock_id);
+    return item ? `${item.name} in ${row.warehouse}` : row.warehouse;
+  };
+
+  // What the audit_log trigger records for the rows that changed since
+  // the snapshot. Updates list their changes, without the bookkeeping
+  // columns.
+  const recordAudit = (before, after) => {
+    const entries = [];
+
+    AUDITED_TABLES.forEach(tableName => {
+      const add = (action, oldRow, newRow, changes = null) => {
+        const row = newRow || oldRow;
+        entries.push({
+          entity: tableName,
+          entity_id: tableName === 'stock_level' ? row.stock_id : row.id,
+          entity_name: auditName(tableName, row),
+          action,
+          before: toAuditRow(oldRow),
+          after: toAuditRow(newRow),
+          changes
+        });
+      };
+
+      after[tableName].forEach((row, key) => {
+        const old = before[tableName].get(key);
+        if (!old) return add('insert', null, row);
+
+        const changed = Object.keys(row)
+          .filter(field => !['updated_at', 'version'].includes(field))
+          .filter(field => JSON.stringify(row[field]) !== JSON.stringify(old[field]));
+
+        if (changed.length) {
+          const [from, to] = [toAuditRow(old), toAuditRow(row)];
+          add('update', old, row, Object.fromEntries(changed.map(field => [
+            field,
+            { from: from[field] ?? null, to: to[field] ?? null }
+          ])));
+        }
+      });
+
+      before[tableName].forEach((row, key) => {
+        if (!after[tableName].has(key)) add('delete', row, null);
+      });
+    });
+
+    const session = getSession();
+    const log = table('audit_log');
+    entries.forEach(entry => {
+      log.push({ id: nextId(log), created_at: now(), actor_id: session?.user.id || null, actor_email: session?.user.email || null, ...entry });
+    });
+  };
+
+  // What the stock_event triggers record: items running out or dropping
+  // to their threshold, and large count adjustments
+  const recordEvents = (before, after) => {
+    const events = [];
+
+    after.stock.forEach((row, id) => {
+      const old = before.stock.get(id);
+      if (!old) return;
+
+      if ((old.quantity || 0) > 0 && (row.quantity || 0) <= 0) {
+        events.push({ type: 'out_of_stock', stock_id: id, warehouse: null, message: `${row.name} is out of stock` });
+      } else if (!old.is_low_stock && row.is_low_stock) {
+        events.push({
+          type: 'low_stock',
+          stock_id: id,
+          warehouse: null,
+          message: `${row.name} is low on stock: ${row.available_quantity} available, threshold ${row.threshold || 0}`
+        });
+      }
+    });
+
+    table('stock_transaction')
+      .filter(t => t.id > before.lastTransactionId && t.type === 'adjustment' && Math.abs(t.quantity_delta) >= LARGE_ADJUSTMENT)
+      .forEach(t => {
+        const name = after.stock.get(t.stock_id)?.name;
+        events.push({
+          type: 'large_adjustment',
+          stock_id: t.stock_id,
+          warehouse: t.warehouse,
+          message: `${name} adjusted by ${t.quantity_delta > 0 ? '+' : ''}${t.quantity_delta} in ${t.warehouse || 'no warehouse'}`
+        });
+      });
+
+    const log = table('stock_event');
+    return events.map(event => {
+      const row = { id: nextId(log), created_at: now(), ...event, user_email: sessionEmail() };
+      log.push(row);
+      return row;
+    });
+  };
+
+  // Writes the data, standing in for the triggers on the way: changes to
+  // the audited tables are logged and stock events recorded
+  const save = () => {
+    const after = takeSnapshot();
+    recordAudit(snapshot, after);
+    const events = recordEvents(snapshot, after);
+
+    try {
+      localStorage.setItem(DATA_KEY, JSON.stringify(db));
+    } catch {
+      throw new Error('The browser storage for demo data is full. Use smaller images or reset the demo data.');
+    }
+
+    snapshot = takeSnapshot();
+    notifyChange();
+    publishEvents(events);
+  };
+
+  // Run a change that spans several tables like one database transaction:
+  // if any step throws, the data is left as it was
+  const atomically = (change) => {
+    const saved = JSON.stringify(db);
+    try {
+      const result = change();
+      save();
+      return result;
+    } catch (error) {
+      db = JSON.parse(saved);
+      throw error;
+    }
+  };
+
+  const setSession = (session) => {
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    sessionListeners.forEach(listener => listener(session));
+  };
+
+  // Another tab changed the data or signed in or out
+  window.addEventListener('storage', (event) => {
+    if (event.key === DATA_KEY) {
+      const lastEventId = table('stock_event').reduce((max, e) => Math.max(max, e.id), 0);
+      db = loadData();
+      snapshot = takeSnapshot();
+      notifyChange();
+      publishEvents(table('stock_event').filter(e => e.id > lastEventId));
+    } else if (event.key === SESSION_KEY) {
+      sessionListeners.forEach(listener => listener(getSession()));
+    }
+  });
+
+  const findStock = (id) => {
+    const row = db.stock.find(s => s.id === id);
+    if (!row) throw new Error(`Stock item ${id} does not exist`);
+    return row;
+  };
+
+  const findLevel = (stockId, warehouse) =>
+    db.stock_level.find(level => level.stock_id === stockId && level.warehouse === warehouse);
+
+  // A stock row as the Supabase backend returns it, with the generated
+  // columns and embedded levels and suppliers
+  const toItemRow = (row) => ({
+    ...withGeneratedColumns(row),
+    stock_level: db.stock_level
+      .filter(level => level.stock_id === row.id)
+      .map(({ warehouse, quantity, reserved }) => ({ warehouse, quantity, reserved })),
+    stock_supplier: table('stock_supplier')
+      .filter(link => link.stock_id === row.id)
+      .map(({ supplier_id, supplier_sku, unit_cost, lead_time_days }) => ({ supplier_id, supplier_sku, unit_cost, lead_time_days }))
+  });
+
+  // { name } of an item, as embedded by stock:stock_id(name)
+  const itemRef = (stockId, fields = ['name']) => {
+    const item = db.stock.find(s => s.id === stockId);
+    return item ? Object.fromEntries(fields.map(field => [field, item[field]])) : null;
+  };
+
+  // Write values to a stock row, bumping the version like touch_stock
+  const applyUpdate = (row, values) => {
+    const changed = VERSIONED_FIELDS.some(field => field in values && values[field] !== row[field]);
+    Object.assign(row, values);
+    if (changed) {
+      row.version += 1;
+      row.updated_at = now();
+    }
+  };
+
+  // A new stock row; quantities start at zero and come from the ledger
+  const toStockRow = (values, id) => ({
+    id,
+    created_at: now(),
+    client_ref: values.client_ref ?? null,
+    name: values.name,
+    sku: values.sku ?? null,
+    category: values.category ?? null,
+    quantity: 0,
+    reserved_quantity: 0,
+    price: values.price ?? 0,
+    threshold: values.threshold ?? 0,
+    thumbnail: values.thumbnail ?? null,
+    version: 1,
+    updated_at: now(),
+    deleted_at: null,
+    deleted_by_email: null
+  });
+
+  // Apply ledger rows to the levels and totals, like the ledger trigger
+  // inside one insert: every row or, if one fails, none
+  const bookTransactions = (rows) => {
+    const levels = db.stock_level.map(level => ({ ...level }));
+    const inserted = [];
+
+    rows.forEach(row => {
+      findStock(row.stock_id);
+
+      const warehouse = db.warehouse.find(w => w.name === row.warehouse);
+      if (row.quantity_delta > 0 && warehouse?.is_active === false) {
+        throw new Error(`Warehouse ${row.warehouse} is inactive`);
+      }
+
+      let level = levels.find(l => l.stock_id === row.stock_id && l.warehouse === row.warehouse);
+      if (!level) {
+        level = { stock_id: row.stock_id, warehouse: row.warehouse, quantity: 0, reserved: 0 };
+        levels.push(level);
+      }
+
+      if (level.quantity + row.quantity_delta < 0) {
+        throw new Error(`Insufficient stock in ${row.warehouse}: quantity would drop to ${level.quantity + row.quantity_delta}`);
+      }
+
+      // Stock-outs may not take units reserved for sales orders
+      if (row.type === 'out' && level.quantity + row.quantity_delta < level.reserved) {
+        throw new Error(`Only ${level.quantity - level.reserved} units are available in ${row.warehouse}; ${level.reserved} are reserved for sales orders`);
+      }
+      level.quantity += row.quantity_delta;
+
+      inserted.push({
+        id: nextId([...db.stock_transaction, ...inserted]),
+        created_at: now(),
+        occurred_at: now().slice(0, 10),
+        note: null,
+        ...row,
+        user_email: sessionEmail()
+      });
+    });
+
+    db.stock_level = levels;
+    db.stock_transaction.push(...inserted);
+    db.stock.forEach(s => {
+      if (inserted.some(t => t.stock_id === s.id)) {
+        s.quantity = levels.filter(l => l.stock_id === s.id).reduce((sum, l) => sum + l.quantity, 0);
+      }
+    });
+
+    return inserted;
+  };
+
+  const assertSkuFree = (sku, exceptId) => {
+    if (sku && db.stock.some(s => s.id !== exceptId && lower(s.sku) === lower(sku))) {
+      throw uniqueViolation('stock_sku_key');
+    }
+  };
+
+  const assertNameFree = (table, label, name, exceptId) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error(`${label} name cannot be empty`);
+    if (db[table].some(row => row.id !== exceptId && lower(row.name) === lower(trimmed))) {
+      throw new Error(`A ${label.toLowerCase()} named ${trimmed} already exists`);
+    }
+    return trimmed;
+  };
+
+  const auth = {
+    getSession: async () => getSession(),
+
+    onAuthStateChange: (callback) => {
+      sessionListeners.add(callback);
+      return () => sessionListeners.delete(callback);
+    },
+
+    // Any email and password signs in as a manager
+    signIn: async (email, password) => {
+      if (!email || !password) throw new Error('Enter an email and password.');
+
+      const session = { user: { id: 'demo-user', email: email.trim(), user_metadata: {} } };
+      setSession(session);
+      return session;
+    },
+
+    signOut: async () => {
+      setSession(null);
+    },
+
+    sendPasswordReset: async () => {
+      throw new Error('Password reset emails are not sent in demo mode.');
+    },
+
+    updatePassword: async () => {
+      throw new Error('Passwords cannot be changed in demo mode.');
+    },
+
+    fetchRole: async () => 'manager'
+  };
+
+  const items = {
+    list: async (filters, options) => queryItems(db.stock.map(toItemRow), filters, options),
+
+    listIdentifiers: async () => db.stock.map(({ name, sku }) => ({ name, sku })),
+
+    findBySku: async (sku) => {
+      const row = db.stock.find(s => s.sku && lower(s.sku) === lower(sku));
+      return row ? { id: row.id, name: row.name, sku: row.sku, deleted_at: row.deleted_at } : null;
+    },
+
+    create: async (rows) => {
+      const created = [];
+
+      rows.forEach(values => {
+        assertSkuFree(values.sku);
+        if (created.some(row => values.sku && lower(row.sku) === lower(values.sku))) {
+          throw uniqueViolation('stock_sku_key');
+        }
+
+        created.push(toStockRow(values, nextId([...db.stock, ...created])));
+      });
+
+      db.stock.push(...created);
+      save();
+      return created.map(toItemRow);
+    },
+
+    // Same as the create_stock_item function: a known clientRef returns
+    // the item it created
+    createWithOpening: async (clientRef, values, opening) => {
+      const existing = db.stock.find(s => s.client_ref === clientRef);
+      if (existing) return toItemRow(existing);
+
+      assertSkuFree(values.sku);
+      const row = toStockRow({ ...values, client_ref: clientRef }, nextId(db.stock));
+      db.stock.push(row);
+
+      if (opening?.quantity > 0) {
+        try {
+          bookTransactions([{
+            stock_id: row.id,
+            warehouse: opening.warehouse,
+            type: 'in',
+            reason: 'initial',
+            quantity_delta: opening.quantity,
+            note: 'Opening balance'
+          }]);
+        } catch (error) {
+          db.stock = db.stock.filter(s => s !== row);
+          throw error;
+        }
+      }
+
+      save();
+      return toItemRow(row);
+    },
+
+    // Same as the update_stock_item function: counts are booked as the
+    // difference to the current level, and nothing is written on a conflict
+    updateIfUnchanged: async (id, version, values, counts = [], note) => {
+      const row = db.stock.find(s => s.id === id);
+      if (!row) return { error: new Error('This item was deleted by another user.') };
+
+      const hasValues = Object.keys(values).length > 0;
+      if (hasValues && row.version !== version) return { conflict: toItemRow(row) };
+
+      try {
+        assertSkuFree(values.sku, id);
+
+        bookTransactions(counts
+          .map(({ warehouse, quantity }) => {
+            if (!Number.isInteger(quantity) || quantity < 0) {
+              throw new Error('Counted quantities must be zero or more');
+            }
+            const level = db.stock_level.find(l => l.stock_id === id && l.warehouse === warehouse);
+            return {
+              stock_id: id,
+              warehouse,
+              type: 'adjustment',
+              reason: 'count',
+              quantity_delta: quantity - (level?.quantity || 0),
+              note: note || 'Adjusted from the inventory edit form'
+            };
+          })
+          .filter(transaction => transaction.quantity_delta !== 0));
+      } catch (error) {
+        return { error };
+      }
+
+      if (hasValues) applyUpdate(row, values);
+      save();
+      return { item: toItemRow(row) };
+    },
+
+    updateMany: async (ids, values) => {
+      ids.forEach(id => applyUpdate(findStock(id), values));
+      save();
+    },
+
+    // Same rounding as the adjust_stock_prices function
+    adjustPrices: async (ids, { percent, amount }) => {
+      const rows = db.stock.filter(s => ids.includes(s.id) && !s.deleted_at);
+      rows.forEach(row => {
+        const price = Math.max(0, Math.round((row.price || 0) * (1 + (percent || 0) / 100) + (amount || 0)));
+        applyUpdate(row, { price });
+      });
+      save();
+      return rows.length;
+    },
+
+    trash: async (id) => {
+      const row = findStock(id);
+      if (row.reserved_quantity > 0) {
+        throw new Error(`${row.name} has ${row.reserved_quantity} units reserved for sales orders; ship or cancel them first`);
+      }
+
+      row.deleted_at = now();
+      row.deleted_by_email = sessionEmail();
+      save();
+    },
+
+    restore: async (id) => {
+      const row = findStock(id);
+      row.deleted_at = null;
+      row.deleted_by_email = null;
+      save();
+    },
+
+    purge: async (id) => {
+      const row = findStock(id);
+      if (!row.deleted_at) throw new Error(`${row.name} is not in the Trash`);
+
+      const onDocuments = ['stock_transfer_line', 'purchase_order_line', 'sales_order_line']
+        .some(tableName => table(tableName).some(line => line.stock_id === id));
+      if (onDocuments) {
+        throw new Error(`${row.name} appears on transfers or orders and cannot be purged; it can stay in the Trash`);
+      }
+
+      // Cascades of the stock foreign keys
+      db.stock = db.stock.filter(s => s.id !== id);
+      ['stock_level', 'stock_transaction', 'stock_supplier', 'stock_event'].forEach(tableName => {
+        db[tableName] = table(tableName).filter(r => r.stock_id !== id);
+      });
+      save();
+
+      const shared = row.thumbnail && db.stock.some(s => s.thumbnail === row.thumbnail);
+      return shared ? null : row.thumbnail;
+    },
+
+    recordTransactions: async (rows) => {
+      const inserted = bookTransactions(rows);
+      save();
+      return inserted;
+    },
+
+    subscribe: (onChange) => {
+      changeListeners.add(onChange);
+      return () => changeListeners.delete(onChange);
+    }
+  };
+
+  const getDescendantIds = (id) => {
+    const result = [id];
+    for (let i = 0; i < result.length; i++) {
+      db.category.filter(c => c.parent_id === result[i]).forEach(c => result.push(c.id));
+    }
+    return result;
+  };
+
+  const findCategory = (id) => {
+    const row = db.category.find(c => c.id === id);
+    if (!row) throw new Error(`Category ${id} does not exist`);
+    return row;
+  };
+
+  const categories = {
+    list: async () => [...db.category].sort(byName),
+
+    summary: async () =>
+      [...db.category].sort(byName).map(category => ({
+        ...category,
+        item_count: db.stock.filter(s => !s.deleted_at && s.category === category.name).length
+      })),
+
+    create: async (rows) => {
+      const created = [];
+
+      rows.forEach(values => {
+        const name = assertNameFree('category', 'Category', values.name);
+        if (created.some(c => lower(c.name) === lower(name))) {
+          throw new Error(`A category named ${name} already exists`);
+        }
+        created.push({ id: nextId([...db.category, ...created]), created_at: now(), name, parent_id: values.parent_id ?? null });
+      });
+
+      db.category.push(...created);
+      save();
+      return created;
+    },
+
+    rename: async (id, name) => {
+      const category = findCategory(id);
+      const newName = assertNameFree('category', 'Category', name, id);
+
+      db.stock.forEach(s => {
+        if (s.category === category.name) s.category = newName;
+      });
+      category.name = newName;
+      save();
+    },
+
+    setParent: async (id, parentId) => {
+      const category = findCategory(id);
+      if (parentId !== null && getDescendantIds(id).includes(parentId)) {
+        throw new Error('A category cannot be moved under itself or one of its subcategories');
+      }
+
+      category.parent_id = parentId;
+      save();
+    },
+
+    merge: async (sourceId, targetId) => {
+      if (sourceId === targetId) throw new Error('Choose two different categories to merge');
+
+      const source = findCategory(sourceId);
+      const target = findCategory(targetId);
+
+      // A target nested under the source takes the source's place first
+      if (getDescendantIds(sourceId).includes(targetId)) {
+        target.parent_id = source.parent_id;
+      }
+
+      db.stock.forEach(s => {
+        if (s.category === source.name) s.category = target.name;
+      });
+      db.category.forEach(c => {
+        if (c.parent_id === sourceId && c.id !== targetId) c.parent_id = targetId;
+      });
+      db.category = db.category.filter(c => c.id !== sourceId);
+      save();
+    },
+
+    remove: async (id, reassignToId) => {
+      if (reassignToId === id) throw new Error('Choose another category to move the items to');
+
+      const category = findCategory(id);
+      const newName = reassignToId === null ? null : findCategory(reassignToId).name;
+
+      db.stock.forEach(s => {
+        if (s.category === category.name) s.category = newName;
+      });
+      db.category.forEach(c => {
+        if (c.parent_id === id) c.parent_id = category.parent_id;
+      });
+      db.category = db.category.filter(c => c.id !== id);
+      save();
+    }
+  };
+
+  const findWarehouse = (id) => {
+    const row = db.warehouse.find(w => w.id === id);
+    if (!row) throw new Error(`Warehouse ${id} does not exist`);
+    return row;
+  };
+
+  const warehouses = {
+    list: async () => [...db.warehouse].sort(byName),
+
+    // Same figures as the warehouse_summary view
+    summary: async () =>
+      [...db.warehouse].sort(byName).map(warehouse => {
+        const levels = db.stock_level.filter(level => level.warehouse === warehouse.name);
+        const liveLevels = levels
+          .map(level => ({ ...level, item: db.stock.find(s => s.id === level.stock_id && !s.deleted_at) }))
+          .filter(level => level.item);
+
+        return {
+          ...warehouse,
+          item_count: liveLevels.filter(level => level.quantity > 0).length,
+          unit_count: levels.reduce((sum, level) => sum + level.quantity, 0),
+          total_value: liveLevels.reduce((sum, level) => sum + level.quantity * (level.item.price || 0), 0)
+        };
+      }),
+
+    create: async (rows) => {
+      const created = [];
+
+      rows.forEach(values => {
+        const name = assertNameFree('warehouse', 'Warehouse', values.name);
+        if (created.some(w => lower(w.name) === lower(name))) {
+          throw new Error(`A warehouse named ${name} already exists`);
+        }
+        created.push({
+          id: nextId([...db.warehouse, ...created]),
+          created_at: now(),
+          address: null,
+          manager: null,
+          capacity: null,
+          is_active: true,
+          ...values,
+          name
+        });
+      });
+
+      db.warehouse.push(...created);
+      save();
+      return created;
+    },
+
+    update: async ({ id, name, address, manager, capacity }) => {
+      const warehouse = findWarehouse(id);
+      const newName = assertNameFree('warehouse', 'Warehouse', name, id);
+
+      if (newName !== warehouse.name) {
+        [
+          ...db.stock_level,
+          ...db.stock_transaction,
+          ...table('purchase_receipt'),
+          ...table('sales_order'),
+          ...table('stock_event')
+        ].forEach(row => {
+          if (row.warehouse === warehouse.name) row.warehouse = newName;
+        });
+        table('stock_transfer').forEach(transfer => {
+          if (transfer.from_warehouse === warehouse.name) transfer.from_warehouse = newName;
+          if (transfer.to_warehouse === warehouse.name) transfer.to_warehouse = newName;
+        });
+
+        // The levels keep their rows, so the log shows them as updated
+        snapshot.stock_level = new Map([...snapshot.stock_level.values()].map(level => {
+          const key = level.warehouse === warehouse.name ? `${level.stock_id}:${newName}` : auditKey('stock_level', level);
+          return [key, level];
+        }));
+
+        // Inventory views filtering on the warehouse follow the rename
+        savedViews().filter(view => view.page === 'inventory').forEach(view => {
+          const params = new URLSearchParams(view.query);
+          if (params.get('warehouse') !== warehouse.name) return;
+          params.set('warehouse', newName);
+          view.query = params.toString();
+        });
+      }
+
+      Object.assign(warehouse, {
+        name: newName,
+        address: address || null,
+        manager: manager || null,
+        capacity: capacity || null
+      });
+      save();
+    },
+
+    deactivate: async (id) => {
+      const warehouse = findWarehouse(id);
+      const remaining = db.stock_level
+        .filter(level => level.warehouse === warehouse.name)
+        .reduce((sum, level) => sum + level.quantity, 0);
+
+      if (remaining > 0) {
+        throw new Error(`${warehouse.name} still holds ${remaining} units; move them to another warehouse first`);
+      }
+
+      const inTransit = table('stock_transfer').some(t =>
+        t.status === 'in_transit' && (t.from_warehouse === warehouse.name || t.to_warehouse === warehouse.name));
+      if (inTransit) {
+        throw new Error(`${warehouse.name} has transfers in transit; receive or cancel them first`);
+      }
+
+      if (table('sales_order').some(o => ['draft', 'confirmed'].includes(o.status) && o.warehouse === warehouse.name)) {
+        throw new Error(`${warehouse.name} has open sales orders; ship or cancel them first`);
+      }
+
+      warehouse.is_active = false;
+      save();
+    },
+
+    reactivate: async (id) => {
+      findWarehouse(id).is_active = true;
+      save();
+    }
+  };
+
+  const savedViews = () => table('saved_view');
+
+  const findView = (id) => {
+    const row = savedViews().find(v => v.id === id);
+    if (!row) throw new Error(`Saved view ${id} does not exist`);
+    return row;
+  };
+
+  const assertViewNameFree = (userId, page, name, exceptId) => {
+    if (savedViews().some(v => v.id !== exceptId && v.user_id === userId && v.page === page && v.name === name)) {
+      throw uniqueViolation('saved_view_user_id_page_name_key');
+    }
+  };
+
+  const views = {
+    list: async (userId, page) =>
+      savedViews().filter(v => v.user_id === userId && v.page === page).sort(byName),
+
+    create: async (values) => {
+      const name = String(values.name ?? '').trim();
+      if (!name) throw new Error('View name cannot be empty');
+
+      const userId = values.user_id ?? getSession()?.user.id;
+      assertViewNameFree(userId, values.page, name);
+
+      const row = {
+        id: nextId(savedViews()),
+        created_at: now(),
+        query: '',
+        is_pinned: false,
+        is_default: false,
+        ...values,
+        user_id: userId,
+        name
+      };
+
+      savedViews().push(row);
+      save();
+      return row;
+    },
+
+    update: async (id, values) => {
+      const view = findView(id);
+      if (values.name !== undefined) {
+        values = { ...values, name: String(values.name).trim() };
+        if (!values.name) throw new Error('View name cannot be empty');
+        assertViewNameFree(view.user_id, view.page, values.name, id);
+      }
+      Object.assign(view, values);
+      save();
+    },
+
+    remove: async (id) => {
+      db.saved_view = savedViews().filter(v => v.id !== id);
+      save();
+    },
+
+    setDefault: async (userId, page, id) => {
+      savedViews()
+        .filter(v => v.user_id === userId && v.page === page)
+        .forEach(v => {
+          v.is_default = v.id === id;
+        });
+      save();
+    }
+  };
+
+  const findRow = (tableName, label, id) => {
+    const row = table(tableName).find(r => r.id === Number(id));
+    if (!row) throw new Error(`${label} ${id} does not exist`);
+    return row;
+  };
+
+  const assertWarehouseExists = (name) => {
+    if (!db.warehouse.some(w => w.name === name)) throw new Error(`Warehouse ${name} does not exist`);
+  };
+
+  // Same filters and order as the Supabase ledger query
+  const transactions = {
+    list: async (filters = {}, { from, to } = {}) => {
+      const rows = db.stock_transaction
+        .map(transaction => ({ ...transaction, stock: itemRef(transaction.stock_id, ['id', 'name']) }))
+        .filter(t => t.stock)
+        .filter(t => !filters.search || lower(t.stock.name).includes(lower(filters.search)))
+        .filter(t => !filters.type || t.type === filters.type)
+        .filter(t => !filters.reason || t.reason === filters.reason)
+        .filter(t => !filters.warehouse || t.warehouse === filters.warehouse)
+        .filter(t => !filters.dateFrom || t.occurred_at >= filters.dateFrom)
+        .filter(t => !filters.dateTo || t.occurred_at <= filters.dateTo)
+        .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at) || b.id - a.id);
+
+      return { transactions: paginate(rows, from, to), count: rows.length };
+    },
+
+    // Same sums as the stock_daily_consumption view
+    dailyConsumption: async (stockIds, since) => {
+      const days = new Map();
+
+      db.stock_transaction
+        .filter(t => t.type === 'out' && ['sale', 'damage', 'internal_use'].includes(t.reason))
+        .filter(t => stockIds.includes(t.stock_id) && t.occurred_at >= since)
+        .forEach(t => {
+          const key = `${t.stock_id}:${t.occurred_at}`;
+          const day = days.get(key) || { stock_id: t.stock_id, day: t.occurred_at, quantity: 0 };
+          day.quantity -= t.quantity_delta;
+          days.set(key, day);
+        });
+
+      return [...days.values()];
+    }
+  };
+
+  // The create, receive and cancel_stock_transfer functions
+  const receiveTransfer = (transfer) => {
+    if (transfer.status !== 'in_transit') {
+      throw new Error(`Transfer ${transfer.id} is already ${transfer.status}`);
+    }
+
+    bookTransactions(table('stock_transfer_line')
+      .filter(line => line.transfer_id === transfer.id)
+      .map(line => ({
+        stock_id: line.stock_id,
+        warehouse: transfer.to_warehouse,
+        type: 'in',
+        reason: 'transfer_in',
+        quantity_delta: line.quantity,
+        note: `Transfer #${transfer.id} from ${transfer.from_warehouse}`
+      })));
+
+    Object.assign(transfer, { status: 'received', received_at: now(), received_by_email: sessionEmail() });
+  };
+
+  const transfers = {
+    list: async (filters = {}, { from, to } = {}) => {
+      const rows = table('stock_transfer')
+        .filter(t => !filters.status || t.status === filters.status)
+        .filter(t => !filters.warehouse || t.from_warehouse === filters.warehouse || t.to_warehouse === filters.warehouse)
+        .sort(newestFirst);
+
+      return {
+        transfers: paginate(rows, from, to).map(transfer => ({
+          ...transfer,
+          stock_transfer_line: table('stock_transfer_line')
+            .filter(line => line.transfer_id === transfer.id)
+            .map(({ id, quantity, stock_id }) => ({ id, quantity, stock: itemRef(stock_id) }))
+        })),
+        count: rows.length
+      };
+    },
+
+    create: async ({ fromWarehouse, toWarehouse, lines, note, receiveNow }) => atomically(() => {
+      if (fromWarehouse === toWarehouse) throw new Error('Source and destination warehouse must be different');
+      if (!lines?.length) throw new Error('A transfer needs at least one item');
+
+      const transfer = {
+        id: nextId(table('stock_transfer')),
+        created_at: now(),
+        from_warehouse: fromWarehouse,
+        to_warehouse: toWarehouse,
+        status: 'in_transit',
+        note: note ?? null,
+        created_by_email: sessionEmail(),
+        received_at: null,
+        received_by_email: null
+      };
+      table('stock_transfer').push(transfer);
+
+      lines.forEach(({ stockId, quantity }) => {
+        const item = findStock(stockId);
+        if (!(quantity > 0)) throw new Error(`Transfer quantity for ${item.name} must be greater than zero`);
+
+        const available = findLevel(stockId, fromWarehouse)?.quantity || 0;
+        if (available < quantity) {
+          throw new Error(`Only ${available} units of ${item.name} are available in ${fromWarehouse}`);
+        }
+
+        table('stock_transfer_line').push({
+          id: nextId(table('stock_transfer_line')),
+          transfer_id: transfer.id,
+          stock_id: stockId,
+          destination_stock_id: null,
+          quantity
+        });
+
+        bookTransactions([{
+          stock_id: stockId,
+          warehouse: fromWarehouse,
+          type: 'out',
+          reason: 'transfer_out',
+          quantity_delta: -quantity,
+          note: `Transfer #${transfer.id} to ${toWarehouse}`
+        }]);
+      });
+
+      if (receiveNow) receiveTransfer(transfer);
+      return transfer.id;
+    }),
+
+    receive: async (id) => atomically(() => {
+      receiveTransfer(findRow('stock_transfer', 'Transfer', id));
+    }),
+
+    // Puts in-transit units back into the source warehouse
+    cancel: async (id) => atomically(() => {
+      const transfer = table('stock_transfer').find(t => t.id === Number(id));
+      if (transfer?.status !== 'in_transit') throw new Error('Only in-transit transfers can be cancelled');
+
+      bookTransactions(table('stock_transfer_line')
+        .filter(line => line.transfer_id === transfer.id)
+        .map(line => ({
+          stock_id: line.stock_id,
+          warehouse: transfer.from_warehouse,
+          type: 'in',
+          reason: 'transfer_cancel',
+          quantity_delta: line.quantity,
+          note: `Transfer #${transfer.id} cancelled`
+        })));
+
+      transfer.status = 'cancelled';
+    })
+  };
+
+  const suppliers = {
+    list: async () => [...table('supplier')].sort(byName),
+
+    summary: async () =>
+      [...table('supplier')].sort(byName).map(supplier => ({
+        ...supplier,
+        item_count: table('stock_supplier').filter(link => link.supplier_id === supplier.id).length
+      })),
+
+    save: async (id, values) => {
+      if (table('supplier').some(s => s.id !== id && s.name === values.name)) {
+        throw uniqueViolation('supplier_name_key');
+      }
+
+      let row;
+      if (id) {
+        row = findRow('supplier', 'Supplier', id);
+        Object.assign(row, values);
+      } else {
+        row = { id: nextId(table('supplier')), created_at: now(), ...values };
+        table('supplier').push(row);
+      }
+
+      save();
+      return row;
+    },
+
+    // Links go with the supplier; purchase orders keep it in place
+    remove: async (id) => {
+      if (table('purchase_order').some(order => order.supplier_id === id)) {
+        throw foreignKeyViolation('supplier', 'purchase_order_supplier_id_fkey', 'purchase_order');
+      }
+
+      db.supplier = table('supplier').filter(s => s.id !== id);
+      db.stock_supplier = table('stock_supplier').filter(link => link.supplier_id !== id);
+      save();
+    },
+
+    saveLinks: async (stockId, rows) => {
+      const links = table('stock_supplier');
+      let id = nextId(links);
+
+      db.stock_supplier = [
+        ...links.filter(link => link.stock_id !== stockId),
+        ...rows.map(row => {
+          const existing = links.find(link => link.stock_id === stockId && link.supplier_id === row.supplier_id);
+          return { id: existing ? existing.id : id++, stock_id: stockId, ...row };
+        })
+      ];
+      save();
+    }
+  };
+
+  const orderLines = (orderId) => table('purchase_order_line').filter(line => line.purchase_order_id === orderId);
+
+  const supplierRef = (id) => {
+    const supplier = table('supplier').find(s => s.id === id);
+    return supplier ? { id: supplier.id, name: supplier.name } : null;
+  };
+
+  // The purchase order functions: drafts are edited, sent orders received
+  const purchaseOrders = {
+    list: async (filters = {}, { from, to } = {}) => {
+      const rows = table('purchase_order')
+        .filter(order => !filters.status || order.status === filters.status)
+        .filter(order => !filters.supplierId || String(order.supplier_id) === String(filters.supplierId))
+        .sort(newestFirst);
+
+      return {
+        orders: paginate(rows, from, to).map(order => ({
+          ...order,
+          supplier: supplierRef(order.supplier_id),
+          purchase_order_line: orderLines(order.id).map(line => ({
+            ...line,
+            stock: itemRef(line.stock_id)
+          }))
+        })),
+        count: rows.length
+      };
+    },
+
+    get: async (id) => {
+      const order = table('purchase_order').find(o => o.id === Number(id));
+      if (!order) return null;
+
+      return {
+        ...order,
+        supplier: supplierRef(order.supplier_id),
+        purchase_order_line: orderLines(order.id).map(line => ({
+          ...line,
+          stock: itemRef(line.stock_id, ['name', 'sku'])
+        })),
+        purchase_receipt: table('purchase_receipt')
+          .filter(receipt => receipt.purchase_order_id === order.id)
+          .map(receipt => ({
+            ...receipt,
+            purchase_receipt_line: table('purchase_receipt_line')
+              .filter(line => line.receipt_id === receipt.id)
+              .map(({ id, line_id, quantity }) => ({ id, line_id, quantity }))
+          }))
+      };
+    },
+
+    save: async ({ id, supplierId, expectedDate, note, lines }) => atomically(() => {
+      if (!lines?.length) throw new Error('A purchase order needs at least one item');
+      if (!table('supplier').some(s => s.id === supplierId)) {
+        throw new Error(`Supplier ${supplierId} does not exist`);
+      }
+
+      const values = { supplier_id: supplierId, expected_date: expectedDate || null, note: note ?? null };
+      let order;
+
+      if (id == null) {
+        order = {
+          id: nextId(table('purchase_order')),
+          created_at: now(),
+          status: 'draft',
+          ...values,
+          created_by_email: sessionEmail(),
+          sent_at: null,
+          received_at: null
+        };
+        table('purchase_order').push(order);
+      } else {
+        order = findRow('purchase_order', 'Purchase order', id);
+        if (order.status !== 'draft') throw new Error('Only draft purchase orders can be edited');
+
+        Object.assign(order, values);
+        db.purchase_order_line = table('purchase_order_line').filter(line => line.purchase_order_id !== order.id);
+      }
+
+      lines.forEach(({ stockId, quantity, unitCost }) => {
+        const item = findStock(stockId);
+        if (!(quantity > 0)) throw new Error(`Order quantity for ${item.name} must be greater than zero`);
+
+        table('purchase_order_line').push({
+          id: nextId(table('purchase_order_line')),
+          purchase_order_id: order.id,
+          stock_id: stockId,
+          quantity_ordered: quantity,
+          quantity_received: 0,
+          unit_cost: unitCost || 0
+        });
+      });
+
+      return order.id;
+    }),
+
+    send: async (id) => atomically(() => {
+      const order = table('purchase_order').find(o => o.id === Number(id));
+      if (order?.status !== 'draft') throw new Error('Only draft purchase orders can be sent');
+
+      Object.assign(order, { status: 'sent', sent_at: now() });
+    }),
+
+    // Units already received stay in stock; the rest is no longer expected
+    cancel: async (id) => atomically(() => {
+      const order = table('purchase_order').find(o => o.id === Number(id));
+      if (!['draft', 'sent', 'partially_received'].includes(order?.status)) {
+        throw new Error(`Purchase order ${id} cannot be cancelled`);
+      }
+
+      order.status = 'cancelled';
+    }),
+
+    // Lines with quantity 0 are skipped
+    receive: async ({ orderId, warehouse, lines, note }) => atomically(() => {
+      const order = findRow('purchase_order', 'Purchase order', orderId);
+      if (!['sent', 'partially_received'].includes(order.status)) {
+        throw new Error(`Purchase order ${order.id} is ${order.status}; only sent orders can be received`);
+      }
+      assertWarehouseExists(warehouse);
+
+      const receipt = {
+        id: nextId(table('purchase_receipt')),
+        created_at: now(),
+        purchase_order_id: order.id,
+        warehouse,
+        note: note ?? null,
+        received_by_email: sessionEmail()
+      };
+      table('purchase_receipt').push(receipt);
+
+      const received = lines.filter(line => (line.quantity || 0) !== 0);
+      received.forEach(({ lineId, quantity }) => {
+        const orderLine = orderLines(order.id).find(line => line.id === lineId);
+        if (!orderLine) throw new Error(`Line ${lineId} is not part of purchase order ${order.id}`);
+
+        const itemName = itemRef(orderLine.stock_id)?.name;
+        if (quantity < 0) throw new Error(`Received quantity for ${itemName} cannot be negative`);
+
+        const outstanding = orderLine.quantity_ordered - orderLine.quantity_received;
+        if (quantity > outstanding) throw new Error(`Only ${outstanding} more units of ${itemName} are expected`);
+
+        orderLine.quantity_received += quantity;
+        table('purchase_receipt_line').push({
+          id: nextId(table('purchase_receipt_line')),
+          receipt_id: receipt.id,
+          line_id: orderLine.id,
+          quantity
+        });
+
+        bookTransactions([{
+          stock_id: orderLine.stock_id,
+          warehouse,
+          type: 'in',
+          reason: 'purchase',
+          quantity_delta: quantity,
+          note: `PO #${order.id} receipt #${receipt.id}`
+        }]);
+      });
+
+      if (!received.length) throw new Error('Enter a received quantity for at least one item');
+
+      if (orderLines(order.id).some(line => line.quantity_received < line.quantity_ordered)) {
+        order.status = 'partially_received';
+      } else {
+        Object.assign(order, { status: 'received', received_at: now() });
+      }
+
+      return receipt.id;
+    })
+  };
+
+  // Same as reserve_stock: change the reservation of one item in one
+  // warehouse and refresh the item's total
+  const reserveStock = (stockId, warehouse, delta) => {
+    const level = findLevel(stockId, warehouse);
+    const item = findStock(stockId);
+    const available = (level?.quantity || 0) - (level?.reserved || 0);
+
+    if (delta > 0 && available < delta) {
+      throw new Error(`Only ${Math.max(available, 0)} units of ${item.name} are available in ${warehouse}`);
+    }
+
+    if (level) level.reserved = Math.max(level.reserved + delta, 0);
+    item.reserved_quantity = sum(db.stock_level.filter(l => l.stock_id === stockId).map(l => l.reserved));
+  };
+
+  const salesLines = (orderId) => table('sales_order_line').filter(line => line.sales_order_id === orderId);
+
+  const findOpenSalesOrder = (id, allowed, message) => {
+    const order = findRow('sales_order', 'Sales order', id);
+    if (!allowed.includes(order.status)) throw new Error(message(order));
+    return order;
+  };
+
+  // The sales order functions: confirming reserves the units, shipping
+  // books them out
+  const salesOrders = {
+    list: async (filters = {}, { from, to } = {}) => {
+      const rows = table('sales_order')
+        .filter(order => !filters.search || lower(order.customer_name).includes(lower(filters.search)))
+        .filter(order => !filters.status || order.status === filters.status)
+        .filter(order => !filters.warehouse || order.warehouse === filters.warehouse)
+        .sort(newestFirst);
+
+      return {
+        orders: paginate(rows, from, to).map(order => ({
+          ...order,
+          sales_order_line: salesLines(order.id).map(line => ({
+            ...line,
+            stock: itemRef(line.stock_id)
+          }))
+        })),
+        count: rows.length
+      };
+    },
+
+    save: async ({ id, customerName, customerContact, warehouse, note, lines }) => atomically(() => {
+      const customer = String(customerName ?? '').trim();
+      if (!customer) throw new Error('A sales order needs a customer');
+      assertWarehouseExists(warehouse);
+      if (!lines?.length) throw new Error('A sales order needs at least one item');
+
+      const values = { customer_name: customer, customer_contact: customerContact ?? null, warehouse, note: note ?? null };
+      let order;
+
+      if (id == null) {
+        order = {
+          id: nextId(table('sales_order')),
+          created_at: now(),
+          status: 'draft',
+          ...values,
+          created_by_email: sessionEmail(),
+          confirmed_at: null,
+          shipped_at: null
+        };
+        table('sales_order').push(order);
+      } else {
+        order = findRow('sales_order', 'Sales order', id);
+        if (order.status !== 'draft') throw new Error('Only draft sales orders can be edited');
+
+        Object.assign(order, values);
+        db.sales_order_line = table('sales_order_line').filter(line => line.sales_order_id !== order.id);
+      }
+
+      lines.forEach(({ stockId, quantity, unitPrice }) => {
+        const item = findStock(stockId);
+        if (!(quantity > 0)) throw new Error(`Order quantity for ${item.name} must be greater than zero`);
+
+        table('sales_order_line').push({
+          id: nextId(table('sales_order_line')),
+          sales_order_id: order.id,
+          stock_id: stockId,
+          quantity,
+          unit_price: unitPrice || 0
+        });
+      });
+
+      return order.id;
+    }),
+
+    confirm: async (id) => atomically(() => {
+      const order = findOpenSalesOrder(id, ['draft'], o => `Sales order ${o.id} is already ${o.status}`);
+
+      salesLines(order.id).forEach(line => reserveStock(line.stock_id, order.warehouse, line.quantity));
+      Object.assign(order, { status: 'confirmed', confirmed_at: now() });
+    }),
+
+    ship: async (id) => atomically(() => {
+      const order = findOpenSalesOrder(id, ['confirmed'], () => 'Only confirmed sales orders can be shipped');
+
+      salesLines(order.id).forEach(line => {
+        reserveStock(line.stock_id, order.warehouse, -line.quantity);
+        bookTransactions([{
+          stock_id: line.stock_id,
+          warehouse: order.warehouse,
+          type: 'out',
+          reason: 'sale',
+          quantity_delta: -line.quantity,
+          note: `SO #${order.id} to ${order.customer_name}`
+        }]);
+      });
+      Object.assign(order, { status: 'shipped', shipped_at: now() });
+    }),
+
+    // Cancelling a confirmed order releases its reservation
+    cancel: async (id) => atomically(() => {
+      const order = findOpenSalesOrder(id, ['draft', 'confirmed'], o => `Sales order ${o.id} is already ${o.status}`);
+
+      if (order.status === 'confirmed') {
+        salesLines(order.id).forEach(line => reserveStock(line.stock_id, order.warehouse, -line.quantity));
+      }
+      order.status = 'cancelled';
+    })
+  };
+
+  // Same filters and order as the Supabase audit query
+  const audit = {
+    list: async (filters = {}, { from, to } = {}) => {
+      const search = lower(filters.search);
+      const rows = table('audit_log')
+        .filter(e => !search || lower(e.entity_name).includes(search) || lower(e.actor_email).includes(search))
+        .filter(e => !filters.entity || e.entity === filters.entity)
+        .filter(e => !filters.entities || filters.entities.includes(e.entity))
+        .filter(e => filters.entityId === undefined || e.entity_id === Number(filters.entityId))
+        .filter(e => !filters.action || e.action === filters.action)
+        .filter(e => !filters.since || e.created_at >= filters.since)
+        .filter(e => !filters.before || e.created_at < filters.before)
+        .sort(newestFirst);
+
+      return { entries: paginate(rows, from, to), count: rows.length };
+    }
+  };
+
+  // Read flags are kept per user, like notification_read
+  const readEventIds = () => {
+    const userId = getSession()?.user.id;
+    return new Set(table('notification_read').filter(r => r.user_id === userId).map(r => r.event_id));
+  };
+
+  const eventsOfTypes = (types) => table('stock_event').filter(event => types.includes(event.type));
+
+  const notifications = {
+    getPreferences: async (userId) => {
+      const row = table('notification_preference').find(p => p.user_id === userId);
+      if (!row) return null;
+
+      const { low_stock, out_of_stock, large_adjustment, browser } = row;
+      return { low_stock, out_of_stock, large_adjustment, browser };
+    },
+
+    savePreferences: async (userId, preferences) => {
+      db.notification_preference = [
+        ...table('notification_preference').filter(p => p.user_id !== userId),
+        { user_id: userId, ...preferences, updated_at: now() }
+      ];
+      save();
+    },
+
+    list: async (types, limit) => {
+      const read = readEventIds();
+      return eventsOfTypes(types)
+        .sort(newestFirst)
+        .slice(0, limit)
+        .map(event => ({ ...event, is_read: read.has(event.id), stock: itemRef(event.stock_id) }));
+    },
+
+    unreadCount: async (types) => {
+      const read = readEventIds();
+      return eventsOfTypes(types).filter(event => !read.has(event.id)).length;
+    },
+
+    markRead: async (userId, types, ids) => {
+      const read = readEventIds();
+      const eventIds = ids || eventsOfTypes(types).map(event => event.id);
+
+      eventIds
+        .filter(eventId => !read.has(eventId))
+        .forEach(eventId => table('notification_read').push({ user_id: userId, event_id: eventId, read_at: now() }));
+      save();
+    },
+
+    subscribe: (onEvent) => {
+      eventListeners.add(onEvent);
+      return () => eventListeners.delete(onEvent);
+    }
+  };
+
+  // Images are kept inline as data URLs
+  const storage = {
+    upload: (file) => new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Could not read the image file.'));
+      reader.readAsDataURL(file);
+    }),
+
+    remove: async () => {}
+  };
+
+  // Back to the seeded sample data, without logging the swap
+  const reset = () => {
+    db = createSeedData();
+    snapshot = takeSnapshot();
+    save();
+  };
+
+  return {
+    auth,
+    items,
+    categories,
+    warehouses,
+    views,
+    storage,
+    transactions,
+    transfers,
+    suppliers,
+    purchaseOrders,
+    salesOrders,
+    audit,
+    notifications,
+    reset
+  };
+};
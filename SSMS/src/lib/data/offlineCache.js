@@ -0,0 +1,147 @@
+import { queryItems } from './query';
+
+// Last loaded items, categories, warehouses, saved views and roles, kept so
+// the app can be browsed and searched without a connection
+const CACHE_KEY = 'ssms-offline-cache';
+
+// Rows per request when refreshing the whole inventory
+const REFRESH_CHUNK_SIZE = 1000;
+
+const emptyCache = () => ({ items: {}, lists: {}, roles: {} });
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || emptyCache();
+  } catch {
+    return emptyCache();
+  }
+};
+
+const writeCache = (update) => {
+  const cache = readCache();
+  update(cache);
+
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    // A full browser storage only costs the offline copy
+    console.error('Error saving offline copy:', error.message);
+  }
+};
+
+// The request never reached the server, as opposed to an error it returned.
+// Matched on fetch's messages (Chrome, Firefox, Safari) rather than on
+// TypeError, which any bug in our own code would also raise.
+export const isNetworkError = (error) =>
+  !navigator.onLine ||
+  /failed to fetch|networkerror when attempting to fetch|network request failed|load failed/i.test(error?.message || '');
+
+// Drop the aliases the list query uses for filtering
+const toCachedItem = (row) => {
+  const cached = { ...row };
+  delete cached.in_warehouse;
+  delete cached.by_supplier;
+  return cached;
+};
+
+// Change the offline copy of the items, e.g. to show queued changes.
+// update receives the items keyed by id and may change them in place.
+export const updateCachedItems = (update) => {
+  writeCache(cache => update(cache.items));
+};
+
+// Replace the offline copy with every item, in the Trash or not
+export const refreshCachedItems = async (backend) => {
+  const rows = [];
+
+  for (const trashed of [false, true]) {
+    for (let from = 0; ; from += REFRESH_CHUNK_SIZE) {
+      const { items } = await backend.items.list({ trashed }, { from, to: from + REFRESH_CHUNK_SIZE - 1 });
+      rows.push(...items);
+      if (items.length < REFRESH_CHUNK_SIZE) break;
+    }
+  }
+
+  writeCache(cache => {
+    cache.items = Object.fromEntries(rows.map(row => [row.id, toCachedItem(row)]));
+  });
+};
+
+// Wrap a backend so reads fall back to the offline copy when the network
+// is down. Writes are not wrapped; lib/sync.js queues those.
+export const withOfflineCache = (backend) => {
+  // key may be a function of the arguments, for lists loaded per user
+  const cachedList = (key, load) => async (...args) => {
+    const listKey = typeof key === 'function' ? key(...args) : key;
+
+    try {
+      const result = await load(...args);
+      writeCache(cache => {
+        cache.lists[listKey] = result;
+      });
+      return result;
+    } catch (error) {
+      const saved = readCache().lists[listKey];
+      if (saved && isNetworkError(error)) return saved;
+      throw error;
+    }
+  };
+
+  return {
+    ...backend,
+
+    auth: {
+      ...backend.auth,
+
+      fetchRole: async (userId) => {
+        try {
+          const role = await backend.auth.fetchRole(userId);
+          writeCache(cache => {
+            cache.roles[userId] = role;
+          });
+          return role;
+        } catch (error) {
+          const saved = readCache().roles[userId];
+          if (saved && isNetworkError(error)) return saved;
+          throw error;
+        }
+      }
+    },
+
+    items: {
+      ...backend.items,
+
+      list: async (filters, options) => {
+        try {
+          const result = await backend.items.list(filters, options);
+          writeCache(cache => {
+            result.items.forEach(row => {
+              cache.items[row.id] = toCachedItem(row);
+            });
+          });
+          return result;
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          return queryItems(Object.values(readCache().items), filters, options);
+        }
+      }
+    },
+
+    categories: {
+      ...backend.categories,
+      list: cachedList('categories', backend.categories.list),
+      summary: cachedList('categorySummary', backend.categories.summary)
+    },
+
+    warehouses: {
+      ...backend.warehouses,
+      list: cachedList('warehouses', backend.warehouses.list),
+      summary: cachedList('warehouseSummary', backend.warehouses.summary)
+    },
+
+    views: {
+      ...backend.views,
+      list: cachedList((userId, page) => `views:${userId}:${page}`, backend.views.list)
+    }
+  };
+};
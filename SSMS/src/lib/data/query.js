@@ -0,0 +1,44 @@
+// Filter, sort and page stock rows the way the Supabase list query does.
+// Used by the in-memory backend and by the offline copy of the inventory.
+// Rows need stock_level and stock_supplier embedded, like the list returns.
+
+const lower = (value) => String(value ?? '').toLowerCase();
+
+// Empty values sort last in either direction
+const compareValues = (a, b, ascending) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const compared = typeof a === 'string' ? a.localeCompare(b) : a - b;
+  return ascending ? compared : -compared;
+};
+
+export const queryItems = (rows, filters = {}, { from, to, order = { column: 'name', ascending: true } } = {}) => {
+  const search = lower(filters.search);
+
+  let result = rows
+    .filter(row => (filters.trashed ? !!row.deleted_at : !row.deleted_at))
+    .filter(row => !search || lower(row.name).includes(search) || lower(row.sku).includes(search))
+    .filter(row => !filters.ids || filters.ids.includes(row.id))
+    .filter(row => !filters.categories || filters.categories.includes(row.category))
+    .filter(row => !filters.warehouse || row.stock_level.some(l => l.warehouse === filters.warehouse && l.quantity > 0))
+    .filter(row => filters.lowStock === undefined || row.is_low_stock === filters.lowStock)
+    .filter(row => !filters.outOfStock || row.available_quantity <= 0)
+    .filter(row => filters.minQuantity === undefined || row.quantity >= filters.minQuantity)
+    .filter(row => filters.maxQuantity === undefined || row.quantity <= filters.maxQuantity)
+    .filter(row => filters.minPrice === undefined || row.price >= filters.minPrice)
+    .filter(row => filters.maxPrice === undefined || row.price <= filters.maxPrice)
+    .filter(row => !filters.supplierId || row.stock_supplier.some(link => String(link.supplier_id) === String(filters.supplierId)));
+
+  // Ties are broken by id so pages don't overlap
+  result.sort((a, b) => {
+    return compareValues(a[order.column], b[order.column], order.ascending) || a.id - b.id;
+  });
+
+  const count = result.length;
+  if (from !== undefined) {
+    result = result.slice(from, to + 1);
+  }
+
+  return { items: result, count };
+};
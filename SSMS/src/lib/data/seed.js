@@ -0,0 +1,104 @@
+// Sample data for the in-memory backend. Quantities are given per
+// warehouse as they stand today; the backend books them, plus what the
+// sales history used up, as opening balances on first load.
+const CATEGORIES = [
+  { id: 1, name: 'Electronics', parent_id: null },
+  { id: 2, name: 'Computers', parent_id: 1 },
+  { id: 3, name: 'Accessories', parent_id: 1 },
+  { id: 4, name: 'Office Supplies', parent_id: null },
+  { id: 5, name: 'Paper', parent_id: 4 },
+  { id: 6, name: 'Furniture', parent_id: null },
+  { id: 7, name: 'Cleaning', parent_id: null }
+];
+
+const WAREHOUSES = [
+  { id: 1, name: 'Main', address: 'Jl. Gatot Subroto 12, Jakarta Selatan', manager: 'Rina Wijaya', capacity: 2000, is_active: true },
+  { id: 2, name: 'Bekasi', address: 'Kawasan Industri MM2100 Blok C-3, Bekasi', manager: 'Agus Santoso', capacity: 5000, is_active: true },
+  { id: 3, name: 'Surabaya', address: 'Jl. Rungkut Industri 8, Surabaya', manager: 'Dewi Lestari', capacity: 1500, is_active: true }
+];
+
+// [name, sku, category, price, threshold, { warehouse: quantity }]
+const ITEMS = [
+  ['Laptop 14" Core i5', 'LPT-14-I5', 'Computers', 8750000, 5, { Main: 12, Bekasi: 20 }],
+  ['Laptop 15" Core i7', 'LPT-15-I7', 'Computers', 13500000, 3, { Main: 4, Surabaya: 2 }],
+  ['Monitor 24" IPS', 'MON-24-IPS', 'Computers', 1850000, 8, { Main: 15, Bekasi: 30, Surabaya: 6 }],
+  ['Wireless Mouse', 'ACC-MSE-WL', 'Accessories', 125000, 25, { Main: 60, Bekasi: 140, Surabaya: 18 }],
+  ['Mechanical Keyboard', 'ACC-KBD-MX', 'Accessories', 650000, 10, { Main: 7, Bekasi: 2 }],
+  ['USB-C Hub 7-in-1', 'ACC-HUB-7', 'Accessories', 345000, 15, { Main: 22, Surabaya: 9 }],
+  ['HDMI Cable 2m', 'ACC-HDMI-2', 'Accessories', 45000, 50, { Bekasi: 35 }],
+  ['Copy Paper A4 80gsm (ream)', 'PPR-A4-80', 'Paper', 52000, 100, { Main: 180, Bekasi: 600, Surabaya: 75 }],
+  ['Sticky Notes 3x3 (pack)', 'OFF-STK-33', 'Office Supplies', 18000, 40, { Main: 95, Surabaya: 30 }],
+  ['Ballpoint Pen Blue (box)', 'OFF-PEN-BL', 'Office Supplies', 27500, 30, { Main: 0, Bekasi: 12 }],
+  ['Stapler Heavy Duty', 'OFF-STP-HD', 'Office Supplies', 98000, 10, { Main: 14 }],
+  ['Ergonomic Office Chair', 'FUR-CHR-ERG', 'Furniture', 2450000, 4, { Bekasi: 9, Surabaya: 3 }],
+  ['Standing Desk 140cm', 'FUR-DSK-140', 'Furniture', 4200000, 2, { Bekasi: 5 }],
+  ['Filing Cabinet 4 Drawer', 'FUR-CAB-4', 'Furniture', 1750000, 2, {}],
+  ['Floor Cleaner 5L', 'CLN-FLR-5L', 'Cleaning', 85000, 20, { Main: 16, Bekasi: 44 }],
+  ['Microfiber Cloth (10 pcs)', 'CLN-MCF-10', 'Cleaning', 60000, 15, { Main: 25, Surabaya: 11 }]
+];
+
+const SUPPLIERS = [
+  { id: 1, name: 'PT Sinar Komputindo', contact_name: 'Budi Hartono', email: 'sales@sinarkomputindo.co.id', phone: '021-6120455', address: 'Mangga Dua Mall Lt. 3 No. 12, Jakarta Pusat', payment_terms: 'Net 30', notes: null },
+  { id: 2, name: 'CV Maju Jaya ATK', contact_name: 'Siti Rahmawati', email: 'order@majujaya-atk.co.id', phone: '031-3551872', address: 'Jl. Kembang Jepun 45, Surabaya', payment_terms: 'Net 14', notes: 'Free delivery above Rp 2.000.000' },
+  { id: 3, name: 'PT Mebel Nusantara', contact_name: 'Hendra Gunawan', email: 'hendra@mebelnusantara.co.id', phone: '0291-593310', address: 'Jl. Raya Jepara-Kudus Km 5, Jepara', payment_terms: 'Cash on delivery', notes: null },
+  { id: 4, name: 'UD Bersih Sejahtera', contact_name: 'Yusuf Prasetyo', email: null, phone: '0812-8834-1290', address: 'Jl. Raya Narogong Km 7, Bekasi', payment_terms: 'Net 7', notes: null }
+];
+
+// [item sku, supplier id, supplier's code, unit cost, lead time in days]
+const SUPPLIER_LINKS = [
+  ['LPT-14-I5', 1, 'SK-NB14-05', 7900000, 10],
+  ['LPT-15-I7', 1, 'SK-NB15-07', 12250000, 14],
+  ['MON-24-IPS', 1, 'SK-MN24', 1600000, 7],
+  ['ACC-MSE-WL', 1, 'SK-MSWL', 95000, 5],
+  ['ACC-KBD-MX', 1, 'SK-KBMX', 540000, 7],
+  ['ACC-HUB-7', 1, 'SK-HUB7', 280000, 7],
+  ['ACC-HDMI-2', 2, 'MJ-HDMI2', 32000, 3],
+  ['PPR-A4-80', 2, 'MJ-A480', 44000, 3],
+  ['OFF-STK-33', 2, 'MJ-STK33', 13500, 3],
+  ['OFF-PEN-BL', 2, 'MJ-PENB', 21000, 3],
+  ['OFF-STP-HD', 2, 'MJ-STPHD', 79000, 5],
+  ['FUR-CHR-ERG', 3, 'MN-KRS-ERG', 1950000, 21],
+  ['FUR-DSK-140', 3, 'MN-MJ-140', 3500000, 21],
+  ['FUR-CAB-4', 3, 'MN-LMR-4', 1400000, 28],
+  ['CLN-FLR-5L', 4, null, 68000, 2],
+  ['CLN-MCF-10', 4, null, 45000, 2]
+];
+
+// [item sku, warehouse, average units sold per day] over the last
+// CONSUMPTION_DAYS days, so the inventory has something to forecast from
+export const CONSUMPTION_DAYS = 60;
+const CONSUMPTION = [
+  ['ACC-MSE-WL', 'Bekasi', 3],
+  ['ACC-MSE-WL', 'Main', 1.5],
+  ['PPR-A4-80', 'Bekasi', 12],
+  ['PPR-A4-80', 'Main', 4],
+  ['OFF-STK-33', 'Main', 2],
+  ['OFF-PEN-BL', 'Bekasi', 0.6],
+  ['ACC-HDMI-2', 'Bekasi', 1.2],
+  ['MON-24-IPS', 'Bekasi', 0.5],
+  ['LPT-14-I5', 'Bekasi', 0.3],
+  ['CLN-FLR-5L', 'Bekasi', 1],
+  ['CLN-MCF-10', 'Main', 0.4]
+];
+
+// Documents in different states. Dates are days from today.
+const PURCHASE_ORDERS = [
+  { id: 1, supplier_id: 1, status: 'sent', createdDaysAgo: 4, expectedInDays: 6, note: 'Q4 laptop refresh', lines: [['LPT-14-I5', 10], ['MON-24-IPS', 12]] },
+  { id: 2, supplier_id: 2, status: 'draft', createdDaysAgo: 1, expectedInDays: 5, note: null, lines: [['PPR-A4-80', 300], ['OFF-PEN-BL', 40], ['ACC-HDMI-2', 30]] }
+];
+
+const SALES_ORDERS = [
+  { id: 1, customer_name: 'PT Cahaya Abadi', customer_contact: 'purchasing@cahayaabadi.co.id', warehouse: 'Bekasi', status: 'confirmed', createdDaysAgo: 2, note: 'Deliver before the 25th', lines: [['ACC-MSE-WL', 20], ['PPR-A4-80', 50]] },
+  { id: 2, customer_name: 'Toko Sumber Rejeki', customer_contact: '0813-2210-7788', warehouse: 'Main', status: 'draft', createdDaysAgo: 0, note: null, lines: [['OFF-STK-33', 24], ['OFF-STP-HD', 2]] }
+];
+
+export const SEED_DATA = {
+  category: CATEGORIES,
+  warehouse: WAREHOUSES,
+  supplier: SUPPLIERS,
+  items: ITEMS.map(([name, sku, category, price, threshold, levels]) => ({ name, sku, category, price, threshold, levels })),
+  supplierLinks: SUPPLIER_LINKS.map(([sku, supplierId, supplierSku, unitCost, leadTimeDays]) => ({ sku, supplierId, supplierSku, unitCost, leadTimeDays })),
+  consumption: CONSUMPTION.map(([sku, warehouse, perDay]) => ({ sku, warehouse, perDay })),
+  purchaseOrders: PURCHASE_ORDERS,
+  salesOrders: SALES_ORDERS
+};
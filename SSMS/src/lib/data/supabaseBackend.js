@@ -0,0 +1,843 @@
+import { supabase } from '../supabase';
+
+const STORAGE_BUCKET = 'stock';
+
+// Path inside the stock bucket of an uploaded thumbnail, or null for
+// external URLs (pasted links, generated placeholders)
+const getStoragePath = (url) => {
+  const marker = `/storage/v1/object/public/${STORAGE_BUCKET}/`;
+  const index = (url || '').indexOf(marker);
+  return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length));
+};
+
+// Ids per request when updating many items, to keep the URL short
+const ID_CHUNK_SIZE = 200;
+
+// Quoted so commas in the term don't break the or() filter
+const toIlikePattern = (term) => `"%${term.replace(/["\\]/g, '\\$&')}%"`;
+
+const auth = {
+  getSession: async () => {
+    const { data } = await supabase.auth.getSession();
+    return data.session;
+  },
+
+  onAuthStateChange: (callback) => {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+    return () => subscription.unsubscribe();
+  },
+
+  signIn: async (email, password) => {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.session;
+  },
+
+  signOut: async () => {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  },
+
+  sendPasswordReset: async (email, redirectTo) => {
+    const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo });
+    if (error) throw error;
+  },
+
+  updatePassword: async (password) => {
+    const { error } = await supabase.auth.updateUser({ password });
+    if (error) throw error;
+  },
+
+  // Users without a user_role row are viewers
+  fetchRole: async (userId) => {
+    const { data, error } = await supabase
+      .from('user_role')
+      .select('role')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.role || 'viewer';
+  }
+};
+
+const items = {
+  // Levels and supplier links are embedded twice: once in full and once
+  // (inner) for the matching filter
+  list: async (filters = {}, { from, to, order = { column: 'name', ascending: true } } = {}) => {
+    const columns = ['*', 'stock_level(warehouse, quantity, reserved)', 'stock_supplier(supplier_id, supplier_sku, unit_cost, lead_time_days)'];
+    if (filters.warehouse) columns.push('in_warehouse:stock_level!inner(warehouse, quantity)');
+    if (filters.supplierId) columns.push('by_supplier:stock_supplier!inner(supplier_id)');
+
+    let query = supabase
+      .from('stock')
+      .select(columns.join(', '), { count: 'exact' });
+
+    query = filters.trashed
+      ? query.not('deleted_at', 'is', null)
+      : query.is('deleted_at', null);
+
+    if (filters.search) {
+      const pattern = toIlikePattern(filters.search);
+      query = query.or(`name.ilike.${pattern},sku.ilike.${pattern}`);
+    }
+
+    if (filters.ids) {
+      query = query.in('id', filters.ids);
+    }
+
+    if (filters.categories) {
+      query = query.in('category', filters.categories);
+    }
+
+    // Items that have stock in this warehouse
+    if (filters.warehouse) {
+      query = query
+        .eq('in_warehouse.warehouse', filters.warehouse)
+        .gt('in_warehouse.quantity', 0);
+    }
+
+    if (filters.lowStock !== undefined) {
+      query = query.eq('is_low_stock', filters.lowStock);
+    }
+
+    if (filters.supplierId) {
+      query = query.eq('by_supplier.supplier_id', filters.supplierId);
+    }
+
+    if (filters.outOfStock) {
+      query = query.lte('available_quantity', 0);
+    }
+
+    if (filters.minQuantity !== undefined) query = query.gte('quantity', filters.minQuantity);
+    if (filters.maxQuantity !== undefined) query = query.lte('quantity', filters.maxQuantity);
+    if (filters.minPrice !== undefined) query = query.gte('price', filters.minPrice);
+    if (filters.maxPrice !== undefined) query = query.lte('price', filters.maxPrice);
+
+    // Ties are broken by id so pages don't overlap
+    query = query
+      .order(order.column, { ascending: order.ascending, nullsFirst: false })
+      .order('id');
+    if (from !== undefined) {
+      query = query.range(from, to);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { items: data || [], count: count || 0 };
+  },
+
+  // Names and SKUs of every item, including the Trash
+  listIdentifiers: async () => {
+    const { data, error } = await supabase.from('stock').select('name, sku');
+    if (error) throw error;
+    return data || [];
+  },
+
+  findBySku: async (sku) => {
+    const { data, error } = await supabase
+      .from('stock')
+      .select('id, name, sku, deleted_at')
+      .ilike('sku', sku.replace(/[\\%_]/g, '\\$&'))
+      .limit(1);
+
+    if (error) throw error;
+    return data[0] || null;
+  },
+
+  create: async (rows) => {
+    const { data, error } = await supabase
+      .from('stock')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // One item and its opening balance in one transaction. clientRef makes a
+  // retried call return the item the first one created.
+  createWithOpening: async (clientRef, values, opening) => {
+    const { data, error } = await supabase.rpc('create_stock_item', {
+      p_client_ref: clientRef,
+      p_values: values,
+      p_opening: opening
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // The values and the counted quantities are saved together, or nothing
+  // is when the version moved on
+  updateIfUnchanged: async (id, version, values, counts = [], note) => {
+    const { data, error } = await supabase.rpc('update_stock_item', {
+      p_id: id,
+      p_version: version,
+      p_values: values,
+      p_counts: counts,
+      p_note: note
+    });
+
+    if (error) return { error };
+    return data;
+  },
+
+  // Set the same values on several items, without a version check
+  updateMany: async (ids, values) => {
+    for (let from = 0; from < ids.length; from += ID_CHUNK_SIZE) {
+      const { error } = await supabase
+        .from('stock')
+        .update(values)
+        .in('id', ids.slice(from, from + ID_CHUNK_SIZE));
+
+      if (error) throw error;
+    }
+  },
+
+  // Returns how many items changed
+  adjustPrices: async (ids, { percent, amount }) => {
+    const { data, error } = await supabase.rpc('adjust_stock_prices', {
+      p_ids: ids,
+      p_percent: percent,
+      p_amount: amount
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  trash: async (id) => {
+    const { error } = await supabase.rpc('trash_stock', { p_id: id });
+    if (error) throw error;
+  },
+
+  restore: async (id) => {
+    const { error } = await supabase.rpc('restore_stock', { p_id: id });
+    if (error) throw error;
+  },
+
+  // Returns the thumbnail URL when no other item uses it
+  purge: async (id) => {
+    const { data, error } = await supabase.rpc('purge_stock', { p_id: id });
+    if (error) throw error;
+    return data;
+  },
+
+  // The database trigger applies each row to the levels and totals
+  recordTransactions: async (rows) => {
+    const { data, error } = await supabase
+      .from('stock_transaction')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data;
+  },
+
+  subscribe: (onChange) => {
+    const channel = supabase
+      .channel('inventory')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'stock' }, onChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'stock_level' }, onChange)
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+};
+
+const categories = {
+  list: async () => {
+    const { data, error } = await supabase
+      .from('category')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Categories with their item counts
+  summary: async () => {
+    const { data, error } = await supabase
+      .from('category_summary')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  create: async (rows) => {
+    const { data, error } = await supabase
+      .from('category')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data;
+  },
+
+  rename: async (id, name) => {
+    const { error } = await supabase.rpc('rename_category', { p_id: id, p_name: name });
+    if (error) throw error;
+  },
+
+  setParent: async (id, parentId) => {
+    const { error } = await supabase.rpc('set_category_parent', { p_id: id, p_parent_id: parentId });
+    if (error) throw error;
+  },
+
+  merge: async (sourceId, targetId) => {
+    const { error } = await supabase.rpc('merge_categories', { p_source_id: sourceId, p_target_id: targetId });
+    if (error) throw error;
+  },
+
+  remove: async (id, reassignToId) => {
+    const { error } = await supabase.rpc('delete_category', { p_id: id, p_reassign_to: reassignToId });
+    if (error) throw error;
+  }
+};
+
+const warehouses = {
+  list: async () => {
+    const { data, error } = await supabase
+      .from('warehouse')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Warehouses with their item counts, units and value
+  summary: async () => {
+    const { data, error } = await supabase
+      .from('warehouse_summary')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  create: async (rows) => {
+    const { data, error } = await supabase
+      .from('warehouse')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+    return data;
+  },
+
+  update: async ({ id, name, address, manager, capacity }) => {
+    const { error } = await supabase.rpc('update_warehouse', {
+      p_id: id,
+      p_name: name,
+      p_address: address,
+      p_manager: manager,
+      p_capacity: capacity
+    });
+
+    if (error) throw error;
+  },
+
+  deactivate: async (id) => {
+    const { error } = await supabase.rpc('deactivate_warehouse', { p_id: id });
+    if (error) throw error;
+  },
+
+  reactivate: async (id) => {
+    const { error } = await supabase.rpc('reactivate_warehouse', { p_id: id });
+    if (error) throw error;
+  }
+};
+
+const views = {
+  list: async (userId, page) => {
+    const { data, error } = await supabase
+      .from('saved_view')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('page', page)
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  create: async (values) => {
+    const { data, error } = await supabase
+      .from('saved_view')
+      .insert(values)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  update: async (id, values) => {
+    const { error } = await supabase.from('saved_view').update(values).eq('id', id);
+    if (error) throw error;
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase.from('saved_view').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  // Clear the old default first; the index allows one per user and page
+  setDefault: async (userId, page, id) => {
+    const { error: clearError } = await supabase
+      .from('saved_view')
+      .update({ is_default: false })
+      .eq('user_id', userId)
+      .eq('page', page)
+      .eq('is_default', true);
+
+    if (clearError) throw clearError;
+    if (!id) return;
+
+    const { error } = await supabase.from('saved_view').update({ is_default: true }).eq('id', id);
+    if (error) throw error;
+  }
+};
+
+// Ledger records, newest first, with the item they belong to.
+// filters: { search, type, reason, warehouse, dateFrom, dateTo }
+const transactions = {
+  list: async (filters = {}, { from, to } = {}) => {
+    // Inner join so filtering on the item name drops non-matching rows
+    let query = supabase
+      .from('stock_transaction')
+      .select('*, stock!inner(id, name)', { count: 'exact' });
+
+    if (filters.search) query = query.ilike('stock.name', `%${filters.search}%`);
+    if (filters.type) query = query.eq('type', filters.type);
+    if (filters.reason) query = query.eq('reason', filters.reason);
+    if (filters.warehouse) query = query.eq('warehouse', filters.warehouse);
+    if (filters.dateFrom) query = query.gte('occurred_at', filters.dateFrom);
+    if (filters.dateTo) query = query.lte('occurred_at', filters.dateTo);
+
+    const { data, error, count } = await query
+      .order('occurred_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { transactions: data || [], count: count || 0 };
+  },
+
+  // Units consumed per item and day since a yyyy-mm-dd date
+  dailyConsumption: async (stockIds, since) => {
+    const { data, error } = await supabase
+      .from('stock_daily_consumption')
+      .select('stock_id, day, quantity')
+      .in('stock_id', stockIds)
+      .gte('day', since);
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+// filters: { status, warehouse (either side) }
+const transfers = {
+  list: async (filters = {}, { from, to } = {}) => {
+    let query = supabase
+      .from('stock_transfer')
+      .select('*, stock_transfer_line(id, quantity, stock:stock_id(name))', { count: 'exact' });
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.warehouse) {
+      query = query.or(`from_warehouse.eq."${filters.warehouse}",to_warehouse.eq."${filters.warehouse}"`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { transfers: data || [], count: count || 0 };
+  },
+
+  // Returns the new transfer's id
+  create: async ({ fromWarehouse, toWarehouse, lines, note, receiveNow }) => {
+    const { data, error } = await supabase.rpc('create_stock_transfer', {
+      p_from_warehouse: fromWarehouse,
+      p_to_warehouse: toWarehouse,
+      p_lines: lines.map(line => ({ stock_id: line.stockId, quantity: line.quantity })),
+      p_note: note,
+      p_receive_now: receiveNow
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  receive: async (id) => {
+    const { error } = await supabase.rpc('receive_stock_transfer', { p_transfer_id: id });
+    if (error) throw error;
+  },
+
+  cancel: async (id) => {
+    const { error } = await supabase.rpc('cancel_stock_transfer', { p_transfer_id: id });
+    if (error) throw error;
+  }
+};
+
+const suppliers = {
+  list: async () => {
+    const { data, error } = await supabase
+      .from('supplier')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Suppliers with the number of items linked to each
+  summary: async () => {
+    const { data, error } = await supabase
+      .from('supplier')
+      .select('*, stock_supplier(count)')
+      .order('name');
+
+    if (error) throw error;
+    return (data || []).map(({ stock_supplier: links, ...supplier }) => ({
+      ...supplier,
+      item_count: links?.[0]?.count || 0
+    }));
+  },
+
+  // Insert when id is null, otherwise update
+  save: async (id, values) => {
+    const { data, error } = id
+      ? await supabase.from('supplier').update(values).eq('id', id).select()
+      : await supabase.from('supplier').insert([values]).select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  remove: async (id) => {
+    const { error } = await supabase.from('supplier').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  // Replace the supplier links of one item with rows
+  // ({ supplier_id, supplier_sku, unit_cost, lead_time_days })
+  saveLinks: async (stockId, rows) => {
+    const supplierIds = rows.map(row => row.supplier_id);
+
+    let removeQuery = supabase.from('stock_supplier').delete().eq('stock_id', stockId);
+    if (supplierIds.length) {
+      removeQuery = removeQuery.not('supplier_id', 'in', `(${supplierIds.join(',')})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+
+    if (!rows.length) return;
+
+    const { error } = await supabase
+      .from('stock_supplier')
+      .upsert(rows.map(row => ({ stock_id: stockId, ...row })), { onConflict: 'stock_id,supplier_id' });
+
+    if (error) throw error;
+  }
+};
+
+// filters: { status, supplierId }
+const purchaseOrders = {
+  list: async (filters = {}, { from, to } = {}) => {
+    let query = supabase
+      .from('purchase_order')
+      .select(
+        '*, supplier(id, name), purchase_order_line(id, stock_id, quantity_ordered, quantity_received, unit_cost, stock:stock_id(name))',
+        { count: 'exact' }
+      );
+
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.supplierId) query = query.eq('supplier_id', filters.supplierId);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { orders: data || [], count: count || 0 };
+  },
+
+  // One order with its lines and receipts, or null
+  get: async (id) => {
+    const { data, error } = await supabase
+      .from('purchase_order')
+      .select(`
+        *,
+        supplier(id, name),
+        purchase_order_line(id, stock_id, quantity_ordered, quantity_received, unit_cost, stock:stock_id(name, sku)),
+        purchase_receipt(id, created_at, warehouse, note, received_by_email, purchase_receipt_line(id, line_id, quantity))
+      `)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Returns the order id
+  save: async ({ id, supplierId, expectedDate, note, lines }) => {
+    const { data, error } = await supabase.rpc('save_purchase_order', {
+      p_id: id,
+      p_supplier_id: supplierId,
+      p_expected_date: expectedDate,
+      p_note: note,
+      p_lines: lines.map(line => ({ stock_id: line.stockId, quantity: line.quantity, unit_cost: line.unitCost }))
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  send: async (id) => {
+    const { error } = await supabase.rpc('send_purchase_order', { p_id: id });
+    if (error) throw error;
+  },
+
+  cancel: async (id) => {
+    const { error } = await supabase.rpc('cancel_purchase_order', { p_id: id });
+    if (error) throw error;
+  },
+
+  // Returns the receipt id
+  receive: async ({ orderId, warehouse, lines, note }) => {
+    const { data, error } = await supabase.rpc('receive_purchase_order', {
+      p_id: orderId,
+      p_warehouse: warehouse,
+      p_lines: lines.map(line => ({ line_id: line.lineId, quantity: line.quantity })),
+      p_note: note
+    });
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+// filters: { search (customer), status, warehouse }
+const salesOrders = {
+  list: async (filters = {}, { from, to } = {}) => {
+    let query = supabase
+      .from('sales_order')
+      .select('*, sales_order_line(id, stock_id, quantity, unit_price, stock:stock_id(name))', { count: 'exact' });
+
+    if (filters.search) query = query.ilike('customer_name', `%${filters.search}%`);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.warehouse) query = query.eq('warehouse', filters.warehouse);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { orders: data || [], count: count || 0 };
+  },
+
+  // Returns the order id
+  save: async ({ id, customerName, customerContact, warehouse, note, lines }) => {
+    const { data, error } = await supabase.rpc('save_sales_order', {
+      p_id: id,
+      p_customer_name: customerName,
+      p_customer_contact: customerContact,
+      p_warehouse: warehouse,
+      p_note: note,
+      p_lines: lines.map(line => ({ stock_id: line.stockId, quantity: line.quantity, unit_price: line.unitPrice }))
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  confirm: async (id) => {
+    const { error } = await supabase.rpc('confirm_sales_order', { p_id: id });
+    if (error) throw error;
+  },
+
+  ship: async (id) => {
+    const { error } = await supabase.rpc('ship_sales_order', { p_id: id });
+    if (error) throw error;
+  },
+
+  cancel: async (id) => {
+    const { error } = await supabase.rpc('cancel_sales_order', { p_id: id });
+    if (error) throw error;
+  }
+};
+
+// Entries newest first. filters: { search (record or person), entity,
+// action, since and before (ISO timestamps), entities and entityId }
+const audit = {
+  list: async (filters = {}, { from, to } = {}) => {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' });
+
+    if (filters.search) {
+      const pattern = toIlikePattern(filters.search);
+      query = query.or(`entity_name.ilike.${pattern},actor_email.ilike.${pattern}`);
+    }
+
+    if (filters.entity) query = query.eq('entity', filters.entity);
+    if (filters.entities) query = query.in('entity', filters.entities);
+    if (filters.entityId !== undefined) query = query.eq('entity_id', filters.entityId);
+    if (filters.action) query = query.eq('action', filters.action);
+    if (filters.since) query = query.gte('created_at', filters.since);
+    if (filters.before) query = query.lt('created_at', filters.before);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { entries: data || [], count: count || 0 };
+  }
+};
+
+let notificationChannelCount = 0;
+
+const notifications = {
+  // null when the user has not saved any
+  getPreferences: async (userId) => {
+    const { data, error } = await supabase
+      .from('notification_preference')
+      .select('low_stock, out_of_stock, large_adjustment, browser')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  savePreferences: async (userId, preferences) => {
+    const { error } = await supabase
+      .from('notification_preference')
+      .upsert({ user_id: userId, ...preferences, updated_at: new Date().toISOString() });
+
+    if (error) throw error;
+  },
+
+  // Latest events of the given types, with the current user's read flag
+  list: async (types, limit) => {
+    const { data, error } = await supabase
+      .from('my_notification')
+      .select('*, stock(name)')
+      .in('type', types)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  unreadCount: async (types) => {
+    const { count, error } = await supabase
+      .from('my_notification')
+      .select('id', { count: 'exact', head: true })
+      .in('type', types)
+      .eq('is_read', false);
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  // With no ids, every unread event of the types
+  markRead: async (userId, types, ids) => {
+    let eventIds = ids;
+
+    if (!eventIds) {
+      const { data, error } = await supabase
+        .from('my_notification')
+        .select('id')
+        .in('type', types)
+        .eq('is_read', false);
+
+      if (error) throw error;
+      eventIds = (data || []).map(event => event.id);
+    }
+
+    if (eventIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('notification_read')
+      .upsert(eventIds.map(eventId => ({ user_id: userId, event_id: eventId })), { ignoreDuplicates: true });
+
+    if (error) throw error;
+  },
+
+  // Each caller gets its own channel (the menu renders a bell for desktop
+  // and one for mobile)
+  subscribe: (onEvent) => {
+    notificationChannelCount += 1;
+    const channel = supabase
+      .channel(`stock_event:${notificationChannelCount}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'stock_event' }, (payload) => onEvent(payload.new))
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+};
+
+const storage = {
+  // Upload to the stock bucket and return the public URL
+  upload: async (file, fileName) => {
+    const { error } = await supabase
+      .storage
+      .from(STORAGE_BUCKET)
+      .upload(fileName, file, {
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (error) throw error;
+
+    const { data } = supabase
+      .storage
+      .from(STORAGE_BUCKET)
+      .getPublicUrl(fileName);
+
+    return data.publicUrl;
+  },
+
+  // External URLs are left alone
+  remove: async (url) => {
+    const path = getStoragePath(url);
+    if (!path) return;
+
+    const { error } = await supabase.storage.from(STORAGE_BUCKET).remove([path]);
+    if (error) throw error;
+  }
+};
+
+export const createSupabaseBackend = () => ({
+  auth,
+  items,
+  categories,
+  warehouses,
+  views,
+  storage,
+  transactions,
+  transfers,
+  suppliers,
+  purchaseOrders,
+  salesOrders,
+  audit,
+  notifications
+});
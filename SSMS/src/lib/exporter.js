@@ -0,0 +1,177 @@
+import * as XLSX from 'xlsx';
+import { formatRupiah, formatDate } from './format';
+import { getStockStatus } from './stockStatus';
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel (XLSX)' },
+  { key: 'pdf', label: 'PDF (print)' }
+];
+
+// Same columns as the Inventory table, minus the image and actions
+const EXPORT_COLUMNS = [
+  { key: 'name', label: 'Item' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'category', label: 'Category' },
+  { key: 'warehouse', label: 'Warehouse' },
+  { key: 'quantity', label: 'On Hand', numeric: true },
+  { key: 'reserved', label: 'Reserved', numeric: true },
+  { key: 'available', label: 'Available', numeric: true },
+  { key: 'price', label: 'Price', numeric: true, currency: true },
+  { key: 'value', label: 'Value', numeric: true, currency: true },
+  { key: 'threshold', label: 'Threshold', numeric: true },
+  { key: 'status', label: 'Status' }
+];
+
+// Flatten stock rows into plain export rows with the computed columns
+export const toExportRows = (items) => items.map(item => ({
+  name: item.name,
+  sku: item.sku || '',
+  category: item.category?.name || item.category || '',
+  warehouse: (item.stock_level || [])
+    .filter(level => level.quantity > 0)
+    .map(level => level.warehouse)
+    .sort()
+    .join(', '),
+  quantity: item.quantity || 0,
+  reserved: item.reserved_quantity || 0,
+  available: item.available_quantity ?? (item.quantity || 0),
+  price: item.price || 0,
+  value: (item.quantity || 0) * (item.price || 0),
+  threshold: item.threshold,
+  status: getStockStatus(item).label
+}));
+
+// Out of stock counts as low stock, as in the Inventory status filter
+const isLowStatus = (status) => status === 'Low Stock' || status === 'Out of Stock';
+
+export const getExportTotals = (rows) => ({
+  count: rows.length,
+  quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+  value: rows.reduce((sum, row) => sum + row.value, 0),
+  lowStock: rows.filter(row => isLowStatus(row.status)).length
+});
+
+const exportFileName = (extension) =>
+  `inventory-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+// Text starting with =, +, -, @ (or a tab or carriage return) runs as a
+// formula when the file is opened in a spreadsheet; a leading ' keeps it text
+export const escapeFormula = (value) =>
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+// The sheet as rows of cells, header first
+export const toSheetData = (rows, { withTotals }) => {
+  const data = [
+    EXPORT_COLUMNS.map(column => column.label),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => escapeFormula(row[column.key])))
+  ];
+
+  if (withTotals) {
+    const totals = getExportTotals(rows);
+    data.push([]);
+    data.push(EXPORT_COLUMNS.map(column => {
+      if (column.key === 'name') return `Total (${totals.count} items)`;
+      if (column.key === 'quantity') return totals.quantity;
+      if (column.key === 'value') return totals.value;
+      return '';
+    }));
+  }
+
+  return data;
+};
+
+const toSheet = (rows, options) => XLSX.utils.aoa_to_sheet(toSheetData(rows, options));
+
+// CSV stays one row per item so it can be re-imported or processed further
+const exportCsv = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, toSheet(rows, { withTotals: false }), 'Inventory');
+  XLSX.writeFile(workbook, exportFileName('csv'), { bookType: 'csv' });
+};
+
+const exportXlsx = (rows) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, toSheet(rows, { withTotals: true }), 'Inventory');
+  XLSX.writeFile(workbook, exportFileName('xlsx'));
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatCell = (row, column) => (column.currency ? formatRupiah(row[column.key]) : row[column.key]);
+
+// Open a print-ready page; the browser's print dialog saves it as PDF
+const exportPdf = (rows, { filters }) => {
+  const totals = getExportTotals(rows);
+  const printWindow = window.open('', '_blank');
+
+  if (!printWindow) {
+    throw new Error('Please allow pop-ups for this site to export a PDF.');
+  }
+
+  const filterText = filters.filter(f => f.value).map(f => `${f.label}: ${f.value}`).join(' · ') || 'All items';
+
+  printWindow.document.write(`<!doctype html>
+<html>
+<head>
+  <title>${escapeHtml(exportFileName('pdf'))}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 11px; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    p { margin: 0 0 12px; color: #4b5563; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; }
+    th { background: #f3f4f6; text-transform: uppercase; font-size: 10px; }
+    .numeric { text-align: right; }
+    .low { color: #b91c1c; }
+    tfoot td { font-weight: bold; border-top: 2px solid #111827; }
+  </style>
+</head>
+<body>
+  <h1>Inventory Report</h1>
+  <p>${escapeHtml(formatDate(new Date()))} · ${escapeHtml(filterText)}</p>
+  <table>
+    <thead>
+      <tr>${EXPORT_COLUMNS.map(column => `<th class="${column.numeric ? 'numeric' : ''}">${column.label}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${rows.map(row => `<tr>${EXPORT_COLUMNS.map(column => {
+        const className = [column.numeric && 'numeric', column.key === 'status' && isLowStatus(row.status) && 'low']
+          .filter(Boolean)
+          .join(' ');
+        return `<td class="${className}">${escapeHtml(formatCell(row, column))}</td>`;
+      }).join('')}</tr>`).join('\n      ')}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="4">Total (${totals.count} items, ${totals.lowStock} low stock)</td>
+        <td class="numeric">${totals.quantity}</td>
+        <td colspan="3"></td>
+        <td class="numeric">${escapeHtml(formatRupiah(totals.value))}</td>
+        <td colspan="2"></td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>`);
+
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
+
+// options.filters: [{ label, value }] describing the active filters (PDF header)
+export const exportInventory = (format, items, options = {}) => {
+  const rows = toExportRows(items);
+
+  switch (format) {
+    case 'csv': return exportCsv(rows);
+    case 'xlsx': return exportXlsx(rows);
+    case 'pdf': return exportPdf(rows, { filters: options.filters || [] });
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { escapeFormula, toExportRows, toSheetData } from './exporter';
+
+const item = (values) => ({
+  name: 'Widget',
+  sku: 'W-1',
+  category: { name: 'Parts' },
+  stock_level: [{ warehouse: 'Main', quantity: 5 }],
+  quantity: 5,
+  reserved_quantity: 0,
+  available_quantity: 5,
+  price: 1000,
+  threshold: 2,
+  ...values
+});
+
+describe('escapeFormula', () => {
+  it('prefixes text that a spreadsheet would run as a formula', () => {
+    expect(escapeFormula('=HYPERLINK("http://example.com")')).toBe('\'=HYPERLINK("http://example.com")');
+    expect(escapeFormula('+1')).toBe('\'+1');
+    expect(escapeFormula('-1')).toBe('\'-1');
+    expect(escapeFormula('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(escapeFormula('\tcmd')).toBe('\'\tcmd');
+  });
+
+  it('leaves other text and numbers alone', () => {
+    expect(escapeFormula('Widget = 2')).toBe('Widget = 2');
+    expect(escapeFormula('')).toBe('');
+    expect(escapeFormula(-5)).toBe(-5);
+  });
+});
+
+describe('toSheetData', () => {
+  it('escapes item text cells but keeps numbers as numbers', () => {
+    const [header, row] = toSheetData(toExportRows([item({ name: '=1+1', sku: '@A1' })]), { withTotals: false });
+
+    expect(row[header.indexOf('Item')]).toBe('\'=1+1');
+    expect(row[header.indexOf('SKU')]).toBe('\'@A1');
+    expect(row[header.indexOf('On Hand')]).toBe(5);
+  });
+});
@@ -0,0 +1,113 @@
+import { transactions } from './data';
+
+export const FORECAST_METHODS = [
+  { value: 'moving_average', label: 'Moving average (30 days)' },
+  { value: 'exponential_smoothing', label: 'Exponential smoothing' }
+];
+
+const HISTORY_DAYS = 90;
+const MOVING_AVERAGE_DAYS = 30;
+const SMOOTHING_ALPHA = 0.1;
+// Safety stock covers demand up to the 95th percentile during the lead time
+const SERVICE_LEVEL_Z = 1.65;
+// A reorder should cover roughly a month of demand
+const ORDER_CYCLE_DAYS = 30;
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Dates come back as YYYY-MM-DD; read them as local days, not UTC
+const parseDay = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Units consumed per day over the last `days` days, oldest first.
+// rows: stock_daily_consumption rows ({ day, quantity }) for one item.
+export const toDailyUsage = (rows, days = HISTORY_DAYS, today = new Date()) => {
+  const usage = new Array(days).fill(0);
+  const end = startOfDay(today).getTime();
+
+  rows.forEach(row => {
+    const index = days - 1 - Math.round((end - parseDay(row.day).getTime()) / DAY_MS);
+    if (index >= 0 && index < days) {
+      usage[index] += row.quantity;
+    }
+  });
+
+  return usage;
+};
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+export const movingAverage = (usage, days = MOVING_AVERAGE_DAYS) =>
+  mean(usage.slice(-days));
+
+export const exponentialSmoothing = (usage, alpha = SMOOTHING_ALPHA) =>
+  usage.reduce((level, value) => alpha * value + (1 - alpha) * level, mean(usage));
+
+// Shortest lead time quoted by the item's suppliers
+export const getLeadTimeDays = (supplierLinks) => {
+  const leadTimes = (supplierLinks || [])
+    .map(link => link.lead_time_days)
+    .filter(days => days !== null && days !== undefined);
+  return leadTimes.length ? Math.min(...leadTimes) : DEFAULT_LEAD_TIME_DAYS;
+};
+
+// Daily consumption rate, projected stockout and reorder recommendation.
+// daysLeft and stockoutDate are null when the item has not been used.
+export const forecastItem = ({ usage, available, leadTimeDays, method = 'moving_average', today = new Date() }) => {
+  const dailyRate = method === 'exponential_smoothing'
+    ? exponentialSmoothing(usage)
+    : movingAverage(usage);
+
+  if (dailyRate <= 0) {
+    return { dailyRate: 0, daysLeft: null, stockoutDate: null, leadTimeDays, reorderPoint: 0, reorderQuantity: 0 };
+  }
+
+  const safetyStock = SERVICE_LEVEL_Z * standardDeviation(usage) * Math.sqrt(leadTimeDays);
+  const daysLeft = Math.max(Math.floor(Math.max(available, 0) / dailyRate), 0);
+
+  return {
+    dailyRate,
+    daysLeft,
+    stockoutDate: new Date(startOfDay(today).getTime() + daysLeft * DAY_MS),
+    leadTimeDays,
+    reorderPoint: Math.ceil(dailyRate * leadTimeDays + safetyStock),
+    reorderQuantity: Math.max(Math.ceil(dailyRate * ORDER_CYCLE_DAYS), 1)
+  };
+};
+
+// Forecasts for a page of items, keyed by item id. Items need
+// available_quantity (or quantity) and their embedded stock_supplier links.
+export const fetchForecasts = async (items, method) => {
+  if (items.length === 0) return {};
+
+  const since = new Date(startOfDay(new Date()).getTime() - (HISTORY_DAYS - 1) * DAY_MS);
+  const data = await transactions.dailyConsumption(items.map(item => item.id), toDateString(since));
+
+  return Object.fromEntries(items.map(item => [
+    item.id,
+    forecastItem({
+      usage: toDailyUsage(data.filter(row => row.stock_id === item.id)),
+      available: item.available_quantity ?? item.quantity ?? 0,
+      leadTimeDays: getLeadTimeDays(item.stock_supplier),
+      method
+    })
+  ]));
+};
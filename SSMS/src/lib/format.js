@@ -0,0 +1,30 @@
+// Formatter for Indonesian Rupiah
+export const formatRupiah = (amount) => {
+  return new Intl.NumberFormat('id-ID', {
+    style: 'currency',
+    currency: 'IDR',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+// Format a date or ISO string as e.g. "19 Okt 2026"
+export const formatDate = (value) => {
+  if (!value) return '';
+  return new Intl.DateTimeFormat('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  }).format(new Date(value));
+};
+
+// Format a timestamp as e.g. "19 Okt 2026 14.05"
+export const formatDateTime = (value) => {
+  if (!value) return '';
+  return new Intl.DateTimeFormat('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(new Date(value));
+};
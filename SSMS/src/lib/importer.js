@@ -0,0 +1,253 @@
+import * as XLSX from 'xlsx';
+import { categories as categoryStore, warehouses as warehouseStore } from './data';
+import { createItems } from './items';
+import { recordTransactions } from './transactions';
+import { normalizeSku } from './sku';
+
+// Columns an import file can be mapped to. Aliases are matched against the
+// file's header row (case-insensitive) to pre-fill the mapping.
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'item', 'item name', 'product', 'nama', 'nama barang'] },
+  { key: 'sku', label: 'SKU', aliases: ['sku', 'barcode', 'code', 'item code', 'kode', 'kode barang'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'kategori'] },
+  { key: 'warehouse', label: 'Warehouse', aliases: ['warehouse', 'location', 'gudang'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'stock', 'jumlah', 'stok'] },
+  { key: 'price', label: 'Price', aliases: ['price', 'unit price', 'harga'] },
+  { key: 'threshold', label: 'Threshold', aliases: ['threshold', 'minimum', 'min stock', 'reorder point'] }
+];
+
+export const IMPORT_BATCH_SIZE = 100;
+const DEFAULT_THRESHOLD = 10;
+
+// Read the first sheet of a CSV or XLSX file into a header row and data rows.
+// Uploaded files are untrusted: package.json installs xlsx from the SheetJS
+// CDN because the npm registry stops at 0.18.5, which crafted files can use
+// for prototype pollution (CVE-2023-30533).
+export const readSpreadsheet = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+  if (!sheet) {
+    throw new Error('The file does not contain any sheets.');
+  }
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+
+  // Skip rows where every cell is empty
+  const rows = dataRows.filter(row => row.some(cell => String(cell).trim() !== ''));
+
+  return { headers: headerRow.map(header => String(header).trim()), rows };
+};
+
+// Map each field to the index of the header that matches one of its aliases
+export const guessMapping = (headers) => {
+  const normalized = headers.map(header => header.toLowerCase());
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex(header => field.aliases.includes(header));
+    return { ...mapping, [field.key]: index === -1 ? '' : String(index) };
+  }, {});
+};
+
+// Accepts numbers, "1500", "1,500.50" and Indonesian "1.500,50" or "Rp 1.500"
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/rp/i, '').replace(/\s/g, '');
+  if (text === '') return null;
+
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text) || /^-?\d+,\d+$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const number = Number(text);
+  return Number.isNaN(number) ? NaN : number;
+};
+
+// Exports prefix formula-like text with ' (see escapeFormula); drop it so
+// an exported file imports back unchanged
+const cellValue = (row, mapping, key) => {
+  const index = mapping[key];
+  const value = index === '' || index === undefined ? '' : row[parseInt(index)];
+  return typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+};
+
+// Turn raw rows into items and collect the problems of each row.
+// context: { categories, warehouses, existingNames, existingSkus, createCategories, createWarehouses }
+export const validateRows = (rows, mapping, context) => {
+  const categoryNames = new Set(context.categories.map(c => c.name.toLowerCase()));
+  const warehouseNames = new Set(context.warehouses.map(w => w.name.toLowerCase()));
+  const inactiveWarehouses = new Set(context.warehouses.filter(w => w.is_active === false).map(w => w.name.toLowerCase()));
+  const existingNames = new Set(context.existingNames.map(name => name.toLowerCase()));
+  const existingSkus = new Set((context.existingSkus || []).map(sku => sku.toLowerCase()));
+  const namesInFile = new Set();
+  const skusInFile = new Set();
+
+  return rows.map((row, index) => {
+    const errors = [];
+
+    const name = String(cellValue(row, mapping, 'name')).trim();
+    const sku = normalizeSku(cellValue(row, mapping, 'sku'));
+    const category = String(cellValue(row, mapping, 'category')).trim();
+    const warehouse = String(cellValue(row, mapping, 'warehouse')).trim();
+    const quantity = parseNumber(cellValue(row, mapping, 'quantity'));
+    const price = parseNumber(cellValue(row, mapping, 'price'));
+    const threshold = parseNumber(cellValue(row, mapping, 'threshold'));
+
+    if (!name) {
+      errors.push('Name is required');
+    } else if (existingNames.has(name.toLowerCase())) {
+      errors.push('An item with this name already exists');
+    } else if (namesInFile.has(name.toLowerCase())) {
+      errors.push('Duplicate name in file');
+    }
+    namesInFile.add(name.toLowerCase());
+
+    if (sku && existingSkus.has(sku.toLowerCase())) {
+      errors.push('SKU is already used by another item');
+    } else if (sku && skusInFile.has(sku.toLowerCase())) {
+      errors.push('Duplicate SKU in file');
+    }
+    if (sku) skusInFile.add(sku.toLowerCase());
+
+    if (category && !categoryNames.has(category.toLowerCase()) && !context.createCategories) {
+      errors.push(`Unknown category "${category}"`);
+    }
+
+    if (warehouse && !warehouseNames.has(warehouse.toLowerCase()) && !context.createWarehouses) {
+      errors.push(`Unknown warehouse "${warehouse}"`);
+    } else if (inactiveWarehouses.has(warehouse.toLowerCase())) {
+      errors.push(`Warehouse "${warehouse}" is inactive`);
+    }
+
+    if (Number.isNaN(quantity)) {
+      errors.push('Quantity is not a number');
+    } else if (quantity < 0) {
+      errors.push('Quantity cannot be negative');
+    } else if (quantity !== null && !Number.isInteger(quantity)) {
+      errors.push('Quantity must be a whole number');
+    } else if (quantity > 0 && !warehouse) {
+      errors.push('A warehouse is required when quantity is above zero');
+    }
+
+    if (Number.isNaN(price)) {
+      errors.push('Price is not a number');
+    } else if (price < 0) {
+      errors.push('Price cannot be negative');
+    }
+
+    if (Number.isNaN(threshold)) {
+      errors.push('Threshold is not a number');
+    } else if (threshold < 0) {
+      errors.push('Threshold cannot be negative');
+    }
+
+    return {
+      // Header is row 1 in the spreadsheet
+      rowNumber: index + 2,
+      item: {
+        name,
+        sku,
+        category,
+        warehouse,
+        quantity: quantity || 0,
+        price: price || 0,
+        threshold: threshold ?? DEFAULT_THRESHOLD
+      },
+      errors
+    };
+  });
+};
+
+// Categories or warehouses used by the items that do not exist yet
+export const findMissing = (values, existing) => {
+  const existingNames = new Set(existing.map(e => e.name.toLowerCase()));
+  const missing = new Map();
+
+  values.filter(Boolean).forEach(value => {
+    if (!existingNames.has(value.toLowerCase()) && !missing.has(value.toLowerCase())) {
+      missing.set(value.toLowerCase(), value);
+    }
+  });
+
+  return [...missing.values()];
+};
+
+// Use the stored spelling of a category or warehouse name
+const canonicalName = (value, existing) =>
+  existing.find(e => e.name.toLowerCase() === value.toLowerCase())?.name || value;
+
+const insertNames = async (store, names) => {
+  if (!names.length) return [];
+  return store.create(names.map(name => ({ name })));
+};
+
+// Insert valid rows in batches. Each batch creates the stock rows and then
+// books their opening quantities through the ledger.
+export const importItems = async (validRows, { categories, warehouses, onProgress = () => {} }) => {
+  const summary = {
+    created: 0,
+    failed: [],
+    categoriesCreated: [],
+    warehousesCreated: []
+  };
+
+  const newCategories = await insertNames(categoryStore, findMissing(validRows.map(r => r.item.category), categories));
+  const newWarehouses = await insertNames(warehouseStore, findMissing(validRows.map(r => r.item.warehouse), warehouses));
+  summary.categoriesCreated = newCategories.map(c => c.name);
+  summary.warehousesCreated = newWarehouses.map(w => w.name);
+
+  const allCategories = [...categories, ...newCategories];
+  const allWarehouses = [...warehouses, ...newWarehouses];
+
+  for (let start = 0; start < validRows.length; start += IMPORT_BATCH_SIZE) {
+    const batch = validRows.slice(start, start + IMPORT_BATCH_SIZE);
+
+    try {
+      const data = await createItems(batch.map(({ item }) => ({
+        name: item.name,
+        sku: item.sku,
+        category: item.category ? canonicalName(item.category, allCategories) : null,
+        quantity: 0,
+        price: item.price,
+        threshold: item.threshold
+      })));
+
+      summary.created += data.length;
+
+      const idsByName = Object.fromEntries(data.map(row => [row.name, row.id]));
+      const openingBalances = batch
+        .filter(({ item }) => item.quantity > 0)
+        .map(({ item }) => ({
+          stockId: idsByName[item.name],
+          warehouse: canonicalName(item.warehouse, allWarehouses),
+          type: 'in',
+          reason: 'initial',
+          quantityDelta: item.quantity,
+          note: 'Opening balance (import)'
+        }));
+
+      if (openingBalances.length) {
+        try {
+          await recordTransactions(openingBalances);
+        } catch (error) {
+          // The items exist; only their quantities are missing
+          batch.filter(({ item }) => item.quantity > 0).forEach(({ rowNumber, item }) => {
+            summary.failed.push({ rowNumber, name: item.name, message: `Created without quantity: ${error.message}` });
+          });
+        }
+      }
+    } catch (error) {
+      batch.forEach(({ rowNumber, item }) => {
+        summary.failed.push({ rowNumber, name: item.name, message: error.message });
+      });
+    }
+
+    onProgress(Math.min(start + IMPORT_BATCH_SIZE, validRows.length), validRows.length);
+  }
+
+  return summary;
+};
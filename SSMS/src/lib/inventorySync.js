@@ -0,0 +1,55 @@
+import { items } from './data';
+
+// Item fields the edit form writes, in the order the conflict view lists them
+export const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'sku', label: 'SKU / Barcode' },
+  { key: 'category', label: 'Category' },
+  { key: 'price', label: 'Price' },
+  { key: 'threshold', label: 'Threshold' },
+  { key: 'thumbnail', label: 'Thumbnail' }
+];
+
+// The editable fields of a stock row, for comparing versions
+export const toEditableFields = (row) =>
+  Object.fromEntries(CONFLICT_FIELDS.map(field => [field.key, row[field.key] ?? null]));
+
+// Call onChange whenever any user inserts, updates or deletes an item or
+// one of its warehouse levels. Returns a function that stops listening.
+export const subscribeToInventory = (onChange) => items.subscribe(onChange);
+
+// Update an item only if nobody changed it since `version` was loaded.
+// Returns { item } on success or { conflict } with the current row.
+// counts ([{ warehouse, quantity }]) are the quantities found on the shelf;
+// the server books the differences as count adjustments in the same
+// transaction. Without updateData the version is not checked.
+export const updateItemIfUnchanged = (id, version, updateData, counts = [], note) =>
+  items.updateIfUnchanged(id, version, updateData, counts, note);
+
+// Compare what the form loaded (original), what the user wants (mine) and
+// what is saved now (theirs). Lists every field the other user changed;
+// `conflicting` marks the ones both sides changed to different values.
+export const getFieldConflicts = (original, mine, theirs) =>
+  CONFLICT_FIELDS
+    .filter(field => theirs[field.key] !== original[field.key])
+    .map(field => ({
+      ...field,
+      original: original[field.key],
+      mine: mine[field.key],
+      theirs: theirs[field.key],
+      conflicting: mine[field.key] !== original[field.key] && mine[field.key] !== theirs[field.key]
+    }));
+
+// Merge both sides: fields only they changed take their value; fields both
+// changed take whichever side `choices[key]` names ('mine' or 'theirs').
+export const mergeFields = (mine, conflicts, choices) => {
+  const merged = { ...mine };
+
+  conflicts.forEach(field => {
+    if (!field.conflicting || choices[field.key] === 'theirs') {
+      merged[field.key] = field.theirs;
+    }
+  });
+
+  return merged;
+};
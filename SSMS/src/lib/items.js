@@ -0,0 +1,87 @@
+import { v4 as uuidv4 } from 'uuid';
+import { items, storage } from './data';
+import { DUPLICATE_SKU_MESSAGE, isDuplicateSkuError } from './sku';
+
+// Items with their warehouse levels and supplier links.
+// filters: { ids, search, categories, warehouse, lowStock, outOfStock,
+//   supplierId, minQuantity, maxQuantity, minPrice, maxPrice, trashed }
+// options: { from, to, order: { column, ascending } }; returns { items, count }
+export const fetchItems = (filters, options) => items.list(filters, options);
+
+// The server returns at most 1000 rows per request
+const FETCH_ALL_CHUNK_SIZE = 1000;
+
+// Every item matching the filters, read in chunks
+export const fetchAllItems = async (filters, order) => {
+  const all = [];
+  for (let from = 0; ; from += FETCH_ALL_CHUNK_SIZE) {
+    const { items: chunk } = await fetchItems(filters, { from, to: from + FETCH_ALL_CHUNK_SIZE - 1, order });
+    all.push(...chunk);
+    if (chunk.length < FETCH_ALL_CHUNK_SIZE) break;
+  }
+  return all;
+};
+
+// Ids per request when reading items by id, to keep the URL short
+const ID_CHUNK_SIZE = 200;
+
+// The current rows of the given items; ones deleted meanwhile are left out
+export const fetchItemsByIds = async (ids) => {
+  const all = [];
+  for (let from = 0; from < ids.length; from += ID_CHUNK_SIZE) {
+    const { items: chunk } = await fetchItems({ ids: ids.slice(from, from + ID_CHUNK_SIZE) });
+    all.push(...chunk);
+  }
+  return all;
+};
+
+// Names and SKUs of every item, including the Trash, for duplicate checks
+export const fetchItemIdentifiers = () => items.listIdentifiers();
+
+// Insert several items. Quantities start at zero; book opening balances
+// with recordTransactions afterwards.
+export const createItems = async (rows) => {
+  try {
+    return await items.create(rows);
+  } catch (error) {
+    if (isDuplicateSkuError(error)) throw new Error(DUPLICATE_SKU_MESSAGE);
+    throw error;
+  }
+};
+
+// Insert one item and book its opening quantity ({ warehouse, quantity }
+// or null) in one transaction. Calling again with the same clientRef
+// returns the item the first call created instead of adding another.
+export const createItem = async (values, opening = null, clientRef = uuidv4()) => {
+  try {
+    return await items.createWithOpening(clientRef, values, opening);
+  } catch (error) {
+    if (isDuplicateSkuError(error)) throw new Error(DUPLICATE_SKU_MESSAGE);
+    throw error;
+  }
+};
+
+// Thresholds are counted in whole units, like quantities
+export const validateThreshold = (threshold) => {
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error('Please enter a threshold of zero or more, in whole units.');
+  }
+};
+
+// Set the same values (category, threshold) on several items. Unlike the
+// edit form this does not check versions: the last bulk change wins.
+export const updateItems = (ids, values) => items.updateMany(ids, values);
+
+// The price after a bulk adjustment by a percentage and/or a fixed amount,
+// rounded to whole rupiah and never below zero
+export const getAdjustedPrice = (price, { percent = 0, amount = 0 }) =>
+  Math.max(0, Math.round((price || 0) * (1 + percent / 100) + amount));
+
+// Adjust the price of several items at once; returns how many changed
+export const adjustItemPrices = (ids, adjustment) => items.adjustPrices(ids, adjustment);
+
+// Store an item image under a unique name and return its public URL
+export const uploadItemImage = (file) => {
+  const fileExt = file.name.split('.').pop();
+  return storage.upload(file, `${uuidv4()}.${fileExt}`);
+};
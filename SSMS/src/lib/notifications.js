@@ -0,0 +1,68 @@
+import { notifications } from './data';
+
+// Event types written by the stock_event triggers
+export const NOTIFICATION_TYPES = [
+  { value: 'low_stock', label: 'Low stock', description: 'An item drops to or below its threshold', icon: '⚠️' },
+  { value: 'out_of_stock', label: 'Out of stock', description: 'An item reaches zero', icon: '⛔' },
+  { value: 'large_adjustment', label: 'Large adjustment', description: 'A stock count changes by 50 units or more', icon: '✏️' }
+];
+
+// Users without a notification_preference row get everything in the bell
+export const DEFAULT_PREFERENCES = {
+  low_stock: true,
+  out_of_stock: true,
+  large_adjustment: true,
+  browser: false
+};
+
+export const getNotificationType = (type) =>
+  NOTIFICATION_TYPES.find(t => t.value === type) || { value: type, label: type, icon: '•' };
+
+export const getEnabledTypes = (preferences) =>
+  NOTIFICATION_TYPES.filter(type => preferences[type.value]).map(type => type.value);
+
+export const fetchPreferences = async (userId) =>
+  (await notifications.getPreferences(userId)) || DEFAULT_PREFERENCES;
+
+export const savePreferences = (userId, preferences) =>
+  notifications.savePreferences(userId, preferences);
+
+// Latest notifications of the given types, with the current user's read flag
+export const fetchNotifications = async (types, limit = 20) => {
+  if (types.length === 0) return [];
+  return notifications.list(types, limit);
+};
+
+export const fetchUnreadCount = async (types) => {
+  if (types.length === 0) return 0;
+  return notifications.unreadCount(types);
+};
+
+// Mark the given events read; with no ids, every unread event of the types
+export const markNotificationsRead = (userId, types, ids = null) =>
+  notifications.markRead(userId, types, ids);
+
+// Call onEvent for each stock event inserted while the app is open.
+// Returns a function that stops listening.
+export const subscribeToNotifications = (onEvent) => notifications.subscribe(onEvent);
+
+export const browserNotificationsSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask once; resolves to true when the browser may show notifications
+export const requestBrowserPermission = async () => {
+  if (!browserNotificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+// The tag stops the same event popping up twice
+export const showBrowserNotification = (event) => {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return;
+
+  new Notification(`Stock Management: ${getNotificationType(event.type).label}`, {
+    body: event.message,
+    tag: `stock-event-${event.id}`
+  });
+};
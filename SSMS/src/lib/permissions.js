@@ -0,0 +1,43 @@
+import { auth } from './data';
+
+export const ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'clerk', label: 'Clerk' },
+  { value: 'manager', label: 'Manager' }
+];
+
+// Roles allowed to perform each action. Mirrors the row level security
+// policies in supabase/migrations, which enforce the same rules server-side.
+const PERMISSIONS = {
+  'item:create': ['clerk', 'manager'],
+  'item:update': ['clerk', 'manager'],
+  'item:delete': ['manager'],
+  'category:create': ['manager'],
+  'category:manage': ['manager'],
+  'warehouse:create': ['manager'],
+  'warehouse:manage': ['manager'],
+  'supplier:manage': ['manager'],
+  'transaction:create': ['clerk', 'manager'],
+  'transfer:create': ['clerk', 'manager'],
+  'transfer:receive': ['clerk', 'manager'],
+  'purchase:manage': ['manager'],
+  'purchase:receive': ['clerk', 'manager'],
+  'sales:manage': ['clerk', 'manager']
+};
+
+export const hasPermission = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(role);
+
+// Throw before calling Supabase so the UI shows a clear message instead of
+// a row level security error
+export const assertPermission = (role, permission) => {
+  if (!hasPermission(role, permission)) {
+    throw new Error('You do not have permission to perform this action.');
+  }
+};
+
+export const getRoleLabel = (role) =>
+  ROLES.find(r => r.value === role)?.label || role;
+
+// Users without a user_role row are viewers
+export const fetchRole = (userId) => auth.fetchRole(userId);
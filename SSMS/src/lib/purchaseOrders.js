@@ -0,0 +1,70 @@
+import { purchaseOrders as orderStore } from './data';
+
+export const PURCHASE_ORDER_STATUSES = [
+  { value: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  { value: 'sent', label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  { value: 'partially_received', label: 'Partially Received', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'received', label: 'Received', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800' }
+];
+
+export const getPurchaseOrderStatus = (status) =>
+  PURCHASE_ORDER_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+// Only sent orders with outstanding units can be received
+export const isReceivable = (order) => ['sent', 'partially_received'].includes(order.status);
+
+export const getOrderTotal = (lines) =>
+  (lines || []).reduce((sum, line) => sum + line.quantity_ordered * (line.unit_cost || 0), 0);
+
+// Orders with their supplier and lines, newest first.
+// filters: { status, supplierId }; range: { from, to }; returns { orders, count }
+export const fetchPurchaseOrders = (filters, range) => orderStore.list(filters, range);
+
+// One order with its lines (oldest first) and receipts (newest first)
+export const fetchPurchaseOrder = async (orderId) => {
+  const order = await orderStore.get(orderId);
+  if (!order) throw new Error(`Purchase order #${orderId} does not exist.`);
+
+  order.purchase_order_line.sort((a, b) => a.id - b.id);
+  order.purchase_receipt.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return order;
+};
+
+// Create a draft, or replace the lines of an existing draft when id is set.
+// lines: [{ stockId, quantity, unitCost }]
+export const savePurchaseOrder = async ({ id = null, supplierId, expectedDate, note = '', lines }) => {
+  if (!supplierId) {
+    throw new Error('Please select a supplier.');
+  }
+  if (!lines.length) {
+    throw new Error('Add at least one item to the order.');
+  }
+
+  return orderStore.save({
+    id,
+    supplierId,
+    expectedDate: expectedDate || null,
+    note: note || null,
+    lines: lines.map(line => ({ ...line, unitCost: line.unitCost || 0 }))
+  });
+};
+
+export const sendPurchaseOrder = (orderId) => orderStore.send(orderId);
+
+export const cancelPurchaseOrder = (orderId) => orderStore.cancel(orderId);
+
+// Book received units into a warehouse in one database transaction.
+// lines: [{ lineId, quantity }]
+export const receivePurchaseOrder = async ({ orderId, warehouse, lines, note = '' }) => {
+  if (!warehouse) {
+    throw new Error('Please select the warehouse receiving the goods.');
+  }
+
+  const receivedLines = lines.filter(line => line.quantity > 0);
+  if (!receivedLines.length) {
+    throw new Error('Enter a received quantity for at least one item.');
+  }
+
+  return orderStore.receive({ orderId, warehouse, lines: receivedLines, note: note || null });
+};
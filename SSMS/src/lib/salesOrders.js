@@ -0,0 +1,50 @@
+import { salesOrders as orderStore } from './data';
+
+export const SALES_ORDER_STATUSES = [
+  { value: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  { value: 'confirmed', label: 'Confirmed', className: 'bg-blue-100 text-blue-800' },
+  { value: 'shipped', label: 'Shipped', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-red-100 text-red-800' }
+];
+
+export const getSalesOrderStatus = (status) =>
+  SALES_ORDER_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+export const getSalesOrderTotal = (lines) =>
+  (lines || []).reduce((sum, line) => sum + line.quantity * (line.unit_price || 0), 0);
+
+// Orders with their lines, newest first.
+// filters: { search (customer), status, warehouse }; range: { from, to };
+// returns { orders, count }
+export const fetchSalesOrders = (filters, range) => orderStore.list(filters, range);
+
+// Create a draft, or replace the lines of an existing draft when id is set.
+// lines: [{ stockId, quantity, unitPrice }]
+export const saveSalesOrder = async ({ id = null, customerName, customerContact = '', warehouse, note = '', lines }) => {
+  if (!customerName?.trim()) {
+    throw new Error('Please enter the customer.');
+  }
+  if (!warehouse) {
+    throw new Error('Please select the warehouse the order ships from.');
+  }
+  if (!lines.length) {
+    throw new Error('Add at least one item to the order.');
+  }
+
+  return orderStore.save({
+    id,
+    customerName,
+    customerContact: customerContact || null,
+    warehouse,
+    note: note || null,
+    lines: lines.map(line => ({ ...line, unitPrice: line.unitPrice || 0 }))
+  });
+};
+
+// Reserves every line in the order's warehouse; fails if any line is short
+export const confirmSalesOrder = (orderId) => orderStore.confirm(orderId);
+
+// Releases the reservation and books the units out through the ledger
+export const shipSalesOrder = (orderId) => orderStore.ship(orderId);
+
+export const cancelSalesOrder = (orderId) => orderStore.cancel(orderId);
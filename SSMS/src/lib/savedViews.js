@@ -0,0 +1,34 @@
+import { views } from './data';
+
+// Saved views of a list page ('inventory'). A view's query is the page's
+// URL query string without the leading "?", so opening it is a navigation.
+
+// Postgres unique_violation on (user_id, page, name)
+const isDuplicateViewError = (error) => error?.code === '23505';
+
+export const fetchSavedViews = (userId, page) => views.list(userId, page);
+
+export const createSavedView = async (userId, page, { name, query, isPinned, isDefault }) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Please enter a name for the view.');
+  }
+
+  try {
+    const view = await views.create({ user_id: userId, page, name: trimmed, query, is_pinned: isPinned });
+    if (isDefault) {
+      await views.setDefault(userId, page, view.id);
+    }
+    return view;
+  } catch (error) {
+    if (isDuplicateViewError(error)) throw new Error(`You already have a view named ${trimmed}.`);
+    throw error;
+  }
+};
+
+export const setViewPinned = (id, isPinned) => views.update(id, { is_pinned: isPinned });
+
+// Pass null to have no default view
+export const setDefaultView = (userId, page, id) => views.setDefault(userId, page, id);
+
+export const deleteSavedView = (id) => views.remove(id);
@@ -0,0 +1,27 @@
+import { items } from './data';
+
+export const DUPLICATE_SKU_MESSAGE = 'This SKU is already used by another item.';
+
+// Empty input means "no SKU"; scanners may add surrounding whitespace
+export const normalizeSku = (value) => {
+  const sku = String(value ?? '').trim();
+  return sku === '' ? null : sku;
+};
+
+// Postgres unique_violation raised by the stock_sku_key index
+export const isDuplicateSkuError = (error) =>
+  error?.code === '23505' && String(error.message).includes('stock_sku_key');
+
+// Look up an item by its SKU, case-insensitively. Returns null if unknown.
+// Items in the Trash are found too (deleted_at is set); they keep their SKU.
+export const findItemBySku = (sku) => items.findBySku(sku);
+
+// Reject a SKU another item already uses; the unique index is the final check
+export const assertSkuAvailable = async (sku, itemId = null) => {
+  if (!sku) return;
+
+  const existing = await findItemBySku(sku);
+  if (existing && existing.id !== itemId) {
+    throw new Error(`${DUPLICATE_SKU_MESSAGE} (${existing.name}${existing.deleted_at ? ', in the Trash' : ''})`);
+  }
+};
@@ -0,0 +1,14 @@
+// Stock status of an item, as shown by the Inventory badge and in exports.
+// Reserved units are promised to customers, so the status compares what is
+// left. As a filter, low stock includes items that are out of stock.
+export const STOCK_STATUSES = [
+  { value: 'low', label: 'Low Stock', className: 'bg-red-100 text-red-800' },
+  { value: 'out', label: 'Out of Stock', className: 'bg-gray-200 text-gray-800' },
+  { value: 'ok', label: 'In Stock', className: 'bg-green-100 text-green-800' }
+];
+
+export const getStockStatus = (item) => {
+  const available = item.available_quantity ?? item.quantity;
+  const value = available <= 0 ? 'out' : available <= item.threshold ? 'low' : 'ok';
+  return STOCK_STATUSES.find(status => status.value === value);
+};
@@ -1,7 +1,17 @@
 import { createClient } from '@supabase/supabase-js';
+import { isDemoMode } from './config';
 
 // Replace with your Supabase URL and anon key
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
\ No newline at end of file
+// No client in demo mode; lib/data serves everything from memory instead
+export const supabase = isDemoMode ? null : createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    // Keep the user signed in across reloads and pick up sessions from
+    // password reset links
+    persistSession: true,
+    autoRefreshToken: true,
+    detectSessionInUrl: true
+  }
+});
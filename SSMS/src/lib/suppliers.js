@@ -0,0 +1,54 @@
+import { suppliers as supplierStore } from './data';
+
+// Fields edited on the Suppliers page
+export const EMPTY_SUPPLIER = {
+  name: '',
+  contact_name: '',
+  email: '',
+  phone: '',
+  address: '',
+  payment_terms: '',
+  notes: ''
+};
+
+export const fetchSuppliers = () => supplierStore.list();
+
+// Suppliers with the number of items linked to each (item_count)
+export const fetchSupplierSummary = () => supplierStore.summary();
+
+// Insert when the supplier has no id yet, otherwise update
+export const saveSupplier = async (supplier) => {
+  const values = Object.fromEntries(
+    Object.keys(EMPTY_SUPPLIER).map(key => [key, (supplier[key] || '').trim() || null])
+  );
+
+  if (!values.name) {
+    throw new Error('Supplier name is required.');
+  }
+
+  try {
+    return await supplierStore.save(supplier.id || null, values);
+  } catch (error) {
+    if (error.code === '23505') throw new Error(`A supplier named "${values.name}" already exists.`);
+    throw error;
+  }
+};
+
+export const deleteSupplier = (supplierId) => supplierStore.remove(supplierId);
+
+// Replace the supplier links of one item.
+// links: [{ supplier_id, supplier_sku, unit_cost, lead_time_days }]
+export const saveItemSuppliers = async (stockId, links) => {
+  const supplierIds = links.map(link => link.supplier_id);
+
+  if (new Set(supplierIds).size !== supplierIds.length) {
+    throw new Error('Each supplier can only be linked to an item once.');
+  }
+
+  await supplierStore.saveLinks(stockId, links.map(link => ({
+    supplier_id: link.supplier_id,
+    supplier_sku: (link.supplier_sku || '').trim() || null,
+    unit_cost: link.unit_cost || 0,
+    lead_time_days: link.lead_time_days === '' || link.lead_time_days === null ? null : link.lead_time_days
+  })));
+};
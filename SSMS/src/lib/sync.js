@@ -0,0 +1,356 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isNetworkError, updateCachedItems, refreshOfflineCache } from './data';
+import { isDemoMode } from './config';
+import { createItem } from './items';
+import { trashItem } from './trash';
+import { saveItemSuppliers } from './suppliers';
+import { toEditableFields, updateItemIfUnchanged, getFieldConflicts, mergeFields } from './inventorySync';
+
+// Changes made while offline, replayed in order once the connection is back.
+// Survives reloads; entries that cannot be replayed move to `conflicts` for
+// the user to retry or discard. Each user has their own queue, so changes
+// are never sent under someone else's session on a shared browser.
+const QUEUE_KEY = 'ssms-sync-queue';
+
+// How often to retry while changes are pending, in case the online event
+// fires before the server is reachable again
+const RETRY_INTERVAL = 30000;
+
+// Signed-in user whose queue is loaded; null while signed out
+let userId = null;
+
+const readState = () => {
+  if (!userId) return { queue: [], conflicts: [] };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${QUEUE_KEY}:${userId}`));
+    return { queue: saved?.queue || [], conflicts: saved?.conflicts || [] };
+  } catch {
+    return { queue: [], conflicts: [] };
+  }
+};
+
+let state = readState();
+let syncing = false;
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  if (userId) localStorage.setItem(`${QUEUE_KEY}:${userId}`, JSON.stringify(state));
+  listeners.forEach(listener => listener());
+};
+
+const setSyncing = (value) => {
+  syncing = value;
+  listeners.forEach(listener => listener());
+};
+
+// Load the queue of the user who signed in (null on sign-out) and send
+// whatever they left pending
+export const setSyncUser = (id) => {
+  if (id === userId) return;
+
+  userId = id;
+  state = readState();
+  listeners.forEach(listener => listener());
+  replayQueue();
+};
+
+// The demo keeps its data in the browser, so it never needs to queue
+export const isOnline = () => isDemoMode || navigator.onLine;
+
+// { online, syncing, queue, conflicts } for the status indicator
+export const getSyncState = () => ({ online: isOnline(), syncing, ...state });
+
+// Call onChange whenever the queue, conflicts or connection change.
+// Returns a function that stops listening.
+export const subscribeToSync = (onChange) => {
+  listeners.add(onChange);
+  window.addEventListener('online', onChange);
+  window.addEventListener('offline', onChange);
+
+  return () => {
+    listeners.delete(onChange);
+    window.removeEventListener('online', onChange);
+    window.removeEventListener('offline', onChange);
+  };
+};
+
+// Recompute the fields the database derives from the quantities
+const withTotals = (row) => {
+  const quantity = row.stock_level.reduce((sum, level) => sum + level.quantity, 0);
+  const available = quantity - (row.reserved_quantity || 0);
+  return {
+    ...row,
+    quantity,
+    available_quantity: available,
+    total_value: quantity * (row.price || 0),
+    is_low_stock: available <= (row.threshold || 0)
+  };
+};
+
+// Counts replace the level quantities, as they will on the server
+const applyCounts = (levels, counts) => {
+  const result = levels.map(level => ({ ...level }));
+
+  counts.forEach(({ warehouse, quantity }) => {
+    const level = result.find(l => l.warehouse === warehouse);
+    if (level) {
+      level.quantity = quantity;
+    } else {
+      result.push({ warehouse, quantity, reserved: 0 });
+    }
+  });
+
+  return result;
+};
+
+// Raised when a queued edit collides with someone else's change
+class SyncConflict extends Error {
+  constructor(conflict) {
+    super('Someone else changed this item while you were offline.');
+    this.conflict = conflict;
+  }
+}
+
+// run replays an entry against the server; preview shows it in the
+// offline copy of the inventory until then. run may call
+// saveProgress(changes) to merge changes into the payload once a step has
+// reached the server, so a retry does not repeat it.
+const MUTATIONS = {
+  // payload: { tempId, clientRef, values, opening: { warehouse, quantity } | null }.
+  // The item and its opening balance are saved together; clientRef makes a
+  // retry after a lost response return the item instead of adding another.
+  createItem: {
+    run: ({ clientRef, values, opening }) => createItem(values, opening, clientRef),
+    preview: (rows, { tempId, values, opening }, queuedAt) => {
+      rows[tempId] = withTotals({
+        ...values,
+        id: tempId,
+        version: 0,
+        reserved_quantity: 0,
+        created_at: queuedAt,
+        deleted_at: null,
+        stock_level: opening ? [{ warehouse: opening.warehouse, quantity: opening.quantity, reserved: 0 }] : [],
+        stock_supplier: []
+      });
+    }
+  },
+
+  // payload: { id, version, values, original, counts, suppliers, note,
+  //   saved once the values and counts are on the server }. values may be
+  // empty when only quantities change; counts ([{ warehouse, quantity }])
+  // are what was counted, so booking them again changes nothing.
+  updateItem: {
+    run: async ({ id, version, values, original, counts, suppliers, note, saved }, saveProgress) => {
+      // Saved on an earlier attempt that lost the connection before the
+      // suppliers were; saving again would conflict with our own change
+      if (!saved) {
+        const mine = toEditableFields({ ...original, ...values });
+        let { error, conflict } = await updateItemIfUnchanged(id, version, values, counts, note);
+        if (error) throw error;
+
+        if (conflict) {
+          const conflicts = getFieldConflicts(original, mine, toEditableFields(conflict));
+
+          if (conflicts.some(field => field.conflicting)) {
+            throw new SyncConflict({ current: conflict, mine, conflicts });
+          }
+
+          // Nobody changed the same fields: keep both sides' changes
+          ({ error, conflict } = await updateItemIfUnchanged(id, conflict.version, mergeFields(mine, conflicts, {}), counts, note));
+          if (error) throw error;
+          if (conflict) throw new SyncConflict({ current: conflict, mine, conflicts: getFieldConflicts(original, mine, toEditableFields(conflict)) });
+        }
+
+        saveProgress({ saved: true });
+      }
+
+      if (suppliers) {
+        await saveItemSuppliers(id, suppliers);
+      }
+    },
+    preview: (rows, { id, values, counts }) => {
+      if (!rows[id]) return;
+      rows[id] = withTotals({
+        ...rows[id],
+        ...values,
+        stock_level: applyCounts(rows[id].stock_level, counts)
+      });
+    }
+  },
+
+  // payload: { id }
+  trashItem: {
+    run: ({ id }) => trashItem(id),
+    preview: (rows, { id }, queuedAt) => {
+      if (rows[id]) rows[id].deleted_at = queuedAt;
+    }
+  }
+};
+
+// Items created offline get negative ids until the server assigns one
+const nextTempId = () =>
+  Math.min(0, ...[...state.queue, ...state.conflicts].map(entry => entry.payload.tempId || 0)) - 1;
+
+// New items get their clientRef before the first attempt, so every retry
+// sends the same one
+const withClientRef = (type, payload) =>
+  type === 'createItem' && !payload.clientRef ? { ...payload, clientRef: uuidv4() } : payload;
+
+// Add a change to the queue and show it in the offline copy
+export const queueMutation = (type, payload, label) => {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    label,
+    payload: type === 'createItem' ? { ...withClientRef(type, payload), tempId: nextTempId() } : payload,
+    queuedAt: new Date().toISOString()
+  };
+
+  updateCachedItems(rows => MUTATIONS[type].preview(rows, entry.payload, entry.queuedAt));
+  setState({ queue: [...state.queue, entry] });
+  return entry;
+};
+
+// Run a change now, or queue it when offline. Changes also queue while
+// others are pending so they reach the server in the order they were made.
+// Returns { queued } and, when it ran, the mutation's result.
+export const runOrQueue = async (type, payload, label) => {
+  let progress = withClientRef(type, payload);
+
+  if (isOnline() && state.queue.length === 0) {
+    try {
+      const result = await MUTATIONS[type].run(progress, (changes) => {
+        progress = { ...progress, ...changes };
+      });
+      return { queued: false, result };
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  queueMutation(type, progress, label);
+  return { queued: true };
+};
+
+// Point later entries for an item created offline at its real row
+const replaceTempId = (queue, tempId, item) =>
+  queue.map(entry => (
+    entry.payload.id === tempId
+      ? { ...entry, payload: { ...entry.payload, id: item.id, version: item.version } }
+      : entry
+  ));
+
+// Send queued changes to the server, oldest first. Stops at the first
+// network error and leaves the rest queued.
+export const replayQueue = async () => {
+  if (syncing || !isOnline() || state.queue.length === 0) return;
+
+  setSyncing(true);
+  let replayed = false;
+  const owner = userId;
+
+  // Remember what the first entry has already done on the server
+  const saveProgress = (changes) => {
+    if (userId !== owner) return;
+    const [entry, ...rest] = state.queue;
+    setState({ queue: [{ ...entry, payload: { ...entry.payload, ...changes } }, ...rest] });
+  };
+
+  try {
+    while (state.queue.length > 0) {
+      const entry = state.queue[0];
+
+      try {
+        const result = await MUTATIONS[entry.type].run(entry.payload, saveProgress);
+        // Signed out meanwhile: the queue now belongs to someone else
+        if (userId !== owner) break;
+
+        // Re-read the queue: changes may have been added while this ran
+        const rest = state.queue.slice(1);
+        const queue = entry.type === 'createItem' ? replaceTempId(rest, entry.payload.tempId, result) : rest;
+
+        if (entry.type === 'createItem') {
+          updateCachedItems(rows => {
+            delete rows[entry.payload.tempId];
+          });
+        }
+
+        setState({ queue });
+      } catch (error) {
+        if (isNetworkError(error) || userId !== owner) break;
+
+        console.error('Error syncing change:', error.message);
+        const [failed, ...rest] = state.queue;
+        setState({
+          queue: rest,
+          conflicts: [...state.conflicts, { ...failed, error: error.message, conflict: error.conflict || null }]
+        });
+      }
+
+      replayed = true;
+    }
+  } finally {
+    setSyncing(false);
+  }
+
+  if (replayed) {
+    try {
+      await refreshOfflineCache();
+    } catch (error) {
+      console.error('Error refreshing offline copy:', error.message);
+    }
+  }
+};
+
+// Put a failed change back in the queue. For edit conflicts, fields both
+// sides changed keep our value and the rest take the other user's.
+export const retryConflict = (id) => {
+  const entry = state.conflicts.find(c => c.id === id);
+  if (!entry) return;
+
+  let { payload } = entry;
+  if (entry.conflict) {
+    const { current, mine, conflicts } = entry.conflict;
+    const choices = Object.fromEntries(conflicts.map(field => [field.key, 'mine']));
+    payload = {
+      ...payload,
+      version: current.version,
+      original: toEditableFields(current),
+      values: { ...payload.values, ...mergeFields(mine, conflicts, choices) }
+    };
+  }
+
+  const { error: _error, conflict: _conflict, ...rest } = entry;
+  setState({
+    queue: [...state.queue, { ...rest, payload }],
+    conflicts: state.conflicts.filter(c => c.id !== id)
+  });
+  replayQueue();
+};
+
+// Drop a failed change; the offline copy is reloaded from the server
+export const discardConflict = async (id) => {
+  const entry = state.conflicts.find(c => c.id === id);
+  if (!entry) return;
+
+  setState({ conflicts: state.conflicts.filter(c => c.id !== id) });
+
+  if (entry.type === 'createItem') {
+    updateCachedItems(rows => {
+      delete rows[entry.payload.tempId];
+    });
+  }
+
+  if (isOnline()) {
+    await refreshOfflineCache();
+  }
+};
+
+// Replay on reconnect, on sign-in (setSyncUser) and periodically while
+// changes wait
+window.addEventListener('online', replayQueue);
+setInterval(() => {
+  if (state.queue.length > 0) replayQueue();
+}, RETRY_INTERVAL);
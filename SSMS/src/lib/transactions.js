@@ -0,0 +1,94 @@
+import { items, transactions as transactionStore } from './data';
+
+export const TRANSACTION_TYPES = [
+  { value: 'in', label: 'Stock In' },
+  { value: 'out', label: 'Stock Out' },
+  { value: 'adjustment', label: 'Adjustment' }
+];
+
+// Reason codes grouped by the transaction type they belong to. System
+// reasons are written by database functions and cannot be picked by hand.
+export const REASON_CODES = [
+  { value: 'initial', label: 'Opening balance', type: 'in' },
+  { value: 'purchase', label: 'Purchase', type: 'in' },
+  { value: 'return', label: 'Customer return', type: 'in' },
+  { value: 'transfer_in', label: 'Transfer in', type: 'in', system: true },
+  { value: 'transfer_cancel', label: 'Transfer cancelled', type: 'in', system: true },
+  { value: 'sale', label: 'Sale', type: 'out' },
+  { value: 'damage', label: 'Damaged / expired', type: 'out' },
+  { value: 'internal_use', label: 'Internal use', type: 'out' },
+  { value: 'transfer_out', label: 'Transfer out', type: 'out', system: true },
+  { value: 'count', label: 'Stock count correction', type: 'adjustment' }
+];
+
+export const getTypeLabel = (type) =>
+  TRANSACTION_TYPES.find(t => t.value === type)?.label || type;
+
+export const getReasonLabel = (reason) =>
+  REASON_CODES.find(r => r.value === reason)?.label || reason;
+
+// Ledger records with their item, newest first.
+// filters: { search (item name), type, reason, warehouse, dateFrom, dateTo };
+// range: { from, to }; returns { transactions, count }
+export const fetchTransactions = (filters, range) => transactionStore.list(filters, range);
+
+// Validate one transaction and convert it to a stock_transaction row
+const toInsertData = ({
+  stockId,
+  warehouse,
+  type,
+  reason,
+  quantityDelta,
+  note = '',
+  occurredAt
+}) => {
+  if (!warehouse) {
+    throw new Error('Please select a warehouse.');
+  }
+  if (!quantityDelta) {
+    throw new Error('Quantity change cannot be zero.');
+  }
+  if (type === 'in' && quantityDelta < 0) {
+    throw new Error('Stock in must increase the quantity.');
+  }
+  if (type === 'out' && quantityDelta > 0) {
+    throw new Error('Stock out must decrease the quantity.');
+  }
+
+  const insertData = {
+    stock_id: stockId,
+    warehouse,
+    type,
+    reason,
+    quantity_delta: quantityDelta,
+    note: note || null
+  };
+
+  if (occurredAt) {
+    insertData.occurred_at = occurredAt;
+  }
+
+  return insertData;
+};
+
+// Insert several ledger records in one request. The database trigger
+// applies each quantityDelta to the item's level in that warehouse and to
+// the stock.quantity total, so callers must never write quantity themselves.
+export const recordTransactions = (transactions) =>
+  items.recordTransactions(transactions.map(toInsertData));
+
+// Insert a single ledger record
+export const recordTransaction = async (transaction) => {
+  const [data] = await recordTransactions([transaction]);
+  return data;
+};
+
+// Quantity of an item in one warehouse, from its stock_level rows
+export const getLevelQuantity = (levels, warehouse) =>
+  (levels || []).find(level => level.warehouse === warehouse)?.quantity || 0;
+
+// Units in one warehouse not reserved for confirmed sales orders
+export const getAvailableQuantity = (levels, warehouse) => {
+  const level = (levels || []).find(l => l.warehouse === warehouse);
+  return Math.max((level?.quantity || 0) - (level?.reserved || 0), 0);
+};
@@ -0,0 +1,35 @@
+import { transfers as transferStore } from './data';
+
+export const TRANSFER_STATUSES = [
+  { value: 'in_transit', label: 'In Transit', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'received', label: 'Received', className: 'bg-green-100 text-green-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-gray-100 text-gray-800' }
+];
+
+export const getTransferStatus = (status) =>
+  TRANSFER_STATUSES.find(s => s.value === status) || { value: status, label: status, className: 'bg-gray-100 text-gray-800' };
+
+// Transfers with their lines, newest first.
+// filters: { status, warehouse }; range: { from, to }; returns { transfers, count }
+export const fetchTransfers = (filters, range) => transferStore.list(filters, range);
+
+// Moves stock out of the source warehouse in one database transaction.
+// lines: [{ stockId, quantity }]. With receiveNow the destination is
+// incremented straight away instead of waiting for confirmation.
+export const createTransfer = async ({ fromWarehouse, toWarehouse, lines, note = '', receiveNow = false }) => {
+  if (!fromWarehouse || !toWarehouse) {
+    throw new Error('Please select a source and destination warehouse.');
+  }
+  if (fromWarehouse === toWarehouse) {
+    throw new Error('Source and destination warehouse must be different.');
+  }
+  if (!lines.length) {
+    throw new Error('Add at least one item to transfer.');
+  }
+
+  return transferStore.create({ fromWarehouse, toWarehouse, lines, note: note || null, receiveNow });
+};
+
+export const receiveTransfer = (transferId) => transferStore.receive(transferId);
+
+export const cancelTransfer = (transferId) => transferStore.cancel(transferId);
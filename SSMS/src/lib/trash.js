@@ -0,0 +1,19 @@
+import { items, storage } from './data';
+
+// Move an item to the Trash. It keeps its stock levels and history.
+export const trashItem = (itemId) => items.trash(itemId);
+
+export const restoreItem = (itemId) => items.restore(itemId);
+
+// Delete a trashed item for good, together with its uploaded image
+export const purgeItem = async (itemId) => {
+  const thumbnail = await items.purge(itemId);
+  if (!thumbnail) return;
+
+  try {
+    await storage.remove(thumbnail);
+  } catch (error) {
+    // The item is gone either way; a leftover file is not worth failing for
+    console.error('Error removing image:', error.message);
+  }
+};
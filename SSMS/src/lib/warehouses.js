@@ -0,0 +1,33 @@
+import { warehouses as warehouseStore } from './data';
+
+// Inactive warehouses stay in filters and history but accept no new stock
+export const isActiveWarehouse = (warehouse) => warehouse.is_active !== false;
+
+// Share of capacity in use, 0-100, or null when no capacity is set
+export const getUtilization = (warehouse) =>
+  warehouse.capacity ? Math.round((warehouse.unit_count / warehouse.capacity) * 100) : null;
+
+export const fetchWarehouses = () => warehouseStore.list();
+
+// Warehouses with their item counts, units and value
+export const fetchWarehouseSummary = () => warehouseStore.summary();
+
+export const createWarehouse = async ({ name, address = '', manager = '', capacity = null }) => {
+  const [warehouse] = await warehouseStore.create([{
+    name: name.trim(),
+    address: address || null,
+    manager: manager || null,
+    capacity: capacity || null
+  }]);
+  return warehouse;
+};
+
+// Saves the details; a new name is applied to every level, transaction,
+// transfer and order that refers to the warehouse
+export const updateWarehouse = ({ id, name, address = '', manager = '', capacity = null }) =>
+  warehouseStore.update({ id, name, address, manager, capacity: capacity || null });
+
+// Fails while the warehouse still holds stock or has open transfers or orders
+export const deactivateWarehouse = (warehouseId) => warehouseStore.deactivate(warehouseId);
+
+export const reactivateWarehouse = (warehouseId) => warehouseStore.reactivate(warehouseId);
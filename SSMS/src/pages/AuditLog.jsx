@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import Pagination from '../components/Pagination';
+import AuditChanges from '../components/AuditChanges';
+import { formatDateTime } from '../lib/format';
+import { AUDIT_ENTITIES, AUDIT_ACTIONS, getEntityLabel, getAuditAction, fetchAuditLog } from '../lib/audit';
+
+// Start of the day after a yyyy-mm-dd date, so "To" includes that whole day
+const endOfDay = (date) => {
+  const next = new Date(`${date}T00:00:00`);
+  next.setDate(next.getDate() + 1);
+  return next.toISOString();
+};
+
+const AuditLogPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterEntity, setFilterEntity] = useState('');
+  const [filterAction, setFilterAction] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+
+  const [error, setError] = useState(null);
+
+  // Delayed fetch to prevent too many requests while typing
+  useEffect(() => {
+    const delaySearch = setTimeout(() => {
+      fetchEntries();
+    }, 500);
+
+    return () => clearTimeout(delaySearch);
+  }, [currentPage, searchTerm, filterEntity, filterAction, dateFrom, dateTo]);
+
+  // Fetch audit entries with pagination and filtering
+  const fetchEntries = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      // Search matches the record name or who made the change
+      const { entries: rows, count } = await fetchAuditLog({
+        search: searchTerm,
+        entity: filterEntity,
+        action: filterAction,
+        since: dateFrom ? new Date(`${dateFrom}T00:00:00`).toISOString() : undefined,
+        before: dateTo ? endOfDay(dateTo) : undefined
+      }, { from, to });
+
+      setTotalItems(count);
+      setEntries(rows);
+    } catch (error) {
+      console.error('Error fetching audit log:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reset to the first page whenever a filter changes
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Audit Log</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Search and filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+            <input
+              type="text"
+              placeholder="Name or user email..."
+              value={searchTerm}
+              onChange={updateFilter(setSearchTerm)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Record</label>
+            <select
+              value={filterEntity}
+              onChange={updateFilter(setFilterEntity)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Records</option>
+              {AUDIT_ENTITIES.map(entity => (
+                <option key={entity.value} value={entity.value}>{entity.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Action</label>
+            <select
+              value={filterAction}
+              onChange={updateFilter(setFilterAction)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Actions</option>
+              {AUDIT_ACTIONS.map(action => (
+                <option key={action.value} value={action.value}>{action.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={dateFrom}
+              onChange={updateFilter(setDateFrom)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={dateTo}
+              onChange={updateFilter(setDateTo)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Audit table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading audit log...</p>
+        ) : entries.length === 0 ? (
+          <p className="text-center py-4">No changes found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map((entry) => {
+                  const action = getAuditAction(entry.action);
+                  return (
+                    <tr key={entry.id} className="align-top">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDateTime(entry.created_at)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{entry.actor_email || 'System'}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {entry.entity_name || `#${entry.entity_id}`}
+                        <div className="text-xs text-gray-500">{getEntityLabel(entry.entity)}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${action.className}`}>
+                          {action.label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        <AuditChanges entry={entry} />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,373 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Link } from 'react-router-dom';
+import { Dialog, Transition } from '@headlessui/react';
+import {
+  buildCategoryTree,
+  getCategoryOptionLabel,
+  getDescendantIds,
+  fetchCategorySummary,
+  createCategory,
+  renameCategory,
+  setCategoryParent,
+  mergeCategories,
+  deleteCategory
+} from '../lib/categories';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const ACTION_TITLES = {
+  rename: 'Rename Category',
+  merge: 'Merge Category',
+  delete: 'Delete Category'
+};
+
+const CategoriesPage = () => {
+  const { role, can } = useAuth();
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Add form
+  const [newName, setNewName] = useState('');
+  const [newParentId, setNewParentId] = useState('');
+
+  // Rename / merge / delete modal: { type, category, name, targetId }
+  const [action, setAction] = useState(null);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  // Categories with their item counts
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      setCategories(await fetchCategorySummary());
+    } catch (error) {
+      console.error('Error fetching categories:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const tree = buildCategoryTree(categories);
+
+  const addCategory = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'category:create');
+      setSaving(true);
+      await createCategory(newName, newParentId ? parseInt(newParentId) : null);
+      setNewName('');
+      setNewParentId('');
+      await fetchCategories();
+    } catch (error) {
+      console.error('Error adding category:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeParent = async (category, parentId) => {
+    try {
+      assertPermission(role, 'category:manage');
+      await setCategoryParent(category.id, parentId ? parseInt(parentId) : null);
+      await fetchCategories();
+    } catch (error) {
+      console.error('Error moving category:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const openAction = (type, category) => {
+    setAction({ type, category, name: category.name, targetId: '' });
+  };
+
+  const confirmAction = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'category:manage');
+      setSaving(true);
+
+      const targetId = action.targetId ? parseInt(action.targetId) : null;
+
+      if (action.type === 'rename') {
+        await renameCategory(action.category.id, action.name);
+      } else if (action.type === 'merge') {
+        await mergeCategories(action.category.id, targetId);
+      } else {
+        await deleteCategory(action.category.id, targetId);
+      }
+
+      setAction(null);
+      await fetchCategories();
+    } catch (error) {
+      console.error('Error updating category:', error.message);
+      setError(error.message);
+      setAction(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // A category cannot move under itself or its own subcategories
+  const parentOptions = (category) => {
+    const excluded = getDescendantIds(categories, category.id);
+    return tree.filter(option => !excluded.includes(option.id));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Categories</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Add category form */}
+      {can('category:create') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">Add Category</h3>
+          <form onSubmit={addCategory} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Parent</label>
+              <select
+                value={newParentId}
+                onChange={(e) => setNewParentId(e.target.value)}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                <option value="">None (top level)</option>
+                {tree.map(category => (
+                  <option key={category.id} value={category.id}>{getCategoryOptionLabel(category)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                Add Category
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Categories table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading categories...</p>
+        ) : tree.length === 0 ? (
+          <p className="text-center py-4">No categories yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Parent</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {tree.map((category) => (
+                <tr key={category.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    <span style={{ paddingLeft: `${category.depth * 1.5}rem` }}>
+                      {category.depth > 0 && <span className="text-gray-400 mr-1">└</span>}
+                      {category.name}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <Link
+                      to={`/inventory?category=${encodeURIComponent(category.name)}`}
+                      className="text-blue-600 hover:text-blue-900"
+                      title="View items, including subcategories"
+                    >
+                      {category.item_count}
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {can('category:manage') ? (
+                      <select
+                        value={category.parent_id || ''}
+                        onChange={(e) => changeParent(category, e.target.value)}
+                        className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      >
+                        <option value="">None (top level)</option>
+                        {parentOptions(category).map(option => (
+                          <option key={option.id} value={option.id}>{getCategoryOptionLabel(option)}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      categories.find(c => c.id === category.parent_id)?.name || '-'
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {can('category:manage') && (
+                      <>
+                        <button
+                          onClick={() => openAction('rename', category)}
+                          className="text-blue-600 hover:text-blue-900 mr-4"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => openAction('merge', category)}
+                          disabled={categories.length < 2}
+                          className="text-gray-600 hover:text-gray-900 mr-4 disabled:opacity-50"
+                        >
+                          Merge
+                        </button>
+                        <button
+                          onClick={() => openAction('delete', category)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Rename / Merge / Delete Modal */}
+      <Transition appear show={!!action} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setAction(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    {action && ACTION_TITLES[action.type]}
+                  </Dialog.Title>
+
+                  {action && (
+                    <form onSubmit={confirmAction} className="mt-4">
+                      {action.type === 'rename' && (
+                        <>
+                          <label className="block text-sm font-medium text-gray-700">New Name</label>
+                          <input
+                            type="text"
+                            value={action.name}
+                            onChange={(e) => setAction({ ...action, name: e.target.value })}
+                            required
+                            autoFocus
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                          />
+                          <p className="mt-2 text-sm text-gray-500">
+                            The {action.category.item_count} items in <strong>{action.category.name}</strong> are renamed with it.
+                          </p>
+                        </>
+                      )}
+
+                      {action.type !== 'rename' && (
+                        <>
+                          <label className="block text-sm font-medium text-gray-700">
+                            {action.type === 'merge' ? 'Merge into' : 'Move its items to'}
+                          </label>
+                          <select
+                            value={action.targetId}
+                            onChange={(e) => setAction({ ...action, targetId: e.target.value })}
+                            required={action.type === 'merge'}
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                          >
+                            <option value="">{action.type === 'merge' ? 'Select Category' : 'No category'}</option>
+                            {tree
+                              .filter(option => option.id !== action.category.id)
+                              .map(option => (
+                                <option key={option.id} value={option.id}>{getCategoryOptionLabel(option)}</option>
+                              ))}
+                          </select>
+                          <p className="mt-2 text-sm text-gray-500">
+                            {action.type === 'merge'
+                              ? <>The {action.category.item_count} items and the subcategories of <strong>{action.category.name}</strong> move to the chosen category, then <strong>{action.category.name}</strong> is removed.</>
+                              : <>The {action.category.item_count} items in <strong>{action.category.name}</strong> are reassigned and its subcategories move up one level. This action cannot be undone.</>}
+                          </p>
+                        </>
+                      )}
+
+                      <div className="mt-6 flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          onClick={() => setAction(null)}
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className={`inline-flex justify-center rounded-md border border-transparent px-4 py-2 text-sm font-medium text-white focus:outline-none focus:ring-2 disabled:opacity-50 ${
+                            action.type === 'delete'
+                              ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500'
+                              : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-500'
+                          }`}
+                        >
+                          {action.type === 'rename' ? 'Rename' : action.type === 'merge' ? 'Merge' : 'Delete'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+    </div>
+  );
+};
+
+export default CategoriesPage;
@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid
+} from 'recharts';
+import { fetchAllItems } from '../lib/items';
+import { formatRupiah } from '../lib/format';
+import { getStockStatus } from '../lib/stockStatus';
+
+const CHART_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+const CRITICAL_LIST_SIZE = 10;
+
+// Value and item count per group, sorted by value descending.
+// getEntries returns [{ name, filter, quantity }] for the groups an item belongs to.
+const groupItems = (items, getEntries) => {
+  const groups = {};
+
+  items.forEach(item => {
+    getEntries(item).forEach(({ name, filter, quantity }) => {
+      if (!groups[name]) {
+        groups[name] = { name, filter, value: 0, count: 0 };
+      }
+      groups[name].value += quantity * (item.price || 0);
+      groups[name].count += 1;
+    });
+  });
+
+  return Object.values(groups).sort((a, b) => b.value - a.value);
+};
+
+const categoryEntries = (item) => [
+  { name: item.category || 'Uncategorized', filter: item.category || '', quantity: item.quantity || 0 }
+];
+
+// An item counts towards every warehouse it has stock in
+const warehouseEntries = (item) => (item.stock_level || [])
+  .filter(level => level.quantity > 0)
+  .map(level => ({ name: level.warehouse, filter: level.warehouse, quantity: level.quantity }));
+
+const KpiTile = ({ label, value, to, accent = 'text-gray-900' }) => (
+  <Link to={to} className="block bg-gray-50 rounded-md p-4 hover:bg-gray-100">
+    <p className="text-sm font-medium text-gray-500">{label}</p>
+    <p className={`mt-1 text-2xl font-semibold ${accent}`}>{value}</p>
+  </Link>
+);
+
+const GroupTable = ({ title, groups, param }) => (
+  <div>
+    <h3 className="text-lg font-medium mb-2">{title}</h3>
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+          <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+          <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {groups.map(group => (
+          <tr key={group.name}>
+            <td className="px-4 py-2 text-sm">
+              <Link
+                to={group.filter ? `/inventory?${param}=${encodeURIComponent(group.filter)}` : '/inventory'}
+                className="text-blue-600 hover:text-blue-900"
+              >
+                {group.name}
+              </Link>
+            </td>
+            <td className="px-4 py-2 text-sm text-right text-gray-500">{group.count}</td>
+            <td className="px-4 py-2 text-sm text-right text-gray-500">{formatRupiah(group.value)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const DashboardPage = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchItems();
+  }, []);
+
+  // The dashboard summarises the whole inventory, so fetch every row
+  const fetchItems = async () => {
+    try {
+      setLoading(true);
+
+      setItems(await fetchAllItems());
+    } catch (error) {
+      console.error('Error fetching dashboard data:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Same quantity × price as the Inventory "Value" column
+  const totalValue = items.reduce((sum, item) => sum + (item.quantity || 0) * (item.price || 0), 0);
+  const totalUnits = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+  // Same rules as the Inventory badge, which compares available (on hand
+  // minus reserved) quantities; low stock includes out of stock
+  const lowStockItems = items.filter(item => getStockStatus(item).value !== 'ok');
+  const outOfStockCount = items.filter(item => getStockStatus(item).value === 'out').length;
+
+  const byCategory = groupItems(items, categoryEntries);
+  const byWarehouse = groupItems(items, warehouseEntries);
+
+  // Most critical first: lowest available quantity relative to its threshold
+  const criticalItems = [...lowStockItems]
+    .sort((a, b) => {
+      const ratioA = a.threshold > 0 ? a.available_quantity / a.threshold : 0;
+      const ratioB = b.threshold > 0 ? b.available_quantity / b.threshold : 0;
+      return ratioA - ratioB || a.available_quantity - b.available_quantity;
+    })
+    .slice(0, CRITICAL_LIST_SIZE);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Dashboard</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-center py-4">Loading dashboard...</p>
+      ) : (
+        <>
+          {/* KPI tiles */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <KpiTile label="Total Inventory Value" value={formatRupiah(totalValue)} to="/inventory" />
+            <KpiTile label="Items" value={items.length} to="/inventory" />
+            <KpiTile
+              label="Low Stock Items"
+              value={lowStockItems.length}
+              to="/inventory?status=low"
+              accent={lowStockItems.length > 0 ? 'text-red-700' : 'text-green-700'}
+            />
+            <KpiTile label="Units on Hand" value={totalUnits} to="/inventory" />
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div className="p-4 bg-gray-50 rounded-md">
+              <h3 className="text-lg font-medium mb-2">Value by Category</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={byCategory} margin={{ left: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+                    <YAxis tickFormatter={(value) => new Intl.NumberFormat('id-ID', { notation: 'compact' }).format(value)} />
+                    <Tooltip formatter={(value) => formatRupiah(value)} />
+                    <Bar dataKey="value" name="Value" fill={CHART_COLORS[0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className="p-4 bg-gray-50 rounded-md">
+              <h3 className="text-lg font-medium mb-2">Value by Warehouse</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <PieChart>
+                    <Pie data={byWarehouse} dataKey="value" nameKey="name" outerRadius={90} label={({ name }) => name}>
+                      {byWarehouse.map((group, index) => (
+                        <Cell key={group.name} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value) => formatRupiah(value)} />
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          {/* Breakdown tables */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <GroupTable title="By Category" groups={byCategory} param="category" />
+            <GroupTable title="By Warehouse" groups={byWarehouse} param="warehouse" />
+          </div>
+
+          {/* Critical low-stock items */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-medium">Critical Low Stock</h3>
+              <Link to="/inventory?status=low" className="text-sm text-blue-600 hover:text-blue-900">
+                View all {lowStockItems.length} ({outOfStockCount} out of stock)
+              </Link>
+            </div>
+            {criticalItems.length === 0 ? (
+              <p className="text-sm text-gray-500">All items are above their threshold.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Available</th>
+                    <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Threshold</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {criticalItems.map(item => (
+                    <tr key={item.id}>
+                      <td className="px-4 py-2 text-sm">
+                        <Link
+                          to={`/inventory?search=${encodeURIComponent(item.name)}`}
+                          className="text-blue-600 hover:text-blue-900"
+                        >
+                          {item.name}
+                        </Link>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-500">
+                        {warehouseEntries(item).map(entry => entry.name).join(', ') || '-'}
+                      </td>
+                      <td className={`px-4 py-2 text-sm text-right font-medium ${
+                        item.available_quantity <= 0 ? 'text-red-700' : 'text-yellow-700'
+                      }`}>
+                        {item.available_quantity}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-500">{item.threshold}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DashboardPage;
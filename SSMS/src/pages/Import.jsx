@@ -0,0 +1,402 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatRupiah } from '../lib/format';
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  guessMapping,
+  validateRows,
+  findMissing,
+  importItems
+} from '../lib/importer';
+import { fetchItemIdentifiers } from '../lib/items';
+import { fetchCategories } from '../lib/categories';
+import { fetchWarehouses } from '../lib/warehouses';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'done', label: 'Summary' }
+];
+
+const PREVIEW_ROWS = 200;
+
+const ImportPage = () => {
+  const { role, can } = useAuth();
+  const [step, setStep] = useState('upload');
+
+  const [categories, setCategories] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [existingNames, setExistingNames] = useState([]);
+  const [existingSkus, setExistingSkus] = useState([]);
+
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+
+  const [createCategories, setCreateCategories] = useState(false);
+  const [createWarehouses, setCreateWarehouses] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [summary, setSummary] = useState(null);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReferenceData();
+  }, []);
+
+  // Categories, warehouses and item names used for validation
+  const fetchReferenceData = async () => {
+    try {
+      const [categoryList, warehouseList, identifiers] = await Promise.all([
+        fetchCategories(),
+        fetchWarehouses(),
+        fetchItemIdentifiers()
+      ]);
+
+      setCategories(categoryList);
+      setWarehouses(warehouseList);
+      setExistingNames(identifiers.map(item => item.name));
+      setExistingSkus(identifiers.map(item => item.sku).filter(Boolean));
+    } catch (error) {
+      console.error('Error fetching reference data:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setError(null);
+      const result = await readSpreadsheet(file);
+
+      if (result.rows.length === 0) {
+        throw new Error('The file has no data rows.');
+      }
+
+      setFileName(file.name);
+      setHeaders(result.headers);
+      setRows(result.rows);
+      setMapping(guessMapping(result.headers));
+      setStep('map');
+    } catch (error) {
+      console.error('Error reading file:', error.message);
+      setError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const goToPreview = () => {
+    if (mapping.name === '') {
+      setError('Please choose the column that holds the item name.');
+      return;
+    }
+    setError(null);
+    setStep('preview');
+  };
+
+  const validatedRows = step === 'preview' || step === 'done'
+    ? validateRows(rows, mapping, { categories, warehouses, existingNames, existingSkus, createCategories, createWarehouses })
+    : [];
+  const validRows = validatedRows.filter(row => row.errors.length === 0);
+  const invalidCount = validatedRows.length - validRows.length;
+
+  // Shown before import so the user knows what will be created
+  const missingCategories = findMissing(rows.map(row => String(row[mapping.category] ?? '').trim()), categories);
+  const missingWarehouses = findMissing(rows.map(row => String(row[mapping.warehouse] ?? '').trim()), warehouses);
+
+  const runImport = async () => {
+    try {
+      assertPermission(role, 'item:create');
+      if (createCategories && missingCategories.length) {
+        assertPermission(role, 'category:create');
+      }
+      if (createWarehouses && missingWarehouses.length) {
+        assertPermission(role, 'warehouse:create');
+      }
+
+      setImporting(true);
+      setProgress({ done: 0, total: validRows.length });
+
+      const result = await importItems(validRows, {
+        categories,
+        warehouses,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+
+      setSummary({ ...result, skipped: invalidCount });
+      setStep('done');
+    } catch (error) {
+      console.error('Error importing items:', error.message);
+      setError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const startOver = () => {
+    setStep('upload');
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setSummary(null);
+    setError(null);
+    fetchReferenceData();
+  };
+
+  const previewRows = (showErrorsOnly ? validatedRows.filter(row => row.errors.length) : validatedRows)
+    .slice(0, PREVIEW_ROWS);
+
+  if (!can('item:create')) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md">
+        <h2 className="text-xl font-semibold mb-4">Import Items</h2>
+        <p>You do not have permission to add items.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Import Items</h2>
+        <Link to="/inventory" className="text-sm text-blue-600 hover:text-blue-900">Back to Inventory</Link>
+      </div>
+
+      {/* Steps */}
+      <ol className="flex space-x-6 mb-6 text-sm">
+        {STEPS.map((s, index) => (
+          <li key={s.key} className={s.key === step ? 'font-semibold text-blue-600' : 'text-gray-500'}>
+            {index + 1}. {s.label}
+          </li>
+        ))}
+      </ol>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {step === 'upload' && (
+        <div className="p-4 bg-gray-50 rounded-md">
+          <label className="block text-sm font-medium text-gray-700 mb-1">CSV or Excel file</label>
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+          <p className="mt-2 text-xs text-gray-500">
+            The first row must contain column headers. Only the first sheet of an Excel file is read.
+          </p>
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div className="p-4 bg-gray-50 rounded-md">
+          <p className="text-sm text-gray-700 mb-4">
+            {fileName}: {rows.length} rows. Choose which column holds each field.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700">
+                  {field.label}{field.required && ' *'}
+                </label>
+                <select
+                  value={mapping[field.key]}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Not in file</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={String(index)}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="mt-6 flex justify-between">
+            <button
+              type="button"
+              onClick={startOver}
+              className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Choose Another File
+            </button>
+            <button
+              type="button"
+              onClick={goToPreview}
+              className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700"
+            >
+              Preview
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && (
+        <>
+          <div className="mb-4 p-4 bg-gray-50 rounded-md text-sm">
+            <p>
+              <span className="font-medium text-green-700">{validRows.length} rows ready to import</span>
+              {invalidCount > 0 && <span className="font-medium text-red-700">, {invalidCount} rows with errors will be skipped</span>}
+            </p>
+
+            {missingCategories.length > 0 && (
+              <label className="mt-2 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={createCategories}
+                  onChange={(e) => setCreateCategories(e.target.checked)}
+                  disabled={!can('category:create')}
+                  className="mr-2 rounded border-gray-300"
+                />
+                Create {missingCategories.length} missing categories: {missingCategories.join(', ')}
+              </label>
+            )}
+
+            {missingWarehouses.length > 0 && (
+              <label className="mt-2 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={createWarehouses}
+                  onChange={(e) => setCreateWarehouses(e.target.checked)}
+                  disabled={!can('warehouse:create')}
+                  className="mr-2 rounded border-gray-300"
+                />
+                Create {missingWarehouses.length} missing warehouses: {missingWarehouses.join(', ')}
+              </label>
+            )}
+
+            {((missingCategories.length > 0 && !can('category:create')) ||
+              (missingWarehouses.length > 0 && !can('warehouse:create'))) && (
+              <p className="mt-1 text-xs text-gray-500">Only managers can create categories and warehouses.</p>
+            )}
+
+            <label className="mt-2 flex items-center">
+              <input
+                type="checkbox"
+                checked={showErrorsOnly}
+                onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                className="mr-2 rounded border-gray-300"
+              />
+              Show only rows with errors
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  {IMPORT_FIELDS.map(field => (
+                    <th key={field.key} scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {field.label}
+                    </th>
+                  ))}
+                  <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {previewRows.map(row => (
+                  <tr key={row.rowNumber} className={row.errors.length ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.rowNumber}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{row.item.name}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.item.sku}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.item.category}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.item.warehouse}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.item.quantity}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{formatRupiah(row.item.price)}</td>
+                    <td className="px-4 py-2 text-sm text-gray-500">{row.item.threshold}</td>
+                    <td className="px-4 py-2 text-sm text-red-700">{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {validatedRows.length > PREVIEW_ROWS && (
+              <p className="mt-2 text-xs text-gray-500">Showing the first {PREVIEW_ROWS} rows.</p>
+            )}
+          </div>
+
+          <div className="mt-6 flex items-center justify-between">
+            <button
+              type="button"
+              onClick={() => setStep('map')}
+              disabled={importing}
+              className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Back
+            </button>
+            <div className="flex items-center space-x-4">
+              {importing && (
+                <span className="text-sm text-gray-500">Importing {progress.done} / {progress.total}...</span>
+              )}
+              <button
+                type="button"
+                onClick={runImport}
+                disabled={importing || validRows.length === 0}
+                className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                Import {validRows.length} Items
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {step === 'done' && summary && (
+        <div className="p-4 bg-gray-50 rounded-md text-sm">
+          <h3 className="text-lg font-medium mb-2">Import Complete</h3>
+          <ul className="space-y-1">
+            <li className="text-green-700">{summary.created} items created</li>
+            {summary.skipped > 0 && <li className="text-gray-700">{summary.skipped} rows skipped because of validation errors</li>}
+            {summary.categoriesCreated.length > 0 && (
+              <li className="text-gray-700">Categories created: {summary.categoriesCreated.join(', ')}</li>
+            )}
+            {summary.warehousesCreated.length > 0 && (
+              <li className="text-gray-700">Warehouses created: {summary.warehousesCreated.join(', ')}</li>
+            )}
+            {summary.failed.length > 0 && <li className="text-red-700">{summary.failed.length} rows failed:</li>}
+          </ul>
+          {summary.failed.length > 0 && (
+            <ul className="mt-2 ml-4 list-disc text-red-700">
+              {summary.failed.map(failure => (
+                <li key={failure.rowNumber}>Row {failure.rowNumber} ({failure.name}): {failure.message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="mt-6 flex space-x-3">
+            <Link
+              to="/inventory"
+              className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700"
+            >
+              View Inventory
+            </Link>
+            <button
+              type="button"
+              onClick={startOver}
+              className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Import Another File
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPage;
@@ -1,36 +1,175 @@
-import { useState, useEffect, Fragment, useRef } from 'react';
-import { supabase } from '../lib/supabase';
-import { Dialog, Transition } from '@headlessui/react';
-import { v4 as uuidv4 } from 'uuid';
-
-// Add a formatter function for Indonesian Rupiah
-const formatRupiah = (amount) => {
-  return new Intl.NumberFormat('id-ID', {
-    style: 'currency',
-    currency: 'IDR',
-    minimumFractionDigits: 0
-  }).format(amount);
-};
+import { useState, useEffect, useMemo, Fragment, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Dialog, Transition, Menu as DropdownMenu, MenuButton, MenuItem, MenuItems } from '@headlessui/react';
+import Pagination from '../components/Pagination';
+import TransferModal from '../components/TransferModal';
+import ScanInput from '../components/ScanInput';
+import ItemSuppliersEditor from '../components/ItemSuppliersEditor';
+import AuditChanges from '../components/AuditChanges';
+import UndoToast from '../components/UndoToast';
+import EditableCell from '../components/EditableCell';
+import { formatRupiah, formatDate, formatDateTime } from '../lib/format';
+import { EXPORT_FORMATS, exportInventory } from '../lib/exporter';
+import { fetchItems, fetchItemsByIds, uploadItemImage, validateThreshold } from '../lib/items';
+import { DUPLICATE_SKU_MESSAGE, normalizeSku, isDuplicateSkuError, findItemBySku, assertSkuAvailable } from '../lib/sku';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+import { fetchSuppliers, saveItemSuppliers } from '../lib/suppliers';
+import { FORECAST_METHODS, fetchForecasts } from '../lib/forecast';
+import { fetchItemHistory, getAuditAction } from '../lib/audit';
+import { createTransfer } from '../lib/transfers';
+import { STOCK_STATUSES, getStockStatus } from '../lib/stockStatus';
+import { restoreItem } from '../lib/trash';
+import {
+  buildCategoryTree,
+  getCategoryOptionLabel,
+  getDescendantNames,
+  fetchCategories as fetchCategoryList,
+  createCategory
+} from '../lib/categories';
+import { isActiveWarehouse, fetchWarehouses as fetchWarehouseList, createWarehouse } from '../lib/warehouses';
+import { toEditableFields, subscribeToInventory, updateItemIfUnchanged, getFieldConflicts, mergeFields } from '../lib/inventorySync';
+import { isNetworkError } from '../lib/data';
+import { isOnline, runOrQueue, queueMutation } from '../lib/sync';
+import { BULK_ACTIONS, validateBulkAction, previewBulkAction, applyBulkAction } from '../lib/bulkActions';
+import { fetchSavedViews, createSavedView, setViewPinned, setDefaultView, deleteSavedView } from '../lib/savedViews';
 
 const MAX_FILE_SIZE = 100 * 1024; // 100KB
 const SUPPORTED_FORMATS = ['image/jpg', 'image/jpeg', 'image/gif', 'image/png'];
+const EXPORT_CHUNK_SIZE = 1000;
+
+// Rows listed in the bulk action confirmation; the rest are counted
+const BULK_PREVIEW_ROWS = 10;
+
+const EMPTY_BULK_ACTION = { action: '', category: '', warehouse: '', threshold: '', priceMode: 'percent', priceValue: '' };
+
+// Columns the table can be sorted by, with the direction a first click uses
+const SORT_COLUMNS = {
+  name: { ascending: true },
+  category: { ascending: true },
+  quantity: { ascending: false },
+  reserved_quantity: { ascending: false },
+  available_quantity: { ascending: false },
+  threshold: { ascending: false },
+  price: { ascending: false },
+  total_value: { ascending: false }
+};
+
+const DEFAULT_SORT = { column: 'name', ascending: true };
+
+const EMPTY_RANGES = { minQuantity: '', maxQuantity: '', minPrice: '', maxPrice: '' };
+
+// URL parameter of each range input
+const RANGE_PARAMS = { minQuantity: 'minQty', maxQuantity: 'maxQty', minPrice: 'minPrice', maxPrice: 'maxPrice' };
+
+// Empty range inputs don't filter
+const parseBound = (value) => (value === '' ? undefined : Number(value));
+
+// Search, filters, sort and page of the table, read from the URL so views
+// can be bookmarked and shared
+const parseViewParams = (params) => {
+  const sortColumn = params.get('sort');
+  const sort = SORT_COLUMNS[sortColumn]
+    ? { column: sortColumn, ascending: params.has('dir') ? params.get('dir') === 'asc' : SORT_COLUMNS[sortColumn].ascending }
+    : DEFAULT_SORT;
+
+  return {
+    searchTerm: params.get('search') || '',
+    filterCategory: params.get('category') || '',
+    filterWarehouse: params.get('warehouse') || '',
+    filterStatus: params.get('status') || '',
+    filterSupplier: params.get('supplier') || '',
+    filterRanges: Object.fromEntries(Object.entries(RANGE_PARAMS).map(([key, param]) => [key, params.get(param) || ''])),
+    sort,
+    currentPage: Math.max(parseInt(params.get('page')) || 1, 1)
+  };
+};
+
+// No search or filters, sorted by name, first page
+const DEFAULT_VIEW = parseViewParams(new URLSearchParams());
+
+// The URL parameters for a view; defaults are left out
+const toViewParams = (view) => {
+  const params = new URLSearchParams();
+
+  if (view.searchTerm) params.set('search', view.searchTerm);
+  if (view.filterCategory) params.set('category', view.filterCategory);
+  if (view.filterWarehouse) params.set('warehouse', view.filterWarehouse);
+  if (view.filterStatus) params.set('status', view.filterStatus);
+  if (view.filterSupplier) params.set('supplier', view.filterSupplier);
+
+  Object.entries(RANGE_PARAMS).forEach(([key, param]) => {
+    if (view.filterRanges[key] !== '') params.set(param, view.filterRanges[key]);
+  });
+
+  if (view.sort.column !== DEFAULT_SORT.column || view.sort.ascending !== DEFAULT_SORT.ascending) {
+    params.set('sort', view.sort.column);
+    params.set('dir', view.sort.ascending ? 'asc' : 'desc');
+  }
+
+  if (view.currentPage > 1) params.set('page', view.currentPage);
+  return params;
+};
 
 const InventoryPage = () => {
+  // Search, filters, sort and page live in the URL. Dashboard tiles link
+  // here with ?category=, ?warehouse=, ?status=low or ?search=; the
+  // Suppliers page links here with ?supplier=<id>
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = useMemo(() => parseViewParams(searchParams), [searchParams]);
+  const {
+    searchTerm,
+    filterCategory,
+    filterWarehouse,
+    filterStatus,
+    filterSupplier,
+    filterRanges,
+    sort,
+    currentPage
+  } = view;
+  // filterRanges and sort are rebuilt on every URL change; effects compare
+  // their values instead
+  const rangeKey = Object.values(filterRanges).join('|');
+  const { role, can, user } = useAuth();
   const [items, setItems] = useState([]);
   const [categories, setCategories] = useState([]);
+  // Latest categories for building queries right after they load
+  const categoriesRef = useRef([]);
   const [warehouses, setWarehouses] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [exporting, setExporting] = useState(false);
   
   // Pagination
-  const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(10);
   const [totalItems, setTotalItems] = useState(0);
   
-  // Search
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterCategory, setFilterCategory] = useState('');
-  const [filterWarehouse, setFilterWarehouse] = useState('');
+  // Opened straight away when a link or saved view sets a range
+  const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(() => Object.values(filterRanges).some(value => value !== ''));
+  
+  // Saved views of this page for the current user
+  const [savedViews, setSavedViews] = useState([]);
+  const [isSaveViewModalOpen, setIsSaveViewModalOpen] = useState(false);
+  const [newView, setNewView] = useState({ name: '', isPinned: true, isDefault: false });
+  const [isManageViewsModalOpen, setIsManageViewsModalOpen] = useState(false);
+  
+  // Bulk selection: rows picked by hand (keyed by id, kept across pages),
+  // or every item matching the filters
+  const [selectedItems, setSelectedItems] = useState({});
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkAction, setBulkAction] = useState(EMPTY_BULK_ACTION);
+  // The changes waiting for confirmation: { changes, selectedCount }
+  const [bulkReview, setBulkReview] = useState(null);
+  const [bulkSaving, setBulkSaving] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  
+  // Warehouse picked in the table for items without stock, keyed by item
+  // id, so their quantity cell has somewhere to book the count
+  const [newLevelWarehouses, setNewLevelWarehouses] = useState({});
+  // Move picked in a warehouse cell, waiting for confirmation:
+  // { item, from, to, quantity, reserved, resolve(confirmed) }
+  const [warehouseMove, setWarehouseMove] = useState(null);
   
   // State for zoom modal
   const [isImageModalOpen, setIsImageModalOpen] = useState(false);
@@ -39,9 +178,16 @@ const InventoryPage = () => {
   // File input references
   const fileInputRef = useRef(null);
   const editFileInputRef = useRef(null);
+  const newItemNameRef = useRef(null);
+  
+  // Scan mode for barcode scanners
+  const [isScanMode, setIsScanMode] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [scanMessage, setScanMessage] = useState(null);
   
   const [newItem, setNewItem] = useState({ 
     name: '', 
+    sku: '',
     category_id: '', 
     quantity: 0, 
     price: 0, 
@@ -54,10 +200,24 @@ const InventoryPage = () => {
   // State for edit modal
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  // Set when a save finds the item changed by someone else since it was opened
+  const [editConflict, setEditConflict] = useState(null);
+  const [editTab, setEditTab] = useState('details');
+  const [itemHistory, setItemHistory] = useState(null);
+  
+  // Last item moved to the Trash, while its Undo toast is showing
+  const [trashedItem, setTrashedItem] = useState(null);
+  
+  // Consumption forecasts for the items on the current page, keyed by item id
+  const [forecastMethod, setForecastMethod] = useState(FORECAST_METHODS[0].value);
+  const [forecasts, setForecasts] = useState({});
+  
+  // Rows whose per-warehouse breakdown is expanded, keyed by item id
+  const [expandedItems, setExpandedItems] = useState({});
   
-  // State for delete confirmation
-  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
-  const [itemToDelete, setItemToDelete] = useState(null);
+  // State for transfer modal
+  const [isTransferModalOpen, setIsTransferModalOpen] = useState(false);
+  const [itemToTransfer, setItemToTransfer] = useState(null);
   
   // State for category/warehouse management
   const [isNewCategoryModalOpen, setIsNewCategoryModalOpen] = useState(false);
@@ -68,79 +228,107 @@ const InventoryPage = () => {
   
   const [error, setError] = useState(null);
 
-  // Fetch inventory items and reference data on component mount
+  // Fetch reference data on component mount. The table itself is loaded
+  // by the delayed search below, once these are in (category filters
+  // include subcategories).
+  const referenceDataRef = useRef(null);
   useEffect(() => {
-    const loadData = async () => {
+    const loadReferenceData = async () => {
       await fetchCategories();
       await fetchWarehouses();
-      await fetchInventory();
+      await fetchSupplierOptions();
     };
     
-    loadData();
-  }, [currentPage, searchTerm, filterCategory, filterWarehouse]);
+    referenceDataRef.current = loadReferenceData();
+  }, []);
 
-  // Fetch inventory items with pagination and filtering
-  const fetchInventory = async () => {
-    try {
-      setLoading(true);
-      
-      // Build the query
-      let query = supabase
-        .from('stock')
-        .select('*', { count: 'exact' });
-        
-      // Apply search filters
-      if (searchTerm) {
-        query = query.ilike('name', `%${searchTerm}%`);
-      }
+  // Reload when anyone changes items or levels. Bursts of changes (a receipt
+  // touches many rows) are collapsed into one quiet reload.
+  const fetchInventoryRef = useRef(fetchInventory);
+  useEffect(() => {
+    fetchInventoryRef.current = fetchInventory;
+  });
+
+  useEffect(() => {
+    let reloadTimer;
+    const unsubscribe = subscribeToInventory(() => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => fetchInventoryRef.current({ quiet: true }), 500);
+    });
+
+    return () => {
+      clearTimeout(reloadTimer);
+      unsubscribe();
+    };
+  }, []);
+
+  // Forecast the visible items whenever they or the method change
+  useEffect(() => {
+    loadForecasts();
+  }, [items, forecastMethod]);
+
+  // Filters for the stock list. Search matches the name or the SKU; the
+  // warehouse filter keeps items that have stock there. Items in the Trash
+  // are listed on their own page.
+  const getInventoryFilters = () => ({
+    search: searchTerm || undefined,
+    // The category and everything nested under it
+    categories: filterCategory ? getDescendantNames(categoriesRef.current, filterCategory) : undefined,
+    warehouse: filterWarehouse || undefined,
+    lowStock: filterStatus === 'low' ? true : filterStatus === 'ok' ? false : undefined,
+    outOfStock: filterStatus === 'out' || undefined,
+    supplierId: filterSupplier || undefined,
+    minQuantity: parseBound(filterRanges.minQuantity),
+    maxQuantity: parseBound(filterRanges.maxQuantity),
+    minPrice: parseBound(filterRanges.minPrice),
+    maxPrice: parseBound(filterRanges.maxPrice)
+  });
+
+  // Attach the category object and sorted levels to a stock row
+  const toInventoryRow = (item) => {
+    // Find the category object based on the category name
+    const category = item.category ? 
+      categories.find(c => c.name === item.category) || 
+      { id: null, name: item.category } : null;
       
-      if (filterCategory) {
-        query = query.eq('category', filterCategory);
-      }
+    return {
+      ...item,
+      category: category,
+      // Per-warehouse quantities, sorted by warehouse name
+      levels: [...(item.stock_level || [])].sort((a, b) => a.warehouse.localeCompare(b.warehouse)),
+      // Set this ID for form handling
+      category_id: category?.id || ''
+    };
+  };
+
+  // Every item matching the filters. The backend may cap a single
+  // response, so read in chunks.
+  const fetchAllMatchingItems = async () => {
+    const allItems = [];
+    for (let from = 0; ; from += EXPORT_CHUNK_SIZE) {
+      const { items: chunk } = await fetchItems(getInventoryFilters(), { from, to: from + EXPORT_CHUNK_SIZE - 1, order: sort });
       
-      if (filterWarehouse) {
-        query = query.eq('warehouse', filterWarehouse);
-      }
+      allItems.push(...chunk);
+      if (chunk.length < EXPORT_CHUNK_SIZE) break;
+    }
+    return allItems;
+  };
+
+  // Fetch inventory items with pagination and filtering. Quiet reloads
+  // (from realtime changes) keep the table on screen while loading.
+  const fetchInventory = async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
       
       // Apply pagination
       const from = (currentPage - 1) * itemsPerPage;
       const to = from + itemsPerPage - 1;
       
-      const { data: stockData, error: stockError, count } = await query
-        .order('name')
-        .range(from, to);
-
-      if (stockError) throw stockError;
+      const { items: stockData, count } = await fetchItems(getInventoryFilters(), { from, to, order: sort });
       
-      setTotalItems(count || 0);
+      setTotalItems(count);
       
-      if (stockData) {
-        // For each stock item, attach the category and warehouse objects
-        const enhancedStockData = stockData.map(item => {
-          // Find the category object based on the category name
-          const category = item.category ? 
-            categories.find(c => c.name === item.category) || 
-            { id: null, name: item.category } : null;
-            
-          // Find the warehouse object based on the warehouse name
-          const warehouse = item.warehouse ?
-            warehouses.find(w => w.name === item.warehouse) ||
-            { id: null, name: item.warehouse } : null;
-            
-          return {
-            ...item,
-            category: category,
-            warehouse: warehouse,
-            // Set these IDs for form handling
-            category_id: category?.id || '',
-            warehouse_id: warehouse?.id || ''
-          };
-        });
-        
-        setItems(enhancedStockData);
-      } else {
-        setItems([]);
-      }
+      setItems(stockData ? stockData.map(toInventoryRow) : []);
     } catch (error) {
       console.error('Error fetching inventory:', error.message);
       setError(error.message);
@@ -149,32 +337,90 @@ const InventoryPage = () => {
     }
   };
 
-  // Get categories from Supabase
-  const fetchCategories = async () => {
+  const loadForecasts = async () => {
+    // Forecasts need the full history from the server
+    if (!isOnline()) return;
+    
     try {
-      const { data, error } = await supabase
-        .from('category')
-        .select('*')
-        .order('name');
+      setForecasts(await fetchForecasts(items, forecastMethod));
+    } catch (error) {
+      console.error('Error forecasting demand:', error.message);
+      setError(error.message);
+    }
+  };
 
-      if (error) throw error;
-      setCategories(data || []);
+  // Days of stock left, coloured by how it compares with the lead time
+  const renderDaysLeft = (forecast) => {
+    if (!forecast) return '-';
+    if (forecast.daysLeft === null) {
+      return <span title="No sales or usage in the last 90 days">-</span>;
+    }
+
+    const colour = forecast.daysLeft <= forecast.leadTimeDays
+      ? 'text-red-700 font-medium'
+      : forecast.daysLeft <= forecast.leadTimeDays * 2 ? 'text-yellow-700' : 'text-gray-500';
+
+    return (
+      <span className={colour} title={`Runs out around ${formatDate(forecast.stockoutDate)}`}>
+        {forecast.daysLeft} {forecast.daysLeft === 1 ? 'day' : 'days'}
+      </span>
+    );
+  };
+
+  // Export every row matching the filters, not just the current page
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      
+      const allItems = await fetchAllMatchingItems();
+      
+      exportInventory(format, allItems, {
+        filters: [
+          { label: 'Search', value: searchTerm },
+          { label: 'Category', value: filterCategory },
+          { label: 'Warehouse', value: filterWarehouse },
+          { label: 'Status', value: STOCK_STATUSES.find(status => status.value === filterStatus)?.label || '' },
+          { label: 'Supplier', value: suppliers.find(s => String(s.id) === String(filterSupplier))?.name || '' },
+          { label: 'Quantity', value: formatRange(filterRanges.minQuantity, filterRanges.maxQuantity) },
+          { label: 'Price', value: formatRange(filterRanges.minPrice, filterRanges.maxPrice, formatRupiah) }
+        ]
+      });
+    } catch (error) {
+      console.error('Error exporting inventory:', error.message);
+      setError(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Suppliers for the filter and the edit modal
+  const fetchSupplierOptions = async () => {
+    if (!isOnline()) return;
+    
+    try {
+      setSuppliers(await fetchSuppliers());
+    } catch (error) {
+      console.error('Error fetching suppliers:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Get categories
+  const fetchCategories = async () => {
+    try {
+      const data = await fetchCategoryList();
+      categoriesRef.current = data;
+      setCategories(data);
     } catch (error) {
       console.error('Error fetching categories:', error.message);
       setError(error.message);
     }
   };
 
-  // Get warehouses from Supabase
+  // Get warehouses
   const fetchWarehouses = async () => {
     try {
-      const { data, error } = await supabase
-        .from('warehouse')
-        .select('*')
-        .order('name');
-
-      if (error) throw error;
-      setWarehouses(data || []);
+      setWarehouses(await fetchWarehouseList());
     } catch (error) {
       console.error('Error fetching warehouses:', error.message);
       setError(error.message);
@@ -276,36 +522,16 @@ const InventoryPage = () => {
     }
   };
   
-  // Function to upload image to Supabase Storage
+  // Upload an image and return its public URL
   const uploadImage = async (file) => {
     if (!file) return null;
+    if (!isOnline()) {
+      throw new Error('Images can only be uploaded while online. Paste an image URL or try again later.');
+    }
     
     try {
       setUploading(true);
-      
-      // Create a unique file name
-      const fileExt = file.name.split('.').pop();
-      const fileName = `${uuidv4()}.${fileExt}`;
-      const filePath = `${fileName}`;
-      
-      // Upload to Supabase Storage
-      const { data, error } = await supabase
-        .storage
-        .from('stock')
-        .upload(filePath, file, {
-          cacheControl: '3600',
-          upsert: false
-        });
-        
-      if (error) throw error;
-      
-      // Get public URL
-      const { data: publicUrlData } = supabase
-        .storage
-        .from('stock')
-        .getPublicUrl(filePath);
-      
-      return publicUrlData.publicUrl;
+      return await uploadItemImage(file);
     } catch (error) {
       console.error('Error uploading image:', error.message);
       throw error;
@@ -319,6 +545,21 @@ const InventoryPage = () => {
     e.preventDefault();
     
     try {
+      assertPermission(role, 'item:create');
+      validateThreshold(newItem.threshold);
+      
+      // The opening quantity is booked into the selected warehouse
+      const selectedWarehouse = warehouses.find(w => w.id === parseInt(newItem.warehouse_id));
+      if (newItem.quantity > 0 && !selectedWarehouse) {
+        throw new Error('Please select the warehouse that holds the opening quantity.');
+      }
+      
+      const sku = normalizeSku(newItem.sku);
+      // Offline, the server checks the SKU when the change is sent
+      if (isOnline()) {
+        await assertSkuAvailable(sku);
+      }
+      
       let thumbnailUrl = newItem.thumbnail;
       
       // Upload file if it exists
@@ -326,15 +567,17 @@ const InventoryPage = () => {
         thumbnailUrl = await uploadImage(newItem.file);
       }
       
+      // Quantity starts at zero and is raised by the opening balance transaction
       const insertData = { 
         name: newItem.name, 
-        quantity: newItem.quantity, 
+        sku,
+        quantity: 0, 
         price: newItem.price,
         threshold: newItem.threshold,
         thumbnail: thumbnailUrl
       };
       
-      // Store category and warehouse as text fields
+      // Store category as a text field
       if (newItem.category_id) {
         const selectedCategory = categories.find(c => c.id === parseInt(newItem.category_id));
         if (selectedCategory) {
@@ -342,24 +585,18 @@ const InventoryPage = () => {
         }
       }
       
-      if (newItem.warehouse_id) {
-        const selectedWarehouse = warehouses.find(w => w.id === parseInt(newItem.warehouse_id));
-        if (selectedWarehouse) {
-          insertData.warehouse = selectedWarehouse.name;
-        }
-      }
+      const opening = newItem.quantity > 0
+        ? { warehouse: selectedWarehouse.name, quantity: newItem.quantity }
+        : null;
       
-      const { data, error } = await supabase
-        .from('stock')
-        .insert([insertData])
-        .select();
-
-      if (error) throw error;
+      // Creates the item and books the opening balance, or queues both
+      await runOrQueue('createItem', { values: insertData, opening }, `Add ${newItem.name}`);
       
       await fetchInventory();
       
       setNewItem({ 
         name: '', 
+        sku: '',
         category_id: '', 
         quantity: 0, 
         price: 0, 
@@ -395,14 +632,23 @@ const InventoryPage = () => {
     setEditingItem({
       id: item.id,
       name: item.name,
+      sku: item.sku || '',
       category_id: item.category_id,
-      quantity: item.quantity,
+      // Each level remembers its original quantity so only changed counts are sent
+      levels: item.levels.map(level => ({ ...level, originalQuantity: level.quantity })),
+      suppliers: (item.stock_supplier || []).map(link => ({ ...link })),
+      newLevelWarehouse: '',
       price: item.price,
       threshold: item.threshold,
-      warehouse_id: item.warehouse_id,
       thumbnail: item.thumbnail,
-      file: null
+      file: null,
+      // What was loaded, to tell our changes from someone else's on save
+      version: item.version,
+      original: toEditableFields({ ...item, category: item.category?.name })
     });
+    setEditConflict(null);
+    setEditTab('details');
+    setItemHistory(null);
     setIsEditModalOpen(true);
   };
 
@@ -417,54 +663,123 @@ const InventoryPage = () => {
     });
   };
 
-  // Save edited item
-  const saveEditedItem = async () => {
+  // Handle quantity changes for one warehouse in the edit modal
+  const handleLevelChange = (warehouse, value) => {
+    setEditingItem({
+      ...editingItem,
+      levels: editingItem.levels.map(level => (
+        level.warehouse === warehouse ? { ...level, quantity: parseInt(value) || 0 } : level
+      ))
+    });
+  };
+
+  // Start stocking the item in another warehouse
+  const addEditLevel = () => {
+    if (!editingItem.newLevelWarehouse) return;
+    setEditingItem({
+      ...editingItem,
+      levels: [
+        ...editingItem.levels,
+        { warehouse: editingItem.newLevelWarehouse, quantity: 0, originalQuantity: 0 }
+      ],
+      newLevelWarehouse: ''
+    });
+  };
+
+  // Save edited item. Only saves if nobody changed the item since it was
+  // opened; otherwise shows the conflict view instead of overwriting.
+  const saveEditedItem = async (item = editingItem) => {
     try {
-      console.log("Updating item with data:", editingItem);
+      assertPermission(role, 'item:update');
+      validateThreshold(item.threshold);
+      
+      const sku = normalizeSku(item.sku);
+      if (isOnline()) {
+        await assertSkuAvailable(sku, item.id);
+      }
       
-      let thumbnailUrl = editingItem.thumbnail;
+      let thumbnailUrl = item.thumbnail;
       
       // Upload new file if it exists
-      if (editingItem.file) {
-        thumbnailUrl = await uploadImage(editingItem.file);
+      if (item.file) {
+        thumbnailUrl = await uploadImage(item.file);
       }
       
-      // Create an update object with fields that definitely exist in the table
+      // Quantity is not written directly; changes go through the ledger below
       const updateData = { 
-        name: editingItem.name,
-        quantity: editingItem.quantity,
-        price: editingItem.price,
-        threshold: editingItem.threshold,
+        name: item.name,
+        sku,
+        price: item.price,
+        threshold: item.threshold,
         thumbnail: thumbnailUrl
       };
       
-      // Check if category and warehouse are stored as text fields or IDs
-      if (editingItem.category_id) {
-        const selectedCategory = categories.find(c => c.id === parseInt(editingItem.category_id));
+      // Check if category is stored as a text field or ID
+      if (item.category_id) {
+        const selectedCategory = categories.find(c => c.id === parseInt(item.category_id));
         if (selectedCategory) {
           updateData.category = selectedCategory.name;
         }
       }
       
-      if (editingItem.warehouse_id) {
-        const selectedWarehouse = warehouses.find(w => w.id === parseInt(editingItem.warehouse_id));
-        if (selectedWarehouse) {
-          updateData.warehouse = selectedWarehouse.name;
-        }
-      }
+      // The counted quantity of each warehouse that changed; the server
+      // books the difference to its current level as a count adjustment
+      const counts = item.levels
+        .filter(level => level.quantity !== level.originalQuantity)
+        .map(level => ({ warehouse: level.warehouse, quantity: level.quantity }));
+      
+      const queueEdit = async () => {
+        queueMutation('updateItem', {
+          id: item.id,
+          version: item.version,
+          values: updateData,
+          original: item.original,
+          counts,
+          suppliers: item.suppliers
+        }, `Edit ${item.name}`);
+        await fetchInventory();
+        setIsEditModalOpen(false);
+        setEditConflict(null);
+      };
       
-      console.log("Sending update with data:", updateData);
+      // Offline edits are checked for conflicts when they are sent
+      if (!isOnline()) return queueEdit();
       
-      const { error } = await supabase
-        .from('stock')
-        .update(updateData)
-        .eq('id', editingItem.id);
+      // The details and counts are saved together, or neither on a conflict
+      const { error, conflict } = await updateItemIfUnchanged(item.id, item.version, updateData, counts);
 
+      if (error && isNetworkError(error)) return queueEdit();
+      if (isDuplicateSkuError(error)) throw new Error(DUPLICATE_SKU_MESSAGE);
       if (error) throw error;
       
+      if (conflict) {
+        const mine = toEditableFields({ ...item.original, ...updateData });
+        const conflicts = getFieldConflicts(item.original, mine, toEditableFields(conflict));
+        // Keep the uploaded image so resolving does not upload it again
+        const uploadedItem = { ...item, thumbnail: thumbnailUrl, file: null };
+        
+        // Only the version moved (e.g. changed and changed back): save again
+        if (conflicts.length === 0) {
+          return saveEditedItem({ ...uploadedItem, version: conflict.version, original: toEditableFields(conflict) });
+        }
+        
+        setEditingItem(uploadedItem);
+        setEditConflict({
+          current: conflict,
+          mine,
+          conflicts,
+          // Both-changed fields default to keeping our value
+          choices: Object.fromEntries(conflicts.filter(c => c.conflicting).map(c => [c.key, 'mine']))
+        });
+        return;
+      }
+      
+      await saveItemSuppliers(item.id, item.suppliers);
+      
       // Refresh inventory data
       await fetchInventory();
       setIsEditModalOpen(false);
+      setEditConflict(null);
       
     } catch (error) {
       console.error('Error updating item:', error.message);
@@ -472,30 +787,75 @@ const InventoryPage = () => {
     }
   };
 
+  // Show the audit trail of the item being edited
+  const openHistoryTab = async () => {
+    setEditTab('history');
+    
+    try {
+      setItemHistory(await fetchItemHistory(editingItem.id));
+    } catch (error) {
+      console.error('Error fetching item history:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Save the merged version chosen in the conflict view
+  const resolveEditConflict = () => {
+    const { current, mine, conflicts, choices } = editConflict;
+    const merged = mergeFields(mine, conflicts, choices);
+    const category = categories.find(c => c.name === merged.category);
+    
+    const resolvedItem = {
+      ...editingItem,
+      name: merged.name,
+      sku: merged.sku || '',
+      category_id: category?.id || editingItem.category_id,
+      price: merged.price,
+      threshold: merged.threshold,
+      thumbnail: merged.thumbnail,
+      version: current.version,
+      original: toEditableFields(current)
+    };
+    
+    setEditConflict(null);
+    setEditingItem(resolvedItem);
+    saveEditedItem(resolvedItem);
+  };
+
+  // Show a field value in the conflict view
+  const formatConflictValue = (key, value) => {
+    if (value === null || value === '') return <span className="italic text-gray-400">empty</span>;
+    if (key === 'price') return formatRupiah(value);
+    if (key === 'thumbnail') return <span className="break-all">{value.split('/').pop()}</span>;
+    return String(value);
+  };
+
   // Open image zoom modal
   const openImageModal = (imageUrl, itemName) => {
     setCurrentImage({ url: imageUrl, name: itemName });
     setIsImageModalOpen(true);
   };
 
-  // Open delete confirmation modal
-  const openDeleteModal = (item) => {
-    setItemToDelete(item);
-    setIsDeleteModalOpen(true);
+  // Show or hide the per-warehouse breakdown of a row
+  const toggleExpanded = (itemId) => {
+    setExpandedItems({ ...expandedItems, [itemId]: !expandedItems[itemId] });
   };
 
-  // Delete item after confirmation
-  const confirmDelete = async () => {
-    try {
-      const { error } = await supabase
-        .from('stock')
-        .delete()
-        .eq('id', itemToDelete.id);
+  // Open transfer modal for a single row
+  const openTransferModal = (item) => {
+    setItemToTransfer(item);
+    setIsTransferModalOpen(true);
+  };
 
-      if (error) throw error;
+  // Move an item to the Trash; the toast offers to undo it unless the move
+  // was queued offline
+  const deleteItem = async (item) => {
+    try {
+      assertPermission(role, 'item:delete');
       
+      const { queued } = await runOrQueue('trashItem', { id: item.id }, `Delete ${item.name}`);
+      if (!queued) setTrashedItem(item);
       await fetchInventory();
-      setIsDeleteModalOpen(false);
       
     } catch (error) {
       console.error('Error deleting item:', error.message);
@@ -503,19 +863,30 @@ const InventoryPage = () => {
     }
   };
 
+  const undoDelete = async () => {
+    const item = trashedItem;
+    setTrashedItem(null);
+    
+    try {
+      await restoreItem(item.id);
+      await fetchInventory();
+    } catch (error) {
+      console.error('Error restoring item:', error.message);
+      setError(error.message);
+    }
+  };
+
   // Add new category
   const addCategory = async (e) => {
     e.preventDefault();
     
     try {
-      const { data, error } = await supabase
-        .from('category')
-        .insert([{ name: newCategory }])
-        .select();
-
-      if (error) throw error;
+      assertPermission(role, 'category:create');
+      
+      const category = await createCategory(newCategory);
       
-      setCategories([...categories, ...data]);
+      categoriesRef.current = [...categories, category];
+      setCategories(categoriesRef.current);
       setNewCategory('');
       setIsNewCategoryModalOpen(false);
       
@@ -530,14 +901,11 @@ const InventoryPage = () => {
     e.preventDefault();
     
     try {
-      const { data, error } = await supabase
-        .from('warehouse')
-        .insert([{ name: newWarehouse }])
-        .select();
-
-      if (error) throw error;
+      assertPermission(role, 'warehouse:create');
       
-      setWarehouses([...warehouses, ...data]);
+      const warehouse = await createWarehouse({ name: newWarehouse });
+      
+      setWarehouses([...warehouses, warehouse]);
       setNewWarehouse('');
       setIsNewWarehouseModalOpen(false);
       
@@ -547,73 +915,550 @@ const InventoryPage = () => {
     }
   };
 
-  // Handle pagination
-  const totalPages = Math.ceil(totalItems / itemsPerPage);
-  
-  const changePage = (page) => {
-    if (page < 1 || page > totalPages) return;
-    setCurrentPage(page);
+  // Change the search, filters, sort or page in the URL. Anything but a
+  // page change goes back to page 1. Typing replaces the history entry
+  // instead of adding one per keystroke.
+  const updateView = (changes, { replace = false } = {}) => {
+    setSearchParams(toViewParams({ ...view, currentPage: 1, ...changes }), { replace });
   };
 
-  // Handle search input change
-  const handleSearchChange = (e) => {
-    setSearchTerm(e.target.value);
-    setCurrentPage(1); // Reset to first page on search
+  // The current view as saved views store it, without the page
+  const currentViewQuery = toViewParams({ ...view, currentPage: 1 }).toString();
+  
+  // Load the user's saved views. Visiting the page without a query opens
+  // the default view, if one is set.
+  const loadSavedViews = async ({ openDefault = false } = {}) => {
+    try {
+      const views = await fetchSavedViews(user.id, 'inventory');
+      setSavedViews(views);
+      
+      const defaultView = views.find(v => v.is_default);
+      if (openDefault && defaultView && searchParams.toString() === '') {
+        setSearchParams(defaultView.query, { replace: true });
+      }
+    } catch (error) {
+      console.error('Error fetching saved views:', error.message);
+      setError(error.message);
+    }
   };
-
-  // Delayed search to prevent too many requests
+  
   useEffect(() => {
-    const delaySearch = setTimeout(() => {
-      fetchInventory();
-    }, 500);
+    loadSavedViews({ openDefault: true });
+  }, [user.id]);
+  
+  const saveView = async (e) => {
+    e.preventDefault();
     
-    return () => clearTimeout(delaySearch);
-  }, [searchTerm, filterCategory, filterWarehouse]);
-
-  // Get placeholder image for items without thumbnails
-  const getPlaceholderImage = (item) => {
-    return `https://ui-avatars.com/api/?name=${encodeURIComponent(item.name)}&background=random&color=fff&size=128`;
+    try {
+      await createSavedView(user.id, 'inventory', { ...newView, query: currentViewQuery });
+      await loadSavedViews();
+      setNewView({ name: '', isPinned: true, isDefault: false });
+      setIsSaveViewModalOpen(false);
+    } catch (error) {
+      console.error('Error saving view:', error.message);
+      setError(error.message);
+    }
+  };
+  
+  const toggleViewPinned = async (savedView) => {
+    try {
+      await setViewPinned(savedView.id, !savedView.is_pinned);
+      await loadSavedViews();
+    } catch (error) {
+      console.error('Error pinning view:', error.message);
+      setError(error.message);
+    }
+  };
+  
+  // Make a view the default, or clear the default if it already is
+  const toggleDefaultView = async (savedView) => {
+    try {
+      await setDefaultView(user.id, 'inventory', savedView.is_default ? null : savedView.id);
+      await loadSavedViews();
+    } catch (error) {
+      console.error('Error setting default view:', error.message);
+      setError(error.message);
+    }
+  };
+  
+  const removeSavedView = async (savedView) => {
+    if (!window.confirm(`Delete the view "${savedView.name}"?`)) return;
+    
+    try {
+      await deleteSavedView(savedView.id);
+      await loadSavedViews();
+    } catch (error) {
+      console.error('Error deleting view:', error.message);
+      setError(error.message);
+    }
+  };
+  
+  const openSavedView = (savedView) => {
+    setSearchParams(savedView.query);
+    setIsManageViewsModalOpen(false);
   };
 
-  return (
-    <div className="bg-white p-6 rounded-lg shadow-md">
-      <h2 className="text-xl font-semibold mb-4">Inventory Management</h2>
+  // Bulk actions this user may run
+  const bulkActions = BULK_ACTIONS.filter(action => can(action.permission));
+  
+  const selectedCount = selectAllMatching ? totalItems : Object.keys(selectedItems).length;
+  const isPageSelected = items.length > 0 && items.every(item => selectAllMatching || selectedItems[item.id]);
+  
+  // A selection made under other filters would act on rows no longer shown
+  useEffect(() => {
+    clearSelection();
+  }, [currentViewQuery]);
+  
+  const clearSelection = () => {
+    setSelectedItems({});
+    setSelectAllMatching(false);
+  };
+  
+  const toggleItemSelected = (item) => {
+    // Unticking one row of "all matching" keeps the rest of this page
+    const selected = selectAllMatching
+      ? Object.fromEntries(items.map(i => [i.id, i]))
+      : { ...selectedItems };
+    
+    if (selected[item.id]) {
+      delete selected[item.id];
+    } else {
+      selected[item.id] = item;
+    }
+    
+    setSelectAllMatching(false);
+    setSelectedItems(selected);
+  };
+  
+  const togglePageSelected = () => {
+    if (isPageSelected) {
+      clearSelection();
+    } else {
+      setSelectedItems({ ...selectedItems, ...Object.fromEntries(items.map(item => [item.id, item])) });
+    }
+  };
+  
+  // Load the selected items and show what the action would change. The
+  // rows are read again so the summary matches what the database will do,
+  // not what the table showed when they were ticked.
+  const reviewBulkAction = async () => {
+    try {
+      if (!isOnline()) {
+        throw new Error('Bulk changes can only be made while online.');
+      }
+      validateBulkAction(bulkAction);
       
-      {/* Error display */}
-      {error && (
-        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
-          <p>{error}</p>
-          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
-        </div>
-      )}
+      const targets = selectAllMatching
+        ? (await fetchAllMatchingItems()).map(toInventoryRow)
+        : (await fetchItemsByIds(Object.keys(selectedItems).map(Number))).map(toInventoryRow);
+      const changes = previewBulkAction(bulkAction, targets);
       
-      {/* Search and filters */}
-      <div className="mb-6 p-4 bg-gray-50 rounded-md">
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Search Items</label>
-            <input
-              type="text"
-              placeholder="Search by name..."
-              value={searchTerm}
-              onChange={handleSearchChange}
-              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Category</label>
-            <select
-              value={filterCategory}
-              onChange={(e) => {
-                setFilterCategory(e.target.value);
-                setCurrentPage(1);
-              }}
+      if (changes.length === 0) {
+        throw new Error('None of the selected items would change.');
+      }
+      
+      setBulkFailures([]);
+      setBulkReview({ changes, selectedCount: targets.length });
+    } catch (error) {
+      console.error('Error preparing bulk action:', error.message);
+      setError(error.message);
+    }
+  };
+  
+  const confirmBulkAction = async () => {
+    try {
+      const action = BULK_ACTIONS.find(a => a.value === bulkAction.action);
+      assertPermission(role, action.permission);
+      
+      setBulkSaving(true);
+      const failures = await applyBulkAction(bulkAction, bulkReview.changes.map(change => change.item));
+      
+      await fetchInventory();
+      clearSelection();
+      
+      // Keep the summary open to show what could not be changed
+      if (failures.length > 0) {
+        setBulkFailures(failures);
+      } else {
+        setBulkReview(null);
+        setBulkAction(EMPTY_BULK_ACTION);
+      }
+    } catch (error) {
+      console.error('Error applying bulk action:', error.message);
+      setError(error.message);
+      setBulkReview(null);
+    } finally {
+      setBulkSaving(false);
+    }
+  };
+
+  // Cells the user may edit in the table; moving stock goes through transfers
+  const canEditInline = can('item:update');
+  const canMoveInline = can('transfer:create');
+  
+  // The one warehouse a row's quantity and warehouse cells edit: where the
+  // item is stocked, or where it was picked for an item without stock.
+  // Items in several warehouses are edited per warehouse in the breakdown
+  // (undefined here).
+  const getRowWarehouse = (item) => {
+    const stocked = item.levels.filter(level => level.quantity > 0);
+    if (stocked.length > 1) return undefined;
+    return stocked[0]?.warehouse || newLevelWarehouses[item.id] || '';
+  };
+  
+  const getCategoryCellOptions = (item) => {
+    const options = buildCategoryTree(categories).map(category => ({ value: category.name, label: getCategoryOptionLabel(category) }));
+    // Keep a category that no longer exists selectable as the current value
+    if (item.category?.name && !categories.some(c => c.name === item.category.name)) {
+      options.push({ value: item.category.name, label: item.category.name });
+    }
+    return [{ value: '', label: 'N/A' }, ...options];
+  };
+  
+  const getWarehouseCellOptions = (item) => {
+    const current = getRowWarehouse(item);
+    const options = warehouses
+      .filter(warehouse => isActiveWarehouse(warehouse) || warehouse.name === current)
+      .map(warehouse => ({ value: warehouse.name, label: warehouse.name }));
+    return current ? options : [{ value: '', label: '-' }, ...options];
+  };
+  
+  // Save one field edited in the table. Only that field is written, so
+  // someone else's change to another field is kept; a change to the same
+  // field since the table loaded is reported instead of overwritten.
+  const saveItemField = async (item, field, value) => {
+    assertPermission(role, 'item:update');
+    if (field === 'threshold') validateThreshold(value);
+    
+    try {
+      await runOrQueue('updateItem', {
+        id: item.id,
+        version: item.version,
+        values: { [field]: value },
+        original: toEditableFields({ ...item, category: item.category?.name }),
+        counts: []
+      }, `Edit ${item.name}`);
+    } catch (error) {
+      if (!error.conflict) throw error;
+      await fetchInventory({ quiet: true });
+      throw new Error('Someone else changed this value. The table now shows theirs.');
+    }
+    
+    await fetchInventory({ quiet: true });
+  };
+  
+  // Send a counted quantity; the server books the difference to the level
+  // it holds now, which may have moved since the table loaded
+  const saveLevelQuantity = async (item, warehouse, quantity) => {
+    assertPermission(role, 'item:update');
+    if (!Number.isInteger(quantity)) {
+      throw new Error('Quantities must be whole numbers.');
+    }
+    
+    const level = item.levels.find(l => l.warehouse === warehouse);
+    if (quantity === (level?.quantity || 0)) return;
+    
+    await runOrQueue('updateItem', {
+      id: item.id,
+      version: item.version,
+      values: {},
+      original: toEditableFields({ ...item, category: item.category?.name }),
+      counts: [{ warehouse, quantity }],
+      note: 'Adjusted in the inventory table'
+    }, `Adjust ${item.name} in ${warehouse}`);
+    
+    await fetchInventory({ quiet: true });
+  };
+  
+  // Move the row's available stock to another warehouse once confirmed, or
+  // just pick the warehouse when there is nothing to move yet. Resolves to
+  // false when nothing was saved.
+  const changeRowWarehouse = async (item, warehouse) => {
+    const level = item.levels.find(l => l.warehouse === getRowWarehouse(item) && l.quantity > 0);
+    
+    // Only remembered on this page until a quantity is booked there
+    if (!level) {
+      setNewLevelWarehouses({ ...newLevelWarehouses, [item.id]: warehouse });
+      return false;
+    }
+    
+    assertPermission(role, 'transfer:create');
+    if (!isOnline()) {
+      throw new Error('Stock can only be moved while online.');
+    }
+    
+    const quantity = level.quantity - (level.reserved || 0);
+    if (quantity <= 0) {
+      throw new Error(`All units in ${level.warehouse} are reserved.`);
+    }
+    
+    const confirmed = await new Promise(resolve => setWarehouseMove({
+      item,
+      from: level.warehouse,
+      to: warehouse,
+      quantity,
+      reserved: level.reserved || 0,
+      resolve
+    }));
+    if (!confirmed) return false;
+    
+    await createTransfer({
+      fromWarehouse: level.warehouse,
+      toWarehouse: warehouse,
+      lines: [{ stockId: item.id, quantity }],
+      note: 'Moved in the inventory table',
+      receiveNow: true
+    });
+    
+    await fetchInventory({ quiet: true });
+  };
+  
+  const closeWarehouseMove = (confirmed) => {
+    warehouseMove?.resolve(confirmed);
+    setWarehouseMove(null);
+  };
+
+  // Handle search input change
+  const handleSearchChange = (e) => {
+    updateView({ searchTerm: e.target.value }, { replace: true });
+  };
+
+  const handleRangeChange = (e) => {
+    updateView({ filterRanges: { ...filterRanges, [e.target.name]: e.target.value } }, { replace: true });
+  };
+
+  const clearRanges = () => {
+    updateView({ filterRanges: EMPTY_RANGES });
+  };
+
+  const activeRangeCount = Object.values(filterRanges).filter(value => value !== '').length;
+
+  // A range for the export header, e.g. "10 – 50", "≥ 10" or "≤ 50"
+  const formatRange = (min, max, format = String) => {
+    if (min !== '' && max !== '') return `${format(Number(min))} – ${format(Number(max))}`;
+    if (min !== '') return `≥ ${format(Number(min))}`;
+    if (max !== '') return `≤ ${format(Number(max))}`;
+    return '';
+  };
+
+  // Clicking the sorted column flips its direction; another column starts
+  // in its natural direction (largest first for numbers)
+  const changeSort = (column) => {
+    updateView({
+      sort: sort.column === column
+        ? { column, ascending: !sort.ascending }
+        : { column, ascending: SORT_COLUMNS[column].ascending }
+    });
+  };
+
+  const renderSortHeader = (label, column) => (
+    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        onClick={() => changeSort(column)}
+        className={`inline-flex items-center uppercase tracking-wider hover:text-gray-900 ${sort.column === column ? 'text-gray-900' : ''}`}
+        title={`Sort by ${label.toLowerCase()}`}
+      >
+        {label}
+        <span className="ml-1">{sort.column === column ? (sort.ascending ? '▲' : '▼') : '↕'}</span>
+      </button>
+    </th>
+  );
+
+  // Delayed search to prevent too many requests; the only place the
+  // table is loaded when the search, filters, sort or page change
+  useEffect(() => {
+    const delaySearch = setTimeout(async () => {
+      await referenceDataRef.current;
+      fetchInventory();
+    }, 500);
+    
+    return () => clearTimeout(delaySearch);
+  }, [currentPage, searchTerm, filterCategory, filterWarehouse, filterStatus, filterSupplier, rangeKey, sort.column, sort.ascending]);
+
+  // A scanned code shows its item, or starts a new item with that SKU
+  const handleScan = async (code) => {
+    try {
+      setScanning(true);
+      setScanMessage(null);
+      
+      const item = await findItemBySku(code);
+      
+      if (item?.deleted_at) {
+        setScanMessage({ type: 'unknown', text: `${item.sku} belongs to ${item.name}, which is in the Trash.` });
+      } else if (item) {
+        updateView({ ...DEFAULT_VIEW, sort, searchTerm: item.sku });
+        setExpandedItems({ [item.id]: true });
+        setScanMessage({ type: 'found', text: `${item.sku}: ${item.name}` });
+      } else if (can('item:create')) {
+        setNewItem({
+          name: '',
+          sku: code,
+          category_id: '',
+          quantity: 0,
+          price: 0,
+          threshold: 10,
+          warehouse_id: '',
+          thumbnail: '',
+          file: null
+        });
+        setIsScanMode(false);
+        setScanMessage({ type: 'unknown', text: `${code} is not in the inventory yet. Fill in the form below to add it.` });
+        newItemNameRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        newItemNameRef.current?.focus();
+      } else {
+        setScanMessage({ type: 'unknown', text: `No item has the SKU ${code}.` });
+      }
+    } catch (error) {
+      console.error('Error looking up SKU:', error.message);
+      setError(error.message);
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  // Get placeholder image for items without thumbnails
+  const getPlaceholderImage = (item) => {
+    return `https://ui-avatars.com/api/?name=${encodeURIComponent(item.name)}&background=random&color=fff&size=128`;
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Inventory Management</h2>
+        <div className="flex space-x-3">
+          <button
+            type="button"
+            onClick={() => {
+              setIsScanMode(!isScanMode);
+              setScanMessage(null);
+            }}
+            className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            {isScanMode ? 'Exit Scan Mode' : 'Scan Mode'}
+          </button>
+          {can('item:create') && (
+            <Link
+              to="/inventory/import"
+              className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Import CSV / Excel
+            </Link>
+          )}
+          <DropdownMenu as="div" className="relative">
+            <MenuButton
+              disabled={exporting}
+              className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Export ▾'}
+            </MenuButton>
+            <MenuItems
+              anchor="bottom end"
+              className="z-30 mt-2 w-48 rounded-md bg-white py-1 text-gray-700 shadow-lg ring-1 ring-black/5 focus:outline-none"
+            >
+              <p className="px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+                {totalItems} items matching the current filters
+              </p>
+              {EXPORT_FORMATS.map(format => (
+                <MenuItem key={format.key}>
+                  <button
+                    onClick={() => handleExport(format.key)}
+                    className="block w-full text-left px-4 py-2 text-sm data-[focus]:bg-gray-100"
+                  >
+                    {format.label}
+                  </button>
+                </MenuItem>
+              ))}
+            </MenuItems>
+          </DropdownMenu>
+        </div>
+      </div>
+      
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+      
+      {/* Scan mode */}
+      {isScanMode && (
+        <div className="mb-6 p-4 bg-blue-50 rounded-md">
+          <ScanInput onScan={handleScan} onClose={() => setIsScanMode(false)} busy={scanning} />
+        </div>
+      )}
+      
+      {scanMessage && (
+        <div
+          className={`${scanMessage.type === 'found' ? 'bg-green-100 border-green-500 text-green-700' : 'bg-yellow-100 border-yellow-500 text-yellow-700'} border-l-4 p-4 mb-4`}
+          role="status"
+        >
+          <p>{scanMessage.text}</p>
+          <button className="ml-2 text-sm" onClick={() => setScanMessage(null)}>Dismiss</button>
+        </div>
+      )}
+      
+      {/* Search and filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        {/* Saved views: pinned ones as shortcuts */}
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          <span className="text-gray-700 font-medium mr-1">Views:</span>
+          <button
+            onClick={() => setSearchParams({})}
+            className={`px-3 py-1 rounded-full border ${currentViewQuery === '' ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+          >
+            All items
+          </button>
+          {savedViews.filter(v => v.is_pinned).map(savedView => (
+            <button
+              key={savedView.id}
+              onClick={() => openSavedView(savedView)}
+              className={`px-3 py-1 rounded-full border ${savedView.query === currentViewQuery ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+              title={savedView.is_default ? 'Your default view' : undefined}
+            >
+              {savedView.is_default && <span className="mr-1">★</span>}
+              {savedView.name}
+            </button>
+          ))}
+          <button
+            onClick={() => setIsSaveViewModalOpen(true)}
+            disabled={currentViewQuery === '' || savedViews.some(v => v.query === currentViewQuery)}
+            className="ml-2 text-blue-600 hover:text-blue-900 disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            Save view
+          </button>
+          {savedViews.length > 0 && (
+            <button
+              onClick={() => setIsManageViewsModalOpen(true)}
+              className="text-gray-500 hover:text-gray-900"
+            >
+              Manage views ({savedViews.length})
+            </button>
+          )}
+        </div>
+        
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search Items</label>
+            <input
+              type="text"
+              placeholder="Search by name or SKU..."
+              value={searchTerm}
+              onChange={handleSearchChange}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Category</label>
+            <select
+              value={filterCategory}
+              onChange={(e) => updateView({ filterCategory: e.target.value })}
               className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
             >
               <option value="">All Categories</option>
-              {categories.map(category => (
-                <option key={category.id} value={category.name}>{category.name}</option>
+              {buildCategoryTree(categories).map(category => (
+                <option key={category.id} value={category.name}>{getCategoryOptionLabel(category)}</option>
               ))}
             </select>
           </div>
@@ -622,10 +1467,7 @@ const InventoryPage = () => {
             <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Warehouse</label>
             <select
               value={filterWarehouse}
-              onChange={(e) => {
-                setFilterWarehouse(e.target.value);
-                setCurrentPage(1);
-              }}
+              onChange={(e) => updateView({ filterWarehouse: e.target.value })}
               className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
             >
               <option value="">All Warehouses</option>
@@ -634,176 +1476,450 @@ const InventoryPage = () => {
               ))}
             </select>
           </div>
-        </div>
-      </div>
-      
-      {/* Add new item form */}
-      <div className="mb-6 p-4 bg-gray-50 rounded-md">
-        <h3 className="text-lg font-medium mb-2">Add New Item</h3>
-        <form onSubmit={addItem} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          
           <div>
-            <label className="block text-sm font-medium text-gray-700">Name</label>
-            <input
-              type="text"
-              name="name"
-              value={newItem.name}
-              onChange={handleInputChange}
-              required
-              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-            />
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => updateView({ filterStatus: e.target.value })}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Statuses</option>
+              {STOCK_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
           </div>
           
           <div>
-            <label className="block text-sm font-medium text-gray-700">Category</label>
-            <div className="mt-1 flex rounded-md shadow-sm">
-              <select
-                name="category_id"
-                value={newItem.category_id}
-                onChange={handleInputChange}
-                className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-              >
-                <option value="">Select Category</option>
-                {categories.map(category => (
-                  <option key={category.id} value={category.id}>{category.name}</option>
-                ))}
-              </select>
-              <button
-                type="button"
-                onClick={() => setIsNewCategoryModalOpen(true)}
-                className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100"
-              >
-                +
-              </button>
-            </div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Supplier</label>
+            <select
+              value={filterSupplier}
+              onChange={(e) => updateView({ filterSupplier: e.target.value })}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
           </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700">Quantity</label>
-            <input
-              type="number"
-              name="quantity"
-              value={newItem.quantity}
-              onChange={handleInputChange}
-              required
-              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-            />
+        </div>
+        
+        {isFilterPanelOpen && (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4 p-4 bg-white rounded-md border border-gray-200">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">On Hand From</label>
+              <input
+                type="number"
+                name="minQuantity"
+                min="0"
+                placeholder="Any"
+                value={filterRanges.minQuantity}
+                onChange={handleRangeChange}
+                className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">On Hand To</label>
+              <input
+                type="number"
+                name="maxQuantity"
+                min="0"
+                placeholder="Any"
+                value={filterRanges.maxQuantity}
+                onChange={handleRangeChange}
+                className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Price From (Rp)</label>
+              <input
+                type="number"
+                name="minPrice"
+                min="0"
+                placeholder="Any"
+                value={filterRanges.minPrice}
+                onChange={handleRangeChange}
+                className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Price To (Rp)</label>
+              <input
+                type="number"
+                name="maxPrice"
+                min="0"
+                placeholder="Any"
+                value={filterRanges.maxPrice}
+                onChange={handleRangeChange}
+                className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
           </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700">Price</label>
-            <input
-              type="number"
-              name="price"
-              step="0.01"
-              value={newItem.price}
-              onChange={handleInputChange}
-              required
-              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-            />
+        )}
+        
+        <div className="flex items-center justify-between text-sm">
+          <div className="space-x-3">
+            <button
+              onClick={() => setIsFilterPanelOpen(!isFilterPanelOpen)}
+              className="text-blue-600 hover:text-blue-900"
+            >
+              {isFilterPanelOpen ? 'Hide quantity and price filters' : 'Quantity and price filters'}
+              {activeRangeCount > 0 && ` (${activeRangeCount})`}
+            </button>
+            {activeRangeCount > 0 && (
+              <button onClick={clearRanges} className="text-gray-500 hover:text-gray-900">
+                Clear ranges
+              </button>
+            )}
           </div>
-
           <div>
-            <label className="block text-sm font-medium text-gray-700">Threshold</label>
-            <input
-              type="number"
-              name="threshold"
-              value={newItem.threshold}
-              onChange={handleInputChange}
-              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-            />
+            <label htmlFor="forecast-method" className="mr-2 text-gray-700">Days left forecast:</label>
+            <select
+              id="forecast-method"
+              value={forecastMethod}
+              onChange={(e) => setForecastMethod(e.target.value)}
+              className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              {FORECAST_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
           </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700">Warehouse</label>
-            <div className="mt-1 flex rounded-md shadow-sm">
-              <select
-                name="warehouse_id"
-                value={newItem.warehouse_id}
+        </div>
+      </div>
+      
+      {/* Add new item form */}
+      {can('item:create') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">Add New Item</h3>
+          <form onSubmit={addItem} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                name="name"
+                ref={newItemNameRef}
+                value={newItem.name}
                 onChange={handleInputChange}
-                className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-              >
-                <option value="">Select Warehouse</option>
-                {warehouses.map(warehouse => (
-                  <option key={warehouse.id} value={warehouse.id}>{warehouse.name}</option>
-                ))}
-              </select>
-              <button
-                type="button"
-                onClick={() => setIsNewWarehouseModalOpen(true)}
-                className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100"
-              >
-                +
-              </button>
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
             </div>
-          </div>
           
-          <div className="md:col-span-3">
-            <label className="block text-sm font-medium text-gray-700">Thumbnail</label>
-            <div className="mt-1 flex items-center space-x-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">SKU / Barcode</label>
               <input
                 type="text"
-                name="thumbnail"
-                value={newItem.thumbnail}
+                name="sku"
+                value={newItem.sku}
                 onChange={handleInputChange}
-                placeholder="https://example.com/image.jpg"
-                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                placeholder="Optional"
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
               />
-              <span className="text-gray-500">OR</span>
-              <div>
-                <input
-                  type="file"
-                  ref={fileInputRef}
-                  onChange={(e) => handleFileChange(e, false)}
-                  accept="image/jpeg,image/png,image/gif"
-                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-                />
-                <p className="mt-1 text-xs text-gray-500">Max size: 100KB. Larger images will be resized.</p>
+            </div>
+          
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Category</label>
+              <div className="mt-1 flex rounded-md shadow-sm">
+                <select
+                  name="category_id"
+                  value={newItem.category_id}
+                  onChange={handleInputChange}
+                  className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Category</option>
+                  {buildCategoryTree(categories).map(category => (
+                    <option key={category.id} value={category.id}>{getCategoryOptionLabel(category)}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setIsNewCategoryModalOpen(true)}
+                  disabled={!can('category:create')}
+                  title={can('category:create') ? 'Add category' : 'Only managers can add categories'}
+                  className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  +
+                </button>
               </div>
             </div>
-            {newItem.file && (
-              <div className="mt-2 flex items-center">
-                <div className="h-16 w-16 overflow-hidden rounded-md mr-2">
-                  <img 
-                    src={URL.createObjectURL(newItem.file)}
-                    alt="Preview"
-                    className="h-full w-full object-cover"
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Quantity</label>
+              <input
+                type="number"
+                name="quantity"
+                value={newItem.quantity}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Price</label>
+              <input
+                type="number"
+                name="price"
+                step="0.01"
+                value={newItem.price}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Threshold</label>
+              <input
+                type="number"
+                name="threshold"
+                value={newItem.threshold}
+                onChange={handleInputChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Warehouse</label>
+              <div className="mt-1 flex rounded-md shadow-sm">
+                <select
+                  name="warehouse_id"
+                  value={newItem.warehouse_id}
+                  onChange={handleInputChange}
+                  className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Warehouse</option>
+                  {warehouses.filter(isActiveWarehouse).map(warehouse => (
+                    <option key={warehouse.id} value={warehouse.id}>{warehouse.name}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setIsNewWarehouseModalOpen(true)}
+                  disabled={!can('warehouse:create')}
+                  title={can('warehouse:create') ? 'Add warehouse' : 'Only managers can add warehouses'}
+                  className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+          
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700">Thumbnail</label>
+              <div className="mt-1 flex items-center space-x-4">
+                <input
+                  type="text"
+                  name="thumbnail"
+                  value={newItem.thumbnail}
+                  onChange={handleInputChange}
+                  placeholder="https://example.com/image.jpg"
+                  className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+                <span className="text-gray-500">OR</span>
+                <div>
+                  <input
+                    type="file"
+                    ref={fileInputRef}
+                    onChange={(e) => handleFileChange(e, false)}
+                    accept="image/jpeg,image/png,image/gif"
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                   />
+                  <p className="mt-1 text-xs text-gray-500">Max size: 100KB. Larger images will be resized.</p>
                 </div>
-                <div className="text-sm text-gray-500">
-                  Selected: {newItem.file.name} ({Math.round(newItem.file.size / 1024)} KB)
+              </div>
+              {newItem.file && (
+                <div className="mt-2 flex items-center">
+                  <div className="h-16 w-16 overflow-hidden rounded-md mr-2">
+                    <img 
+                      src={URL.createObjectURL(newItem.file)}
+                      alt="Preview"
+                      className="h-full w-full object-cover"
+                    />
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    Selected: {newItem.file.name} ({Math.round(newItem.file.size / 1024)} KB)
+                  </div>
                 </div>
+              )}
+            </div>
+          
+            <div className="md:col-span-3 flex justify-end">
+              <button
+                type="submit"
+                disabled={uploading}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {uploading ? 'Uploading...' : 'Add Item'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+      
+      {/* Bulk actions for the selected rows */}
+      {selectedCount > 0 && (
+        <div className="mb-4 p-4 bg-blue-50 rounded-md">
+          <div className="flex flex-wrap items-end gap-3">
+            <p className="text-sm font-medium text-gray-900 self-center mr-2">
+              {selectedCount} {selectedCount === 1 ? 'item' : 'items'} selected
+            </p>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Action</label>
+              <select
+                value={bulkAction.action}
+                onChange={(e) => setBulkAction({ ...bulkAction, action: e.target.value })}
+                className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                <option value="">Choose an action</option>
+                {bulkActions.map(action => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+            </div>
+            
+            {bulkAction.action === 'category' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">New Category</label>
+                <select
+                  value={bulkAction.category}
+                  onChange={(e) => setBulkAction({ ...bulkAction, category: e.target.value })}
+                  className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Category</option>
+                  {buildCategoryTree(categories).map(category => (
+                    <option key={category.id} value={category.name}>{getCategoryOptionLabel(category)}</option>
+                  ))}
+                </select>
               </div>
             )}
-          </div>
-          
-          <div className="md:col-span-3 flex justify-end">
+            
+            {bulkAction.action === 'warehouse' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Move All Available Stock To</label>
+                <select
+                  value={bulkAction.warehouse}
+                  onChange={(e) => setBulkAction({ ...bulkAction, warehouse: e.target.value })}
+                  className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Warehouse</option>
+                  {warehouses.filter(isActiveWarehouse).map(warehouse => (
+                    <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {bulkAction.action === 'threshold' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">New Threshold</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={bulkAction.threshold}
+                  onChange={(e) => setBulkAction({ ...bulkAction, threshold: e.target.value })}
+                  className="w-32 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+            )}
+            
+            {bulkAction.action === 'price' && (
+              <>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Change By</label>
+                  <select
+                    value={bulkAction.priceMode}
+                    onChange={(e) => setBulkAction({ ...bulkAction, priceMode: e.target.value })}
+                    className="rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  >
+                    <option value="percent">Percentage (%)</option>
+                    <option value="amount">Fixed amount (Rp)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">
+                    {bulkAction.priceMode === 'percent' ? 'Percent (negative lowers)' : 'Amount (negative lowers)'}
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={bulkAction.priceValue}
+                    onChange={(e) => setBulkAction({ ...bulkAction, priceValue: e.target.value })}
+                    className="w-40 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  />
+                </div>
+              </>
+            )}
+            
             <button
-              type="submit"
-              disabled={uploading}
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              onClick={reviewBulkAction}
+              disabled={!bulkAction.action}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
             >
-              {uploading ? 'Uploading...' : 'Add Item'}
+              Review Changes
+            </button>
+            <button onClick={clearSelection} className="text-sm text-gray-500 hover:text-gray-900 self-center">
+              Clear selection
             </button>
           </div>
-        </form>
-      </div>
+        </div>
+      )}
+      
+      {/* Offer to extend a full page to every matching item */}
+      {bulkActions.length > 0 && isPageSelected && totalItems > items.length && (
+        <div className="mb-4 text-sm text-center text-gray-700">
+          {selectAllMatching ? (
+            <>
+              All {totalItems} matching items are selected.{' '}
+              <button onClick={clearSelection} className="text-blue-600 hover:text-blue-900">Clear selection</button>
+            </>
+          ) : (
+            <>
+              All {items.length} items on this page are selected.{' '}
+              <button onClick={() => setSelectAllMatching(true)} className="text-blue-600 hover:text-blue-900">
+                Select all {totalItems} matching items
+              </button>
+            </>
+          )}
+        </div>
+      )}
       
       {/* Inventory table */}
       <div className="overflow-x-auto">
         {loading ? (
           <p className="text-center py-4">Loading inventory...</p>
         ) : items.length === 0 ? (
-          <p className="text-center py-4">No inventory items found. Add your first item above.</p>
+          <p className="text-center py-4">
+            {can('item:create') ? 'No inventory items found. Add your first item above.' : 'No inventory items found.'}
+          </p>
         ) : (
           <>
-            <table className="min-w-full divide-y divide-gray-200">
+            <table className="min-w-full divide-y divide-gray-200" data-grid>
               <thead className="bg-gray-50">
                 <tr>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
-                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                  {bulkActions.length > 0 && (
+                    <th scope="col" className="pl-6 py-3">
+                      <input
+                        type="checkbox"
+                        checked={isPageSelected}
+                        onChange={togglePageSelected}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        title="Select all on this page"
+                      />
+                    </th>
+                  )}
+                  {renderSortHeader('Item', 'name')}
+                  {renderSortHeader('Category', 'category')}
+                  {renderSortHeader('On Hand', 'quantity')}
+                  {renderSortHeader('Reserved', 'reserved_quantity')}
+                  {renderSortHeader('Available', 'available_quantity')}
+                  {renderSortHeader('Threshold', 'threshold')}
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Days Left</th>
+                  {renderSortHeader('Price', 'price')}
+                  {renderSortHeader('Value', 'total_value')}
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
                   <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
                   <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
@@ -811,140 +1927,214 @@ const InventoryPage = () => {
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {items.map((item) => (
-                  <tr key={item.id}>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <div 
-                          className="flex-shrink-0 h-10 w-10 mr-2 cursor-pointer"
-                          onClick={() => openImageModal(item.thumbnail || getPlaceholderImage(item), item.name)}
-                        >
-                          <img 
-                            className="h-10 w-10 rounded-full object-cover" 
-                            src={item.thumbnail || getPlaceholderImage(item)} 
-                            alt={item.name}
-                            onError={(e) => { e.target.src = getPlaceholderImage(item) }}
+                  <Fragment key={item.id}>
+                    <tr className={selectAllMatching || selectedItems[item.id] ? 'bg-blue-50' : ''}>
+                      {bulkActions.length > 0 && (
+                        <td className="pl-6 py-4">
+                          <input
+                            type="checkbox"
+                            checked={selectAllMatching || !!selectedItems[item.id]}
+                            onChange={() => toggleItemSelected(item)}
+                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                            aria-label={`Select ${item.name}`}
                           />
+                        </td>
+                      )}
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <div 
+                            className="flex-shrink-0 h-10 w-10 mr-2 cursor-pointer"
+                            onClick={() => openImageModal(item.thumbnail || getPlaceholderImage(item), item.name)}
+                          >
+                            <img 
+                              className="h-10 w-10 rounded-full object-cover" 
+                              src={item.thumbnail || getPlaceholderImage(item)} 
+                              alt={item.name}
+                              onError={(e) => { e.target.src = getPlaceholderImage(item) }}
+                            />
+                          </div>
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{item.name}</div>
+                            {item.sku && <div className="text-xs text-gray-500">{item.sku}</div>}
+                          </div>
                         </div>
-                        <div className="text-sm font-medium text-gray-900">{item.name}</div>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {item.category?.name || 'N/A'}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.quantity}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {formatRupiah(item.price || 0)}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {formatRupiah((item.quantity || 0) * (item.price || 0))}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      {item.quantity <= item.threshold ? (
-                        <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
-                          Low Stock
-                        </span>
-                      ) : (
-                        <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                          In Stock
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {canEditInline ? (
+                          <EditableCell
+                            type="select"
+                            column="category"
+                            label={`Category of ${item.name}`}
+                            value={item.category?.name || ''}
+                            options={getCategoryCellOptions(item)}
+                            onSave={(name) => saveItemField(item, 'category', name || null)}
+                          />
+                        ) : (
+                          item.category?.name || 'N/A'
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {canEditInline && getRowWarehouse(item) ? (
+                          <div className="flex items-center">
+                            <button
+                              onClick={() => toggleExpanded(item.id)}
+                              className="mr-1 text-xs hover:text-gray-900"
+                              title="Show quantity per warehouse"
+                            >
+                              {expandedItems[item.id] ? '▾' : '▸'}
+                            </button>
+                            <EditableCell
+                              column="quantity"
+                              label={`Quantity of ${item.name} in ${getRowWarehouse(item)}`}
+                              value={item.levels.find(level => level.warehouse === getRowWarehouse(item))?.quantity || 0}
+                              min={0}
+                              onSave={(quantity) => saveLevelQuantity(item, getRowWarehouse(item), quantity)}
+                            />
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() => toggleExpanded(item.id)}
+                            className="inline-flex items-center hover:text-gray-900"
+                            title={canEditInline && getRowWarehouse(item) === '' ? 'Pick a warehouse to enter a quantity' : 'Show quantity per warehouse'}
+                          >
+                            <span className="mr-1 text-xs">{expandedItems[item.id] ? '▾' : '▸'}</span>
+                            {item.quantity}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {item.reserved_quantity || 0}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {item.available_quantity ?? item.quantity}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {canEditInline ? (
+                          <EditableCell
+                            column="threshold"
+                            label={`Threshold of ${item.name}`}
+                            value={item.threshold ?? 0}
+                            min={0}
+                            onSave={(threshold) => saveItemField(item, 'threshold', threshold)}
+                          />
+                        ) : (
+                          item.threshold
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {renderDaysLeft(forecasts[item.id])}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {canEditInline ? (
+                          <EditableCell
+                            column="price"
+                            label={`Price of ${item.name}`}
+                            value={item.price || 0}
+                            format={formatRupiah}
+                            min={0}
+                            onSave={(price) => saveItemField(item, 'price', price)}
+                          />
+                        ) : (
+                          formatRupiah(item.price || 0)
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatRupiah(item.total_value ?? (item.quantity || 0) * (item.price || 0))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStockStatus(item).className}`}>
+                          {getStockStatus(item).label}
                         </span>
-                      )}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.warehouse?.name || 'Main'}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <button
-                        onClick={() => openEditModal(item)}
-                        className="text-blue-600 hover:text-blue-900 mr-4"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => openDeleteModal(item)}
-                        className="text-red-600 hover:text-red-900"
-                      >
-                        Delete
-                      </button>
-                    </td>
-                  </tr>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {canEditInline && getRowWarehouse(item) !== undefined && (canMoveInline || !item.levels.some(level => level.quantity > 0)) ? (
+                          <EditableCell
+                            type="select"
+                            column="warehouse"
+                            label={`Warehouse of ${item.name}`}
+                            value={getRowWarehouse(item)}
+                            options={getWarehouseCellOptions(item)}
+                            onSave={(warehouse) => changeRowWarehouse(item, warehouse)}
+                          />
+                        ) : (
+                          item.levels.filter(level => level.quantity > 0).map(level => level.warehouse).join(', ') || '-'
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {can('item:update') && (
+                          <button
+                            onClick={() => openEditModal(item)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can('transfer:create') && (
+                          <button
+                            onClick={() => openTransferModal(item)}
+                            className="text-gray-600 hover:text-gray-900 mr-4"
+                          >
+                            Transfer
+                          </button>
+                        )}
+                        {can('item:delete') && (
+                          <button
+                            onClick={() => deleteItem(item)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedItems[item.id] && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={bulkActions.length > 0 ? 13 : 12} className="px-6 py-3">
+                          {item.levels.length === 0 ? (
+                            <p className="text-sm text-gray-500">Not stocked in any warehouse.</p>
+                          ) : (
+                            <table className="text-sm">
+                              <tbody>
+                                {item.levels.map(level => (
+                                  <tr key={level.warehouse}>
+                                    <td className="pr-6 py-1 text-gray-700">{level.warehouse}</td>
+                                    <td className="pr-6 py-1 text-right text-gray-900">
+                                      {canEditInline ? (
+                                        <EditableCell
+                                          column="quantity"
+                                          label={`Quantity of ${item.name} in ${level.warehouse}`}
+                                          value={level.quantity}
+                                          min={0}
+                                          onSave={(quantity) => saveLevelQuantity(item, level.warehouse, quantity)}
+                                        />
+                                      ) : (
+                                        level.quantity
+                                      )}
+                                    </td>
+                                    <td className="pr-6 py-1 text-right text-gray-500">
+                                      {level.reserved > 0 ? `${level.reserved} reserved` : ''}
+                                    </td>
+                                    <td className="py-1 text-right text-gray-500">{formatRupiah(level.quantity * (item.price || 0))}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 ))}
               </tbody>
             </table>
             
             {/* Pagination */}
-            <div className="flex items-center justify-between border-t border-gray-200 bg-white px-4 py-3 sm:px-6">
-              <div className="flex flex-1 justify-between sm:hidden">
-                <button
-                  onClick={() => changePage(currentPage - 1)}
-                  disabled={currentPage === 1}
-                  className="relative inline-flex items-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
-                >
-                  Previous
-                </button>
-                <button
-                  onClick={() => changePage(currentPage + 1)}
-                  disabled={currentPage === totalPages}
-                  className="relative ml-3 inline-flex items-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
-                >
-                  Next
-                </button>
-              </div>
-              <div className="hidden sm:flex sm:flex-1 sm:items-center sm:justify-between">
-                <div>
-                  <p className="text-sm text-gray-700">
-                    Showing <span className="font-medium">{items.length > 0 ? (currentPage - 1) * itemsPerPage + 1 : 0}</span> to <span className="font-medium">{Math.min(currentPage * itemsPerPage, totalItems)}</span> of <span className="font-medium">{totalItems}</span> results
-                  </p>
-                </div>
-                <div>
-                  <nav className="isolate inline-flex -space-x-px rounded-md shadow-sm" aria-label="Pagination">
-                    <button
-                      onClick={() => changePage(currentPage - 1)}
-                      disabled={currentPage === 1}
-                      className="relative inline-flex items-center rounded-l-md px-2 py-2 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 focus:z-20 focus:outline-offset-0 disabled:opacity-50"
-                    >
-                      <span className="sr-only">Previous</span>
-                      &lt;
-                    </button>
-                    
-                    {/* Page numbers */}
-                    {[...Array(Math.min(5, totalPages))].map((_, i) => {
-                      // Show pages around current page
-                      let pageNumber;
-                      if (totalPages <= 5) {
-                        pageNumber = i + 1;
-                      } else if (currentPage <= 3) {
-                        pageNumber = i + 1;
-                      } else if (currentPage >= totalPages - 2) {
-                        pageNumber = totalPages - 4 + i;
-                      } else {
-                        pageNumber = currentPage - 2 + i;
-                      }
-                      
-                      return (
-                        <button
-                          key={pageNumber}
-                          onClick={() => changePage(pageNumber)}
-                          className={`relative inline-flex items-center px-4 py-2 text-sm font-semibold ${
-                            currentPage === pageNumber 
-                              ? 'bg-blue-600 text-white focus:z-20 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-600' 
-                              : 'text-gray-900 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 focus:z-20 focus:outline-offset-0'
-                          }`}
-                        >
-                          {pageNumber}
-                        </button>
-                      );
-                    })}
-                    
-                    <button
-                      onClick={() => changePage(currentPage + 1)}
-                      disabled={currentPage === totalPages}
-                      className="relative inline-flex items-center rounded-r-md px-2 py-2 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 focus:z-20 focus:outline-offset-0 disabled:opacity-50"
-                    >
-                      <span className="sr-only">Next</span>
-                      &gt;
-                    </button>
-                  </nav>
-                </div>
-              </div>
-            </div>
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={(page) => updateView({ currentPage: page })}
+            />
           </>
         )}
       </div>
@@ -983,7 +2173,118 @@ const InventoryPage = () => {
                     Edit Item
                   </Dialog.Title>
                   
-                  {editingItem && (
+                  {/* Conflict view: someone saved this item while it was open */}
+                  {editConflict && (
+                    <div className="mt-4">
+                      <div className="bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4 mb-4" role="alert">
+                        <p>
+                          {editConflict.current.name} was changed by someone else while you were editing.
+                          Choose which value to keep where you both changed the same field.
+                        </p>
+                      </div>
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                            <th className="pb-2 pr-2">Field</th>
+                            <th className="pb-2 pr-2">Yours</th>
+                            <th className="pb-2">Theirs</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {editConflict.conflicts.map(field => (
+                            <tr key={field.key} className="align-top">
+                              <td className="py-2 pr-2 font-medium text-gray-700">{field.label}</td>
+                              {field.conflicting ? (
+                                <>
+                                  <td className="py-2 pr-2">
+                                    <label className="flex items-start">
+                                      <input
+                                        type="radio"
+                                        name={`conflict-${field.key}`}
+                                        checked={editConflict.choices[field.key] === 'mine'}
+                                        onChange={() => setEditConflict({ ...editConflict, choices: { ...editConflict.choices, [field.key]: 'mine' } })}
+                                        className="mt-1 mr-2"
+                                      />
+                                      {formatConflictValue(field.key, field.mine)}
+                                    </label>
+                                  </td>
+                                  <td className="py-2">
+                                    <label className="flex items-start">
+                                      <input
+                                        type="radio"
+                                        name={`conflict-${field.key}`}
+                                        checked={editConflict.choices[field.key] === 'theirs'}
+                                        onChange={() => setEditConflict({ ...editConflict, choices: { ...editConflict.choices, [field.key]: 'theirs' } })}
+                                        className="mt-1 mr-2"
+                                      />
+                                      {formatConflictValue(field.key, field.theirs)}
+                                    </label>
+                                  </td>
+                                </>
+                              ) : (
+                                <>
+                                  <td className="py-2 pr-2 text-gray-400">unchanged</td>
+                                  <td className="py-2 text-gray-900">{formatConflictValue(field.key, field.theirs)}</td>
+                                </>
+                              )}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p className="mt-3 text-xs text-gray-500">
+                        Fields only they changed keep their value. Your other changes, including stock quantities, are saved as well.
+                      </p>
+                    </div>
+                  )}
+                  
+                  {editingItem && !editConflict && (
+                    <div className="mt-4 flex border-b border-gray-200 text-sm font-medium">
+                      <button
+                        type="button"
+                        onClick={() => setEditTab('details')}
+                        className={`px-4 py-2 -mb-px border-b-2 ${editTab === 'details' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                      >
+                        Details
+                      </button>
+                      <button
+                        type="button"
+                        onClick={openHistoryTab}
+                        className={`px-4 py-2 -mb-px border-b-2 ${editTab === 'history' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+                      >
+                        History
+                      </button>
+                    </div>
+                  )}
+                  
+                  {/* Who changed this item, when, and what it was before */}
+                  {editingItem && !editConflict && editTab === 'history' && (
+                    <div className="mt-4 max-h-96 overflow-y-auto">
+                      {itemHistory === null ? (
+                        <p className="text-center py-4 text-sm">Loading history...</p>
+                      ) : itemHistory.length === 0 ? (
+                        <p className="text-center py-4 text-sm text-gray-500">No recorded changes yet.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-100">
+                          {itemHistory.map(entry => (
+                            <li key={entry.id} className="py-3 text-sm">
+                              <div className="flex items-center justify-between mb-1">
+                                <span className="text-gray-500">
+                                  {formatDateTime(entry.created_at)} · {entry.actor_email || 'System'}
+                                  {entry.entity === 'stock_level' && ` · ${(entry.after || entry.before)?.warehouse}`}
+                                </span>
+                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getAuditAction(entry.action).className}`}>
+                                  {getAuditAction(entry.action).label}
+                                </span>
+                              </div>
+                              <AuditChanges entry={entry} />
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                  
+                  {editingItem && !editConflict && editTab === 'details' && (
                     <div className="mt-4">
                       <div className="mb-4">
                         <label className="block text-sm font-medium text-gray-700">Name</label>
@@ -997,6 +2298,17 @@ const InventoryPage = () => {
                         />
                       </div>
                       
+                      <div className="mb-4">
+                        <label className="block text-sm font-medium text-gray-700">SKU / Barcode</label>
+                        <input
+                          type="text"
+                          name="sku"
+                          value={editingItem.sku}
+                          onChange={handleEditChange}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                      </div>
+                      
                       <div className="mb-4">
                         <label className="block text-sm font-medium text-gray-700">Category</label>
                         <div className="mt-1 flex rounded-md shadow-sm">
@@ -1007,14 +2319,16 @@ const InventoryPage = () => {
                             className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
                           >
                             <option value="">Select Category</option>
-                            {categories.map(category => (
-                              <option key={category.id} value={category.id}>{category.name}</option>
+                            {buildCategoryTree(categories).map(category => (
+                              <option key={category.id} value={category.id}>{getCategoryOptionLabel(category)}</option>
                             ))}
                           </select>
                           <button
                             type="button"
                             onClick={() => setIsNewCategoryModalOpen(true)}
-                            className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100"
+                            disabled={!can('category:create')}
+                            title={can('category:create') ? 'Add category' : 'Only managers can add categories'}
+                            className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
                           >
                             +
                           </button>
@@ -1022,18 +2336,6 @@ const InventoryPage = () => {
                       </div>
                       
                       <div className="grid grid-cols-2 gap-4">
-                        <div className="mb-4">
-                          <label className="block text-sm font-medium text-gray-700">Quantity</label>
-                          <input
-                            type="number"
-                            name="quantity"
-                            value={editingItem.quantity}
-                            onChange={handleEditChange}
-                            required
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                          />
-                        </div>
-                        
                         <div className="mb-4">
                           <label className="block text-sm font-medium text-gray-700">Price</label>
                           <input
@@ -1046,9 +2348,7 @@ const InventoryPage = () => {
                             className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                           />
                         </div>
-                      </div>
-                      
-                      <div className="grid grid-cols-2 gap-4">
+                        
                         <div className="mb-4">
                           <label className="block text-sm font-medium text-gray-700">Threshold</label>
                           <input
@@ -1059,30 +2359,81 @@ const InventoryPage = () => {
                             className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                           />
                         </div>
-                        
-                        <div className="mb-4">
-                          <label className="block text-sm font-medium text-gray-700">Warehouse</label>
-                          <div className="mt-1 flex rounded-md shadow-sm">
-                            <select
-                              name="warehouse_id"
-                              value={editingItem.warehouse_id || ''}
-                              onChange={handleEditChange}
-                              className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
-                            >
-                              <option value="">Select Warehouse</option>
-                              {warehouses.map(warehouse => (
-                                <option key={warehouse.id} value={warehouse.id}>{warehouse.name}</option>
-                              ))}
-                            </select>
+                      </div>
+                      
+                      {/* Recommended threshold from the consumption forecast */}
+                      {forecasts[editingItem.id]?.dailyRate > 0 && (
+                        <div className="mb-4 p-3 bg-blue-50 rounded-md text-sm text-gray-700">
+                          <p>
+                            Uses about <strong>{forecasts[editingItem.id].dailyRate.toFixed(1)}</strong> per day and
+                            runs out around <strong>{formatDate(forecasts[editingItem.id].stockoutDate)}</strong>.
+                          </p>
+                          <p className="mt-1">
+                            With a {forecasts[editingItem.id].leadTimeDays}-day lead time, reorder
+                            at <strong>{forecasts[editingItem.id].reorderPoint}</strong> units
+                            and order <strong>{forecasts[editingItem.id].reorderQuantity}</strong> at a time.
+                          </p>
+                          {editingItem.threshold !== forecasts[editingItem.id].reorderPoint && (
                             <button
                               type="button"
-                              onClick={() => setIsNewWarehouseModalOpen(true)}
-                              className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100"
+                              onClick={() => setEditingItem({ ...editingItem, threshold: forecasts[editingItem.id].reorderPoint })}
+                              className="mt-2 text-blue-600 hover:text-blue-900 font-medium"
                             >
-                              +
+                              Use {forecasts[editingItem.id].reorderPoint} as threshold
                             </button>
-                          </div>
+                          )}
+                        </div>
+                      )}
+                      
+                      <div className="mb-4">
+                        <label className="block text-sm font-medium text-gray-700">Stock by Warehouse</label>
+                        <div className="mt-1 space-y-2">
+                          {editingItem.levels.map(level => (
+                            <div key={level.warehouse} className="flex items-center">
+                              <span className="w-1/2 text-sm text-gray-700">{level.warehouse}</span>
+                              <input
+                                type="number"
+                                min="0"
+                                value={level.quantity}
+                                onChange={(e) => handleLevelChange(level.warehouse, e.target.value)}
+                                className="block w-1/2 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                              />
+                            </div>
+                          ))}
+                        </div>
+                        <div className="mt-2 flex rounded-md shadow-sm">
+                          <select
+                            name="newLevelWarehouse"
+                            value={editingItem.newLevelWarehouse}
+                            onChange={handleEditChange}
+                            className="block w-full rounded-l-md border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                          >
+                            <option value="">Stock in another warehouse...</option>
+                            {warehouses
+                              .filter(warehouse => isActiveWarehouse(warehouse) && !editingItem.levels.some(level => level.warehouse === warehouse.name))
+                              .map(warehouse => (
+                                <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                              ))}
+                          </select>
+                          <button
+                            type="button"
+                            onClick={addEditLevel}
+                            disabled={!editingItem.newLevelWarehouse}
+                            className="inline-flex items-center px-3 py-2 border border-l-0 border-gray-300 bg-gray-50 text-gray-500 rounded-r-md hover:bg-gray-100 disabled:opacity-50"
+                          >
+                            Add
+                          </button>
                         </div>
+                        <p className="mt-1 text-xs text-gray-500">Changes are recorded as stock count adjustments. Use Transfer to move stock between warehouses.</p>
+                      </div>
+                      
+                      <div className="mb-4">
+                        <label className="block text-sm font-medium text-gray-700">Suppliers</label>
+                        <ItemSuppliersEditor
+                          links={editingItem.suppliers}
+                          suppliers={suppliers}
+                          onChange={(links) => setEditingItem({ ...editingItem, suppliers: links })}
+                        />
                       </div>
                       
                       <div className="mb-4">
@@ -1146,15 +2497,15 @@ const InventoryPage = () => {
                       className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
                       onClick={() => setIsEditModalOpen(false)}
                     >
-                      Cancel
+                      {editConflict ? 'Discard My Changes' : 'Cancel'}
                     </button>
                     <button
                       type="button"
                       disabled={uploading}
                       className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
-                      onClick={saveEditedItem}
+                      onClick={editConflict ? resolveEditConflict : () => saveEditedItem()}
                     >
-                      {uploading ? 'Uploading...' : 'Save Changes'}
+                      {uploading ? 'Uploading...' : editConflict ? 'Save Merged Version' : 'Save Changes'}
                     </button>
                   </div>
                 </Dialog.Panel>
@@ -1164,6 +2515,15 @@ const InventoryPage = () => {
         </Dialog>
       </Transition>
       
+      {/* Transfer Modal */}
+      <TransferModal
+        isOpen={isTransferModalOpen}
+        onClose={() => setIsTransferModalOpen(false)}
+        item={itemToTransfer}
+        warehouses={warehouses}
+        onTransferred={fetchInventory}
+      />
+      
       {/* Image Zoom Modal */}
       <Transition appear show={isImageModalOpen} as={Fragment}>
         <Dialog as="div" className="relative z-20" onClose={() => setIsImageModalOpen(false)}>
@@ -1224,9 +2584,9 @@ const InventoryPage = () => {
         </Dialog>
       </Transition>
       
-      {/* Delete Confirmation Modal */}
-      <Transition appear show={isDeleteModalOpen} as={Fragment}>
-        <Dialog as="div" className="relative z-10" onClose={() => setIsDeleteModalOpen(false)}>
+      {/* New Category Modal */}
+      <Transition appear show={isNewCategoryModalOpen} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setIsNewCategoryModalOpen(false)}>
           <Transition.Child
             as={Fragment}
             enter="ease-out duration-300"
@@ -1255,32 +2615,37 @@ const InventoryPage = () => {
                     as="h3"
                     className="text-lg font-medium leading-6 text-gray-900"
                   >
-                    Confirm Deletion
+                    Add New Category
                   </Dialog.Title>
                   
-                  <div className="mt-2">
-                    <p className="text-sm text-gray-500">
-                      Are you sure you want to delete <strong>{itemToDelete?.name}</strong>? 
-                      This action cannot be undone.
-                    </p>
-                  </div>
+                  <form onSubmit={addCategory}>
+                    <div className="mt-4">
+                      <label className="block text-sm font-medium text-gray-700">Category Name</label>
+                      <input
+                        type="text"
+                        value={newCategory}
+                        onChange={(e) => setNewCategory(e.target.value)}
+                        required
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                    </div>
 
-                  <div className="mt-6 flex justify-end space-x-3">
-                    <button
-                      type="button"
-                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                      onClick={() => setIsDeleteModalOpen(false)}
-                    >
-                      Cancel
-                    </button>
-                    <button
-                      type="button"
-                      className="inline-flex justify-center rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
-                      onClick={confirmDelete}
-                    >
-                      Delete
-                    </button>
-                  </div>
+                    <div className="mt-6 flex justify-end space-x-3">
+                      <button
+                        type="button"
+                        className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        onClick={() => setIsNewCategoryModalOpen(false)}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        Add Category
+                      </button>
+                    </div>
+                  </form>
                 </Dialog.Panel>
               </Transition.Child>
             </div>
@@ -1288,9 +2653,9 @@ const InventoryPage = () => {
         </Dialog>
       </Transition>
 
-      {/* New Category Modal */}
-      <Transition appear show={isNewCategoryModalOpen} as={Fragment}>
-        <Dialog as="div" className="relative z-10" onClose={() => setIsNewCategoryModalOpen(false)}>
+      {/* New Warehouse Modal */}
+      <Transition appear show={isNewWarehouseModalOpen} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setIsNewWarehouseModalOpen(false)}>
           <Transition.Child
             as={Fragment}
             enter="ease-out duration-300"
@@ -1319,16 +2684,16 @@ const InventoryPage = () => {
                     as="h3"
                     className="text-lg font-medium leading-6 text-gray-900"
                   >
-                    Add New Category
+                    Add New Warehouse
                   </Dialog.Title>
                   
-                  <form onSubmit={addCategory}>
+                  <form onSubmit={addWarehouse}>
                     <div className="mt-4">
-                      <label className="block text-sm font-medium text-gray-700">Category Name</label>
+                      <label className="block text-sm font-medium text-gray-700">Warehouse Name</label>
                       <input
                         type="text"
-                        value={newCategory}
-                        onChange={(e) => setNewCategory(e.target.value)}
+                        value={newWarehouse}
+                        onChange={(e) => setNewWarehouse(e.target.value)}
                         required
                         className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                       />
@@ -1338,7 +2703,7 @@ const InventoryPage = () => {
                       <button
                         type="button"
                         className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        onClick={() => setIsNewCategoryModalOpen(false)}
+                        onClick={() => setIsNewWarehouseModalOpen(false)}
                       >
                         Cancel
                       </button>
@@ -1346,7 +2711,7 @@ const InventoryPage = () => {
                         type="submit"
                         className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                        Add Category
+                        Add Warehouse
                       </button>
                     </div>
                   </form>
@@ -1357,9 +2722,9 @@ const InventoryPage = () => {
         </Dialog>
       </Transition>
 
-      {/* New Warehouse Modal */}
-      <Transition appear show={isNewWarehouseModalOpen} as={Fragment}>
-        <Dialog as="div" className="relative z-10" onClose={() => setIsNewWarehouseModalOpen(false)}>
+      {/* Warehouse Move Confirmation Modal */}
+      <Transition appear show={!!warehouseMove} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => closeWarehouseMove(false)}>
           <Transition.Child
             as={Fragment}
             enter="ease-out duration-300"
@@ -1388,26 +2753,230 @@ const InventoryPage = () => {
                     as="h3"
                     className="text-lg font-medium leading-6 text-gray-900"
                   >
-                    Add New Warehouse
+                    Move Stock
                   </Dialog.Title>
                   
-                  <form onSubmit={addWarehouse}>
+                  {warehouseMove && (
+                    <>
+                      <p className="mt-4 text-sm text-gray-700">
+                        Move <span className="font-medium">{warehouseMove.quantity}</span> {warehouseMove.quantity === 1 ? 'unit' : 'units'} of{' '}
+                        <span className="font-medium">{warehouseMove.item.name}</span> from {warehouseMove.from} to {warehouseMove.to}?
+                      </p>
+                      {warehouseMove.reserved > 0 && (
+                        <p className="mt-2 text-sm text-gray-500">
+                          {warehouseMove.reserved} reserved {warehouseMove.reserved === 1 ? 'unit stays' : 'units stay'} in {warehouseMove.from}.
+                        </p>
+                      )}
+                      <p className="mt-2 text-sm text-gray-500">
+                        This is recorded as a transfer and received straight away.
+                      </p>
+
+                      <div className="mt-6 flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          onClick={() => closeWarehouseMove(false)}
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="button"
+                          className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          onClick={() => closeWarehouseMove(true)}
+                        >
+                          Move Stock
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+
+      {/* Bulk Action Confirmation Modal */}
+      <Transition appear show={!!bulkReview} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => !bulkSaving && setBulkReview(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-2xl transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  {bulkReview && (
+                    <>
+                      <Dialog.Title
+                        as="h3"
+                        className="text-lg font-medium leading-6 text-gray-900"
+                      >
+                        {BULK_ACTIONS.find(a => a.value === bulkAction.action)?.label}
+                      </Dialog.Title>
+                      
+                      {bulkFailures.length > 0 ? (
+                        <div className="mt-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4" role="alert">
+                          <p className="font-medium">Some changes could not be made:</p>
+                          <ul className="mt-2 list-disc list-inside text-sm">
+                            {bulkFailures.map((failure, index) => (
+                              <li key={index}>{failure.name}: {failure.message}</li>
+                            ))}
+                          </ul>
+                        </div>
+                      ) : (
+                        <>
+                          <p className="mt-2 text-sm text-gray-700">
+                            <span className="font-medium">{bulkReview.changes.length}</span> of {bulkReview.selectedCount} selected {bulkReview.selectedCount === 1 ? 'item' : 'items'} will change.
+                            {bulkReview.changes.length < bulkReview.selectedCount && ' The others already match.'}
+                          </p>
+                          
+                          <table className="mt-4 min-w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                                <th className="pb-2 pr-4">Item</th>
+                                <th className="pb-2 pr-4">Before</th>
+                                <th className="pb-2">After</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                              {bulkReview.changes.slice(0, BULK_PREVIEW_ROWS).map(change => (
+                                <tr key={change.item.id}>
+                                  <td className="py-2 pr-4 text-gray-900">{change.item.name}</td>
+                                  <td className="py-2 pr-4 text-gray-500">{change.from}</td>
+                                  <td className="py-2 text-gray-900">{change.to}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {bulkReview.changes.length > BULK_PREVIEW_ROWS && (
+                            <p className="mt-2 text-sm text-gray-500">
+                              and {bulkReview.changes.length - BULK_PREVIEW_ROWS} more
+                            </p>
+                          )}
+                        </>
+                      )}
+
+                      <div className="mt-6 flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          disabled={bulkSaving}
+                          className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                          onClick={() => setBulkReview(null)}
+                        >
+                          {bulkFailures.length > 0 ? 'Close' : 'Cancel'}
+                        </button>
+                        {bulkFailures.length === 0 && (
+                          <button
+                            type="button"
+                            disabled={bulkSaving}
+                            className={`inline-flex justify-center rounded-md border border-transparent px-4 py-2 text-sm font-medium text-white focus:outline-none focus:ring-2 disabled:opacity-50 ${bulkAction.action === 'delete' ? 'bg-red-600 hover:bg-red-700 focus:ring-red-500' : 'bg-blue-600 hover:bg-blue-700 focus:ring-blue-500'}`}
+                            onClick={confirmBulkAction}
+                          >
+                            {bulkSaving ? 'Applying...' : `Apply to ${bulkReview.changes.length} ${bulkReview.changes.length === 1 ? 'item' : 'items'}`}
+                          </button>
+                        )}
+                      </div>
+                    </>
+                  )}
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+
+      {/* Save View Modal */}
+      <Transition appear show={isSaveViewModalOpen} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setIsSaveViewModalOpen(false)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Save View
+                  </Dialog.Title>
+                  <p className="mt-2 text-sm text-gray-500">
+                    Saves the current search, filters and sort order.
+                  </p>
+                  
+                  <form onSubmit={saveView}>
                     <div className="mt-4">
-                      <label className="block text-sm font-medium text-gray-700">Warehouse Name</label>
+                      <label className="block text-sm font-medium text-gray-700">View Name</label>
                       <input
                         type="text"
-                        value={newWarehouse}
-                        onChange={(e) => setNewWarehouse(e.target.value)}
+                        value={newView.name}
+                        onChange={(e) => setNewView({ ...newView, name: e.target.value })}
+                        placeholder="e.g. Low stock in Main"
                         required
                         className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                       />
                     </div>
+                    
+                    <label className="mt-4 flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newView.isPinned}
+                        onChange={(e) => setNewView({ ...newView, isPinned: e.target.checked })}
+                        className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      Pin to the Inventory page
+                    </label>
+                    <label className="mt-2 flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={newView.isDefault}
+                        onChange={(e) => setNewView({ ...newView, isDefault: e.target.checked })}
+                        className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      Open this view by default
+                    </label>
 
                     <div className="mt-6 flex justify-end space-x-3">
                       <button
                         type="button"
                         className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        onClick={() => setIsNewWarehouseModalOpen(false)}
+                        onClick={() => setIsSaveViewModalOpen(false)}
                       >
                         Cancel
                       </button>
@@ -1415,7 +2984,7 @@ const InventoryPage = () => {
                         type="submit"
                         className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
                       >
-                        Add Warehouse
+                        Save View
                       </button>
                     </div>
                   </form>
@@ -1425,6 +2994,93 @@ const InventoryPage = () => {
           </div>
         </Dialog>
       </Transition>
+
+      {/* Manage Views Modal */}
+      <Transition appear show={isManageViewsModalOpen} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setIsManageViewsModalOpen(false)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Saved Views
+                  </Dialog.Title>
+                  
+                  {savedViews.length === 0 ? (
+                    <p className="mt-4 text-sm text-gray-500">You have no saved views.</p>
+                  ) : (
+                    <ul className="mt-4 divide-y divide-gray-100 text-sm">
+                      {savedViews.map(savedView => (
+                        <li key={savedView.id} className="flex items-center justify-between py-2">
+                          <button
+                            onClick={() => openSavedView(savedView)}
+                            className="text-left font-medium text-gray-900 hover:text-blue-600"
+                          >
+                            {savedView.name}
+                            {savedView.is_default && <span className="ml-2 text-xs font-normal text-gray-500">Default</span>}
+                          </button>
+                          <div className="space-x-3 text-xs whitespace-nowrap">
+                            <button onClick={() => toggleViewPinned(savedView)} className="text-blue-600 hover:text-blue-900">
+                              {savedView.is_pinned ? 'Unpin' : 'Pin'}
+                            </button>
+                            <button onClick={() => toggleDefaultView(savedView)} className="text-blue-600 hover:text-blue-900">
+                              {savedView.is_default ? 'Clear default' : 'Make default'}
+                            </button>
+                            <button onClick={() => removeSavedView(savedView)} className="text-red-600 hover:text-red-900">
+                              Delete
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <div className="mt-6 flex justify-end">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      onClick={() => setIsManageViewsModalOpen(false)}
+                    >
+                      Close
+                    </button>
+                  </div>
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+      
+      {trashedItem && (
+        <UndoToast
+          message={`${trashedItem.name} moved to the Trash.`}
+          onUndo={undoDelete}
+          onDismiss={() => setTrashedItem(null)}
+        />
+      )}
       
     </div>
   );
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth, signIn, sendPasswordReset } from '../lib/auth';
+import { isDemoMode } from '../lib/config';
+
+const LoginPage = () => {
+  const { session } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isResetMode, setIsResetMode] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Where ProtectedRoute was sending the user before the redirect, with
+  // its query string (e.g. Inventory filters)
+  const from = location.state?.from
+    ? `${location.state.from.pathname}${location.state.from.search || ''}`
+    : '/';
+
+  if (session) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await signIn(email, password);
+      navigate(from, { replace: true });
+    } catch (error) {
+      console.error('Error signing in:', error.message);
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      await sendPasswordReset(email);
+      setMessage(`A password reset link has been sent to ${email}.`);
+    } catch (error) {
+      console.error('Error sending password reset:', error.message);
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setIsResetMode(!isResetMode);
+    setError(null);
+    setMessage(null);
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">{isResetMode ? 'Reset Password' : 'Sign In'}</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {isDemoMode && !isResetMode && (
+        <div className="bg-blue-50 border-l-4 border-blue-500 text-blue-700 p-4 mb-4">
+          <p>Demo mode: sign in with any email and password. Data is kept in this browser only.</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4 mb-4" role="status">
+          <p>{message}</p>
+        </div>
+      )}
+
+      <form onSubmit={isResetMode ? handleReset : handleSignIn} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            autoComplete="email"
+            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+
+        {!isResetMode && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <button type="button" onClick={toggleMode} className="text-sm text-blue-600 hover:text-blue-900">
+            {isResetMode ? 'Back to sign in' : 'Forgot your password?'}
+          </button>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {submitting ? 'Please wait...' : isResetMode ? 'Send Reset Link' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
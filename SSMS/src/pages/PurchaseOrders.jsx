@@ -0,0 +1,525 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Pagination from '../components/Pagination';
+import { formatDate, formatRupiah } from '../lib/format';
+import { fetchSuppliers } from '../lib/suppliers';
+import { fetchAllItems } from '../lib/items';
+import {
+  PURCHASE_ORDER_STATUSES,
+  getPurchaseOrderStatus,
+  isReceivable,
+  getOrderTotal,
+  savePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  fetchPurchaseOrders
+} from '../lib/purchaseOrders';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const emptyLine = () => ({ stock_id: '', quantity: 1, unit_cost: 0 });
+
+const PurchaseOrdersPage = () => {
+  const { role, can } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [stockItems, setStockItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [filterStatus, setFilterStatus] = useState('');
+  const [filterSupplier, setFilterSupplier] = useState('');
+
+  // Order form; editingOrderId is set while a draft is being edited
+  const [editingOrderId, setEditingOrderId] = useState(null);
+  const [supplierId, setSupplierId] = useState('');
+  const [expectedDate, setExpectedDate] = useState('');
+  const [note, setNote] = useState('');
+  const [lines, setLines] = useState([emptyLine()]);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReferenceData();
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [currentPage, filterStatus, filterSupplier]);
+
+  // Fetch purchase orders with their lines, paginated and filtered
+  const fetchOrders = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      const { orders: rows, count } = await fetchPurchaseOrders(
+        { status: filterStatus, supplierId: filterSupplier },
+        { from, to }
+      );
+
+      setTotalItems(count);
+      setOrders(rows);
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Suppliers and orderable items, with each item's supplier prices
+  const fetchReferenceData = async () => {
+    try {
+      setSuppliers(await fetchSuppliers());
+      setStockItems(await fetchAllItems());
+    } catch (error) {
+      console.error('Error fetching reference data:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const getSupplierLink = (stockId, forSupplierId) =>
+    stockItems
+      .find(item => item.id === parseInt(stockId))
+      ?.stock_supplier.find(link => link.supplier_id === parseInt(forSupplierId));
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => {
+      if (i !== index) return line;
+
+      if (field === 'stock_id') {
+        // Default to the price agreed with this supplier
+        return { ...line, stock_id: value, unit_cost: getSupplierLink(value, supplierId)?.unit_cost ?? line.unit_cost };
+      }
+
+      return { ...line, [field]: field === 'quantity' ? parseInt(value) || 0 : parseFloat(value) || 0 };
+    }));
+  };
+
+  const removeLine = (index) => {
+    setLines(lines.filter((_, i) => i !== index));
+  };
+
+  const resetForm = () => {
+    setEditingOrderId(null);
+    setSupplierId('');
+    setExpectedDate('');
+    setNote('');
+    setLines([emptyLine()]);
+  };
+
+  // Load a draft into the form
+  const editOrder = (order) => {
+    setEditingOrderId(order.id);
+    setSupplierId(String(order.supplier_id));
+    setExpectedDate(order.expected_date || '');
+    setNote(order.note || '');
+    setLines(order.purchase_order_line.map(line => ({
+      stock_id: String(line.stock_id),
+      quantity: line.quantity_ordered,
+      unit_cost: line.unit_cost
+    })));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const submitOrder = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'purchase:manage');
+
+      const filledLines = lines.filter(line => line.stock_id);
+      filledLines.forEach(line => {
+        if (line.quantity <= 0) {
+          const item = stockItems.find(i => i.id === parseInt(line.stock_id));
+          throw new Error(`Quantity for ${item?.name} must be at least 1.`);
+        }
+      });
+
+      setSaving(true);
+
+      await savePurchaseOrder({
+        id: editingOrderId,
+        supplierId: parseInt(supplierId),
+        expectedDate,
+        note,
+        lines: filledLines.map(line => ({
+          stockId: parseInt(line.stock_id),
+          quantity: line.quantity,
+          unitCost: line.unit_cost
+        }))
+      });
+
+      resetForm();
+      await fetchOrders();
+    } catch (error) {
+      console.error('Error saving purchase order:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSend = async (order) => {
+    try {
+      assertPermission(role, 'purchase:manage');
+      await sendPurchaseOrder(order.id);
+      await fetchOrders();
+    } catch (error) {
+      console.error('Error sending purchase order:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleCancel = async (order) => {
+    const message = order.status === 'partially_received'
+      ? `Cancel purchase order #${order.id}? Units already received stay in stock; the rest will no longer be expected.`
+      : `Cancel purchase order #${order.id}?`;
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      assertPermission(role, 'purchase:manage');
+      await cancelPurchaseOrder(order.id);
+      if (editingOrderId === order.id) {
+        resetForm();
+      }
+      await fetchOrders();
+    } catch (error) {
+      console.error('Error cancelling purchase order:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Items this supplier delivers come first
+  const sortedItems = [...stockItems].sort((a, b) => {
+    const linkedA = a.stock_supplier.some(link => link.supplier_id === parseInt(supplierId)) ? 0 : 1;
+    const linkedB = b.stock_supplier.some(link => link.supplier_id === parseInt(supplierId)) ? 0 : 1;
+    return linkedA - linkedB || a.name.localeCompare(b.name);
+  });
+
+  // Items already used on another line are not offered again
+  const availableItems = (index) => sortedItems.filter(item =>
+    !lines.some((line, i) => i !== index && parseInt(line.stock_id) === item.id)
+  );
+
+  const formTotal = lines.reduce((sum, line) => sum + (line.stock_id ? line.quantity * line.unit_cost : 0), 0);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Purchase Orders</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Order form */}
+      {can('purchase:manage') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">
+            {editingOrderId ? `Edit Draft #${editingOrderId}` : 'New Purchase Order'}
+          </h3>
+          <form onSubmit={submitOrder}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Supplier</label>
+                <select
+                  value={supplierId}
+                  onChange={(e) => setSupplierId(e.target.value)}
+                  required
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Supplier</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                  ))}
+                </select>
+                {suppliers.length === 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Add suppliers on the <Link to="/suppliers" className="text-blue-600 hover:text-blue-900">Suppliers</Link> page first.
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Expected Date</label>
+                <input
+                  type="date"
+                  value={expectedDate}
+                  onChange={(e) => setExpectedDate(e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Note</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Order lines */}
+            <div className="space-y-2">
+              <div className="flex items-center space-x-2 text-xs font-medium text-gray-500 uppercase">
+                <span className="w-full">Item</span>
+                <span className="w-28 flex-shrink-0">Quantity</span>
+                <span className="w-36 flex-shrink-0">Unit Cost</span>
+                <span className="w-16 flex-shrink-0"></span>
+              </div>
+              {lines.map((line, index) => {
+                const link = getSupplierLink(line.stock_id, supplierId);
+                return (
+                  <div key={index}>
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={line.stock_id}
+                        onChange={(e) => updateLine(index, 'stock_id', e.target.value)}
+                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      >
+                        <option value="">Select Item</option>
+                        {availableItems(index).map(option => (
+                          <option key={option.id} value={option.id}>
+                            {option.name}{option.sku ? ` (${option.sku})` : ''}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                        className="w-28 flex-shrink-0 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unit_cost}
+                        onChange={(e) => updateLine(index, 'unit_cost', e.target.value)}
+                        className="w-36 flex-shrink-0 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        disabled={lines.length === 1}
+                        className="w-16 flex-shrink-0 text-red-600 hover:text-red-900 text-sm disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {link?.supplier_sku && (
+                      <p className="mt-1 text-xs text-gray-500">Supplier SKU: {link.supplier_sku}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center space-x-6">
+                <button
+                  type="button"
+                  onClick={() => setLines([...lines, emptyLine()])}
+                  className="text-sm text-blue-600 hover:text-blue-900"
+                >
+                  + Add Item
+                </button>
+                <span className="text-sm text-gray-700">Total: <strong>{formatRupiah(formTotal)}</strong></span>
+              </div>
+              <div className="flex space-x-3">
+                {editingOrderId && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel Edit
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : editingOrderId ? 'Save Draft' : 'Create Draft'}
+                </button>
+              </div>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => {
+                setFilterStatus(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Statuses</option>
+              {PURCHASE_ORDER_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Supplier</label>
+            <select
+              value={filterSupplier}
+              onChange={(e) => {
+                setFilterSupplier(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Purchase orders table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading purchase orders...</p>
+        ) : orders.length === 0 ? (
+          <p className="text-center py-4">No purchase orders found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {orders.map((order) => {
+                  const status = getPurchaseOrderStatus(order.status);
+                  return (
+                    <tr key={order.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.id}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(order.created_at)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{order.supplier?.name}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {order.purchase_order_line.map(line => (
+                          <div key={line.id}>
+                            {line.quantity_ordered} × {line.stock?.name}
+                            {line.quantity_received > 0 && (
+                              <span className="text-xs text-gray-400"> ({line.quantity_received} received)</span>
+                            )}
+                          </div>
+                        ))}
+                        {order.note && <div className="text-xs text-gray-400 mt-1">{order.note}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatRupiah(getOrderTotal(order.purchase_order_line))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(order.expected_date) || '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                        {order.received_at && (
+                          <div className="text-xs text-gray-400 mt-1">{formatDate(order.received_at)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {order.status === 'draft' && can('purchase:manage') && (
+                          <>
+                            <button
+                              onClick={() => editOrder(order)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleSend(order)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                            >
+                              Mark Sent
+                            </button>
+                          </>
+                        )}
+                        {isReceivable(order) && (
+                          <Link
+                            to={`/purchase-orders/${order.id}/receive`}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            {can('purchase:receive') ? 'Receive' : 'View'}
+                          </Link>
+                        )}
+                        {['received', 'cancelled'].includes(order.status) && (
+                          <Link
+                            to={`/purchase-orders/${order.id}/receive`}
+                            className="text-gray-600 hover:text-gray-900 mr-4"
+                          >
+                            View
+                          </Link>
+                        )}
+                        {['draft', 'sent', 'partially_received'].includes(order.status) && can('purchase:manage') && (
+                          <button
+                            onClick={() => handleCancel(order)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrdersPage;
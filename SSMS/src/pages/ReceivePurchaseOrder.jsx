@@ -0,0 +1,312 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { formatDate, formatRupiah } from '../lib/format';
+import {
+  getPurchaseOrderStatus,
+  isReceivable,
+  getOrderTotal,
+  receivePurchaseOrder,
+  fetchPurchaseOrder
+} from '../lib/purchaseOrders';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+import { isActiveWarehouse, fetchWarehouses as fetchWarehouseList } from '../lib/warehouses';
+
+// Goods receiving for one purchase order, plus its receipt history
+const ReceivePurchaseOrderPage = () => {
+  const { id } = useParams();
+  const { role, can } = useAuth();
+  const [order, setOrder] = useState(null);
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Receiving form; quantities keyed by purchase_order_line id
+  const [warehouse, setWarehouse] = useState('');
+  const [quantities, setQuantities] = useState({});
+  const [note, setNote] = useState('');
+
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchWarehouses();
+  }, []);
+
+  useEffect(() => {
+    fetchOrder();
+  }, [id]);
+
+  const fetchOrder = async () => {
+    try {
+      setLoading(true);
+
+      const data = await fetchPurchaseOrder(id);
+
+      setOrder(data);
+      // Default to receiving everything that is still outstanding
+      setQuantities(Object.fromEntries(
+        data.purchase_order_line.map(line => [line.id, line.quantity_ordered - line.quantity_received])
+      ));
+    } catch (error) {
+      console.error('Error fetching purchase order:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Get warehouses for the receiving form
+  const fetchWarehouses = async () => {
+    try {
+      setWarehouses(await fetchWarehouseList());
+    } catch (error) {
+      console.error('Error fetching warehouses:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const submitReceipt = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'purchase:receive');
+
+      order.purchase_order_line.forEach(line => {
+        const outstanding = line.quantity_ordered - line.quantity_received;
+        const quantity = quantities[line.id] || 0;
+        if (quantity < 0 || quantity > outstanding) {
+          throw new Error(`Received quantity for ${line.stock?.name} must be between 0 and ${outstanding}.`);
+        }
+      });
+
+      setSaving(true);
+
+      await receivePurchaseOrder({
+        orderId: order.id,
+        warehouse,
+        lines: order.purchase_order_line.map(line => ({ lineId: line.id, quantity: quantities[line.id] || 0 })),
+        note
+      });
+
+      const unitCount = Object.values(quantities).reduce((sum, quantity) => sum + (quantity || 0), 0);
+      setMessage(`Received ${unitCount} units into ${warehouse}.`);
+      setNote('');
+      await fetchOrder();
+    } catch (error) {
+      console.error('Error receiving purchase order:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getLineName = (lineId) =>
+    order.purchase_order_line.find(line => line.id === lineId)?.stock?.name || `Line #${lineId}`;
+
+  if (loading && !order) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-md">
+        <p className="text-center py-4">Loading purchase order...</p>
+      </div>
+    );
+  }
+
+  const status = order ? getPurchaseOrderStatus(order.status) : null;
+  const canReceive = order && isReceivable(order) && can('purchase:receive');
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">
+          Purchase Order #{id}
+          {status && (
+            <span className={`ml-3 px-2 inline-flex text-xs leading-5 font-semibold rounded-full align-middle ${status.className}`}>
+              {status.label}
+            </span>
+          )}
+        </h2>
+        <Link to="/purchase-orders" className="text-sm text-blue-600 hover:text-blue-900">Back to Purchase Orders</Link>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border-l-4 border-green-500 text-green-700 p-4 mb-4" role="status">
+          <p>{message}</p>
+          <button className="ml-2 text-sm" onClick={() => setMessage(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {order && (
+        <>
+          <div className="mb-6 p-4 bg-gray-50 rounded-md grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Supplier</p>
+              <p className="font-medium">{order.supplier?.name}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Ordered</p>
+              <p className="font-medium">{formatDate(order.created_at)}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Expected</p>
+              <p className="font-medium">{formatDate(order.expected_date) || '-'}</p>
+            </div>
+            <div>
+              <p className="text-gray-500">Total</p>
+              <p className="font-medium">{formatRupiah(getOrderTotal(order.purchase_order_line))}</p>
+            </div>
+            {order.note && <p className="md:col-span-4 text-gray-500">{order.note}</p>}
+          </div>
+
+          <form onSubmit={submitReceipt}>
+            {canReceive && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Receive Into Warehouse</label>
+                  <select
+                    value={warehouse}
+                    onChange={(e) => setWarehouse(e.target.value)}
+                    required
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  >
+                    <option value="">Select Warehouse</option>
+                    {warehouses.filter(isActiveWarehouse).map(w => (
+                      <option key={w.id} value={w.name}>{w.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Note</label>
+                  <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="e.g. delivery note number"
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+            )}
+
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Cost</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ordered</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                  {canReceive && (
+                    <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Receive Now</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {order.purchase_order_line.map(line => {
+                  const outstanding = line.quantity_ordered - line.quantity_received;
+                  return (
+                    <tr key={line.id}>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {line.stock?.name}
+                        {line.stock?.sku && <div className="text-xs text-gray-500">{line.stock.sku}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500">{formatRupiah(line.unit_cost)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500">{line.quantity_ordered}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-500">{line.quantity_received}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-right text-sm font-medium ${outstanding > 0 ? 'text-yellow-700' : 'text-green-700'}`}>
+                        {outstanding}
+                      </td>
+                      {canReceive && (
+                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                          <input
+                            type="number"
+                            min="0"
+                            max={outstanding}
+                            value={quantities[line.id] ?? 0}
+                            onChange={(e) => setQuantities({ ...quantities, [line.id]: parseInt(e.target.value) || 0 })}
+                            disabled={outstanding === 0}
+                            className="w-24 rounded-md border-gray-300 shadow-sm text-right focus:border-blue-500 focus:ring-blue-500 disabled:opacity-50"
+                          />
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {canReceive && (
+              <div className="mt-4 flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setQuantities(Object.fromEntries(order.purchase_order_line.map(line => [line.id, 0])))}
+                  className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+                >
+                  Clear Quantities
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Record Receipt'}
+                </button>
+              </div>
+            )}
+
+            {order.status === 'draft' && (
+              <p className="mt-4 text-sm text-gray-500">Mark this order as sent before receiving goods.</p>
+            )}
+          </form>
+
+          {/* Receipt history */}
+          <div className="mt-8">
+            <h3 className="text-lg font-medium mb-2">Receipts</h3>
+            {order.purchase_receipt.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing has been received yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                    <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {order.purchase_receipt.map(receipt => (
+                    <tr key={receipt.id}>
+                      <td className="px-4 py-2 text-sm text-gray-500">{receipt.id}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">{formatDate(receipt.created_at)}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{receipt.warehouse}</td>
+                      <td className="px-4 py-2 text-sm text-gray-500">
+                        {receipt.purchase_receipt_line.map(line => (
+                          <div key={line.id}>{line.quantity} × {getLineName(line.line_id)}</div>
+                        ))}
+                        {receipt.note && <div className="text-xs text-gray-400 mt-1">{receipt.note}</div>}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-500">{receipt.received_by_email || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReceivePurchaseOrderPage;
@@ -0,0 +1,585 @@
+import { useState, useEffect } from 'react';
+import Pagination from '../components/Pagination';
+import { formatDate, formatRupiah } from '../lib/format';
+import {
+  SALES_ORDER_STATUSES,
+  getSalesOrderStatus,
+  getSalesOrderTotal,
+  saveSalesOrder,
+  confirmSalesOrder,
+  shipSalesOrder,
+  cancelSalesOrder,
+  fetchSalesOrders
+} from '../lib/salesOrders';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+import { isActiveWarehouse, fetchWarehouses as fetchWarehouseList } from '../lib/warehouses';
+import { fetchAllItems } from '../lib/items';
+
+const emptyLine = () => ({ stock_id: '', quantity: 1, unit_price: 0 });
+
+const SalesOrdersPage = () => {
+  const { role, can } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [warehouseItems, setWarehouseItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterStatus, setFilterStatus] = useState('');
+  const [filterWarehouse, setFilterWarehouse] = useState('');
+
+  // Order form; editingOrderId is set while a draft is being edited
+  const [editingOrderId, setEditingOrderId] = useState(null);
+  const [customerName, setCustomerName] = useState('');
+  const [customerContact, setCustomerContact] = useState('');
+  const [warehouse, setWarehouse] = useState('');
+  const [note, setNote] = useState('');
+  const [lines, setLines] = useState([emptyLine()]);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchWarehouses();
+  }, []);
+
+  // Delayed search to prevent too many requests
+  useEffect(() => {
+    const delaySearch = setTimeout(() => {
+      fetchOrders();
+    }, 300);
+
+    return () => clearTimeout(delaySearch);
+  }, [currentPage, searchTerm, filterStatus, filterWarehouse]);
+
+  // Items that can be picked depend on the shipping warehouse
+  useEffect(() => {
+    fetchWarehouseItems();
+  }, [warehouse]);
+
+  // Fetch sales orders with their lines, paginated and filtered
+  const fetchOrders = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      const { orders: rows, count } = await fetchSalesOrders(
+        { search: searchTerm, status: filterStatus, warehouse: filterWarehouse },
+        { from, to }
+      );
+
+      setTotalItems(count);
+      setOrders(rows);
+    } catch (error) {
+      console.error('Error fetching sales orders:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Get warehouses for the form and filters
+  const fetchWarehouses = async () => {
+    try {
+      setWarehouses(await fetchWarehouseList());
+    } catch (error) {
+      console.error('Error fetching warehouses:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Items stocked in the shipping warehouse, with what is still unreserved
+  const fetchWarehouseItems = async () => {
+    if (!warehouse) {
+      setWarehouseItems([]);
+      return;
+    }
+
+    try {
+      const items = await fetchAllItems();
+
+      setWarehouseItems(items.flatMap(item => {
+        const level = item.stock_level.find(l => l.warehouse === warehouse);
+        return level
+          ? [{ id: item.id, name: item.name, sku: item.sku, price: item.price, available: level.quantity - level.reserved }]
+          : [];
+      }));
+    } catch (error) {
+      console.error('Error fetching warehouse items:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => {
+      if (i !== index) return line;
+
+      if (field === 'stock_id') {
+        // Default to the item's list price
+        const item = warehouseItems.find(w => w.id === parseInt(value));
+        return { ...line, stock_id: value, unit_price: item?.price ?? line.unit_price };
+      }
+
+      return { ...line, [field]: field === 'quantity' ? parseInt(value) || 0 : parseFloat(value) || 0 };
+    }));
+  };
+
+  const removeLine = (index) => {
+    setLines(lines.filter((_, i) => i !== index));
+  };
+
+  const resetForm = () => {
+    setEditingOrderId(null);
+    setCustomerName('');
+    setCustomerContact('');
+    setNote('');
+    setLines([emptyLine()]);
+  };
+
+  // Load a draft into the form
+  const editOrder = (order) => {
+    setEditingOrderId(order.id);
+    setCustomerName(order.customer_name);
+    setCustomerContact(order.customer_contact || '');
+    setWarehouse(order.warehouse);
+    setNote(order.note || '');
+    setLines(order.sales_order_line.map(line => ({
+      stock_id: String(line.stock_id),
+      quantity: line.quantity,
+      unit_price: line.unit_price
+    })));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const changeWarehouse = (value) => {
+    setWarehouse(value);
+    setLines([emptyLine()]);
+  };
+
+  const submitOrder = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'sales:manage');
+
+      const filledLines = lines.filter(line => line.stock_id);
+      filledLines.forEach(line => {
+        if (line.quantity <= 0) {
+          const item = warehouseItems.find(i => i.id === parseInt(line.stock_id));
+          throw new Error(`Quantity for ${item?.name} must be at least 1.`);
+        }
+      });
+
+      setSaving(true);
+
+      await saveSalesOrder({
+        id: editingOrderId,
+        customerName,
+        customerContact,
+        warehouse,
+        note,
+        lines: filledLines.map(line => ({
+          stockId: parseInt(line.stock_id),
+          quantity: line.quantity,
+          unitPrice: line.unit_price
+        }))
+      });
+
+      resetForm();
+      await fetchOrders();
+    } catch (error) {
+      console.error('Error saving sales order:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleConfirm = async (order) => {
+    try {
+      assertPermission(role, 'sales:manage');
+      await confirmSalesOrder(order.id);
+      await fetchOrders();
+      await fetchWarehouseItems();
+    } catch (error) {
+      console.error('Error confirming sales order:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleShip = async (order) => {
+    if (!window.confirm(`Ship sales order #${order.id} to ${order.customer_name}? The items will be deducted from ${order.warehouse}.`)) {
+      return;
+    }
+
+    try {
+      assertPermission(role, 'sales:manage');
+      await shipSalesOrder(order.id);
+      await fetchOrders();
+      await fetchWarehouseItems();
+    } catch (error) {
+      console.error('Error shipping sales order:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleCancel = async (order) => {
+    const message = order.status === 'confirmed'
+      ? `Cancel sales order #${order.id} and release its reserved stock?`
+      : `Cancel sales order #${order.id}?`;
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      assertPermission(role, 'sales:manage');
+      await cancelSalesOrder(order.id);
+      if (editingOrderId === order.id) {
+        resetForm();
+      }
+      await fetchOrders();
+      await fetchWarehouseItems();
+    } catch (error) {
+      console.error('Error cancelling sales order:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Items already used on another line are not offered again
+  const availableItems = (index) => warehouseItems.filter(item =>
+    !lines.some((line, i) => i !== index && parseInt(line.stock_id) === item.id)
+  );
+
+  const formTotal = lines.reduce((sum, line) => sum + (line.stock_id ? line.quantity * line.unit_price : 0), 0);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Sales Orders</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Order form */}
+      {can('sales:manage') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">
+            {editingOrderId ? `Edit Draft #${editingOrderId}` : 'New Sales Order'}
+          </h3>
+          <form onSubmit={submitOrder}>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Customer</label>
+                <input
+                  type="text"
+                  value={customerName}
+                  onChange={(e) => setCustomerName(e.target.value)}
+                  required
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Customer Contact</label>
+                <input
+                  type="text"
+                  value={customerContact}
+                  onChange={(e) => setCustomerContact(e.target.value)}
+                  placeholder="Phone or email"
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Ship From</label>
+                <select
+                  value={warehouse}
+                  onChange={(e) => changeWarehouse(e.target.value)}
+                  required
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Warehouse</option>
+                  {warehouses.filter(isActiveWarehouse).map(w => (
+                    <option key={w.id} value={w.name}>{w.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Note</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Order lines */}
+            <div className="space-y-2">
+              <div className="flex items-center space-x-2 text-xs font-medium text-gray-500 uppercase">
+                <span className="w-full">Item</span>
+                <span className="w-28 flex-shrink-0">Quantity</span>
+                <span className="w-36 flex-shrink-0">Unit Price</span>
+                <span className="w-16 flex-shrink-0"></span>
+              </div>
+              {lines.map((line, index) => {
+                const item = warehouseItems.find(i => i.id === parseInt(line.stock_id));
+                return (
+                  <div key={index}>
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={line.stock_id}
+                        onChange={(e) => updateLine(index, 'stock_id', e.target.value)}
+                        disabled={!warehouse}
+                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 disabled:opacity-50"
+                      >
+                        <option value="">{warehouse ? 'Select Item' : 'Select a warehouse first'}</option>
+                        {availableItems(index).map(option => (
+                          <option key={option.id} value={option.id}>{option.name} ({option.available} available)</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                        className="w-28 flex-shrink-0 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.unit_price}
+                        onChange={(e) => updateLine(index, 'unit_price', e.target.value)}
+                        className="w-36 flex-shrink-0 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        disabled={lines.length === 1}
+                        className="w-16 flex-shrink-0 text-red-600 hover:text-red-900 text-sm disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {item && line.quantity > item.available && (
+                      <p className="mt-1 text-xs text-yellow-700">
+                        Only {item.available} available; the order can be saved as a draft but not confirmed until stock arrives.
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center space-x-6">
+                <button
+                  type="button"
+                  onClick={() => setLines([...lines, emptyLine()])}
+                  disabled={!warehouse}
+                  className="text-sm text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                >
+                  + Add Item
+                </button>
+                <span className="text-sm text-gray-700">Total: <strong>{formatRupiah(formTotal)}</strong></span>
+              </div>
+              <div className="flex space-x-3">
+                {editingOrderId && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    Cancel Edit
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : editingOrderId ? 'Save Draft' : 'Create Draft'}
+                </button>
+              </div>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search Customers</label>
+            <input
+              type="text"
+              placeholder="Search by customer..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => {
+                setFilterStatus(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Statuses</option>
+              {SALES_ORDER_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Warehouse</label>
+            <select
+              value={filterWarehouse}
+              onChange={(e) => {
+                setFilterWarehouse(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Warehouses</option>
+              {warehouses.map(w => (
+                <option key={w.id} value={w.name}>{w.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Sales orders table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading sales orders...</p>
+        ) : orders.length === 0 ? (
+          <p className="text-center py-4">No sales orders found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ship From</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {orders.map((order) => {
+                  const status = getSalesOrderStatus(order.status);
+                  return (
+                    <tr key={order.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.id}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(order.created_at)}</td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {order.customer_name}
+                        {order.customer_contact && <div className="text-xs text-gray-500">{order.customer_contact}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{order.warehouse}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {order.sales_order_line.map(line => (
+                          <div key={line.id}>{line.quantity} × {line.stock?.name}</div>
+                        ))}
+                        {order.note && <div className="text-xs text-gray-400 mt-1">{order.note}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatRupiah(getSalesOrderTotal(order.sales_order_line))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                        {order.shipped_at && (
+                          <div className="text-xs text-gray-400 mt-1">{formatDate(order.shipped_at)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {can('sales:manage') && order.status === 'draft' && (
+                          <>
+                            <button
+                              onClick={() => editOrder(order)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                            >
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleConfirm(order)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                              title="Reserve the stock for this order"
+                            >
+                              Confirm
+                            </button>
+                          </>
+                        )}
+                        {can('sales:manage') && order.status === 'confirmed' && (
+                          <button
+                            onClick={() => handleShip(order)}
+                            className="text-green-600 hover:text-green-900 mr-4"
+                          >
+                            Ship
+                          </button>
+                        )}
+                        {can('sales:manage') && ['draft', 'confirmed'].includes(order.status) && (
+                          <button
+                            onClick={() => handleCancel(order)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SalesOrdersPage;
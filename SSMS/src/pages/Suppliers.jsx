@@ -0,0 +1,350 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Link } from 'react-router-dom';
+import { Dialog, Transition } from '@headlessui/react';
+import { EMPTY_SUPPLIER, saveSupplier, deleteSupplier, fetchSupplierSummary } from '../lib/suppliers';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const SUPPLIER_FIELDS = [
+  { key: 'name', label: 'Name', required: true },
+  { key: 'contact_name', label: 'Contact Person' },
+  { key: 'phone', label: 'Phone', type: 'tel' },
+  { key: 'email', label: 'Email', type: 'email' },
+  { key: 'payment_terms', label: 'Payment Terms', placeholder: 'e.g. Net 30' },
+  { key: 'address', label: 'Address', multiline: true },
+  { key: 'notes', label: 'Notes', multiline: true }
+];
+
+const SuppliersPage = () => {
+  const { role, can } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Add/edit modal; a supplier without an id is new
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [supplierToDelete, setSupplierToDelete] = useState(null);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSupplierList();
+  }, []);
+
+  // Suppliers with the number of items linked to each
+  const fetchSupplierList = async () => {
+    try {
+      setLoading(true);
+
+      setSuppliers(await fetchSupplierSummary());
+    } catch (error) {
+      console.error('Error fetching suppliers:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openSupplierModal = (supplier = null) => {
+    setEditingSupplier(supplier
+      ? Object.fromEntries(
+        ['id', ...Object.keys(EMPTY_SUPPLIER)].map(key => [key, supplier[key] ?? ''])
+      )
+      : { ...EMPTY_SUPPLIER });
+  };
+
+  const handleSupplierChange = (e) => {
+    const { name, value } = e.target;
+    setEditingSupplier({ ...editingSupplier, [name]: value });
+  };
+
+  const submitSupplier = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'supplier:manage');
+      setSaving(true);
+
+      await saveSupplier(editingSupplier);
+
+      setEditingSupplier(null);
+      await fetchSupplierList();
+    } catch (error) {
+      console.error('Error saving supplier:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmDelete = async () => {
+    try {
+      assertPermission(role, 'supplier:manage');
+
+      await deleteSupplier(supplierToDelete.id);
+
+      setSupplierToDelete(null);
+      await fetchSupplierList();
+    } catch (error) {
+      console.error('Error deleting supplier:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const filteredSuppliers = suppliers.filter(supplier =>
+    !searchTerm ||
+    [supplier.name, supplier.contact_name, supplier.email, supplier.phone]
+      .some(value => value?.toLowerCase().includes(searchTerm.toLowerCase()))
+  );
+
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Suppliers</h2>
+        {can('supplier:manage') && (
+          <button
+            onClick={() => openSupplierModal()}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Add Supplier
+          </button>
+        )}
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Search Suppliers</label>
+        <input
+          type="text"
+          placeholder="Search by name, contact, email or phone..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading suppliers...</p>
+        ) : filteredSuppliers.length === 0 ? (
+          <p className="text-center py-4">No suppliers found.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Terms</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredSuppliers.map(supplier => (
+                <tr key={supplier.id}>
+                  <td className="px-6 py-4 text-sm">
+                    <div className="font-medium text-gray-900">{supplier.name}</div>
+                    {supplier.address && <div className="text-xs text-gray-500 whitespace-pre-line">{supplier.address}</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {supplier.contact_name && <div>{supplier.contact_name}</div>}
+                    {supplier.phone && <div>{supplier.phone}</div>}
+                    {supplier.email && (
+                      <a href={`mailto:${supplier.email}`} className="text-blue-600 hover:text-blue-900">{supplier.email}</a>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{supplier.payment_terms || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <Link to={`/inventory?supplier=${supplier.id}`} className="text-blue-600 hover:text-blue-900">
+                      {supplier.item_count} items
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    {can('supplier:manage') && (
+                      <>
+                        <button
+                          onClick={() => openSupplierModal(supplier)}
+                          className="text-blue-600 hover:text-blue-900 mr-4"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => setSupplierToDelete(supplier)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add/Edit Supplier Modal */}
+      <Transition appear show={editingSupplier !== null} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setEditingSupplier(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    {editingSupplier?.id ? 'Edit Supplier' : 'Add Supplier'}
+                  </Dialog.Title>
+
+                  {editingSupplier && (
+                    <form onSubmit={submitSupplier} className="mt-4 grid grid-cols-2 gap-4">
+                      {SUPPLIER_FIELDS.map(field => (
+                        <div key={field.key} className={field.multiline || field.key === 'name' ? 'col-span-2' : ''}>
+                          <label className="block text-sm font-medium text-gray-700">{field.label}</label>
+                          {field.multiline ? (
+                            <textarea
+                              name={field.key}
+                              rows={2}
+                              value={editingSupplier[field.key]}
+                              onChange={handleSupplierChange}
+                              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            />
+                          ) : (
+                            <input
+                              type={field.type || 'text'}
+                              name={field.key}
+                              value={editingSupplier[field.key]}
+                              onChange={handleSupplierChange}
+                              placeholder={field.placeholder}
+                              required={field.required}
+                              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            />
+                          )}
+                        </div>
+                      ))}
+
+                      <div className="col-span-2 mt-2 flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          onClick={() => setEditingSupplier(null)}
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                        >
+                          {saving ? 'Saving...' : 'Save'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+
+      {/* Delete Confirmation Modal */}
+      <Transition appear show={supplierToDelete !== null} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setSupplierToDelete(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Confirm Deletion
+                  </Dialog.Title>
+                  <div className="mt-2">
+                    <p className="text-sm text-gray-500">
+                      Are you sure you want to delete <strong>{supplierToDelete?.name}</strong>?
+                      {supplierToDelete && supplierToDelete.item_count > 0 &&
+                        ` It is linked to ${supplierToDelete.item_count} items; those links will be removed.`}
+                    </p>
+                  </div>
+
+                  <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      onClick={() => setSupplierToDelete(null)}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      onClick={confirmDelete}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+    </div>
+  );
+};
+
+export default SuppliersPage;
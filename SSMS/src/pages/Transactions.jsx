@@ -0,0 +1,479 @@
+import { useState, useEffect } from 'react';
+import Pagination from '../components/Pagination';
+import { formatDate } from '../lib/format';
+import {
+  TRANSACTION_TYPES,
+  REASON_CODES,
+  getTypeLabel,
+  getReasonLabel,
+  getLevelQuantity,
+  getAvailableQuantity,
+  recordTransaction,
+  fetchTransactions as fetchTransactionPage
+} from '../lib/transactions';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+import { isActiveWarehouse, fetchWarehouses as fetchWarehouseList } from '../lib/warehouses';
+import { fetchAllItems } from '../lib/items';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyTransaction = () => ({
+  stock_id: '',
+  warehouse: '',
+  type: 'in',
+  reason: 'purchase',
+  quantity: 0,
+  occurred_at: today(),
+  note: ''
+});
+
+const TransactionsPage = () => {
+  const { role, can } = useAuth();
+  const [transactions, setTransactions] = useState([]);
+  const [stockItems, setStockItems] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Search
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterType, setFilterType] = useState('');
+  const [filterReason, setFilterReason] = useState('');
+  const [filterWarehouse, setFilterWarehouse] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+
+  const [newTransaction, setNewTransaction] = useState(emptyTransaction());
+
+  const [error, setError] = useState(null);
+
+  // Reference data for the form and filters
+  useEffect(() => {
+    fetchStockItems();
+    fetchWarehouses();
+  }, []);
+
+  // Delayed fetch to prevent too many requests while typing
+  useEffect(() => {
+    const delaySearch = setTimeout(() => {
+      fetchTransactions();
+    }, 500);
+
+    return () => clearTimeout(delaySearch);
+  }, [currentPage, searchTerm, filterType, filterReason, filterWarehouse, dateFrom, dateTo]);
+
+  // Fetch ledger records with pagination and filtering
+  const fetchTransactions = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      const { transactions: rows, count } = await fetchTransactionPage({
+        search: searchTerm,
+        type: filterType,
+        reason: filterReason,
+        warehouse: filterWarehouse,
+        dateFrom,
+        dateTo
+      }, { from, to });
+
+      setTotalItems(count);
+      setTransactions(rows);
+    } catch (error) {
+      console.error('Error fetching transactions:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Get stock items for the record form
+  const fetchStockItems = async () => {
+    try {
+      setStockItems(await fetchAllItems());
+    } catch (error) {
+      console.error('Error fetching stock items:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Get warehouses for the form and filters
+  const fetchWarehouses = async () => {
+    try {
+      setWarehouses(await fetchWarehouseList());
+    } catch (error) {
+      console.error('Error fetching warehouses:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Handle input changes for the record form
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    if (name === 'type') {
+      // Pick the first reason that belongs to the new type
+      const reason = REASON_CODES.find(r => r.type === value && !r.system && r.value !== 'initial');
+      setNewTransaction({ ...newTransaction, type: value, reason: reason?.value || '' });
+      return;
+    }
+
+    setNewTransaction({
+      ...newTransaction,
+      [name]: name === 'quantity' ? parseInt(value) || 0 : value
+    });
+  };
+
+  const selectedItem = stockItems.find(item => item.id === parseInt(newTransaction.stock_id));
+
+  // Quantity of the selected item in the selected warehouse
+  const levelQuantity = getLevelQuantity(selectedItem?.stock_level, newTransaction.warehouse);
+  const availableQuantity = getAvailableQuantity(selectedItem?.stock_level, newTransaction.warehouse);
+
+  // Stock out can only come from warehouses that hold the item
+  const warehouseOptions = newTransaction.type === 'out'
+    ? warehouses.filter(w => getAvailableQuantity(selectedItem?.stock_level, w.name) > 0)
+    : warehouses.filter(isActiveWarehouse);
+
+  // Adjustments are entered as the counted quantity; in/out as a positive amount
+  const getQuantityDelta = () => {
+    if (newTransaction.type === 'adjustment') {
+      return newTransaction.quantity - levelQuantity;
+    }
+    return newTransaction.type === 'out' ? -newTransaction.quantity : newTransaction.quantity;
+  };
+
+  // Record a new transaction
+  const addTransaction = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'transaction:create');
+
+      if (!selectedItem) {
+        throw new Error('Please select an item.');
+      }
+      if (newTransaction.type !== 'adjustment' && newTransaction.quantity <= 0) {
+        throw new Error('Quantity must be greater than zero.');
+      }
+      // Reserved units belong to confirmed sales orders and leave when those ship
+      if (newTransaction.type === 'out' && newTransaction.quantity > availableQuantity) {
+        throw new Error(`Only ${availableQuantity} units of ${selectedItem.name} are available in ${newTransaction.warehouse}.`);
+      }
+
+      setSaving(true);
+
+      await recordTransaction({
+        stockId: selectedItem.id,
+        warehouse: newTransaction.warehouse,
+        type: newTransaction.type,
+        reason: newTransaction.reason,
+        quantityDelta: getQuantityDelta(),
+        note: newTransaction.note,
+        occurredAt: newTransaction.occurred_at
+      });
+
+      setNewTransaction(emptyTransaction());
+      await fetchStockItems();
+      await fetchTransactions();
+
+    } catch (error) {
+      console.error('Error recording transaction:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Reset to the first page whenever a filter changes
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Transactions</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Search and filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search Items</label>
+            <input
+              type="text"
+              placeholder="Search by item name..."
+              value={searchTerm}
+              onChange={updateFilter(setSearchTerm)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Type</label>
+            <select
+              value={filterType}
+              onChange={updateFilter(setFilterType)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Types</option>
+              {TRANSACTION_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Reason</label>
+            <select
+              value={filterReason}
+              onChange={updateFilter(setFilterReason)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Reasons</option>
+              {REASON_CODES.map(reason => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Warehouse</label>
+            <select
+              value={filterWarehouse}
+              onChange={updateFilter(setFilterWarehouse)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Warehouses</option>
+              {warehouses.map(warehouse => (
+                <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={dateFrom}
+              onChange={updateFilter(setDateFrom)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={dateTo}
+              onChange={updateFilter(setDateTo)}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Record transaction form */}
+      {can('transaction:create') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">Record Transaction</h3>
+          <form onSubmit={addTransaction} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Item</label>
+              <select
+                name="stock_id"
+                value={newTransaction.stock_id}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                <option value="">Select Item</option>
+                {stockItems.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+              {selectedItem && (
+                <p className="mt-1 text-xs text-gray-500">Total quantity: {selectedItem.quantity || 0}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Warehouse</label>
+              <select
+                name="warehouse"
+                value={newTransaction.warehouse}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                <option value="">Select Warehouse</option>
+                {warehouseOptions.map(warehouse => (
+                  <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                ))}
+              </select>
+              {selectedItem && newTransaction.warehouse && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Quantity here: {levelQuantity}
+                  {availableQuantity < levelQuantity && ` (${availableQuantity} available, ${levelQuantity - availableQuantity} reserved)`}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Type</label>
+              <select
+                name="type"
+                value={newTransaction.type}
+                onChange={handleInputChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                {TRANSACTION_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Reason</label>
+              <select
+                name="reason"
+                value={newTransaction.reason}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              >
+                {REASON_CODES.filter(r => r.type === newTransaction.type && !r.system).map(reason => (
+                  <option key={reason.value} value={reason.value}>{reason.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                {newTransaction.type === 'adjustment' ? 'Counted Quantity' : 'Quantity'}
+              </label>
+              <input
+                type="number"
+                name="quantity"
+                min="0"
+                value={newTransaction.quantity}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+              {newTransaction.type === 'adjustment' && selectedItem && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Change: {getQuantityDelta() > 0 ? '+' : ''}{getQuantityDelta()}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Date</label>
+              <input
+                type="date"
+                name="occurred_at"
+                value={newTransaction.occurred_at}
+                onChange={handleInputChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Note</label>
+              <input
+                type="text"
+                name="note"
+                value={newTransaction.note}
+                onChange={handleInputChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="md:col-span-3 flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Record Transaction'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Transactions table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading transactions...</p>
+        ) : transactions.length === 0 ? (
+          <p className="text-center py-4">No transactions found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Note</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transactions.map((transaction) => (
+                  <tr key={transaction.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(transaction.occurred_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{transaction.stock?.name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transaction.warehouse || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getTypeLabel(transaction.type)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{getReasonLabel(transaction.reason)}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${
+                      transaction.quantity_delta > 0 ? 'text-green-700' : 'text-red-700'
+                    }`}>
+                      {transaction.quantity_delta > 0 ? '+' : ''}{transaction.quantity_delta}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{transaction.note || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transaction.user_email || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionsPage;
@@ -0,0 +1,452 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Pagination from '../components/Pagination';
+import { formatDate } from '../lib/format';
+import {
+  TRANSFER_STATUSES,
+  getTransferStatus,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  fetchTransfers as fetchTransferPage
+} from '../lib/transfers';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+import { isActiveWarehouse, fetchWarehouses as fetchWarehouseList } from '../lib/warehouses';
+import { fetchAllItems } from '../lib/items';
+
+const emptyLine = () => ({ stock_id: '', quantity: 1 });
+
+const TransfersPage = () => {
+  // The Warehouses page links here with ?from=<warehouse> to move its stock out
+  const [searchParams] = useSearchParams();
+  const { role, can } = useAuth();
+  const [transfers, setTransfers] = useState([]);
+  const [warehouses, setWarehouses] = useState([]);
+  const [sourceItems, setSourceItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // Filters
+  const [filterStatus, setFilterStatus] = useState('');
+  const [filterWarehouse, setFilterWarehouse] = useState('');
+
+  // Bulk transfer form
+  const [fromWarehouse, setFromWarehouse] = useState(searchParams.get('from') || '');
+  const [toWarehouse, setToWarehouse] = useState('');
+  const [lines, setLines] = useState([emptyLine()]);
+  const [note, setNote] = useState('');
+  const [receiveNow, setReceiveNow] = useState(false);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchWarehouses();
+  }, []);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [currentPage, filterStatus, filterWarehouse]);
+
+  // Items that can be picked depend on the source warehouse
+  useEffect(() => {
+    setLines([emptyLine()]);
+    fetchSourceItems();
+  }, [fromWarehouse]);
+
+  // Fetch transfers with their lines, paginated and filtered
+  const fetchTransfers = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      const { transfers: rows, count } = await fetchTransferPage(
+        { status: filterStatus, warehouse: filterWarehouse },
+        { from, to }
+      );
+
+      setTotalItems(count);
+      setTransfers(rows);
+    } catch (error) {
+      console.error('Error fetching transfers:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Get warehouses for the form and filters
+  const fetchWarehouses = async () => {
+    try {
+      setWarehouses(await fetchWarehouseList());
+    } catch (error) {
+      console.error('Error fetching warehouses:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Items with stock in the selected source warehouse
+  const fetchSourceItems = async () => {
+    if (!fromWarehouse) {
+      setSourceItems([]);
+      return;
+    }
+
+    try {
+      const items = await fetchAllItems({ warehouse: fromWarehouse });
+
+      // Quantity here is what the warehouse can release: on hand minus reserved
+      setSourceItems(
+        items
+          .map(item => {
+            const level = item.stock_level.find(l => l.warehouse === fromWarehouse);
+            return { id: item.id, name: item.name, quantity: level.quantity - level.reserved };
+          })
+          .filter(item => item.quantity > 0)
+      );
+    } catch (error) {
+      console.error('Error fetching source items:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (
+      i === index ? { ...line, [field]: field === 'quantity' ? parseInt(value) || 0 : value } : line
+    )));
+  };
+
+  const removeLine = (index) => {
+    setLines(lines.filter((_, i) => i !== index));
+  };
+
+  // Create a transfer for every filled-in line
+  const submitTransfer = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'transfer:create');
+
+      const filledLines = lines.filter(line => line.stock_id);
+      filledLines.forEach(line => {
+        const item = sourceItems.find(i => i.id === parseInt(line.stock_id));
+        if (line.quantity <= 0 || line.quantity > (item?.quantity || 0)) {
+          throw new Error(`Quantity for ${item?.name} must be between 1 and ${item?.quantity || 0}.`);
+        }
+      });
+
+      setSaving(true);
+
+      await createTransfer({
+        fromWarehouse,
+        toWarehouse,
+        lines: filledLines.map(line => ({ stockId: parseInt(line.stock_id), quantity: line.quantity })),
+        note,
+        receiveNow
+      });
+
+      setLines([emptyLine()]);
+      setNote('');
+      setReceiveNow(false);
+      await fetchSourceItems();
+      await fetchTransfers();
+
+    } catch (error) {
+      console.error('Error creating transfer:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReceive = async (transfer) => {
+    try {
+      assertPermission(role, 'transfer:receive');
+      await receiveTransfer(transfer.id);
+      await fetchTransfers();
+    } catch (error) {
+      console.error('Error receiving transfer:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const handleCancel = async (transfer) => {
+    if (!window.confirm(`Cancel transfer #${transfer.id} and return the items to ${transfer.from_warehouse}?`)) {
+      return;
+    }
+
+    try {
+      assertPermission(role, 'transfer:receive');
+      await cancelTransfer(transfer.id);
+      await fetchTransfers();
+    } catch (error) {
+      console.error('Error cancelling transfer:', error.message);
+      setError(error.message);
+    }
+  };
+
+  // Items already used on another line are not offered again
+  const availableItems = (index) => sourceItems.filter(item =>
+    !lines.some((line, i) => i !== index && parseInt(line.stock_id) === item.id)
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Transfers</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Bulk transfer form */}
+      {can('transfer:create') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">New Transfer</h3>
+          <form onSubmit={submitTransfer}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">From Warehouse</label>
+                <select
+                  value={fromWarehouse}
+                  onChange={(e) => setFromWarehouse(e.target.value)}
+                  required
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Warehouse</option>
+                  {warehouses.map(warehouse => (
+                    <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">To Warehouse</label>
+                <select
+                  value={toWarehouse}
+                  onChange={(e) => setToWarehouse(e.target.value)}
+                  required
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                  <option value="">Select Warehouse</option>
+                  {warehouses.filter(w => w.name !== fromWarehouse && isActiveWarehouse(w)).map(warehouse => (
+                    <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Note</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+
+            {/* Transfer lines */}
+            <div className="space-y-2">
+              {lines.map((line, index) => {
+                const item = sourceItems.find(i => i.id === parseInt(line.stock_id));
+                return (
+                  <div key={index} className="flex items-center space-x-2">
+                    <select
+                      value={line.stock_id}
+                      onChange={(e) => updateLine(index, 'stock_id', e.target.value)}
+                      disabled={!fromWarehouse}
+                      className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      <option value="">{fromWarehouse ? 'Select Item' : 'Select a source warehouse first'}</option>
+                      {availableItems(index).map(option => (
+                        <option key={option.id} value={option.id}>{option.name} ({option.quantity} available)</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      max={item?.quantity || undefined}
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                      className="w-28 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeLine(index)}
+                      disabled={lines.length === 1}
+                      className="text-red-600 hover:text-red-900 text-sm disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="mt-4 flex items-center justify-between">
+              <div className="flex items-center space-x-6">
+                <button
+                  type="button"
+                  onClick={() => setLines([...lines, emptyLine()])}
+                  disabled={!fromWarehouse}
+                  className="text-sm text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                >
+                  + Add Item
+                </button>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={receiveNow}
+                    onChange={(e) => setReceiveNow(e.target.checked)}
+                    className="mr-2 rounded border-gray-300"
+                  />
+                  Mark as received immediately
+                </label>
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Create Transfer'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
+            <select
+              value={filterStatus}
+              onChange={(e) => {
+                setFilterStatus(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Statuses</option>
+              {TRANSFER_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Warehouse</label>
+            <select
+              value={filterWarehouse}
+              onChange={(e) => {
+                setFilterWarehouse(e.target.value);
+                setCurrentPage(1);
+              }}
+              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+            >
+              <option value="">All Warehouses</option>
+              {warehouses.map(warehouse => (
+                <option key={warehouse.id} value={warehouse.name}>{warehouse.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Transfers table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading transfers...</p>
+        ) : transfers.length === 0 ? (
+          <p className="text-center py-4">No transfers found.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Route</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {transfers.map((transfer) => {
+                  const status = getTransferStatus(transfer.status);
+                  return (
+                    <tr key={transfer.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.id}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(transfer.created_at)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {transfer.from_warehouse} → {transfer.to_warehouse}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {transfer.stock_transfer_line.map(line => (
+                          <div key={line.id}>{line.quantity} × {line.stock?.name}</div>
+                        ))}
+                        {transfer.note && <div className="text-xs text-gray-400 mt-1">{transfer.note}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>
+                          {status.label}
+                        </span>
+                        {transfer.received_at && (
+                          <div className="text-xs text-gray-400 mt-1">{formatDate(transfer.received_at)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{transfer.created_by_email || '-'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        {transfer.status === 'in_transit' && can('transfer:receive') && (
+                          <>
+                            <button
+                              onClick={() => handleReceive(transfer)}
+                              className="text-blue-600 hover:text-blue-900 mr-4"
+                            >
+                              Receive
+                            </button>
+                            <button
+                              onClick={() => handleCancel(transfer)}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              Cancel
+                            </button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransfersPage;
@@ -0,0 +1,251 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import Pagination from '../components/Pagination';
+import { formatDateTime, formatRupiah } from '../lib/format';
+import { fetchItems as fetchItemList } from '../lib/items';
+import { restoreItem, purgeItem } from '../lib/trash';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const TrashPage = () => {
+  const { role, can } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Pagination
+  const [currentPage, setCurrentPage] = useState(1);
+  const [itemsPerPage] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Purge confirmation modal
+  const [itemToPurge, setItemToPurge] = useState(null);
+  const [purging, setPurging] = useState(false);
+
+  const [error, setError] = useState(null);
+
+  // Delayed search to prevent too many requests
+  useEffect(() => {
+    const delaySearch = setTimeout(() => {
+      fetchItems();
+    }, 300);
+
+    return () => clearTimeout(delaySearch);
+  }, [currentPage, searchTerm]);
+
+  // Fetch trashed items, most recently deleted first
+  const fetchItems = async () => {
+    try {
+      setLoading(true);
+
+      // Apply pagination
+      const from = (currentPage - 1) * itemsPerPage;
+      const to = from + itemsPerPage - 1;
+
+      const { items: data, count } = await fetchItemList(
+        { trashed: true, search: searchTerm || undefined },
+        { from, to, order: { column: 'deleted_at', ascending: false } }
+      );
+
+      setTotalItems(count);
+      setItems(data);
+    } catch (error) {
+      console.error('Error fetching trash:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      assertPermission(role, 'item:delete');
+      await restoreItem(item.id);
+      await fetchItems();
+    } catch (error) {
+      console.error('Error restoring item:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const confirmPurge = async () => {
+    try {
+      assertPermission(role, 'item:delete');
+      setPurging(true);
+      await purgeItem(itemToPurge.id);
+      setItemToPurge(null);
+      await fetchItems();
+    } catch (error) {
+      console.error('Error purging item:', error.message);
+      setError(error.message);
+      setItemToPurge(null);
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Trash</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <div className="mb-6 p-4 bg-gray-50 rounded-md">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Search Deleted Items</label>
+        <input
+          type="text"
+          placeholder="Search by name or SKU..."
+          value={searchTerm}
+          onChange={(e) => {
+            setSearchTerm(e.target.value);
+            setCurrentPage(1);
+          }}
+          className="w-full md:w-1/3 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+        />
+        <p className="mt-2 text-xs text-gray-500">
+          Deleted items keep their stock levels and history until they are purged.
+        </p>
+      </div>
+
+      {/* Trash table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading trash...</p>
+        ) : items.length === 0 ? (
+          <p className="text-center py-4">The Trash is empty.</p>
+        ) : (
+          <>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {items.map((item) => (
+                  <tr key={item.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{item.name}</div>
+                      {item.sku && <div className="text-xs text-gray-500">{item.sku}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.category || 'N/A'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{item.quantity || 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatRupiah(item.price || 0)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDateTime(item.deleted_at)}
+                      {item.deleted_by_email && <div className="text-xs text-gray-400">{item.deleted_by_email}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {can('item:delete') && (
+                        <>
+                          <button
+                            onClick={() => handleRestore(item)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Restore
+                          </button>
+                          <button
+                            onClick={() => setItemToPurge(item)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Delete Forever
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              itemsPerPage={itemsPerPage}
+              totalItems={totalItems}
+              onPageChange={setCurrentPage}
+            />
+          </>
+        )}
+      </div>
+
+      {/* Purge Confirmation Modal */}
+      <Transition appear show={!!itemToPurge} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setItemToPurge(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Confirm Deletion
+                  </Dialog.Title>
+                  <div className="mt-2">
+                    <p className="text-sm text-gray-500">
+                      Permanently delete <strong>{itemToPurge?.name}</strong>? Its stock levels, transaction
+                      history and uploaded image are removed too. This action cannot be undone.
+                    </p>
+                  </div>
+
+                  <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      onClick={() => setItemToPurge(null)}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      disabled={purging}
+                      className="inline-flex justify-center rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+                      onClick={confirmPurge}
+                    >
+                      {purging ? 'Deleting...' : 'Delete Forever'}
+                    </button>
+                  </div>
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,535 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Link } from 'react-router-dom';
+import { Dialog, Transition } from '@headlessui/react';
+import { formatRupiah } from '../lib/format';
+import {
+  isActiveWarehouse,
+  getUtilization,
+  fetchWarehouseSummary,
+  createWarehouse,
+  updateWarehouse,
+  deactivateWarehouse,
+  reactivateWarehouse
+} from '../lib/warehouses';
+import { useAuth } from '../lib/auth';
+import { assertPermission } from '../lib/permissions';
+
+const emptyWarehouse = { name: '', address: '', manager: '', capacity: '' };
+
+// Bar colour by how full the warehouse is
+const getUtilizationColor = (percent) => {
+  if (percent >= 90) return 'bg-red-500';
+  if (percent >= 75) return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+const WarehousesPage = () => {
+  const { role, can } = useAuth();
+  const [warehouses, setWarehouses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Add form
+  const [newWarehouse, setNewWarehouse] = useState(emptyWarehouse);
+
+  // Edit modal
+  const [editingWarehouse, setEditingWarehouse] = useState(null);
+
+  // Deactivate confirmation modal
+  const [warehouseToDeactivate, setWarehouseToDeactivate] = useState(null);
+
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchWarehouses();
+  }, []);
+
+  // Warehouses with their item counts, units and value
+  const fetchWarehouses = async () => {
+    try {
+      setLoading(true);
+      setWarehouses(await fetchWarehouseSummary());
+    } catch (error) {
+      console.error('Error fetching warehouses:', error.message);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addWarehouse = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'warehouse:create');
+      setSaving(true);
+
+      await createWarehouse({
+        ...newWarehouse,
+        capacity: newWarehouse.capacity ? parseInt(newWarehouse.capacity) : null
+      });
+      setNewWarehouse(emptyWarehouse);
+      await fetchWarehouses();
+    } catch (error) {
+      console.error('Error adding warehouse:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNewChange = (e) => {
+    const { name, value } = e.target;
+    setNewWarehouse({ ...newWarehouse, [name]: value });
+  };
+
+  const openEdit = (warehouse) => {
+    setEditingWarehouse({
+      id: warehouse.id,
+      originalName: warehouse.name,
+      name: warehouse.name,
+      address: warehouse.address || '',
+      manager: warehouse.manager || '',
+      capacity: warehouse.capacity || ''
+    });
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditingWarehouse({ ...editingWarehouse, [name]: value });
+  };
+
+  const saveWarehouse = async (e) => {
+    e.preventDefault();
+
+    try {
+      assertPermission(role, 'warehouse:manage');
+      setSaving(true);
+      await updateWarehouse({
+        ...editingWarehouse,
+        capacity: editingWarehouse.capacity ? parseInt(editingWarehouse.capacity) : null
+      });
+      setEditingWarehouse(null);
+      await fetchWarehouses();
+    } catch (error) {
+      console.error('Error updating warehouse:', error.message);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmDeactivate = async () => {
+    try {
+      assertPermission(role, 'warehouse:manage');
+      setSaving(true);
+      await deactivateWarehouse(warehouseToDeactivate.id);
+      setWarehouseToDeactivate(null);
+      await fetchWarehouses();
+    } catch (error) {
+      console.error('Error deactivating warehouse:', error.message);
+      setError(error.message);
+      setWarehouseToDeactivate(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReactivate = async (warehouse) => {
+    try {
+      assertPermission(role, 'warehouse:manage');
+      await reactivateWarehouse(warehouse.id);
+      await fetchWarehouses();
+    } catch (error) {
+      console.error('Error reactivating warehouse:', error.message);
+      setError(error.message);
+    }
+  };
+
+  const renderUtilization = (warehouse) => {
+    const percent = getUtilization(warehouse);
+
+    if (percent === null) {
+      return <span className="text-gray-500">{warehouse.unit_count} units</span>;
+    }
+
+    return (
+      <div className="w-40">
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span>{warehouse.unit_count} / {warehouse.capacity}</span>
+          <span>{percent}%</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className={`h-2 ${getUtilizationColor(percent)}`}
+            style={{ width: `${Math.min(percent, 100)}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <h2 className="text-xl font-semibold mb-4">Warehouses</h2>
+
+      {/* Error display */}
+      {error && (
+        <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-4" role="alert">
+          <p>{error}</p>
+          <button className="ml-2 text-sm" onClick={() => setError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Add warehouse form */}
+      {can('warehouse:create') && (
+        <div className="mb-6 p-4 bg-gray-50 rounded-md">
+          <h3 className="text-lg font-medium mb-2">Add Warehouse</h3>
+          <form onSubmit={addWarehouse} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                name="name"
+                value={newWarehouse.name}
+                onChange={handleNewChange}
+                required
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Address</label>
+              <input
+                type="text"
+                name="address"
+                value={newWarehouse.address}
+                onChange={handleNewChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Manager</label>
+              <input
+                type="text"
+                name="manager"
+                value={newWarehouse.manager}
+                onChange={handleNewChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Capacity (units)</label>
+              <input
+                type="number"
+                name="capacity"
+                min="1"
+                value={newWarehouse.capacity}
+                onChange={handleNewChange}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                Add Warehouse
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Warehouses table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <p className="text-center py-4">Loading warehouses...</p>
+        ) : warehouses.length === 0 ? (
+          <p className="text-center py-4">No warehouses yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Warehouse</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Manager</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Utilization</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {warehouses.map((warehouse) => {
+                const active = isActiveWarehouse(warehouse);
+                return (
+                  <tr key={warehouse.id} className={active ? '' : 'bg-gray-50'}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{warehouse.name}</div>
+                      {warehouse.address && <div className="text-xs text-gray-500">{warehouse.address}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{warehouse.manager || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <Link
+                        to={`/inventory?warehouse=${encodeURIComponent(warehouse.name)}`}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        {warehouse.item_count}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">{renderUtilization(warehouse)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatRupiah(warehouse.total_value || 0)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {active ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {can('warehouse:manage') && (
+                        <>
+                          <button
+                            onClick={() => openEdit(warehouse)}
+                            className="text-blue-600 hover:text-blue-900 mr-4"
+                          >
+                            Edit
+                          </button>
+                          {active ? (
+                            <>
+                              {warehouse.unit_count > 0 && can('transfer:create') && (
+                                <Link
+                                  to={`/transfers?from=${encodeURIComponent(warehouse.name)}`}
+                                  className="text-gray-600 hover:text-gray-900 mr-4"
+                                >
+                                  Move Stock
+                                </Link>
+                              )}
+                              <button
+                                onClick={() => setWarehouseToDeactivate(warehouse)}
+                                className="text-red-600 hover:text-red-900"
+                              >
+                                Deactivate
+                              </button>
+                            </>
+                          ) : (
+                            <button
+                              onClick={() => handleReactivate(warehouse)}
+                              className="text-green-600 hover:text-green-900"
+                            >
+                              Reactivate
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Edit Warehouse Modal */}
+      <Transition appear show={!!editingWarehouse} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setEditingWarehouse(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Edit Warehouse
+                  </Dialog.Title>
+
+                  {editingWarehouse && (
+                    <form onSubmit={saveWarehouse} className="mt-4 space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Name</label>
+                        <input
+                          type="text"
+                          name="name"
+                          value={editingWarehouse.name}
+                          onChange={handleEditChange}
+                          required
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                        {editingWarehouse.name.trim() !== editingWarehouse.originalName && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            Stock levels, transactions, transfers and orders for <strong>{editingWarehouse.originalName}</strong> are renamed with it.
+                          </p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Address</label>
+                        <textarea
+                          name="address"
+                          rows="2"
+                          value={editingWarehouse.address}
+                          onChange={handleEditChange}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Manager</label>
+                        <input
+                          type="text"
+                          name="manager"
+                          value={editingWarehouse.manager}
+                          onChange={handleEditChange}
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Capacity (units)</label>
+                        <input
+                          type="number"
+                          name="capacity"
+                          min="1"
+                          value={editingWarehouse.capacity}
+                          onChange={handleEditChange}
+                          placeholder="No limit"
+                          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                      </div>
+
+                      <div className="mt-6 flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          onClick={() => setEditingWarehouse(null)}
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                        >
+                          {saving ? 'Saving...' : 'Save'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+
+      {/* Deactivate Confirmation Modal */}
+      <Transition appear show={!!warehouseToDeactivate} as={Fragment}>
+        <Dialog as="div" className="relative z-10" onClose={() => setWarehouseToDeactivate(null)}>
+          <Transition.Child
+            as={Fragment}
+            enter="ease-out duration-300"
+            enterFrom="opacity-0"
+            enterTo="opacity-100"
+            leave="ease-in duration-200"
+            leaveFrom="opacity-100"
+            leaveTo="opacity-0"
+          >
+            <div className="fixed inset-0 bg-black bg-opacity-25" />
+          </Transition.Child>
+
+          <div className="fixed inset-0 overflow-y-auto">
+            <div className="flex min-h-full items-center justify-center p-4 text-center">
+              <Transition.Child
+                as={Fragment}
+                enter="ease-out duration-300"
+                enterFrom="opacity-0 scale-95"
+                enterTo="opacity-100 scale-100"
+                leave="ease-in duration-200"
+                leaveFrom="opacity-100 scale-100"
+                leaveTo="opacity-0 scale-95"
+              >
+                <Dialog.Panel className="w-full max-w-md transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                  <Dialog.Title
+                    as="h3"
+                    className="text-lg font-medium leading-6 text-gray-900"
+                  >
+                    Deactivate Warehouse
+                  </Dialog.Title>
+                  <div className="mt-2">
+                    {warehouseToDeactivate?.unit_count > 0 ? (
+                      <p className="text-sm text-gray-500">
+                        <strong>{warehouseToDeactivate.name}</strong> still holds {warehouseToDeactivate.unit_count} units.
+                        Move them to another warehouse before deactivating it.
+                      </p>
+                    ) : (
+                      <p className="text-sm text-gray-500">
+                        Deactivate <strong>{warehouseToDeactivate?.name}</strong>? It stays in reports and filters
+                        but can no longer receive stock.
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      onClick={() => setWarehouseToDeactivate(null)}
+                    >
+                      Cancel
+                    </button>
+                    {warehouseToDeactivate?.unit_count > 0 ? (
+                      <Link
+                        to={`/transfers?from=${encodeURIComponent(warehouseToDeactivate.name)}`}
+                        className="inline-flex justify-center rounded-md border border-transparent bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        Move Stock
+                      </Link>
+                    ) : (
+                      <button
+                        type="button"
+                        disabled={saving}
+                        className="inline-flex justify-center rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50"
+                        onClick={confirmDeactivate}
+                      >
+                        {saving ? 'Deactivating...' : 'Deactivate'}
+                      </button>
+                    )}
+                  </div>
+                </Dialog.Panel>
+              </Transition.Child>
+            </div>
+          </div>
+        </Dialog>
+      </Transition>
+    </div>
+  );
+};
+
+export default WarehousesPage;
@@ -0,0 +1,66 @@
+-- Stock transactions ledger
+-- Every change to stock.quantity is recorded here; the trigger below keeps
+-- stock.quantity in sync so the column always equals the sum of its deltas.
+
+create table if not exists public.stock_transaction (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  occurred_at date not null default current_date,
+  stock_id bigint not null references public.stock (id) on delete cascade,
+  warehouse text,
+  type text not null check (type in ('in', 'out', 'adjustment')),
+  reason text not null,
+  quantity_delta integer not null check (quantity_delta <> 0),
+  note text,
+  user_id uuid default auth.uid(),
+  user_email text default (auth.jwt() ->> 'email')
+);
+
+create index if not exists stock_transaction_stock_id_idx on public.stock_transaction (stock_id);
+create index if not exists stock_transaction_occurred_at_idx on public.stock_transaction (occurred_at desc);
+
+-- Opening balances for existing rows, inserted before the trigger exists so
+-- they do not get added on top of the current quantity.
+insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+select id, warehouse, 'in', 'initial', quantity, 'Opening balance'
+  from public.stock
+ where coalesce(quantity, 0) > 0
+   and not exists (select 1 from public.stock_transaction t where t.stock_id = stock.id);
+
+create or replace function public.apply_stock_transaction()
+returns trigger
+language plpgsql
+as $$
+declare
+  new_quantity integer;
+begin
+  update public.stock
+     set quantity = coalesce(quantity, 0) + new.quantity_delta
+   where id = new.stock_id
+  returning quantity into new_quantity;
+
+  if new_quantity is null then
+    raise exception 'Stock item % does not exist', new.stock_id;
+  end if;
+
+  if new_quantity < 0 then
+    raise exception 'Insufficient stock: quantity would drop to %', new_quantity;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_transaction_apply on public.stock_transaction;
+create trigger stock_transaction_apply
+  after insert on public.stock_transaction
+  for each row execute function public.apply_stock_transaction();
+
+-- Ledger rows are append-only: corrections are made with a new adjustment.
+alter table public.stock_transaction enable row level security;
+
+create policy "stock_transaction read" on public.stock_transaction
+  for select using (true);
+
+create policy "stock_transaction insert" on public.stock_transaction
+  for insert with check (true);
@@ -0,0 +1,9 @@
+-- Low stock flag
+-- PostgREST cannot compare two columns in a filter, so expose
+-- quantity <= threshold as a column the Inventory page can filter on.
+
+alter table public.stock
+  add column if not exists is_low_stock boolean
+  generated always as (coalesce(quantity, 0) <= coalesce(threshold, 0)) stored;
+
+create index if not exists stock_is_low_stock_idx on public.stock (is_low_stock);
@@ -0,0 +1,42 @@
+-- Require a signed-in user
+-- Without these policies the anon key shipped with the app can read and
+-- write every table. Access now needs an authenticated Supabase Auth session.
+
+alter table public.stock enable row level security;
+alter table public.category enable row level security;
+alter table public.warehouse enable row level security;
+
+drop policy if exists "stock authenticated access" on public.stock;
+create policy "stock authenticated access" on public.stock
+  for all to authenticated using (true) with check (true);
+
+drop policy if exists "category authenticated access" on public.category;
+create policy "category authenticated access" on public.category
+  for all to authenticated using (true) with check (true);
+
+drop policy if exists "warehouse authenticated access" on public.warehouse;
+create policy "warehouse authenticated access" on public.warehouse
+  for all to authenticated using (true) with check (true);
+
+-- Replace the open ledger policies from the transactions migration
+drop policy if exists "stock_transaction read" on public.stock_transaction;
+drop policy if exists "stock_transaction insert" on public.stock_transaction;
+
+create policy "stock_transaction read" on public.stock_transaction
+  for select to authenticated using (true);
+
+create policy "stock_transaction insert" on public.stock_transaction
+  for insert to authenticated with check (user_id = auth.uid());
+
+-- Item thumbnails: anyone may view (public bucket), only signed-in users upload
+drop policy if exists "stock images upload" on storage.objects;
+create policy "stock images upload" on storage.objects
+  for insert to authenticated with check (bucket_id = 'stock');
+
+drop policy if exists "stock images update" on storage.objects;
+create policy "stock images update" on storage.objects
+  for update to authenticated using (bucket_id = 'stock');
+
+drop policy if exists "stock images delete" on storage.objects;
+create policy "stock images delete" on storage.objects
+  for delete to authenticated using (bucket_id = 'stock');
@@ -0,0 +1,135 @@
+-- Role-based permissions
+-- viewer:  read only
+-- clerk:   add and edit items, record stock transactions
+-- manager: everything, including deleting items and managing categories
+--          and warehouses
+--
+-- Users without a row are viewers. Assign roles from the SQL editor, e.g.
+--   insert into public.user_role (user_id, role)
+--   select id, 'manager' from auth.users where email = 'someone@example.com'
+--   on conflict (user_id) do update set role = excluded.role;
+
+create table if not exists public.user_role (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null default 'viewer' check (role in ('viewer', 'clerk', 'manager')),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select role from public.user_role where user_id = auth.uid()),
+    'viewer'
+  );
+$$;
+
+create or replace function public.has_role(allowed text[])
+returns boolean
+language sql
+stable
+as $$
+  select public.app_role() = any (allowed);
+$$;
+
+alter table public.user_role enable row level security;
+
+create policy "user_role read own" on public.user_role
+  for select to authenticated
+  using (user_id = auth.uid() or public.has_role(array['manager']));
+
+create policy "user_role manage" on public.user_role
+  for all to authenticated
+  using (public.has_role(array['manager']))
+  with check (public.has_role(array['manager']));
+
+-- stock: everyone reads, clerks and managers write, only managers delete
+drop policy if exists "stock authenticated access" on public.stock;
+
+create policy "stock read" on public.stock
+  for select to authenticated using (true);
+create policy "stock insert" on public.stock
+  for insert to authenticated with check (public.has_role(array['clerk', 'manager']));
+create policy "stock update" on public.stock
+  for update to authenticated using (public.has_role(array['clerk', 'manager']));
+create policy "stock delete" on public.stock
+  for delete to authenticated using (public.has_role(array['manager']));
+
+-- category and warehouse: managers only
+drop policy if exists "category authenticated access" on public.category;
+
+create policy "category read" on public.category
+  for select to authenticated using (true);
+create policy "category write" on public.category
+  for all to authenticated
+  using (public.has_role(array['manager']))
+  with check (public.has_role(array['manager']));
+
+drop policy if exists "warehouse authenticated access" on public.warehouse;
+
+create policy "warehouse read" on public.warehouse
+  for select to authenticated using (true);
+create policy "warehouse write" on public.warehouse
+  for all to authenticated
+  using (public.has_role(array['manager']))
+  with check (public.has_role(array['manager']));
+
+-- Ledger: clerks and managers record transactions
+drop policy if exists "stock_transaction insert" on public.stock_transaction;
+
+create policy "stock_transaction insert" on public.stock_transaction
+  for insert to authenticated
+  with check (user_id = auth.uid() and public.has_role(array['clerk', 'manager']));
+
+-- The ledger trigger updates stock.quantity on behalf of the inserting user
+alter function public.apply_stock_transaction() security definer set search_path = public;
+
+-- The update policy lets clerks write stock rows, but quantities must only
+-- follow the ledger. The ledger trigger runs as its owner, so a quantity
+-- written with the API roles came straight from a client and is refused.
+create or replace function public.guard_stock_quantity()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' and coalesce(new.quantity, 0) <> 0 then
+    raise exception 'New items start at quantity 0; book stock with a stock transaction';
+  end if;
+
+  if tg_op = 'UPDATE' and new.quantity is distinct from old.quantity then
+    raise exception 'Quantities change through stock transactions';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_guard_quantity on public.stock;
+create trigger stock_guard_quantity
+  before insert or update on public.stock
+  for each row
+  execute function public.guard_stock_quantity();
+
+-- Thumbnails: clerks and managers upload, managers delete
+drop policy if exists "stock images upload" on storage.objects;
+create policy "stock images upload" on storage.objects
+  for insert to authenticated
+  with check (bucket_id = 'stock' and public.has_role(array['clerk', 'manager']));
+
+drop policy if exists "stock images update" on storage.objects;
+create policy "stock images update" on storage.objects
+  for update to authenticated
+  using (bucket_id = 'stock' and public.has_role(array['clerk', 'manager']));
+
+drop policy if exists "stock images delete" on storage.objects;
+create policy "stock images delete" on storage.objects
+  for delete to authenticated
+  using (bucket_id = 'stock' and public.has_role(array['manager']));
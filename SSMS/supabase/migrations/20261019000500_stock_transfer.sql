@@ -0,0 +1,200 @@
+-- Inter-warehouse stock transfers
+-- Creating a transfer takes the units out of the source warehouse and leaves
+-- the transfer "in_transit" until the receiving side confirms it, at which
+-- point the destination is incremented. Both sides go through the ledger.
+-- All changes happen inside these functions so each step is atomic.
+
+create table if not exists public.stock_transfer (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  from_warehouse text not null,
+  to_warehouse text not null,
+  status text not null default 'in_transit'
+    check (status in ('in_transit', 'received', 'cancelled')),
+  note text,
+  created_by uuid default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  received_at timestamptz,
+  received_by_email text,
+  check (from_warehouse <> to_warehouse)
+);
+
+create table if not exists public.stock_transfer_line (
+  id bigint generated by default as identity primary key,
+  transfer_id bigint not null references public.stock_transfer (id) on delete cascade,
+  stock_id bigint not null references public.stock (id),
+  destination_stock_id bigint references public.stock (id),
+  quantity integer not null check (quantity > 0)
+);
+
+create index if not exists stock_transfer_line_transfer_id_idx on public.stock_transfer_line (transfer_id);
+
+alter table public.stock_transfer enable row level security;
+alter table public.stock_transfer_line enable row level security;
+
+-- Reads only; writes go through the functions below
+create policy "stock_transfer read" on public.stock_transfer
+  for select to authenticated using (true);
+create policy "stock_transfer_line read" on public.stock_transfer_line
+  for select to authenticated using (true);
+
+create or replace function public.receive_stock_transfer(p_transfer_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.stock_transfer;
+  line record;
+  source public.stock;
+  dest_id bigint;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to receive transfers';
+  end if;
+
+  select * into t from public.stock_transfer where id = p_transfer_id for update;
+
+  if t.id is null then
+    raise exception 'Transfer % does not exist', p_transfer_id;
+  end if;
+
+  if t.status <> 'in_transit' then
+    raise exception 'Transfer % is already %', p_transfer_id, t.status;
+  end if;
+
+  for line in select * from public.stock_transfer_line where transfer_id = t.id loop
+    select * into source from public.stock where id = line.stock_id;
+
+    -- The same product in the destination warehouse, created if missing
+    select id into dest_id
+      from public.stock
+     where name = source.name and warehouse = t.to_warehouse
+     order by id
+     limit 1;
+
+    if dest_id is null then
+      insert into public.stock (name, category, warehouse, quantity, price, threshold, thumbnail)
+      values (source.name, source.category, t.to_warehouse, 0, source.price, source.threshold, source.thumbnail)
+      returning id into dest_id;
+    end if;
+
+    update public.stock_transfer_line set destination_stock_id = dest_id where id = line.id;
+
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (dest_id, t.to_warehouse, 'in', 'transfer_in', line.quantity,
+            format('Transfer #%s from %s', t.id, t.from_warehouse));
+  end loop;
+
+  update public.stock_transfer
+     set status = 'received',
+         received_at = now(),
+         received_by_email = auth.jwt() ->> 'email'
+   where id = t.id;
+end;
+$$;
+
+create or replace function public.create_stock_transfer(
+  p_from_warehouse text,
+  p_to_warehouse text,
+  p_lines jsonb,
+  p_note text default null,
+  p_receive_now boolean default false
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  transfer_id bigint;
+  line jsonb;
+  line_stock_id bigint;
+  line_quantity integer;
+  source public.stock;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to create transfers';
+  end if;
+
+  if p_from_warehouse = p_to_warehouse then
+    raise exception 'Source and destination warehouse must be different';
+  end if;
+
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'A transfer needs at least one item';
+  end if;
+
+  insert into public.stock_transfer (from_warehouse, to_warehouse, note)
+  values (p_from_warehouse, p_to_warehouse, p_note)
+  returning id into transfer_id;
+
+  for line in select * from jsonb_array_elements(p_lines) loop
+    line_stock_id := (line ->> 'stock_id')::bigint;
+    line_quantity := (line ->> 'quantity')::integer;
+
+    select * into source from public.stock where id = line_stock_id for update;
+
+    if source.id is null then
+      raise exception 'Stock item % does not exist', line_stock_id;
+    end if;
+
+    if source.warehouse is distinct from p_from_warehouse then
+      raise exception '% is not stored in %', source.name, p_from_warehouse;
+    end if;
+
+    if line_quantity is null or line_quantity <= 0 then
+      raise exception 'Transfer quantity for % must be greater than zero', source.name;
+    end if;
+
+    if coalesce(source.quantity, 0) < line_quantity then
+      raise exception 'Only % units of % are available in %', coalesce(source.quantity, 0), source.name, p_from_warehouse;
+    end if;
+
+    insert into public.stock_transfer_line (transfer_id, stock_id, quantity)
+    values (transfer_id, source.id, line_quantity);
+
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (source.id, p_from_warehouse, 'out', 'transfer_out', -line_quantity,
+            format('Transfer #%s to %s', transfer_id, p_to_warehouse));
+  end loop;
+
+  if p_receive_now then
+    perform public.receive_stock_transfer(transfer_id);
+  end if;
+
+  return transfer_id;
+end;
+$$;
+
+-- Puts in-transit units back into the source warehouse
+create or replace function public.cancel_stock_transfer(p_transfer_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.stock_transfer;
+  line record;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to cancel transfers';
+  end if;
+
+  select * into t from public.stock_transfer where id = p_transfer_id for update;
+
+  if t.id is null or t.status <> 'in_transit' then
+    raise exception 'Only in-transit transfers can be cancelled';
+  end if;
+
+  for line in select * from public.stock_transfer_line where transfer_id = t.id loop
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (line.stock_id, t.from_warehouse, 'in', 'transfer_cancel', line.quantity,
+            format('Transfer #%s cancelled', t.id));
+  end loop;
+
+  update public.stock_transfer set status = 'cancelled' where id = t.id;
+end;
+$$;
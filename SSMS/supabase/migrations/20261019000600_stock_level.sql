@@ -0,0 +1,243 @@
+-- Per-warehouse stock levels
+-- One stock row per product; quantities live in stock_level, one row per
+-- warehouse the product is stored in. stock.quantity remains as the total
+-- over all warehouses and stock.warehouse is removed.
+
+create table if not exists public.stock_level (
+  stock_id bigint not null references public.stock (id) on delete cascade,
+  warehouse text not null,
+  quantity integer not null default 0 check (quantity >= 0),
+  primary key (stock_id, warehouse)
+);
+
+create index if not exists stock_level_warehouse_idx on public.stock_level (warehouse);
+
+-- Items without a warehouse were displayed as "Main"; make that a real warehouse
+insert into public.warehouse (name)
+select 'Main'
+ where exists (select 1 from public.stock where warehouse is null)
+   and not exists (select 1 from public.warehouse where name = 'Main');
+
+update public.stock set warehouse = 'Main' where warehouse is null;
+
+update public.stock_transaction t
+   set warehouse = s.warehouse
+  from public.stock s
+ where t.stock_id = s.id and t.warehouse is null;
+
+-- Seed one level per existing row
+insert into public.stock_level (stock_id, warehouse, quantity)
+select id, warehouse, coalesce(quantity, 0) from public.stock
+on conflict do nothing;
+
+-- Rows with the same name, price, threshold, category and thumbnail are the
+-- same product entered once per warehouse. Fold them into the oldest row.
+create temporary table stock_merge as
+select s.id as old_id, k.keep_id
+  from public.stock s
+  join (
+    select name, price, threshold, category, thumbnail, min(id) as keep_id
+      from public.stock
+     group by name, price, threshold, category, thumbnail
+    having count(*) > 1
+  ) k
+    on k.name = s.name
+   and k.price is not distinct from s.price
+   and k.threshold is not distinct from s.threshold
+   and k.category is not distinct from s.category
+   and k.thumbnail is not distinct from s.thumbnail
+ where s.id <> k.keep_id;
+
+-- Rows that share a name but differ in those fields are left as separate
+-- items; list them so they can be reconciled by hand
+do $$
+declare
+  conflict record;
+begin
+  for conflict in
+    select name, string_agg(id::text || ' (' || warehouse || ')', ', ' order by id) as rows
+      from public.stock
+     group by name
+    having count(distinct row(price, threshold, category, thumbnail)::text) > 1
+  loop
+    raise warning 'Not merged, values differ: % — rows %', conflict.name, conflict.rows;
+  end loop;
+end;
+$$;
+
+insert into public.stock_level (stock_id, warehouse, quantity)
+select m.keep_id, l.warehouse, l.quantity
+  from stock_merge m
+  join public.stock_level l on l.stock_id = m.old_id
+on conflict (stock_id, warehouse)
+  do update set quantity = public.stock_level.quantity + excluded.quantity;
+
+update public.stock_transaction t set stock_id = m.keep_id from stock_merge m where t.stock_id = m.old_id;
+update public.stock_transfer_line t set stock_id = m.keep_id from stock_merge m where t.stock_id = m.old_id;
+
+delete from public.stock where id in (select old_id from stock_merge);
+
+drop table stock_merge;
+
+update public.stock s
+   set quantity = coalesce((select sum(l.quantity) from public.stock_level l where l.stock_id = s.id), 0);
+
+alter table public.stock drop column warehouse;
+alter table public.stock_transaction alter column warehouse set not null;
+alter table public.stock_transfer_line drop column if exists destination_stock_id;
+
+alter table public.stock_level enable row level security;
+
+-- Reads only; levels change through the ledger trigger
+create policy "stock_level read" on public.stock_level
+  for select to authenticated using (true);
+
+-- The ledger now moves the level of one warehouse and recomputes the total
+create or replace function public.apply_stock_transaction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  level_quantity integer;
+begin
+  if not exists (select 1 from public.stock where id = new.stock_id) then
+    raise exception 'Stock item % does not exist', new.stock_id;
+  end if;
+
+  select quantity into level_quantity
+    from public.stock_level
+   where stock_id = new.stock_id and warehouse = new.warehouse
+     for update;
+
+  if coalesce(level_quantity, 0) + new.quantity_delta < 0 then
+    raise exception 'Insufficient stock in %: quantity would drop to %',
+      new.warehouse, coalesce(level_quantity, 0) + new.quantity_delta;
+  end if;
+
+  insert into public.stock_level (stock_id, warehouse, quantity)
+  values (new.stock_id, new.warehouse, new.quantity_delta)
+  on conflict (stock_id, warehouse)
+    do update set quantity = public.stock_level.quantity + excluded.quantity;
+
+  update public.stock
+     set quantity = (select coalesce(sum(quantity), 0) from public.stock_level where stock_id = new.stock_id)
+   where id = new.stock_id;
+
+  return new;
+end;
+$$;
+
+-- Transfers move units of the same item between its warehouse levels
+create or replace function public.receive_stock_transfer(p_transfer_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  t public.stock_transfer;
+  line record;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to receive transfers';
+  end if;
+
+  select * into t from public.stock_transfer where id = p_transfer_id for update;
+
+  if t.id is null then
+    raise exception 'Transfer % does not exist', p_transfer_id;
+  end if;
+
+  if t.status <> 'in_transit' then
+    raise exception 'Transfer % is already %', p_transfer_id, t.status;
+  end if;
+
+  for line in select * from public.stock_transfer_line where transfer_id = t.id loop
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (line.stock_id, t.to_warehouse, 'in', 'transfer_in', line.quantity,
+            format('Transfer #%s from %s', t.id, t.from_warehouse));
+  end loop;
+
+  update public.stock_transfer
+     set status = 'received',
+         received_at = now(),
+         received_by_email = auth.jwt() ->> 'email'
+   where id = t.id;
+end;
+$$;
+
+create or replace function public.create_stock_transfer(
+  p_from_warehouse text,
+  p_to_warehouse text,
+  p_lines jsonb,
+  p_note text default null,
+  p_receive_now boolean default false
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  transfer_id bigint;
+  line jsonb;
+  line_stock_id bigint;
+  line_quantity integer;
+  item_name text;
+  available integer;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to create transfers';
+  end if;
+
+  if p_from_warehouse = p_to_warehouse then
+    raise exception 'Source and destination warehouse must be different';
+  end if;
+
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'A transfer needs at least one item';
+  end if;
+
+  insert into public.stock_transfer (from_warehouse, to_warehouse, note)
+  values (p_from_warehouse, p_to_warehouse, p_note)
+  returning id into transfer_id;
+
+  for line in select * from jsonb_array_elements(p_lines) loop
+    line_stock_id := (line ->> 'stock_id')::bigint;
+    line_quantity := (line ->> 'quantity')::integer;
+
+    select name into item_name from public.stock where id = line_stock_id;
+
+    if item_name is null then
+      raise exception 'Stock item % does not exist', line_stock_id;
+    end if;
+
+    if line_quantity is null or line_quantity <= 0 then
+      raise exception 'Transfer quantity for % must be greater than zero', item_name;
+    end if;
+
+    select quantity into available
+      from public.stock_level
+     where stock_id = line_stock_id and warehouse = p_from_warehouse;
+
+    if coalesce(available, 0) < line_quantity then
+      raise exception 'Only % units of % are available in %', coalesce(available, 0), item_name, p_from_warehouse;
+    end if;
+
+    insert into public.stock_transfer_line (transfer_id, stock_id, quantity)
+    values (transfer_id, line_stock_id, line_quantity);
+
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (line_stock_id, p_from_warehouse, 'out', 'transfer_out', -line_quantity,
+            format('Transfer #%s to %s', transfer_id, p_to_warehouse));
+  end loop;
+
+  if p_receive_now then
+    perform public.receive_stock_transfer(transfer_id);
+  end if;
+
+  return transfer_id;
+end;
+$$;
@@ -0,0 +1,14 @@
+-- SKU / barcode
+-- Optional code printed on the item's label. Codes are unique regardless of
+-- case so a scanner and a person typing the code find the same item.
+
+alter table public.stock
+  add column if not exists sku text;
+
+alter table public.stock
+  drop constraint if exists stock_sku_not_blank;
+
+alter table public.stock
+  add constraint stock_sku_not_blank check (sku is null or btrim(sku) <> '');
+
+create unique index if not exists stock_sku_key on public.stock (lower(sku));
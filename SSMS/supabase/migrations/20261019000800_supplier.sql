@@ -0,0 +1,46 @@
+-- Suppliers
+-- Who we buy from, and which items each supplier can deliver. An item can
+-- have several suppliers, each with its own code, price and lead time.
+
+create table if not exists public.supplier (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  name text not null unique,
+  contact_name text,
+  email text,
+  phone text,
+  address text,
+  payment_terms text,
+  notes text
+);
+
+create table if not exists public.stock_supplier (
+  id bigint generated by default as identity primary key,
+  stock_id bigint not null references public.stock (id) on delete cascade,
+  supplier_id bigint not null references public.supplier (id) on delete cascade,
+  supplier_sku text,
+  unit_cost numeric not null default 0 check (unit_cost >= 0),
+  lead_time_days integer check (lead_time_days >= 0),
+  unique (stock_id, supplier_id)
+);
+
+create index if not exists stock_supplier_supplier_id_idx on public.stock_supplier (supplier_id);
+
+alter table public.supplier enable row level security;
+alter table public.stock_supplier enable row level security;
+
+-- supplier: managers maintain the directory
+create policy "supplier read" on public.supplier
+  for select to authenticated using (true);
+create policy "supplier write" on public.supplier
+  for all to authenticated
+  using (public.has_role(array['manager']))
+  with check (public.has_role(array['manager']));
+
+-- stock_supplier: part of the item, so whoever edits items edits the links
+create policy "stock_supplier read" on public.stock_supplier
+  for select to authenticated using (true);
+create policy "stock_supplier write" on public.stock_supplier
+  for all to authenticated
+  using (public.has_role(array['clerk', 'manager']))
+  with check (public.has_role(array['clerk', 'manager']));
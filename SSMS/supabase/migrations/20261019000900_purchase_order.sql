@@ -0,0 +1,284 @@
+-- Purchase orders
+-- draft -> sent -> partially_received -> received, or cancelled.
+-- Drafts can be edited; once sent, only receiving changes the order.
+-- Each receipt books the received units into one warehouse through the
+-- ledger (reason "purchase"), so stock levels rise automatically.
+
+create table if not exists public.purchase_order (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  supplier_id bigint not null references public.supplier (id),
+  status text not null default 'draft'
+    check (status in ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+  expected_date date,
+  note text,
+  created_by uuid default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  sent_at timestamptz,
+  received_at timestamptz
+);
+
+create table if not exists public.purchase_order_line (
+  id bigint generated by default as identity primary key,
+  purchase_order_id bigint not null references public.purchase_order (id) on delete cascade,
+  stock_id bigint not null references public.stock (id),
+  quantity_ordered integer not null check (quantity_ordered > 0),
+  quantity_received integer not null default 0 check (quantity_received >= 0),
+  unit_cost numeric not null default 0 check (unit_cost >= 0),
+  check (quantity_received <= quantity_ordered)
+);
+
+create table if not exists public.purchase_receipt (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  purchase_order_id bigint not null references public.purchase_order (id) on delete cascade,
+  warehouse text not null,
+  note text,
+  received_by uuid default auth.uid(),
+  received_by_email text default (auth.jwt() ->> 'email')
+);
+
+create table if not exists public.purchase_receipt_line (
+  id bigint generated by default as identity primary key,
+  receipt_id bigint not null references public.purchase_receipt (id) on delete cascade,
+  line_id bigint not null references public.purchase_order_line (id) on delete cascade,
+  quantity integer not null check (quantity > 0)
+);
+
+create index if not exists purchase_order_supplier_id_idx on public.purchase_order (supplier_id);
+create index if not exists purchase_order_line_order_id_idx on public.purchase_order_line (purchase_order_id);
+create index if not exists purchase_receipt_order_id_idx on public.purchase_receipt (purchase_order_id);
+
+alter table public.purchase_order enable row level security;
+alter table public.purchase_order_line enable row level security;
+alter table public.purchase_receipt enable row level security;
+alter table public.purchase_receipt_line enable row level security;
+
+-- Reads only; writes go through the functions below
+create policy "purchase_order read" on public.purchase_order
+  for select to authenticated using (true);
+create policy "purchase_order_line read" on public.purchase_order_line
+  for select to authenticated using (true);
+create policy "purchase_receipt read" on public.purchase_receipt
+  for select to authenticated using (true);
+create policy "purchase_receipt_line read" on public.purchase_receipt_line
+  for select to authenticated using (true);
+
+-- Create a draft (p_id null) or replace an existing draft.
+-- p_lines: [{ stock_id, quantity, unit_cost }]
+create or replace function public.save_purchase_order(
+  p_id bigint,
+  p_supplier_id bigint,
+  p_expected_date date,
+  p_note text,
+  p_lines jsonb
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  order_id bigint := p_id;
+  current_status text;
+  line jsonb;
+  line_stock_id bigint;
+  line_quantity integer;
+  item_name text;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage purchase orders';
+  end if;
+
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'A purchase order needs at least one item';
+  end if;
+
+  if order_id is null then
+    insert into public.purchase_order (supplier_id, expected_date, note)
+    values (p_supplier_id, p_expected_date, p_note)
+    returning id into order_id;
+  else
+    select status into current_status from public.purchase_order where id = order_id for update;
+
+    if current_status is null then
+      raise exception 'Purchase order % does not exist', order_id;
+    end if;
+
+    if current_status <> 'draft' then
+      raise exception 'Only draft purchase orders can be edited';
+    end if;
+
+    update public.purchase_order
+       set supplier_id = p_supplier_id,
+           expected_date = p_expected_date,
+           note = p_note
+     where id = order_id;
+
+    delete from public.purchase_order_line where purchase_order_id = order_id;
+  end if;
+
+  for line in select * from jsonb_array_elements(p_lines) loop
+    line_stock_id := (line ->> 'stock_id')::bigint;
+    line_quantity := (line ->> 'quantity')::integer;
+
+    select name into item_name from public.stock where id = line_stock_id;
+
+    if item_name is null then
+      raise exception 'Stock item % does not exist', line_stock_id;
+    end if;
+
+    if line_quantity is null or line_quantity <= 0 then
+      raise exception 'Order quantity for % must be greater than zero', item_name;
+    end if;
+
+    insert into public.purchase_order_line (purchase_order_id, stock_id, quantity_ordered, unit_cost)
+    values (order_id, line_stock_id, line_quantity, coalesce((line ->> 'unit_cost')::numeric, 0));
+  end loop;
+
+  return order_id;
+end;
+$$;
+
+create or replace function public.send_purchase_order(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage purchase orders';
+  end if;
+
+  update public.purchase_order
+     set status = 'sent',
+         sent_at = now()
+   where id = p_id and status = 'draft';
+
+  if not found then
+    raise exception 'Only draft purchase orders can be sent';
+  end if;
+end;
+$$;
+
+-- Units already received stay in stock; the rest is no longer expected
+create or replace function public.cancel_purchase_order(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage purchase orders';
+  end if;
+
+  update public.purchase_order
+     set status = 'cancelled'
+   where id = p_id and status in ('draft', 'sent', 'partially_received');
+
+  if not found then
+    raise exception 'Purchase order % cannot be cancelled', p_id;
+  end if;
+end;
+$$;
+
+-- Receive some or all outstanding units into one warehouse.
+-- p_lines: [{ line_id, quantity }]; lines with quantity 0 are skipped.
+create or replace function public.receive_purchase_order(
+  p_id bigint,
+  p_warehouse text,
+  p_lines jsonb,
+  p_note text default null
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  po public.purchase_order;
+  receipt_id bigint;
+  line jsonb;
+  order_line public.purchase_order_line;
+  line_quantity integer;
+  item_name text;
+  received_any boolean := false;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to receive purchase orders';
+  end if;
+
+  select * into po from public.purchase_order where id = p_id for update;
+
+  if po.id is null then
+    raise exception 'Purchase order % does not exist', p_id;
+  end if;
+
+  if po.status not in ('sent', 'partially_received') then
+    raise exception 'Purchase order % is %; only sent orders can be received', p_id, po.status;
+  end if;
+
+  if not exists (select 1 from public.warehouse where name = p_warehouse) then
+    raise exception 'Warehouse % does not exist', p_warehouse;
+  end if;
+
+  insert into public.purchase_receipt (purchase_order_id, warehouse, note)
+  values (po.id, p_warehouse, p_note)
+  returning id into receipt_id;
+
+  for line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) loop
+    line_quantity := coalesce((line ->> 'quantity')::integer, 0);
+    continue when line_quantity = 0;
+
+    select * into order_line
+      from public.purchase_order_line
+     where id = (line ->> 'line_id')::bigint and purchase_order_id = po.id
+       for update;
+
+    if order_line.id is null then
+      raise exception 'Line % is not part of purchase order %', line ->> 'line_id', po.id;
+    end if;
+
+    select name into item_name from public.stock where id = order_line.stock_id;
+
+    if line_quantity < 0 then
+      raise exception 'Received quantity for % cannot be negative', item_name;
+    end if;
+
+    if order_line.quantity_received + line_quantity > order_line.quantity_ordered then
+      raise exception 'Only % more units of % are expected',
+        order_line.quantity_ordered - order_line.quantity_received, item_name;
+    end if;
+
+    update public.purchase_order_line
+       set quantity_received = quantity_received + line_quantity
+     where id = order_line.id;
+
+    insert into public.purchase_receipt_line (receipt_id, line_id, quantity)
+    values (receipt_id, order_line.id, line_quantity);
+
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (order_line.stock_id, p_warehouse, 'in', 'purchase', line_quantity,
+            format('PO #%s receipt #%s', po.id, receipt_id));
+
+    received_any := true;
+  end loop;
+
+  if not received_any then
+    raise exception 'Enter a received quantity for at least one item';
+  end if;
+
+  if exists (
+    select 1 from public.purchase_order_line
+     where purchase_order_id = po.id and quantity_received < quantity_ordered
+  ) then
+    update public.purchase_order set status = 'partially_received' where id = po.id;
+  else
+    update public.purchase_order set status = 'received', received_at = now() where id = po.id;
+  end if;
+
+  return receipt_id;
+end;
+$$;
@@ -0,0 +1,362 @@
+-- Sales orders and stock reservation
+-- draft -> confirmed -> shipped, or cancelled.
+-- Confirming an order reserves its quantities in the shipping warehouse so
+-- nobody else can promise the same units; shipping releases the
+-- reservation and books the units out through the ledger (reason "sale").
+--
+-- stock_level.reserved is held per warehouse and stock.reserved_quantity is
+-- its total. Available = on hand - reserved, and the low stock flag now
+-- compares available quantity with the threshold.
+
+alter table public.stock_level
+  add column if not exists reserved integer not null default 0 check (reserved >= 0);
+
+alter table public.stock
+  add column if not exists reserved_quantity integer not null default 0;
+
+alter table public.stock drop column if exists is_low_stock;
+
+alter table public.stock
+  add column available_quantity integer
+  generated always as (coalesce(quantity, 0) - reserved_quantity) stored;
+
+alter table public.stock
+  add column is_low_stock boolean
+  generated always as (coalesce(quantity, 0) - reserved_quantity <= coalesce(threshold, 0)) stored;
+
+create index if not exists stock_is_low_stock_idx on public.stock (is_low_stock);
+
+create table if not exists public.sales_order (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  customer_name text not null,
+  customer_contact text,
+  warehouse text not null,
+  status text not null default 'draft'
+    check (status in ('draft', 'confirmed', 'shipped', 'cancelled')),
+  note text,
+  created_by uuid default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  confirmed_at timestamptz,
+  shipped_at timestamptz
+);
+
+create table if not exists public.sales_order_line (
+  id bigint generated by default as identity primary key,
+  sales_order_id bigint not null references public.sales_order (id) on delete cascade,
+  stock_id bigint not null references public.stock (id),
+  quantity integer not null check (quantity > 0),
+  unit_price numeric not null default 0 check (unit_price >= 0)
+);
+
+create index if not exists sales_order_line_order_id_idx on public.sales_order_line (sales_order_id);
+
+alter table public.sales_order enable row level security;
+alter table public.sales_order_line enable row level security;
+
+-- Reads only; writes go through the functions below
+create policy "sales_order read" on public.sales_order
+  for select to authenticated using (true);
+create policy "sales_order_line read" on public.sales_order_line
+  for select to authenticated using (true);
+
+-- Manual stock-outs and transfers may not take reserved units. Counts
+-- (adjustments) record what is physically there, so they are allowed to
+-- drop below the reservation.
+create or replace function public.apply_stock_transaction()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  level_quantity integer;
+  level_reserved integer;
+begin
+  if not exists (select 1 from public.stock where id = new.stock_id) then
+    raise exception 'Stock item % does not exist', new.stock_id;
+  end if;
+
+  select quantity, reserved into level_quantity, level_reserved
+    from public.stock_level
+   where stock_id = new.stock_id and warehouse = new.warehouse
+     for update;
+
+  if coalesce(level_quantity, 0) + new.quantity_delta < 0 then
+    raise exception 'Insufficient stock in %: quantity would drop to %',
+      new.warehouse, coalesce(level_quantity, 0) + new.quantity_delta;
+  end if;
+
+  if new.type = 'out' and coalesce(level_quantity, 0) + new.quantity_delta < coalesce(level_reserved, 0) then
+    raise exception 'Only % units are available in %; % are reserved for sales orders',
+      coalesce(level_quantity, 0) - coalesce(level_reserved, 0), new.warehouse, level_reserved;
+  end if;
+
+  insert into public.stock_level (stock_id, warehouse, quantity)
+  values (new.stock_id, new.warehouse, new.quantity_delta)
+  on conflict (stock_id, warehouse)
+    do update set quantity = public.stock_level.quantity + excluded.quantity;
+
+  update public.stock
+     set quantity = (select coalesce(sum(quantity), 0) from public.stock_level where stock_id = new.stock_id)
+   where id = new.stock_id;
+
+  return new;
+end;
+$$;
+
+-- Change the reservation of one item in one warehouse and refresh the total
+create or replace function public.reserve_stock(p_stock_id bigint, p_warehouse text, p_delta integer)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  level public.stock_level;
+  item_name text;
+begin
+  select * into level
+    from public.stock_level
+   where stock_id = p_stock_id and warehouse = p_warehouse
+     for update;
+
+  select name into item_name from public.stock where id = p_stock_id;
+
+  if p_delta > 0 and coalesce(level.quantity, 0) - coalesce(level.reserved, 0) < p_delta then
+    raise exception 'Only % units of % are available in %',
+      greatest(coalesce(level.quantity, 0) - coalesce(level.reserved, 0), 0), item_name, p_warehouse;
+  end if;
+
+  update public.stock_level
+     set reserved = greatest(reserved + p_delta, 0)
+   where stock_id = p_stock_id and warehouse = p_warehouse;
+
+  update public.stock
+     set reserved_quantity = (select coalesce(sum(reserved), 0) from public.stock_level where stock_id = p_stock_id)
+   where id = p_stock_id;
+end;
+$$;
+
+revoke execute on function public.reserve_stock(bigint, text, integer) from public, anon, authenticated;
+
+-- Reservations, like quantities, only change through the functions above
+create or replace function public.guard_stock_quantity()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' and (coalesce(new.quantity, 0) <> 0 or coalesce(new.reserved_quantity, 0) <> 0) then
+    raise exception 'New items start at quantity 0; book stock with a stock transaction';
+  end if;
+
+  if tg_op = 'UPDATE' and new.quantity is distinct from old.quantity then
+    raise exception 'Quantities change through stock transactions';
+  end if;
+
+  if tg_op = 'UPDATE' and new.reserved_quantity is distinct from old.reserved_quantity then
+    raise exception 'Reservations change through sales orders';
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Create a draft (p_id null) or replace an existing draft.
+-- p_lines: [{ stock_id, quantity, unit_price }]
+create or replace function public.save_sales_order(
+  p_id bigint,
+  p_customer_name text,
+  p_customer_contact text,
+  p_warehouse text,
+  p_note text,
+  p_lines jsonb
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  order_id bigint := p_id;
+  current_status text;
+  line jsonb;
+  line_stock_id bigint;
+  line_quantity integer;
+  item_name text;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to manage sales orders';
+  end if;
+
+  if coalesce(btrim(p_customer_name), '') = '' then
+    raise exception 'A sales order needs a customer';
+  end if;
+
+  if not exists (select 1 from public.warehouse where name = p_warehouse) then
+    raise exception 'Warehouse % does not exist', p_warehouse;
+  end if;
+
+  if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+    raise exception 'A sales order needs at least one item';
+  end if;
+
+  if order_id is null then
+    insert into public.sales_order (customer_name, customer_contact, warehouse, note)
+    values (btrim(p_customer_name), p_customer_contact, p_warehouse, p_note)
+    returning id into order_id;
+  else
+    select status into current_status from public.sales_order where id = order_id for update;
+
+    if current_status is null then
+      raise exception 'Sales order % does not exist', order_id;
+    end if;
+
+    if current_status <> 'draft' then
+      raise exception 'Only draft sales orders can be edited';
+    end if;
+
+    update public.sales_order
+       set customer_name = btrim(p_customer_name),
+           customer_contact = p_customer_contact,
+           warehouse = p_warehouse,
+           note = p_note
+     where id = order_id;
+
+    delete from public.sales_order_line where sales_order_id = order_id;
+  end if;
+
+  for line in select * from jsonb_array_elements(p_lines) loop
+    line_stock_id := (line ->> 'stock_id')::bigint;
+    line_quantity := (line ->> 'quantity')::integer;
+
+    select name into item_name from public.stock where id = line_stock_id;
+
+    if item_name is null then
+      raise exception 'Stock item % does not exist', line_stock_id;
+    end if;
+
+    if line_quantity is null or line_quantity <= 0 then
+      raise exception 'Order quantity for % must be greater than zero', item_name;
+    end if;
+
+    insert into public.sales_order_line (sales_order_id, stock_id, quantity, unit_price)
+    values (order_id, line_stock_id, line_quantity, coalesce((line ->> 'unit_price')::numeric, 0));
+  end loop;
+
+  return order_id;
+end;
+$$;
+
+create or replace function public.confirm_sales_order(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  so public.sales_order;
+  line record;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to manage sales orders';
+  end if;
+
+  select * into so from public.sales_order where id = p_id for update;
+
+  if so.id is null then
+    raise exception 'Sales order % does not exist', p_id;
+  end if;
+
+  if so.status <> 'draft' then
+    raise exception 'Sales order % is already %', p_id, so.status;
+  end if;
+
+  for line in select * from public.sales_order_line where sales_order_id = so.id loop
+    perform public.reserve_stock(line.stock_id, so.warehouse, line.quantity);
+  end loop;
+
+  update public.sales_order
+     set status = 'confirmed',
+         confirmed_at = now()
+   where id = so.id;
+end;
+$$;
+
+create or replace function public.ship_sales_order(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  so public.sales_order;
+  line record;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to manage sales orders';
+  end if;
+
+  select * into so from public.sales_order where id = p_id for update;
+
+  if so.id is null then
+    raise exception 'Sales order % does not exist', p_id;
+  end if;
+
+  if so.status <> 'confirmed' then
+    raise exception 'Only confirmed sales orders can be shipped';
+  end if;
+
+  for line in select * from public.sales_order_line where sales_order_id = so.id loop
+    perform public.reserve_stock(line.stock_id, so.warehouse, -line.quantity);
+
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (line.stock_id, so.warehouse, 'out', 'sale', -line.quantity,
+            format('SO #%s to %s', so.id, so.customer_name));
+  end loop;
+
+  update public.sales_order
+     set status = 'shipped',
+         shipped_at = now()
+   where id = so.id;
+end;
+$$;
+
+-- Cancelling a confirmed order releases its reservation
+create or replace function public.cancel_sales_order(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  so public.sales_order;
+  line record;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to manage sales orders';
+  end if;
+
+  select * into so from public.sales_order where id = p_id for update;
+
+  if so.id is null then
+    raise exception 'Sales order % does not exist', p_id;
+  end if;
+
+  if so.status not in ('draft', 'confirmed') then
+    raise exception 'Sales order % is already %', p_id, so.status;
+  end if;
+
+  if so.status = 'confirmed' then
+    for line in select * from public.sales_order_line where sales_order_id = so.id loop
+      perform public.reserve_stock(line.stock_id, so.warehouse, -line.quantity);
+    end loop;
+  end if;
+
+  update public.sales_order set status = 'cancelled' where id = so.id;
+end;
+$$;
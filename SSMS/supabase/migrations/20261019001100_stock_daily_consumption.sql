@@ -0,0 +1,17 @@
+-- Daily consumption per item
+-- Units used up per item and day, summed from the ledger so forecasting
+-- reads one row per day instead of every transaction. Only sales, damage
+-- and internal use count; transfers move stock without consuming it.
+
+create or replace view public.stock_daily_consumption
+with (security_invoker = true) as
+select stock_id,
+       occurred_at as day,
+       sum(-quantity_delta)::integer as quantity
+  from public.stock_transaction
+ where type = 'out'
+   and reason in ('sale', 'damage', 'internal_use')
+ group by stock_id, occurred_at;
+
+create index if not exists stock_transaction_stock_id_occurred_at_idx
+  on public.stock_transaction (stock_id, occurred_at);
@@ -0,0 +1,121 @@
+-- Stock notifications
+-- Triggers record stock events as they happen:
+--   low_stock         available quantity drops to or below the threshold
+--   out_of_stock      on-hand quantity reaches zero
+--   large_adjustment  a count adjustment of 50 units or more either way
+-- Everyone can read events. Which types a user is notified about, and
+-- whether the browser shows them, lives in notification_preference;
+-- notification_read remembers which events each user has seen.
+
+create table if not exists public.stock_event (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  type text not null check (type in ('low_stock', 'out_of_stock', 'large_adjustment')),
+  stock_id bigint references public.stock (id) on delete cascade,
+  warehouse text,
+  message text not null,
+  user_email text default (auth.jwt() ->> 'email')
+);
+
+create index if not exists stock_event_created_at_idx on public.stock_event (created_at desc);
+
+create table if not exists public.notification_preference (
+  user_id uuid primary key references auth.users (id) on delete cascade default auth.uid(),
+  low_stock boolean not null default true,
+  out_of_stock boolean not null default true,
+  large_adjustment boolean not null default true,
+  browser boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.notification_read (
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  event_id bigint not null references public.stock_event (id) on delete cascade,
+  read_at timestamptz not null default now(),
+  primary key (user_id, event_id)
+);
+
+alter table public.stock_event enable row level security;
+alter table public.notification_preference enable row level security;
+alter table public.notification_read enable row level security;
+
+-- Events are only written by the triggers below
+create policy "stock_event read" on public.stock_event
+  for select to authenticated using (true);
+
+create policy "notification_preference own" on public.notification_preference
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+create policy "notification_read own" on public.notification_read
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- Events with the current user's read flag, for the notification bell
+create or replace view public.my_notification
+with (security_invoker = true) as
+select e.*,
+       exists (
+         select 1 from public.notification_read r
+          where r.event_id = e.id and r.user_id = auth.uid()
+       ) as is_read
+  from public.stock_event e;
+
+create or replace function public.record_stock_level_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(old.quantity, 0) > 0 and coalesce(new.quantity, 0) <= 0 then
+    insert into public.stock_event (type, stock_id, message)
+    values ('out_of_stock', new.id, format('%s is out of stock', new.name));
+  elsif not old.is_low_stock and new.is_low_stock then
+    insert into public.stock_event (type, stock_id, message)
+    values ('low_stock', new.id,
+            format('%s is low on stock: %s available, threshold %s',
+                   new.name, new.available_quantity, coalesce(new.threshold, 0)));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_level_event on public.stock;
+create trigger stock_level_event
+  after update on public.stock
+  for each row
+  execute function public.record_stock_level_event();
+
+create or replace function public.record_large_adjustment_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.type = 'adjustment' and abs(new.quantity_delta) >= 50 then
+    insert into public.stock_event (type, stock_id, warehouse, message)
+    select 'large_adjustment', new.stock_id, new.warehouse,
+           format('%s adjusted by %s%s in %s', s.name,
+                  case when new.quantity_delta > 0 then '+' else '' end,
+                  new.quantity_delta, coalesce(new.warehouse, 'no warehouse'))
+      from public.stock s
+     where s.id = new.stock_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_transaction_event on public.stock_transaction;
+create trigger stock_transaction_event
+  after insert on public.stock_transaction
+  for each row
+  execute function public.record_large_adjustment_event();
+
+-- Let open browsers hear about new events
+alter publication supabase_realtime add table public.stock_event;
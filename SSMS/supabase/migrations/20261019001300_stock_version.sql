@@ -0,0 +1,38 @@
+-- Edit conflict detection and realtime inventory
+-- stock.version goes up whenever a field people edit by hand changes
+-- (name, sku, category, price, threshold, thumbnail). The edit form saves
+-- with "where version = <version it loaded>", so a save that finds a newer
+-- version knows someone else changed the item in the meantime. Quantity
+-- changes come from the ledger and only touch updated_at.
+
+alter table public.stock
+  add column if not exists version integer not null default 1,
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.touch_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+
+  if (new.name, new.sku, new.category, new.price, new.threshold, new.thumbnail)
+     is distinct from
+     (old.name, old.sku, old.category, old.price, old.threshold, old.thumbnail) then
+    new.version := old.version + 1;
+  else
+    new.version := old.version;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_touch on public.stock;
+create trigger stock_touch
+  before update on public.stock
+  for each row
+  execute function public.touch_stock();
+
+-- Let open Inventory pages hear about other users' changes
+alter publication supabase_realtime add table public.stock, public.stock_level;
@@ -0,0 +1,97 @@
+-- Audit log
+-- Every insert, update and delete on stock, stock_level, category and
+-- warehouse is recorded with who did it, when, and the row before and
+-- after. Ledger postings show up here too, as updates to the warehouse
+-- level and to stock.quantity by the user who recorded the transaction.
+-- Level entries carry the item's id, so they belong to its history.
+-- Entries are written by the trigger only.
+
+create table if not exists public.audit_log (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  actor_id uuid default auth.uid(),
+  actor_email text default (auth.jwt() ->> 'email'),
+  entity text not null check (entity in ('stock', 'stock_level', 'category', 'warehouse')),
+  entity_id bigint not null,
+  entity_name text,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  before jsonb,
+  after jsonb,
+  -- { column: { "from": old, "to": new } } for updates
+  changes jsonb
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_entity_idx on public.audit_log (entity, entity_id);
+
+alter table public.audit_log enable row level security;
+
+create policy "audit_log read" on public.audit_log
+  for select to authenticated using (true);
+
+create or replace function public.record_audit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_row jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) end;
+  new_row jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) end;
+  row_data jsonb := coalesce(new_row, old_row);
+  changed jsonb;
+  row_id bigint := (row_data ->> 'id')::bigint;
+  row_name text := row_data ->> 'name';
+begin
+  -- Levels have no id or name of their own: use the item's, and the
+  -- warehouse (the item is already gone when its levels cascade away)
+  if tg_table_name = 'stock_level' then
+    row_id := (row_data ->> 'stock_id')::bigint;
+    select name || ' in ' || (row_data ->> 'warehouse') into row_name from public.stock where id = row_id;
+    row_name := coalesce(row_name, row_data ->> 'warehouse');
+  end if;
+
+  if tg_op = 'UPDATE' then
+    -- Bookkeeping columns change on every update and say nothing new
+    select jsonb_object_agg(n.key, jsonb_build_object('from', old_row -> n.key, 'to', n.value))
+      into changed
+      from jsonb_each(new_row) n
+     where n.key not in ('updated_at', 'version')
+       and n.value is distinct from old_row -> n.key;
+
+    if changed is null then
+      return new;
+    end if;
+  end if;
+
+  insert into public.audit_log (entity, entity_id, entity_name, action, before, after, changes)
+  values (tg_table_name, row_id, row_name,
+          lower(tg_op), old_row, new_row, changed);
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists stock_audit on public.stock;
+create trigger stock_audit
+  after insert or update or delete on public.stock
+  for each row
+  execute function public.record_audit();
+
+drop trigger if exists stock_level_audit on public.stock_level;
+create trigger stock_level_audit
+  after insert or update or delete on public.stock_level
+  for each row
+  execute function public.record_audit();
+
+drop trigger if exists category_audit on public.category;
+create trigger category_audit
+  after insert or update or delete on public.category
+  for each row
+  execute function public.record_audit();
+
+drop trigger if exists warehouse_audit on public.warehouse;
+create trigger warehouse_audit
+  after insert or update or delete on public.warehouse
+  for each row
+  execute function public.record_audit();
@@ -0,0 +1,136 @@
+-- Trash
+-- Deleting an item now only stamps deleted_at; the app hides those rows
+-- and lists them on the Trash page, where a manager can restore them or
+-- purge them for good. Items on transfers, purchase or sales orders keep
+-- their history and cannot be purged.
+
+alter table public.stock
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by_email text;
+
+create index if not exists stock_deleted_at_idx on public.stock (deleted_at);
+
+-- Rows are only removed by purging items already in the Trash
+drop policy if exists "stock delete" on public.stock;
+create policy "stock delete" on public.stock
+  for delete to authenticated
+  using (public.has_role(array['manager']) and deleted_at is not null);
+
+-- The update policy lets clerks write stock rows, so without this a plain
+-- update could move items in or out of the Trash without the manager check
+-- below. Only trash_stock and restore_stock may change these columns; they
+-- flag the change for the rest of their transaction.
+create or replace function public.guard_stock_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.deleted_at, new.deleted_by_email) is distinct from (old.deleted_at, old.deleted_by_email)
+     and coalesce(current_setting('ssms.trash_change', true), '') <> 'on' then
+    raise exception 'Items are moved to and from the Trash with trash_stock and restore_stock';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_guard_trash on public.stock;
+create trigger stock_guard_trash
+  before update on public.stock
+  for each row
+  execute function public.guard_stock_trash();
+
+create or replace function public.trash_stock(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  item public.stock;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to delete items';
+  end if;
+
+  select * into item from public.stock where id = p_id for update;
+
+  if item.id is null or item.deleted_at is not null then
+    raise exception 'Item % does not exist', p_id;
+  end if;
+
+  if item.reserved_quantity > 0 then
+    raise exception '% has % units reserved for sales orders; ship or cancel them first',
+      item.name, item.reserved_quantity;
+  end if;
+
+  perform set_config('ssms.trash_change', 'on', true);
+
+  update public.stock
+     set deleted_at = now(),
+         deleted_by_email = auth.jwt() ->> 'email'
+   where id = p_id;
+end;
+$$;
+
+create or replace function public.restore_stock(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to restore items';
+  end if;
+
+  perform set_config('ssms.trash_change', 'on', true);
+
+  update public.stock
+     set deleted_at = null,
+         deleted_by_email = null
+   where id = p_id and deleted_at is not null;
+
+  if not found then
+    raise exception 'Item % is not in the Trash', p_id;
+  end if;
+end;
+$$;
+
+-- Delete a trashed item for good. Returns its thumbnail URL when no other
+-- item uses the same image, so the caller can remove it from storage.
+create or replace function public.purge_stock(p_id bigint)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  item public.stock;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to purge items';
+  end if;
+
+  select * into item from public.stock where id = p_id for update;
+
+  if item.id is null or item.deleted_at is null then
+    raise exception 'Only items in the Trash can be purged';
+  end if;
+
+  if exists (select 1 from public.stock_transfer_line where stock_id = p_id)
+     or exists (select 1 from public.purchase_order_line where stock_id = p_id)
+     or exists (select 1 from public.sales_order_line where stock_id = p_id) then
+    raise exception '% appears on transfers or orders and cannot be purged; it can stay in the Trash', item.name;
+  end if;
+
+  delete from public.stock where id = p_id;
+
+  if item.thumbnail is null
+     or exists (select 1 from public.stock where thumbnail = item.thumbnail) then
+    return null;
+  end if;
+
+  return item.thumbnail;
+end;
+$$;
@@ -0,0 +1,183 @@
+-- Category management
+-- stock.category holds the category name as text, so renaming, merging
+-- and deleting go through these functions, which update the items in the
+-- same transaction. Categories can nest through parent_id; deleting or
+-- merging a category moves its children up to the surviving category.
+
+alter table public.category
+  add column if not exists parent_id bigint references public.category (id) on delete set null;
+
+create index if not exists category_parent_id_idx on public.category (parent_id);
+
+create or replace function public.assert_category_name_free(p_name text, p_except_id bigint)
+returns void
+language plpgsql
+stable
+set search_path = public
+as $$
+begin
+  if coalesce(btrim(p_name), '') = '' then
+    raise exception 'Category name cannot be empty';
+  end if;
+
+  if exists (
+    select 1 from public.category
+     where lower(name) = lower(btrim(p_name)) and id is distinct from p_except_id
+  ) then
+    raise exception 'A category named % already exists', btrim(p_name);
+  end if;
+end;
+$$;
+
+create or replace function public.rename_category(p_id bigint, p_name text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_name text;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage categories';
+  end if;
+
+  select name into old_name from public.category where id = p_id for update;
+
+  if old_name is null then
+    raise exception 'Category % does not exist', p_id;
+  end if;
+
+  perform public.assert_category_name_free(p_name, p_id);
+
+  update public.category set name = btrim(p_name) where id = p_id;
+  update public.stock set category = btrim(p_name) where category = old_name;
+end;
+$$;
+
+-- Make p_parent_id (null for top level) the parent of p_id
+create or replace function public.set_category_parent(p_id bigint, p_parent_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage categories';
+  end if;
+
+  if p_parent_id is not null and exists (
+    with recursive descendant as (
+      select id from public.category where id = p_id
+      union all
+      select c.id from public.category c join descendant d on c.parent_id = d.id
+    )
+    select 1 from descendant where id = p_parent_id
+  ) then
+    raise exception 'A category cannot be placed inside itself or one of its subcategories';
+  end if;
+
+  update public.category set parent_id = p_parent_id where id = p_id;
+
+  if not found then
+    raise exception 'Category % does not exist', p_id;
+  end if;
+end;
+$$;
+
+-- Move every item and subcategory of p_source_id into p_target_id, then
+-- delete p_source_id
+create or replace function public.merge_categories(p_source_id bigint, p_target_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  source public.category;
+  target public.category;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage categories';
+  end if;
+
+  if p_source_id = p_target_id then
+    raise exception 'Choose two different categories to merge';
+  end if;
+
+  select * into source from public.category where id = p_source_id for update;
+  select * into target from public.category where id = p_target_id for update;
+
+  if source.id is null or target.id is null then
+    raise exception 'Both categories must exist';
+  end if;
+
+  -- A target nested under the source takes the source's place first, so
+  -- moving the source's children under it cannot create a loop
+  if exists (
+    with recursive descendant as (
+      select id from public.category where parent_id = source.id
+      union all
+      select c.id from public.category c join descendant d on c.parent_id = d.id
+    )
+    select 1 from descendant where id = target.id
+  ) then
+    update public.category set parent_id = source.parent_id where id = target.id;
+  end if;
+
+  update public.stock set category = target.name where category = source.name;
+  update public.category set parent_id = target.id where parent_id = source.id and id <> target.id;
+  delete from public.category where id = source.id;
+end;
+$$;
+
+-- Delete a category. Its items move to p_reassign_to, or become
+-- uncategorised when that is null; its subcategories move up one level.
+create or replace function public.delete_category(p_id bigint, p_reassign_to bigint default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  doomed public.category;
+  new_name text;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage categories';
+  end if;
+
+  if p_reassign_to = p_id then
+    raise exception 'Items cannot be reassigned to the category being deleted';
+  end if;
+
+  select * into doomed from public.category where id = p_id for update;
+
+  if doomed.id is null then
+    raise exception 'Category % does not exist', p_id;
+  end if;
+
+  if p_reassign_to is not null then
+    select name into new_name from public.category where id = p_reassign_to;
+
+    if new_name is null then
+      raise exception 'Category % does not exist', p_reassign_to;
+    end if;
+  end if;
+
+  update public.stock set category = new_name where category = doomed.name;
+  update public.category set parent_id = doomed.parent_id where parent_id = doomed.id;
+  delete from public.category where id = doomed.id;
+end;
+$$;
+
+-- Categories with the number of items (outside the Trash) in each
+create or replace view public.category_summary
+with (security_invoker = true) as
+select c.id,
+       c.name,
+       c.parent_id,
+       (select count(*) from public.stock s
+         where s.category = c.name and s.deleted_at is null) as item_count
+  from public.category c;
@@ -0,0 +1,172 @@
+-- Warehouse management
+-- Warehouses get an address, a manager, a capacity (in units) and an
+-- active flag. Like categories, warehouses are referenced by name, so a
+-- rename goes through update_warehouse, which renames every reference in
+-- the same transaction. A warehouse can only be deactivated once it holds
+-- no stock and nothing is on its way in or out; inactive warehouses accept
+-- no new stock.
+
+alter table public.warehouse
+  add column if not exists address text,
+  add column if not exists manager text,
+  add column if not exists capacity integer check (capacity is null or capacity > 0),
+  add column if not exists is_active boolean not null default true;
+
+create or replace function public.update_warehouse(
+  p_id bigint,
+  p_name text,
+  p_address text,
+  p_manager text,
+  p_capacity integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_name text;
+  new_name text := btrim(p_name);
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage warehouses';
+  end if;
+
+  select name into old_name from public.warehouse where id = p_id for update;
+
+  if old_name is null then
+    raise exception 'Warehouse % does not exist', p_id;
+  end if;
+
+  if coalesce(new_name, '') = '' then
+    raise exception 'Warehouse name cannot be empty';
+  end if;
+
+  if exists (select 1 from public.warehouse where lower(name) = lower(new_name) and id <> p_id) then
+    raise exception 'A warehouse named % already exists', new_name;
+  end if;
+
+  update public.warehouse
+     set name = new_name,
+         address = nullif(btrim(p_address), ''),
+         manager = nullif(btrim(p_manager), ''),
+         capacity = p_capacity
+   where id = p_id;
+
+  if new_name <> old_name then
+    update public.stock_level set warehouse = new_name where warehouse = old_name;
+    update public.stock_transaction set warehouse = new_name where warehouse = old_name;
+    update public.stock_transfer set from_warehouse = new_name where from_warehouse = old_name;
+    update public.stock_transfer set to_warehouse = new_name where to_warehouse = old_name;
+    update public.purchase_receipt set warehouse = new_name where warehouse = old_name;
+    update public.sales_order set warehouse = new_name where warehouse = old_name;
+    update public.stock_event set warehouse = new_name where warehouse = old_name;
+  end if;
+end;
+$$;
+
+create or replace function public.deactivate_warehouse(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  w public.warehouse;
+  remaining integer;
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage warehouses';
+  end if;
+
+  select * into w from public.warehouse where id = p_id for update;
+
+  if w.id is null then
+    raise exception 'Warehouse % does not exist', p_id;
+  end if;
+
+  select coalesce(sum(quantity), 0) into remaining
+    from public.stock_level
+   where warehouse = w.name;
+
+  if remaining > 0 then
+    raise exception '% still holds % units; move them to another warehouse first', w.name, remaining;
+  end if;
+
+  if exists (
+    select 1 from public.stock_transfer
+     where status = 'in_transit' and (from_warehouse = w.name or to_warehouse = w.name)
+  ) then
+    raise exception '% has transfers in transit; receive or cancel them first', w.name;
+  end if;
+
+  if exists (
+    select 1 from public.sales_order
+     where status in ('draft', 'confirmed') and warehouse = w.name
+  ) then
+    raise exception '% has open sales orders; ship or cancel them first', w.name;
+  end if;
+
+  update public.warehouse set is_active = false where id = p_id;
+end;
+$$;
+
+create or replace function public.reactivate_warehouse(p_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_role(array['manager']) then
+    raise exception 'You do not have permission to manage warehouses';
+  end if;
+
+  update public.warehouse set is_active = true where id = p_id;
+
+  if not found then
+    raise exception 'Warehouse % does not exist', p_id;
+  end if;
+end;
+$$;
+
+-- Stock may leave an inactive warehouse but not arrive there
+create or replace function public.check_warehouse_active()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.quantity_delta > 0
+     and exists (select 1 from public.warehouse where name = new.warehouse and not is_active) then
+    raise exception 'Warehouse % is inactive', new.warehouse;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_transaction_check_warehouse on public.stock_transaction;
+create trigger stock_transaction_check_warehouse
+  before insert on public.stock_transaction
+  for each row
+  execute function public.check_warehouse_active();
+
+-- Warehouses with what they hold. Units count everything on the shelves;
+-- the item count and value leave out items in the Trash.
+create or replace view public.warehouse_summary
+with (security_invoker = true) as
+select w.id,
+       w.name,
+       w.address,
+       w.manager,
+       w.capacity,
+       w.is_active,
+       count(s.id) filter (where l.quantity > 0) as item_count,
+       coalesce(sum(l.quantity), 0) as unit_count,
+       coalesce(sum(l.quantity * coalesce(s.price, 0)), 0) as total_value
+  from public.warehouse w
+  left join public.stock_level l on l.warehouse = w.name
+  left join public.stock s on s.id = l.stock_id and s.deleted_at is null
+ group by w.id;
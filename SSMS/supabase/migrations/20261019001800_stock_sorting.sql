@@ -0,0 +1,13 @@
+-- Sorting and range filters on the inventory table
+-- The Value column (on hand x price) is stored on the row so the list can
+-- be sorted by it on the server, together with the page it returns.
+-- Indexes cover the columns the table sorts and filters by.
+
+alter table public.stock
+  add column if not exists total_value numeric
+  generated always as (coalesce(quantity, 0) * coalesce(price, 0)) stored;
+
+create index if not exists stock_total_value_idx on public.stock (total_value);
+create index if not exists stock_quantity_idx on public.stock (quantity);
+create index if not exists stock_available_quantity_idx on public.stock (available_quantity);
+create index if not exists stock_price_idx on public.stock (price);
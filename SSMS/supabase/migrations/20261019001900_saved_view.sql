@@ -0,0 +1,71 @@
+-- Saved views
+-- Each user can save named views of a list page. A view is the page's URL
+-- query string (search, filters, sort), so opening one is a navigation.
+-- Pinned views show as shortcuts on the page; at most one view per page is
+-- the user's default, opened when the page is visited without a query.
+
+create table if not exists public.saved_view (
+  id bigint generated by default as identity primary key,
+  created_at timestamptz not null default now(),
+  user_id uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  page text not null,
+  name text not null check (btrim(name) <> ''),
+  query text not null default '',
+  is_pinned boolean not null default false,
+  is_default boolean not null default false,
+  unique (user_id, page, name)
+);
+
+create unique index if not exists saved_view_default_idx
+  on public.saved_view (user_id, page) where is_default;
+
+alter table public.saved_view enable row level security;
+
+create policy "saved_view own" on public.saved_view
+  for all to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+-- A value as URLSearchParams writes it into a query string
+create or replace function public.form_urlencode(p_value text)
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(
+    case
+      when ch ~ '^[A-Za-z0-9*._-]$' then ch
+      when ch = ' ' then '+'
+      else upper(regexp_replace(encode(convert_to(ch, 'UTF8'), 'hex'), '(..)', '%\1', 'g'))
+    end, '' order by position), '')
+  from regexp_split_to_table(p_value, '') with ordinality as t (ch, position);
+$$;
+
+-- Inventory views that filter on a warehouse follow it when it is renamed
+-- (update_warehouse), for every user's views
+create or replace function public.rename_saved_view_warehouse()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_param text := '&warehouse=' || public.form_urlencode(old.name) || '&';
+  new_param text := '&warehouse=' || public.form_urlencode(new.name) || '&';
+begin
+  -- Wrapped in & so the parameter matches at either end of the query
+  update public.saved_view
+     set query = btrim(replace('&' || query || '&', old_param, new_param), '&')
+   where page = 'inventory'
+     and strpos('&' || query || '&', old_param) > 0;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists warehouse_rename_saved_views on public.warehouse;
+create trigger warehouse_rename_saved_views
+  after update of name on public.warehouse
+  for each row
+  when (old.name is distinct from new.name)
+  execute function public.rename_saved_view_warehouse();
@@ -0,0 +1,31 @@
+-- Bulk price adjustment
+-- Changes the price of several items at once, by a percentage and/or a
+-- fixed amount, in one transaction. New prices are rounded to whole
+-- rupiah and never drop below zero. Items in the Trash are left alone.
+
+create or replace function public.adjust_stock_prices(
+  p_ids bigint[],
+  p_percent numeric default 0,
+  p_amount numeric default 0
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changed integer;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to update items';
+  end if;
+
+  update public.stock
+     set price = greatest(0, round(coalesce(price, 0) * (1 + coalesce(p_percent, 0) / 100) + coalesce(p_amount, 0)))
+   where id = any(p_ids)
+     and deleted_at is null;
+
+  get diagnostics changed = row_count;
+  return changed;
+end;
+$$;
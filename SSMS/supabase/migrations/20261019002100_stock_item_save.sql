@@ -0,0 +1,139 @@
+-- Saving items together with their quantities
+-- Adding an item with an opening quantity, and editing an item together
+-- with its warehouse counts, used to be two requests: the stock row and
+-- then the ledger. A lost connection in between left one without the
+-- other, and a retry could book the quantities twice. These functions do
+-- both in one transaction.
+--
+-- Counts are the quantities found on the shelf, not differences: the
+-- difference to the current level is worked out here, under a row lock, so
+-- it is never based on stale data and sending the same count twice books
+-- nothing the second time.
+
+-- Set by the app when it creates an item, so a create that is retried
+-- after a lost response returns the first row instead of adding another
+alter table public.stock
+  add column if not exists client_ref uuid unique;
+
+-- p_values:  { name, sku, category, price, threshold, thumbnail }
+-- p_opening: { warehouse, quantity } or null
+create or replace function public.create_stock_item(
+  p_client_ref uuid,
+  p_values jsonb,
+  p_opening jsonb default null
+)
+returns public.stock
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  item public.stock;
+  opening_quantity integer := coalesce((p_opening ->> 'quantity')::integer, 0);
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to add items';
+  end if;
+
+  select * into item from public.stock where client_ref = p_client_ref;
+
+  if item.id is not null then
+    return item;
+  end if;
+
+  insert into public.stock (client_ref, name, sku, category, quantity, price, threshold, thumbnail)
+  values (
+    p_client_ref,
+    p_values ->> 'name',
+    p_values ->> 'sku',
+    p_values ->> 'category',
+    0,
+    coalesce((p_values ->> 'price')::numeric, 0),
+    coalesce((p_values ->> 'threshold')::integer, 0),
+    p_values ->> 'thumbnail'
+  )
+  returning * into item;
+
+  if opening_quantity > 0 then
+    insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+    values (item.id, p_opening ->> 'warehouse', 'in', 'initial', opening_quantity, 'Opening balance');
+
+    select * into item from public.stock where id = item.id;
+  end if;
+
+  return item;
+end;
+$$;
+
+-- Update the fields in p_values if the item is still at p_version, then
+-- book p_counts ([{ warehouse, quantity }]) as count adjustments. Returns
+-- { item } when saved, or { conflict } with the current row and nothing
+-- written. Without values only the counts are booked and the version is
+-- not checked.
+create or replace function public.update_stock_item(
+  p_id bigint,
+  p_version integer,
+  p_values jsonb,
+  p_counts jsonb default '[]'::jsonb,
+  p_note text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  item public.stock;
+  counted jsonb;
+  count_quantity integer;
+  level_quantity integer;
+begin
+  if not public.has_role(array['clerk', 'manager']) then
+    raise exception 'You do not have permission to update items';
+  end if;
+
+  select * into item from public.stock where id = p_id for update;
+
+  if item.id is null then
+    raise exception 'This item was deleted by another user.';
+  end if;
+
+  if coalesce(p_values, '{}'::jsonb) <> '{}'::jsonb then
+    if item.version <> p_version then
+      return jsonb_build_object('conflict', to_jsonb(item));
+    end if;
+
+    update public.stock
+       set name = case when p_values ? 'name' then p_values ->> 'name' else name end,
+           sku = case when p_values ? 'sku' then p_values ->> 'sku' else sku end,
+           category = case when p_values ? 'category' then p_values ->> 'category' else category end,
+           price = case when p_values ? 'price' then (p_values ->> 'price')::numeric else price end,
+           threshold = case when p_values ? 'threshold' then (p_values ->> 'threshold')::integer else threshold end,
+           thumbnail = case when p_values ? 'thumbnail' then p_values ->> 'thumbnail' else thumbnail end
+     where id = p_id;
+  end if;
+
+  for counted in select * from jsonb_array_elements(coalesce(p_counts, '[]'::jsonb)) loop
+    count_quantity := (counted ->> 'quantity')::integer;
+
+    if count_quantity is null or count_quantity < 0 then
+      raise exception 'Counted quantities must be zero or more';
+    end if;
+
+    select quantity into level_quantity
+      from public.stock_level
+     where stock_id = p_id and warehouse = counted ->> 'warehouse'
+       for update;
+
+    if count_quantity <> coalesce(level_quantity, 0) then
+      insert into public.stock_transaction (stock_id, warehouse, type, reason, quantity_delta, note)
+      values (p_id, counted ->> 'warehouse', 'adjustment', 'count',
+              count_quantity - coalesce(level_quantity, 0),
+              coalesce(p_note, 'Adjusted from the inventory edit form'));
+    end if;
+  end loop;
+
+  select * into item from public.stock where id = p_id;
+  return jsonb_build_object('item', to_jsonb(item));
+end;
+$$;